@@ -4,6 +4,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import pg from 'pg';
 
 // Supabase client for auth and general queries
 let supabase = null;
@@ -11,10 +12,41 @@ let supabase = null;
 // Service role client for admin operations
 let supabaseAdmin = null;
 
+// Direct PostgreSQL pool (used when running without Supabase)
+let pool = null;
+
+/**
+ * Resolve which backend database functions are called through.
+ * DB_BACKEND wins; otherwise fall back to pg when no Supabase project is configured.
+ */
+export function getBackend() {
+  if (process.env.DB_BACKEND) {
+    return process.env.DB_BACKEND;
+  }
+  return process.env.SUPABASE_URL ? 'supabase' : 'pg';
+}
+
+/**
+ * Resolve the database role calls execute as.
+ * 'service' keeps the connecting role; 'user' switches to DB_APP_ROLE per
+ * transaction so RLS policies apply to the end user.
+ */
+export function getExecutionMode() {
+  return process.env.DB_EXECUTE_AS === 'user' ? 'user' : 'service';
+}
+
 /**
  * Initialize database connections
  */
 export async function initDatabase() {
+  if (getBackend() === 'pg') {
+    return initPool();
+  }
+
+  if (getExecutionMode() === 'user') {
+    throw new Error('DB_EXECUTE_AS=user requires the pg backend (DB_BACKEND=pg)');
+  }
+
   const supabaseUrl = process.env.SUPABASE_URL;
   const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
   const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -50,6 +82,34 @@ export async function initDatabase() {
   return true;
 }
 
+/**
+ * Initialize the direct PostgreSQL pool from DATABASE_URL
+ */
+async function initPool() {
+  const connectionString = process.env.DATABASE_URL;
+
+  if (!connectionString) {
+    throw new Error('Missing DATABASE_URL environment variable');
+  }
+
+  pool = new pg.Pool({
+    connectionString,
+    max: parseInt(process.env.DB_POOL_MAX || '10', 10),
+    idleTimeoutMillis: 30000
+  });
+
+  // Test connection
+  try {
+    await pool.query('SELECT 1 FROM roles LIMIT 1');
+  } catch (err) {
+    await pool.end();
+    pool = null;
+    throw new Error(`Database connection test failed: ${err.message}`);
+  }
+
+  return true;
+}
+
 /**
  * Close database connections
  */
@@ -57,6 +117,21 @@ export async function closeDatabase() {
   // Supabase client doesn't require explicit cleanup
   supabase = null;
   supabaseAdmin = null;
+
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+/**
+ * Get the direct PostgreSQL pool
+ */
+export function getPool() {
+  if (!pool) {
+    throw new Error('Database pool not initialized. Ensure DATABASE_URL is set and DB_BACKEND is pg.');
+  }
+  return pool;
 }
 
 /**
@@ -83,9 +158,17 @@ export function getSupabaseAdmin() {
  * Execute a database function (RPC call)
  * @param {string} functionName - Name of the PostgreSQL function
  * @param {object} params - Parameters to pass to the function
- * @param {object} options - Options (useAdmin: boolean)
+ * @param {object} options - Options (useAdmin: boolean, userId: string for the pg backend)
  */
 export async function callFunction(functionName, params = {}, options = {}) {
+  if (getBackend() === 'pg') {
+    return withTransaction(options.userId || null, (query) =>
+      queryFunction(query, functionName, params)
+    ).catch((err) => {
+      throw toDatabaseError(err, functionName, params);
+    });
+  }
+
   const client = options.useAdmin ? getSupabaseAdmin() : getSupabase();
 
   const { data, error } = await client.rpc(functionName, params);
@@ -99,14 +182,24 @@ export async function callFunction(functionName, params = {}, options = {}) {
 
 /**
  * Execute a database function with user context
- * Sets the authenticated user for RLS policies
+ * Sets the authenticated user for RLS policies and passes them as p_user_id.
+ * The session user is only ever the userId argument, never a p_user_id in
+ * params, so a caller-supplied p_user_id cannot widen what RLS shows.
  */
 export async function callFunctionAsUser(functionName, params = {}, userId = null) {
-  const client = getSupabaseAdmin();
-
   // Add user_id to params if the function expects it
   const paramsWithUser = userId ? { ...params, p_user_id: userId } : params;
 
+  if (getBackend() === 'pg') {
+    return withTransaction(userId, (query) =>
+      queryFunction(query, functionName, paramsWithUser)
+    ).catch((err) => {
+      throw toDatabaseError(err, functionName, paramsWithUser);
+    });
+  }
+
+  const client = getSupabaseAdmin();
+
   const { data, error } = await client.rpc(functionName, paramsWithUser);
 
   if (error) {
@@ -116,6 +209,132 @@ export async function callFunctionAsUser(functionName, params = {}, userId = nul
   return data;
 }
 
+/**
+ * Run work inside a single transaction on a pooled connection.
+ * The user is registered with set_current_user_id() before anything else runs,
+ * so log_audit_trail() and the RLS helpers see who made the call. The setting is
+ * overwritten (or reset for anonymous calls) on every checkout, so it never
+ * leaks between requests sharing a connection.
+ * In 'user' execution mode the transaction also drops to DB_APP_ROLE, so the
+ * RLS policies filter rows by that identity whatever p_user_id a caller passes.
+ * @param {string|null} userId - Acting user, or null for anonymous calls
+ * @param {function} work - async (query) => result; query(text, values) runs on the transaction
+ */
+export async function withTransaction(userId, work) {
+  const client = await getPool().connect();
+  const query = (text, values) => client.query(text, values);
+
+  try {
+    await client.query('BEGIN');
+    if (getExecutionMode() === 'user') {
+      const role = process.env.DB_APP_ROLE || 'app_user';
+      await client.query(`SET LOCAL ROLE ${client.escapeIdentifier(role)}`);
+    }
+    await client.query('SELECT set_current_user_id($1::UUID)', [userId]);
+    const result = await work(query);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Call a database function with named arguments and shape the result like
+ * supabase-js rpc(): scalar returns come back as the value, set returns as rows.
+ */
+async function queryFunction(query, functionName, params) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(functionName)) {
+    throw new Error(`Invalid function name: ${functionName}`);
+  }
+
+  const names = Object.keys(params).filter((name) => params[name] !== undefined);
+  names.forEach((name) => {
+    if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid parameter name: ${name}`);
+    }
+  });
+
+  const jsonParams = await getJsonParams(query, functionName);
+  const args = names.map((name, i) => `${name} => $${i + 1}`).join(', ');
+  const values = names.map((name) => toSqlValue(params[name], jsonParams.has(name)));
+
+  const { rows, fields } = await query(`SELECT * FROM ${functionName}(${args})`, values);
+
+  // A scalar function yields a single column named after the function
+  if (fields.length === 1 && fields[0].name === functionName) {
+    return rows.length ? rows[0][functionName] : null;
+  }
+
+  return rows;
+}
+
+// Function name -> names of its json/jsonb arguments, filled on first call
+const jsonParamCache = new Map();
+
+/**
+ * Names of a function's json/jsonb arguments (across overloads), looked up
+ * once per function. Supabase rpc() encodes params by the argument type, so
+ * the pg backend needs the same information to send JSON where it is expected.
+ */
+async function getJsonParams(query, functionName) {
+  if (!jsonParamCache.has(functionName)) {
+    const { rows } = await query(
+      `SELECT DISTINCT arg.name
+       FROM pg_proc p
+       CROSS JOIN LATERAL unnest(p.proargnames, COALESCE(p.proallargtypes, p.proargtypes::OID[])) AS arg(name, type)
+       WHERE p.proname = $1
+         AND pg_function_is_visible(p.oid)
+         AND arg.type IN ('json'::REGTYPE, 'jsonb'::REGTYPE)`,
+      [functionName]
+    );
+    jsonParamCache.set(functionName, new Set(rows.map((row) => row.name)));
+  }
+  return jsonParamCache.get(functionName);
+}
+
+/**
+ * Convert a JS value to a query parameter.
+ * Values for json/jsonb arguments are always sent as JSON, whatever their
+ * shape; elsewhere objects are sent as JSON and arrays of scalars are left to
+ * pg so they map onto UUID[]/TEXT[] params.
+ * @param {*} value - Parameter value
+ * @param {boolean} isJson - Whether the argument is json/jsonb
+ */
+function toSqlValue(value, isJson = false) {
+  if (value === null) {
+    return value;
+  }
+  if (isJson) {
+    return JSON.stringify(value);
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.some((item) => item !== null && typeof item === 'object')
+      ? JSON.stringify(value)
+      : value;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Wrap a pg error so callers see the same error type as with Supabase
+ */
+function toDatabaseError(err, functionName, params) {
+  if (err instanceof DatabaseError) {
+    return err;
+  }
+  return new DatabaseError(err.message, functionName, params);
+}
+
 /**
  * Custom database error class
  */
@@ -175,8 +394,12 @@ export default {
   closeDatabase,
   getSupabase,
   getSupabaseAdmin,
+  getPool,
+  getBackend,
+  getExecutionMode,
   callFunction,
   callFunctionAsUser,
+  withTransaction,
   parseResult,
   isSuccess,
   getErrorMessage,
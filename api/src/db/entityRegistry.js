@@ -0,0 +1,84 @@
+/**
+ * Entity Registry
+ * Cached view of ui_entity_types used for route validation and navigation
+ */
+
+import { callFunction } from './connection.js';
+
+// How long a loaded registry is trusted before reloading
+const REFRESH_INTERVAL_MS = parseInt(process.env.ENTITY_REGISTRY_TTL_MS || '60000', 10);
+
+// Minimum gap between reloads caused by lookups of unknown entity names
+const MISS_REFRESH_INTERVAL_MS = 5000;
+
+let entities = new Map();
+let loadedAt = 0;
+let lastMissRefreshAt = 0;
+let pendingLoad = null;
+
+/**
+ * Load (or reload) the registry from the database
+ * Concurrent callers share one in-flight load
+ */
+export function loadEntityRegistry() {
+  if (!pendingLoad) {
+    pendingLoad = callFunction('get_entity_registry', {}, { useAdmin: true })
+      .then((rows) => {
+        entities = new Map((rows || []).map((row) => [row.entity_name, row]));
+        loadedAt = Date.now();
+        return entities;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+}
+
+/**
+ * Reload the registry if the cached copy has expired
+ */
+async function ensureFresh() {
+  if (Date.now() - loadedAt > REFRESH_INTERVAL_MS) {
+    await loadEntityRegistry();
+  }
+}
+
+/**
+ * Get all registered entities
+ * @returns {Promise<Array<{entity_name, display_name, icon_class, description}>>}
+ */
+export async function getEntities() {
+  await ensureFresh();
+  return [...entities.values()];
+}
+
+/**
+ * Get a single entity by name, or null if it is not registered
+ * An unknown name triggers a reload (rate limited) so newly added
+ * entities are picked up without waiting for the refresh interval
+ */
+export async function getEntity(entityName) {
+  await ensureFresh();
+
+  if (!entities.has(entityName) && Date.now() - lastMissRefreshAt > MISS_REFRESH_INTERVAL_MS) {
+    lastMissRefreshAt = Date.now();
+    await loadEntityRegistry();
+  }
+
+  return entities.get(entityName) || null;
+}
+
+/**
+ * Check whether an entity name is registered
+ */
+export async function isValidEntity(entityName) {
+  return (await getEntity(entityName)) !== null;
+}
+
+export default {
+  loadEntityRegistry,
+  getEntities,
+  getEntity,
+  isValidEntity
+};
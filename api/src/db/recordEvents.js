@@ -0,0 +1,140 @@
+/**
+ * Record Change Events
+ * Relays NOTIFYs from the record_changes channel (migration 015) to
+ * in-process subscribers such as the /ui/events stream
+ */
+
+import { EventEmitter } from 'events';
+import pg from 'pg';
+import { getBackend } from './connection.js';
+
+const CHANNEL = 'record_changes';
+
+// Delay before reconnecting after the listening connection drops
+const RECONNECT_DELAY_MS = 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let client = null;
+let pendingConnect = null;
+let reconnectTimer = null;
+let stopped = false;
+
+/**
+ * Parse a notification payload, ignoring anything malformed
+ */
+function onNotification(message) {
+  if (message.channel !== CHANNEL) return;
+
+  try {
+    const { entity, id, op } = JSON.parse(message.payload);
+    if (entity && id) {
+      emitter.emit('change', { entity, id, op });
+    }
+  } catch {
+    // Not one of ours
+  }
+}
+
+/**
+ * Retry the LISTEN connection later while anyone is subscribed
+ */
+function scheduleReconnect() {
+  if (stopped || reconnectTimer || emitter.listenerCount('change') === 0) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    ensureListening().catch(scheduleReconnect);
+  }, RECONNECT_DELAY_MS);
+  reconnectTimer.unref();
+}
+
+/**
+ * Discard a broken listening connection and reconnect. Subscribers stay
+ * registered; changes committed while disconnected are missed.
+ */
+function dropConnection(listener) {
+  if (client !== listener) return;
+
+  client = null;
+  listener.removeAllListeners('notification');
+  listener.end().catch(() => {});
+  scheduleReconnect();
+}
+
+/**
+ * Open the dedicated LISTEN connection if it is not open yet
+ * Concurrent callers share one in-flight connect
+ */
+function ensureListening() {
+  if (client) return Promise.resolve();
+
+  if (!pendingConnect) {
+    stopped = false;
+    const listener = new pg.Client({ connectionString: process.env.DATABASE_URL });
+
+    listener.on('notification', onNotification);
+    listener.on('error', () => dropConnection(listener));
+    listener.on('end', () => dropConnection(listener));
+
+    pendingConnect = listener.connect()
+      .then(() => listener.query(`LISTEN ${CHANNEL}`))
+      .then(() => {
+        client = listener;
+      })
+      .catch((err) => {
+        listener.end().catch(() => {});
+        throw new Error(`Failed to listen for record changes: ${err.message}`);
+      })
+      .finally(() => {
+        pendingConnect = null;
+      });
+  }
+  return pendingConnect;
+}
+
+/**
+ * Whether live record events can be served with the configured backend
+ * Supabase clients cannot LISTEN, so events need the pg backend
+ */
+export function isRecordEventsAvailable() {
+  return getBackend() === 'pg' && Boolean(process.env.DATABASE_URL);
+}
+
+/**
+ * Subscribe to committed record changes
+ * @param {function({entity: string, id: string, op: string}): void} listener
+ * @returns {Promise<function(): void>} unsubscribe function
+ */
+export async function subscribeRecordChanges(listener) {
+  await ensureListening();
+  emitter.on('change', listener);
+
+  return () => {
+    emitter.off('change', listener);
+  };
+}
+
+/**
+ * Close the listening connection (on shutdown)
+ */
+export async function stopRecordEvents() {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  emitter.removeAllListeners('change');
+
+  if (client) {
+    const listener = client;
+    client = null;
+    listener.removeAllListeners('notification');
+    await listener.end();
+  }
+}
+
+export default {
+  isRecordEventsAvailable,
+  subscribeRecordChanges,
+  stopRecordEvents
+};
@@ -0,0 +1,223 @@
+/**
+ * XLSX Export
+ * Streams list rows as a single-sheet workbook. The zip container is written
+ * by hand with data descriptors, so the sheet is compressed as rows arrive
+ * instead of being built in memory first.
+ */
+
+import { Readable, pipeline } from 'stream';
+import { createDeflateRaw, deflateRawSync } from 'zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const STATIC_PARTS = {
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>'
+};
+
+/**
+ * CRC-32 as used by zip, continuing from a previous value
+ */
+function crc32(buffer, previous = 0) {
+  let crc = ~previous >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot carry
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Format one value as a sheet cell
+ */
+function xlsxCell(value) {
+  if (value === null || value === undefined) return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(s)}</t></is></c>`;
+}
+
+/**
+ * Format one row of values as a sheet row
+ */
+function xlsxRow(values) {
+  return `<row>${values.map(xlsxCell).join('')}</row>`;
+}
+
+/**
+ * Zip local file header; sizes and CRC follow in the data descriptor
+ */
+function localHeader(name) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);              // version needed
+  header.writeUInt16LE(0x0808, 6);          // data descriptor, UTF-8 names
+  header.writeUInt16LE(8, 8);               // deflate
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+}
+
+/**
+ * Zip data descriptor written after an entry's data
+ */
+function dataDescriptor(entry) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+}
+
+/**
+ * Zip central directory plus end record for the written entries
+ */
+function centralDirectory(entries, offset) {
+  const records = entries.map(entry => {
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);            // version made by
+    record.writeUInt16LE(20, 6);            // version needed
+    record.writeUInt16LE(0x0808, 8);
+    record.writeUInt16LE(8, 10);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.compressedSize, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(entry.name.length, 28);
+    record.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([record, entry.name]);
+  });
+
+  const directory = Buffer.concat(records);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([directory, end]);
+}
+
+/**
+ * Deflate a stream of chunks, recording CRC and sizes on the entry
+ */
+async function* deflateEntry(source, entry) {
+  async function* measure() {
+    for await (const chunk of source) {
+      const buffer = Buffer.from(chunk);
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      yield buffer;
+    }
+  }
+
+  // pipeline() destroys the deflate stream if the source fails, so the
+  // error surfaces in the loop below instead of leaving it waiting
+  const deflate = createDeflateRaw();
+  pipeline(Readable.from(measure()), deflate, () => {});
+
+  for await (const chunk of deflate) {
+    entry.compressedSize += chunk.length;
+    yield chunk;
+  }
+}
+
+/**
+ * Worksheet XML: a header row of column names, then one row per record
+ */
+async function* sheetXml(columns, pages) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    xlsxRow(columns);
+
+  for await (const records of pages) {
+    yield records.map(record => xlsxRow(columns.map(column => record[column]))).join('');
+  }
+
+  yield '</sheetData></worksheet>';
+}
+
+/**
+ * Stream an .xlsx file with one sheet of records
+ * @param {string[]} columns - Record fields to write, in order
+ * @param {AsyncIterable<object[]>} pages - Pages of records
+ * @param {string} sheetName - Worksheet tab name
+ */
+export async function* xlsxStream(columns, pages, sheetName = 'Sheet1') {
+  const workbook =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+
+  const parts = [
+    ...Object.entries(STATIC_PARTS),
+    ['xl/workbook.xml', workbook],
+    ['xl/worksheets/sheet1.xml', null]
+  ];
+
+  const entries = [];
+  let offset = 0;
+
+  for (const [path, content] of parts) {
+    const entry = { name: Buffer.from(path), offset, crc: 0, size: 0, compressedSize: 0 };
+    entries.push(entry);
+
+    const header = localHeader(entry.name);
+    offset += header.length;
+    yield header;
+
+    if (content === null) {
+      for await (const chunk of deflateEntry(sheetXml(columns, pages), entry)) {
+        offset += chunk.length;
+        yield chunk;
+      }
+    } else {
+      const data = Buffer.from(content);
+      const compressed = deflateRawSync(data);
+      Object.assign(entry, { crc: crc32(data), size: data.length, compressedSize: compressed.length });
+      offset += compressed.length;
+      yield compressed;
+    }
+
+    const descriptor = dataDescriptor(entry);
+    offset += descriptor.length;
+    yield descriptor;
+  }
+
+  yield centralDirectory(entries, offset);
+}
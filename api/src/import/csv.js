@@ -0,0 +1,78 @@
+/**
+ * CSV Import
+ * Parses uploaded RFC 4180 CSV text into a header row and data rows
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with embedded commas, quotes and line breaks, and
+ * both CRLF and LF line endings. A leading BOM is dropped.
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into headers and data rows
+ * Blank lines are skipped; every data row is padded or cut to the header width.
+ * @param {string} text - CSV file contents
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const [headerRow, ...dataRows] = parseRows(text)
+    .filter(row => row.some(value => value.trim() !== ''));
+
+  if (!headerRow) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = headerRow.map(header => header.trim());
+  const rows = dataRows.map(row =>
+    headers.map((_, index) => (row[index] ?? '').trim())
+  );
+
+  return { headers, rows };
+}
@@ -6,7 +6,7 @@
 import { getSupabase, getSupabaseAdmin } from '../db/connection.js';
 
 // Demo user for development (when no auth configured)
-const DEMO_USERS = {
+export const DEMO_USERS = {
   admin: {
     user_id: '00000000-0000-0000-0000-000000000100',
     email: 'admin@example.com',
@@ -0,0 +1,124 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response for POST requests that repeat an Idempotency-Key
+ */
+
+import { createHash } from 'crypto';
+import { callFunctionAsUser } from '../db/connection.js';
+import { getUserId } from './auth.js';
+import { createError, errors } from './errorHandler.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers worth replaying; everything else is regenerated
+const STORED_HEADERS = ['content-type', 'hx-trigger', 'etag', 'location'];
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed.
+ * Multipart bodies are not parsed into request.body; routes that take a file
+ * read it into request.upload first so its bytes are part of the hash.
+ */
+function hashRequest(request) {
+  const hash = createHash('sha256')
+    .update(`${request.method} ${request.url}\n${JSON.stringify(request.body ?? null)}`);
+
+  if (request.upload) {
+    hash.update('\n').update(request.upload.content);
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * preHandler hook: claim the key, or replay / reject if it was already used
+ * Must run after authentication so keys are scoped to the user
+ */
+export async function idempotencyCheck(request, reply) {
+  const key = request.headers['idempotency-key'];
+
+  if (request.method !== 'POST' || !key) {
+    return;
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    throw errors.badRequest(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const userId = getUserId(request);
+
+  const claim = await callFunctionAsUser('begin_idempotent_request', {
+    p_idempotency_key: key,
+    p_request_path: request.url,
+    p_request_hash: hashRequest(request)
+  }, userId);
+
+  switch (claim?.state) {
+    case 'new':
+      request.idempotencyKey = key;
+      return;
+
+    case 'completed':
+      return reply
+        .code(claim.status_code)
+        .headers(claim.response_headers || {})
+        .header('Idempotent-Replayed', 'true')
+        .send(claim.response_body);
+
+    case 'in_progress':
+      throw errors.conflict('A request with this Idempotency-Key is still being processed');
+
+    case 'mismatch':
+      throw createError(422, 'Idempotency-Key was already used for a different request');
+
+    default:
+      throw errors.serverError('Could not check Idempotency-Key');
+  }
+}
+
+/**
+ * onSend hook: store successful responses for the claimed key, release it otherwise
+ * Failed requests are not stored so a corrected retry can reuse the same key
+ */
+export async function idempotencyStore(request, reply, payload) {
+  const key = request.idempotencyKey;
+
+  if (!key) {
+    return payload;
+  }
+
+  request.idempotencyKey = null;
+  const userId = getUserId(request);
+
+  try {
+    if (reply.statusCode < 300 && (typeof payload === 'string' || Buffer.isBuffer(payload))) {
+      const headers = {};
+      for (const name of STORED_HEADERS) {
+        const value = reply.getHeader(name);
+        if (value !== undefined) {
+          headers[name] = String(value);
+        }
+      }
+
+      await callFunctionAsUser('complete_idempotent_request', {
+        p_idempotency_key: key,
+        p_status_code: reply.statusCode,
+        p_response_headers: headers,
+        p_response_body: payload.toString()
+      }, userId);
+    } else {
+      await callFunctionAsUser('release_idempotent_request', {
+        p_idempotency_key: key
+      }, userId);
+    }
+  } catch (err) {
+    // The response itself succeeded; a lost key only means a retry runs again
+    request.log.error({ err, idempotencyKey: key }, 'Failed to record idempotency key');
+  }
+
+  return payload;
+}
+
+export default {
+  idempotencyCheck,
+  idempotencyStore
+};
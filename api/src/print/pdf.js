@@ -0,0 +1,385 @@
+/**
+ * PDF Documents
+ * Lays out a build_print_document() result as an A4 PDF. Written directly
+ * with the standard Helvetica fonts, so nothing is installed or called out to.
+ */
+
+import { deflateSync } from 'zlib';
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 42;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_Y = 24;
+const CELL_PADDING = 4;
+const MIN_COLUMN_WIDTH = 40;
+
+// Advance widths (1/1000 em) of the printable ASCII range, from the Adobe
+// Helvetica and Helvetica-Bold metrics; other characters use DEFAULT_WIDTH
+const FIRST_CHAR = 32;
+const DEFAULT_WIDTH = 556;
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+
+// WinAnsiEncoding positions of characters outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Encode text as WinAnsi bytes; characters the fonts cannot show become '?'
+ */
+function toWinAnsi(text) {
+  return Array.from(String(text ?? ''), (char) => {
+    const code = char.codePointAt(0);
+    if (code === 9 || code === 10 || code === 13) return 32;
+    if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) return code;
+    return WIN_ANSI[char] ?? 63;
+  });
+}
+
+/**
+ * Text width in points
+ */
+function textWidth(text, size, font = 'regular') {
+  const widths = WIDTHS[font];
+  const units = toWinAnsi(text).reduce(
+    (sum, code) => sum + (widths[code - FIRST_CHAR] ?? DEFAULT_WIDTH),
+    0
+  );
+  return (units * size) / 1000;
+}
+
+/**
+ * PDF literal string, with delimiters and non-ASCII bytes escaped
+ */
+function pdfString(text) {
+  const body = toWinAnsi(text).map((code) => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+    if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+  }).join('');
+  return `(${body})`;
+}
+
+/**
+ * Break text into lines no wider than width; words longer than a line are split
+ */
+function wrapText(text, width, size, font = 'regular') {
+  const lines = [];
+  // Columns are sized to their widest cell, so allow for rounding
+  const limit = width + 0.01;
+
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (textWidth(candidate, size, font) <= limit) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = '';
+
+      let rest = word;
+      while (textWidth(rest, size, font) > limit) {
+        let cut = rest.length - 1;
+        while (cut > 1 && textWidth(rest.slice(0, cut), size, font) > limit) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Collects drawing operators page by page, moving a cursor down the page
+ */
+class PageWriter {
+  constructor(onNewPage) {
+    this.pages = [];
+    this.onNewPage = onNewPage;
+    this.addPage();
+  }
+
+  addPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE_HEIGHT - MARGIN;
+    if (this.onNewPage && this.pages.length > 1) this.onNewPage(this);
+  }
+
+  /**
+   * Start a new page unless height points still fit above the footer
+   */
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) this.addPage();
+  }
+
+  text(x, y, text, size, { font = 'regular', align = 'left', gray = 0 } = {}) {
+    const width = textWidth(text, size, font);
+    const left = align === 'right' ? x - width : x;
+    this.ops.push(
+      `${gray} g BT /${FONT_NAMES[font]} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`
+    );
+  }
+
+  line(x1, y1, x2, y2, width = 0.5) {
+    this.ops.push(`${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+  }
+}
+
+/**
+ * Fit table columns to the content width: each starts at its widest cell,
+ * then the widest columns give up space (their text wraps) until all fit
+ */
+function columnWidths(columns, lines, size) {
+  const widths = columns.map((column) => Math.max(
+    textWidth(column.label, size, 'bold'),
+    ...lines.map((line) => textWidth(line[column.key], size))
+  ) + 2 * CELL_PADDING);
+
+  let excess = widths.reduce((sum, w) => sum + w, 0) - CONTENT_WIDTH;
+
+  while (excess > 0.5) {
+    const widest = widths.indexOf(Math.max(...widths));
+    const shrink = Math.min(excess, widths[widest] - MIN_COLUMN_WIDTH);
+    if (shrink <= 0) break;
+    widths[widest] -= shrink;
+    excess -= shrink;
+  }
+
+  // Spread leftover space over the columns
+  if (excess < 0) {
+    const extra = -excess / widths.length;
+    return widths.map((w) => w + extra);
+  }
+
+  return widths;
+}
+
+/**
+ * Draw the table header row at the cursor
+ */
+function drawTableHeader(page, columns, widths, size) {
+  let x = MARGIN;
+  columns.forEach((column, i) => {
+    const textX = column.align === 'right' ? x + widths[i] - CELL_PADDING : x + CELL_PADDING;
+    page.text(textX, page.y - size, column.label, size, { font: 'bold', align: column.align });
+    x += widths[i];
+  });
+  page.y -= size + CELL_PADDING;
+  page.line(MARGIN, page.y, PAGE_WIDTH - MARGIN, page.y, 0.8);
+  page.y -= CELL_PADDING;
+}
+
+/**
+ * Render a print document as PDF bytes
+ * @param {object} doc - build_print_document() result
+ * @returns {Buffer}
+ */
+export function documentPdf(doc) {
+  const columns = doc.columns || [];
+  const lines = doc.lines || [];
+  const tableSize = 8.5;
+  const widths = columnWidths(columns, lines, tableSize);
+
+  let inTable = false;
+  const page = new PageWriter((p) => {
+    if (inTable) drawTableHeader(p, columns, widths, tableSize);
+  });
+  const right = PAGE_WIDTH - MARGIN;
+
+  // Header: company on the left, document title and number on the right
+  page.text(MARGIN, page.y - 16, doc.company_name, 16, { font: 'bold' });
+  page.text(right, page.y - 18, String(doc.title || '').toUpperCase(), 18, { font: 'bold', align: 'right' });
+  page.text(right, page.y - 34, doc.number, 12, { font: 'bold', align: 'right' });
+
+  let companyY = page.y - 30;
+  for (const { text } of doc.company_lines || []) {
+    page.text(MARGIN, companyY, text, 9);
+    companyY -= 11;
+  }
+
+  page.y = Math.min(companyY, page.y - 40) - 4;
+  page.line(MARGIN, page.y, right, page.y, 1.5);
+  page.y -= 20;
+
+  // Parties: supplier block on the left, document details on the right
+  const partyTop = page.y;
+  page.text(MARGIN, page.y, String(doc.party_label || '').toUpperCase(), 8, { font: 'bold', gray: 0.35 });
+  page.y -= 13;
+  page.text(MARGIN, page.y, doc.party_name, 10, { font: 'bold' });
+  for (const { text } of doc.party_lines || []) {
+    page.y -= 12;
+    page.text(MARGIN, page.y, text, 9);
+  }
+
+  let detailY = partyTop;
+  for (const { label, value } of doc.details || []) {
+    page.text(PAGE_WIDTH / 2 + 40, detailY, label, 9, { gray: 0.35 });
+    page.text(right, detailY, value, 9, { align: 'right' });
+    detailY -= 13;
+  }
+
+  page.y = Math.min(page.y, detailY) - 24;
+
+  // Lines table, repeating its header on every page
+  page.ensureSpace(3 * tableSize + 20);
+  drawTableHeader(page, columns, widths, tableSize);
+  inTable = true;
+
+  const lineHeight = tableSize + 2.5;
+  for (const row of lines) {
+    const cells = columns.map((column, i) =>
+      wrapText(row[column.key] ?? '', widths[i] - 2 * CELL_PADDING, tableSize)
+    );
+    const rowHeight = Math.max(...cells.map((c) => c.length)) * lineHeight + CELL_PADDING;
+
+    page.ensureSpace(rowHeight + 2);
+
+    let x = MARGIN;
+    columns.forEach((column, i) => {
+      const textX = column.align === 'right' ? x + widths[i] - CELL_PADDING : x + CELL_PADDING;
+      cells[i].forEach((text, n) => {
+        page.text(textX, page.y - tableSize - n * lineHeight, text, tableSize, { align: column.align });
+      });
+      x += widths[i];
+    });
+
+    page.y -= rowHeight;
+    page.ops.push('0.85 G');
+    page.line(MARGIN, page.y, right, page.y, 0.4);
+    page.ops.push('0 G');
+    page.y -= 2;
+  }
+
+  inTable = false;
+
+  // Totals, right aligned; the last one is the grand total
+  const totals = doc.totals || [];
+  page.ensureSpace(totals.length * 14 + 16);
+  page.y -= 14;
+  totals.forEach(({ label, value }, i) => {
+    const last = i === totals.length - 1;
+    if (last && totals.length > 1) {
+      page.line(right - 200, page.y + 10, right, page.y + 10, 0.8);
+    }
+    const font = last ? 'bold' : 'regular';
+    page.text(right - 110, page.y, label, 9.5, { font, align: 'right', gray: last ? 0 : 0.35 });
+    page.text(right, page.y, value, 9.5, { font, align: 'right' });
+    page.y -= 14;
+  });
+
+  if (doc.has_notes) {
+    const notes = wrapText(doc.notes, CONTENT_WIDTH, 9);
+    page.ensureSpace(30);
+    page.y -= 14;
+    page.text(MARGIN, page.y, 'NOTES', 8, { font: 'bold', gray: 0.35 });
+    for (const text of notes) {
+      page.ensureSpace(12);
+      page.y -= 12;
+      page.text(MARGIN, page.y, text, 9);
+    }
+  }
+
+  // Footer on every page, now that the page count is known
+  page.pages.forEach((ops, i) => {
+    page.ops = ops;
+    page.text(MARGIN, FOOTER_Y, `${doc.title} ${doc.number} - generated ${doc.generated_at || ''}`, 7.5, { gray: 0.45 });
+    page.text(right, FOOTER_Y, `Page ${i + 1} of ${page.pages.length}`, 7.5, { align: 'right', gray: 0.45 });
+  });
+
+  return writePdf(page.pages, `${doc.title} ${doc.number}`);
+}
+
+/**
+ * Assemble the PDF file: catalog, page tree, the two fonts, then a page and
+ * a compressed content stream per page, followed by the cross-reference table
+ */
+function writePdf(pages, title) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const regular = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+  const bold = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+  const info = add(Buffer.from(`<< /Title ${pdfString(title)} /Producer (htmx-db-api) >>`));
+
+  const pageIds = pages.map((ops) => {
+    const stream = deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+    const content = add(Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+      stream,
+      Buffer.from('\nendstream')
+    ]));
+
+    return add(Buffer.from(
+      `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+    ));
+  });
+
+  objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+  objects[pageTree - 1] = Buffer.from(
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  );
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+
+  objects.forEach((body, i) => {
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    offsets.push(offset);
+    offset += chunk.length;
+    chunks.push(chunk);
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+
+  chunks.push(Buffer.from(xref));
+  return Buffer.concat(chunks);
+}
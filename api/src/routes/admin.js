@@ -0,0 +1,594 @@
+/**
+ * Admin Routes
+ * Template administration (version list, editor with live preview, diff and
+ * activation/rollback), the field permission matrix and the action
+ * permission grid with its condition builder. Mounted under /ui/admin;
+ * administrators only.
+ */
+
+import { callFunctionAsUser, parseResult, isSuccess, getErrorMessage } from '../db/connection.js';
+import { isValidEntity } from '../db/entityRegistry.js';
+import { getUserId, requireRole } from '../middleware/auth.js';
+import { errors } from '../middleware/errorHandler.js';
+
+/**
+ * HTML escape function to prevent XSS
+ */
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  const s = String(str);
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  };
+  return s.replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Validate UUID format
+ * Looser than the record routes' check: the seeded roles and users have fixed
+ * ids (00000000-0000-0000-0000-000000000001, ...) without RFC version bits.
+ */
+function isValidUUID(str) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(str);
+}
+
+/**
+ * Validate a template id route/query parameter
+ */
+function validateTemplateId(id) {
+  if (!id || !isValidUUID(id)) {
+    throw errors.badRequest('Invalid template ID');
+  }
+}
+
+/**
+ * Send generated HTML
+ */
+function sendHtml(reply, html) {
+  reply
+    .header('Content-Type', 'text/html; charset=utf-8')
+    .send(html);
+}
+
+/**
+ * Send generated HTML with a toast
+ */
+function sendHtmlWithToast(reply, html, message, type = 'success') {
+  reply
+    .header('Content-Type', 'text/html; charset=utf-8')
+    .header('HX-Trigger', JSON.stringify({
+      showToast: { message: escapeHtml(message), type }
+    }))
+    .send(html);
+}
+
+/**
+ * Reply to a failed mutation with a 400 error snippet and an error toast
+ */
+function sendFailure(reply, result) {
+  const message = getErrorMessage(result);
+
+  reply.code(400);
+  sendHtmlWithToast(reply, `<div class="error-message">${escapeHtml(message)}</div>`, message, 'error');
+}
+
+/**
+ * Reply to a template mutation: on success the refreshed version list with a
+ * success toast
+ */
+async function sendTemplateMutationResult(request, reply, result) {
+  if (!isSuccess(result)) {
+    sendFailure(reply, result);
+    return;
+  }
+
+  const html = await callFunctionAsUser('generate_htmx_template_admin', {
+    p_entity_type: result.entity_type || null
+  }, getUserId(request));
+
+  sendHtmlWithToast(reply, html, result.message || 'Template saved');
+}
+
+/**
+ * Validate the role/field pair addressed by the field permission routes
+ * (query string or form body)
+ */
+function validateFieldTarget({ role_id: roleId, field_id: fieldId }) {
+  if (!roleId || !isValidUUID(roleId)) {
+    throw errors.badRequest('Invalid role ID');
+  }
+  if (!fieldId || !isValidUUID(fieldId)) {
+    throw errors.badRequest('Invalid field ID');
+  }
+
+  return { roleId, fieldId };
+}
+
+/**
+ * Validate the role/entity/action triple addressed by the action permission
+ * routes (query string or form body)
+ */
+async function validateActionTarget({ role_id: roleId, entity, action }) {
+  if (!roleId || !isValidUUID(roleId)) {
+    throw errors.badRequest('Invalid role ID');
+  }
+  if (!entity || !(await isValidEntity(entity))) {
+    throw errors.badRequest(`Invalid entity type: ${entity}`);
+  }
+  if (!action) {
+    throw errors.badRequest('action is required');
+  }
+
+  return { roleId, entity, action };
+}
+
+/**
+ * Build a condition rule from the builder form, or null when it is removed.
+ * In JSON mode the rule is taken as written. Otherwise each row (inputs
+ * suffixed with the same key) is one condition; several rows are grouped under
+ * the chosen "all"/"any", a single row is stored on its own. The "current user"
+ * box stands for the acting user's id; is_null/is_not_null take no value.
+ */
+function buildConditionRule(body) {
+  if (body.clear === true || body.clear === 'true') {
+    return null;
+  }
+
+  if (body.mode === 'json') {
+    const source = (body.rule_json ?? '').trim();
+    if (!source) return null;
+
+    let rule;
+    try {
+      rule = JSON.parse(source);
+    } catch (err) {
+      throw errors.badRequest(`The condition is not valid JSON: ${err.message}`);
+    }
+
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw errors.badRequest('The condition must be a JSON object');
+    }
+    return rule;
+  }
+
+  const conditions = Object.keys(body)
+    .filter(name => name.startsWith('subject_'))
+    .map(name => {
+      const key = name.slice('subject_'.length);
+      const subject = String(body[name]);
+      const operator = body[`operator_${key}`];
+      const condition = subject.startsWith('user.')
+        ? { user: subject.slice('user.'.length), operator }
+        : { field: subject, operator };
+
+      if (!['is_null', 'is_not_null'].includes(operator)) {
+        condition.value = body[`current_user_${key}`] === 'true'
+          ? 'current_user'
+          : (body[`value_${key}`] ?? '').trim();
+      }
+
+      return condition;
+    });
+
+  if (conditions.length === 0) return null;
+  if (conditions.length === 1) return conditions[0];
+
+  return { [body.match === 'any' ? 'any' : 'all']: conditions };
+}
+
+export default async function adminRoutes(fastify) {
+  fastify.addHook('preHandler', requireRole('admin'));
+
+  /**
+   * GET /ui/admin/templates?entity=
+   * List template versions, optionally for one entity
+   */
+  fastify.get('/templates', async (request, reply) => {
+    const entity = request.query.entity || null;
+
+    if (entity && !(await isValidEntity(entity))) {
+      throw errors.badRequest(`Invalid entity type: ${entity}`);
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_template_admin', {
+        p_entity_type: entity
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to generate template list');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/admin/templates/:id/edit
+   * Editor for a template version; saving creates a new version
+   */
+  fastify.get('/templates/:id/edit', async (request, reply) => {
+    const { id } = request.params;
+    validateTemplateId(id);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_template_editor', {
+        p_template_id: id
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, id }, 'Failed to generate template editor');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/admin/templates/:id/diff?against=
+   * Line diff of a version against another (default: the active version)
+   */
+  fastify.get('/templates/:id/diff', async (request, reply) => {
+    const { id } = request.params;
+    const against = request.query.against || null;
+    validateTemplateId(id);
+    if (against) validateTemplateId(against);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_template_diff', {
+        p_template_id: id,
+        p_against_id: against
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, id, against }, 'Failed to generate template diff');
+      throw err;
+    }
+  });
+
+  /**
+   * POST /ui/admin/templates/preview
+   * Render unsaved template source against sample data
+   * Body: entity, view_type, base_template
+   */
+  fastify.post('/templates/preview', async (request, reply) => {
+    const { entity, view_type: viewType, base_template: baseTemplate } = request.body || {};
+
+    if (!entity || !(await isValidEntity(entity))) {
+      throw errors.badRequest(`Invalid entity type: ${entity}`);
+    }
+    if (!viewType) {
+      throw errors.badRequest('view_type is required');
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_template_preview', {
+      p_entity_type: entity,
+      p_view_type: viewType,
+      p_base_template: baseTemplate || ''
+    }, getUserId(request));
+
+    sendHtml(reply, html);
+  });
+
+  /**
+   * POST /ui/admin/templates/:id/versions
+   * Save edited source as the next version of the template
+   * Body: base_template, template_name, activate
+   */
+  fastify.post('/templates/:id/versions', async (request, reply) => {
+    const { id } = request.params;
+    validateTemplateId(id);
+
+    const {
+      base_template: baseTemplate,
+      template_name: templateName,
+      activate
+    } = request.body || {};
+
+    const result = await callFunctionAsUser('save_template_version', {
+      p_template_id: id,
+      p_base_template: baseTemplate || '',
+      p_template_name: templateName || null,
+      p_activate: activate === true || activate === 'true'
+    }, getUserId(request));
+
+    await sendTemplateMutationResult(request, reply, parseResult(result));
+  });
+
+  /**
+   * POST /ui/admin/templates/:id/activate
+   * Make a version active; activating an older version rolls back
+   */
+  fastify.post('/templates/:id/activate', async (request, reply) => {
+    const { id } = request.params;
+    validateTemplateId(id);
+
+    const result = await callFunctionAsUser('activate_template_version', {
+      p_template_id: id
+    }, getUserId(request));
+
+    await sendTemplateMutationResult(request, reply, parseResult(result));
+  });
+
+  /**
+   * GET /ui/admin/permissions/fields?entity=
+   * Role x field permission matrix of an entity (default: the first entity)
+   */
+  fastify.get('/permissions/fields', async (request, reply) => {
+    const entity = request.query.entity || null;
+
+    if (entity && !(await isValidEntity(entity))) {
+      throw errors.badRequest(`Invalid entity type: ${entity}`);
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_field_permissions', {
+        p_entity_type: entity
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to generate field permission matrix');
+      throw err;
+    }
+  });
+
+  /**
+   * POST /ui/admin/permissions/fields
+   * Set one flag of a role/field pair and return the re-rendered matrix cell
+   * Body: role_id, field_id, flag, value (absent for an unchecked box)
+   */
+  fastify.post('/permissions/fields', async (request, reply) => {
+    const body = request.body || {};
+    const { roleId, fieldId } = validateFieldTarget(body);
+    const { flag, value } = body;
+    const userId = getUserId(request);
+
+    if (!flag) {
+      throw errors.badRequest('flag is required');
+    }
+
+    // Passing the user registers them for the transaction, so the audit
+    // trail records who changed the permission
+    const result = parseResult(await callFunctionAsUser('set_field_permission', {
+      p_role_id: roleId,
+      p_field_id: fieldId,
+      p_flag: flag,
+      p_value: value === true || value === 'true'
+    }, userId));
+
+    if (!isSuccess(result)) {
+      sendFailure(reply, result);
+      return;
+    }
+
+    const html = await callFunctionAsUser('render_field_permission_cell', {
+      p_role_id: roleId,
+      p_field_id: fieldId,
+      p_flags: result.flags
+    });
+
+    sendHtmlWithToast(reply, html, result.message);
+  });
+
+  /**
+   * GET /ui/admin/permissions/fields/condition?role_id=&field_id=&mode=
+   * Record condition editor of a role/field pair; mode=json opens the JSON editor
+   */
+  fastify.get('/permissions/fields/condition', async (request, reply) => {
+    const { roleId, fieldId } = validateFieldTarget(request.query);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_field_condition_editor', {
+        p_role_id: roleId,
+        p_field_id: fieldId,
+        p_mode: request.query.mode === 'json' ? 'json' : null
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, roleId, fieldId }, 'Failed to generate field condition editor');
+      throw err;
+    }
+  });
+
+  /**
+   * POST /ui/admin/permissions/fields/condition
+   * Save or remove the record condition of a role/field pair and return the
+   * refreshed matrix. Body: role_id, field_id and the condition builder fields
+   */
+  fastify.post('/permissions/fields/condition', async (request, reply) => {
+    const body = request.body || {};
+    const { roleId, fieldId } = validateFieldTarget(body);
+    const userId = getUserId(request);
+
+    const result = parseResult(await callFunctionAsUser('set_field_condition', {
+      p_role_id: roleId,
+      p_field_id: fieldId,
+      p_condition_rule: buildConditionRule(body)
+    }, userId));
+
+    if (!isSuccess(result)) {
+      sendFailure(reply, result);
+      return;
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_field_permissions', {
+      p_entity_type: result.entity_type
+    }, userId);
+
+    sendHtmlWithToast(reply, html, result.message);
+  });
+
+  /**
+   * GET /ui/admin/permissions/actions?entity=
+   * Role x action permission grid of an entity (default: the first entity)
+   */
+  fastify.get('/permissions/actions', async (request, reply) => {
+    const entity = request.query.entity || null;
+
+    if (entity && !(await isValidEntity(entity))) {
+      throw errors.badRequest(`Invalid entity type: ${entity}`);
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_action_permissions', {
+        p_entity_type: entity
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to generate action permission grid');
+      throw err;
+    }
+  });
+
+  /**
+   * POST /ui/admin/permissions/actions
+   * Grant or revoke an action and return the re-rendered grid cell
+   * Body: role_id, entity, action, allowed (absent for an unchecked box)
+   */
+  fastify.post('/permissions/actions', async (request, reply) => {
+    const body = request.body || {};
+    const { roleId, entity, action } = await validateActionTarget(body);
+
+    const result = parseResult(await callFunctionAsUser('set_action_permission', {
+      p_role_id: roleId,
+      p_entity_type: entity,
+      p_action_name: action,
+      p_is_allowed: body.allowed === true || body.allowed === 'true'
+    }, getUserId(request)));
+
+    if (!isSuccess(result)) {
+      sendFailure(reply, result);
+      return;
+    }
+
+    const html = await callFunctionAsUser('render_action_permission_cell', {
+      p_role_id: roleId,
+      p_role_name: result.role_name,
+      p_entity_type: entity,
+      p_action_name: action,
+      p_is_allowed: result.is_allowed,
+      p_condition_rule: result.condition_rule
+    });
+
+    sendHtmlWithToast(reply, html, result.message);
+  });
+
+  /**
+   * GET /ui/admin/permissions/actions/condition?role_id=&entity=&action=&mode=
+   * Condition builder for a granted action; mode=json opens the JSON editor
+   */
+  fastify.get('/permissions/actions/condition', async (request, reply) => {
+    const { roleId, entity, action } = await validateActionTarget(request.query);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_condition_builder', {
+        p_role_id: roleId,
+        p_entity_type: entity,
+        p_action_name: action,
+        p_mode: request.query.mode === 'json' ? 'json' : null
+      }, getUserId(request));
+
+      sendHtml(reply, html);
+    } catch (err) {
+      request.log.error({ err, roleId, entity, action }, 'Failed to generate condition builder');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/admin/permissions/actions/condition/row?entity=
+   * An empty condition row for the builder
+   */
+  fastify.get('/permissions/actions/condition/row', async (request, reply) => {
+    const entity = request.query.entity;
+
+    if (!entity || !(await isValidEntity(entity))) {
+      throw errors.badRequest(`Invalid entity type: ${entity}`);
+    }
+
+    const html = await callFunctionAsUser('render_condition_row', {
+      p_entity_type: entity
+    });
+
+    sendHtml(reply, html);
+  });
+
+  /**
+   * POST /ui/admin/permissions/actions/condition
+   * Save or remove the condition of a granted action and return the refreshed grid
+   * Body: role_id, entity, action, clear, mode; rows mode: match and
+   * subject_<key>, operator_<key>, value_<key>, current_user_<key> per
+   * condition; JSON mode: rule_json
+   */
+  fastify.post('/permissions/actions/condition', async (request, reply) => {
+    const body = request.body || {};
+    const { roleId, entity, action } = await validateActionTarget(body);
+    const userId = getUserId(request);
+
+    const result = parseResult(await callFunctionAsUser('set_action_condition', {
+      p_role_id: roleId,
+      p_entity_type: entity,
+      p_action_name: action,
+      p_condition_rule: buildConditionRule(body)
+    }, userId));
+
+    if (!isSuccess(result)) {
+      sendFailure(reply, result);
+      return;
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_action_permissions', {
+      p_entity_type: entity
+    }, userId);
+
+    sendHtmlWithToast(reply, html, result.message);
+  });
+
+  /**
+   * POST /ui/admin/permissions/actions/test
+   * Run the condition in the builder, saved or not, against a record as a user
+   * of the role. Nothing is saved.
+   * Body: the builder fields plus record_id and test_user_id
+   */
+  fastify.post('/permissions/actions/test', async (request, reply) => {
+    const body = request.body || {};
+    const { roleId, entity, action } = await validateActionTarget(body);
+
+    if (!body.record_id || !isValidUUID(body.record_id)) {
+      throw errors.badRequest('Choose a record to test against');
+    }
+    if (!body.test_user_id || !isValidUUID(body.test_user_id)) {
+      throw errors.badRequest('Choose a user to test as');
+    }
+
+    const result = parseResult(await callFunctionAsUser('test_action_condition', {
+      p_role_id: roleId,
+      p_entity_type: entity,
+      p_action_name: action,
+      p_condition_rule: buildConditionRule(body),
+      p_record_id: body.record_id,
+      p_test_user_id: body.test_user_id
+    }, getUserId(request)));
+
+    if (!isSuccess(result)) {
+      sendFailure(reply, result);
+      return;
+    }
+
+    const recordValues = Object.entries(result.record_values || {})
+      .map(([field, value]) => `<li>${escapeHtml(field)}: ${escapeHtml(value ?? '(empty)')}</li>`)
+      .join('');
+
+    sendHtml(reply, `<div class="condition-test-outcome ${result.allowed ? 'allowed' : 'denied'}">
+  <strong><i class="fa fa-${result.allowed ? 'check' : 'ban'}"></i> ${result.allowed ? 'Allowed' : 'Denied'}</strong>
+  <p>${escapeHtml(result.message)}</p>${recordValues ? `<ul class="text-muted">${recordValues}</ul>` : ''}
+</div>`);
+  });
+}
@@ -3,32 +3,54 @@
  * Routes for CRUD operations and workflow actions
  */
 
-import { callFunctionAsUser, parseResult, isSuccess, getErrorMessage } from '../db/connection.js';
+import { callFunction, callFunctionAsUser, parseResult, isSuccess, getErrorMessage } from '../db/connection.js';
+import { isValidEntity } from '../db/entityRegistry.js';
 import { getUserId } from '../middleware/auth.js';
 import { errors } from '../middleware/errorHandler.js';
-
-/**
- * Valid entity types - prevents arbitrary entity access
- */
-const VALID_ENTITIES = [
-  'supplier',
-  'purchase_order',
-  'goods_receipt',
-  'invoice_receipt',
-  'payment'
-];
+import { idempotencyCheck, idempotencyStore } from '../middleware/idempotency.js';
+import { csvStream } from '../export/csv.js';
+import { xlsxStream } from '../export/xlsx.js';
+import { parseCsv } from '../import/csv.js';
+import { Readable } from 'stream';
 
 /**
  * Updatable fields per entity - prevents mass assignment attacks
  */
 const UPDATABLE_FIELDS = {
-  supplier: ['supplier_name', 'contact_name', 'email', 'phone', 'address', 'city', 'country', 'payment_terms_days', 'is_active', 'notes'],
+  supplier: ['supplier_name', 'contact_email', 'contact_phone', 'payment_terms_days', 'is_active'],
   purchase_order: ['expected_delivery_date', 'notes'],
   goods_receipt: ['notes'],
   invoice_receipt: ['notes'],
   payment: ['reference_number', 'notes']
 };
 
+/**
+ * Upper bound on records touched by one bulk request
+ */
+const MAX_BULK_RECORDS = 500;
+
+/**
+ * Records fetched per keyset page while streaming an export
+ */
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Export formats: response content type and row stream writer
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: csvStream },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    write: xlsxStream
+  }
+};
+
+/**
+ * Upper bounds on one CSV import upload
+ */
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+
 /**
  * HTML escape function to prevent XSS
  */
@@ -46,10 +68,10 @@ function escapeHtml(str) {
 }
 
 /**
- * Validate entity type
+ * Validate entity type against the entity registry
  */
-function validateEntity(entity) {
-  if (!VALID_ENTITIES.includes(entity)) {
+async function validateEntity(entity) {
+  if (!(await isValidEntity(entity))) {
     throw errors.badRequest(`Invalid entity type`);
   }
 }
@@ -78,47 +100,360 @@ function filterUpdates(entity, updates) {
   return filtered;
 }
 
+/**
+ * Decide whether a request should get JSON instead of an HTML snippet
+ * HTMX requests always get HTML; other callers get JSON when their Accept
+ * header ranks application/json above text/html
+ */
+function wantsJson(request) {
+  if (request.headers['hx-request'] === 'true') {
+    return false;
+  }
+
+  const quality = { 'application/json': 0, 'text/html': 0 };
+
+  for (const part of (request.headers.accept || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    if (type in quality) {
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      quality[type] = q ? parseFloat(q.slice(2)) || 0 : 1;
+    }
+  }
+
+  return quality['application/json'] > quality['text/html'];
+}
+
+/**
+ * Map a database function error message to an HTTP status code
+ */
+function errorStatusCode(message) {
+  if (/permission|only administrators/i.test(message)) return 403;
+  if (/not found/i.test(message)) return 404;
+  if (/with status/i.test(message)) return 409;
+  return 400;
+}
+
 /**
  * Helper to handle database function results
- * Returns HTMX-friendly response for success/failure
+ * HTMX callers get a toast snippet; JSON callers get the full result object
+ * Returns the reply for the route handler to return; Fastify sends again for an
+ * async handler that resolves to undefined while the idempotency onSend hook
+ * is still storing the response
+ * @param {number} [options.successCode] - Status for JSON success responses (e.g. 201 on create)
  */
-function handleResult(result, reply, successMessage = null) {
-  const isHtmx = true; // All these endpoints are called via HTMX
+function handleResult(result, reply, successMessage = null, options = {}) {
+  const isHtmx = !wantsJson(reply.request);
 
   if (isSuccess(result)) {
     const message = successMessage || result.message || 'Operation completed successfully';
 
     if (isHtmx) {
       // Return success toast/notification - escape message to prevent XSS
-      reply
+      return reply
         .header('Content-Type', 'text/html; charset=utf-8')
         .header('HX-Trigger', JSON.stringify({
           showToast: { message: escapeHtml(message), type: 'success' }
         }))
         .send(`<div class="success-message">${escapeHtml(message)}</div>`);
-    } else {
-      reply.send(result);
     }
+
+    return reply.code(options.successCode || 200).send(result);
   } else {
     const message = getErrorMessage(result);
 
     if (isHtmx) {
       // Escape error message to prevent XSS from database errors
-      reply
+      return reply
         .code(400)
         .header('Content-Type', 'text/html; charset=utf-8')
         .header('HX-Trigger', JSON.stringify({
           showToast: { message: escapeHtml(message), type: 'error' }
         }))
         .send(`<div class="error-message">${escapeHtml(message)}</div>`);
-    } else {
-      reply.code(400).send({ error: message });
     }
+
+    const body = result && typeof result === 'object' ? result : {};
+    const statusCode = body.conflict ? 409 : errorStatusCode(message);
+    return reply.code(statusCode).send({ ...body, success: false, error: message });
+  }
+}
+
+/**
+ * Normalize bulk record IDs from a JSON array or repeated form fields
+ */
+function parseRecordIds(ids) {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+
+  if (list.length === 0) {
+    throw errors.badRequest('Select at least one record');
+  }
+
+  if (list.length > MAX_BULK_RECORDS) {
+    throw errors.badRequest(`Bulk actions are limited to ${MAX_BULK_RECORDS} records`);
+  }
+
+  if (!list.every(isValidUUID)) {
+    throw errors.badRequest('Invalid record ID format');
+  }
+
+  return [...new Set(list)];
+}
+
+/**
+ * Build partial_accept_goods_receipt lines from a JSON body or the inspection form
+ * Form posts repeat each field once per line, so values are zipped by position
+ */
+function parseInspectionLines(body) {
+  const toList = (value) => (Array.isArray(value) ? value : value === undefined ? [] : [value]);
+
+  let lines = body.lines;
+
+  if (!lines) {
+    const accepted = toList(body.quantity_accepted);
+    const rejected = toList(body.quantity_rejected);
+    const reasons = toList(body.reason);
+
+    lines = toList(body.gr_line_id).map((grLineId, i) => ({
+      gr_line_id: grLineId,
+      quantity_accepted: accepted[i],
+      quantity_rejected: rejected[i],
+      reason: reasons[i] || null
+    }));
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw errors.badRequest('Inspection lines are required');
+  }
+
+  return lines.map((line) => {
+    const quantityAccepted = Number(line.quantity_accepted || 0);
+    const quantityRejected = Number(line.quantity_rejected || 0);
+
+    if (!isValidUUID(line.gr_line_id)) {
+      throw errors.badRequest('Invalid goods receipt line ID');
+    }
+
+    if (!Number.isFinite(quantityAccepted) || !Number.isFinite(quantityRejected)) {
+      throw errors.badRequest('Accepted and rejected quantities must be numbers');
+    }
+
+    return {
+      gr_line_id: line.gr_line_id,
+      quantity_accepted: quantityAccepted,
+      quantity_rejected: quantityRejected,
+      reason: line.reason || null
+    };
+  });
+}
+
+/**
+ * Send a bulk function result
+ * HTMX callers get a summary with per-record failures; JSON callers get the result object
+ */
+function sendBulkResult(result, reply, pastTense) {
+  if (wantsJson(reply.request)) {
+    return reply.send(result);
+  }
+
+  const summary = `${result.success_count} of ${result.total} records ${pastTense}`;
+  const failures = (result.results || [])
+    .filter(r => !r.success)
+    .map(r => `<li><code>${escapeHtml(r.record_id)}</code>: ${escapeHtml(r.error)}</li>`)
+    .join('');
+
+  return reply
+    .header('Content-Type', 'text/html; charset=utf-8')
+    .header('HX-Trigger', JSON.stringify({
+      showToast: { message: escapeHtml(summary), type: result.failure_count ? 'warning' : 'success' }
+    }))
+    .send(
+      `<div class="${result.failure_count ? 'error-message' : 'success-message'}">${escapeHtml(summary)}</div>` +
+      (failures ? `<ul class="bulk-failures">${failures}</ul>` : '')
+    );
+}
+
+/**
+ * Normalize an import column mapping from a JSON array or the repeated
+ * "field" values of the mapping form; empty entries skip a column
+ */
+function parseImportMapping(body) {
+  const mapping = body.mapping ?? body.field;
+  const list = Array.isArray(mapping) ? mapping : mapping === undefined ? [] : [mapping];
+
+  if (list.length === 0) {
+    throw errors.badRequest('Column mapping is required');
+  }
+
+  if (!list.every(field => field === null || typeof field === 'string')) {
+    throw errors.badRequest('Column mapping entries must be field names or null');
+  }
+
+  return list.map(field => field || null);
+}
+
+/**
+ * Send an import_records result
+ * HTMX callers get a summary with the errors of each failed row; JSON callers
+ * get the full per-row report. A commit that was rolled back answers 422.
+ */
+function sendImportResult(result, reply) {
+  const rolledBack = !result.dry_run && !result.committed;
+
+  if (rolledBack) {
+    reply.code(422);
+  }
+
+  if (wantsJson(reply.request)) {
+    return reply.send(result);
+  }
+
+  let summary;
+  if (result.dry_run) {
+    summary = `Dry run: ${result.success_count} of ${result.total} rows are valid`;
+  } else if (result.committed) {
+    summary = `${result.success_count} of ${result.total} records imported`;
+  } else {
+    summary = `Nothing imported: ${result.failure_count} of ${result.total} rows have errors`;
+  }
+
+  const failures = (result.results || [])
+    .filter(r => !r.success)
+    .map(r => `<li>Row ${escapeHtml(r.row)}: ${escapeHtml(r.error)}</li>`)
+    .join('');
+
+  return reply
+    .header('Content-Type', 'text/html; charset=utf-8')
+    .header('HX-Trigger', JSON.stringify({
+      showToast: { message: escapeHtml(summary), type: result.failure_count ? 'warning' : 'success' }
+    }))
+    .send(
+      `<div class="import-report">` +
+      `<div class="${result.failure_count ? 'error-message' : 'success-message'}">${escapeHtml(summary)}</div>` +
+      (failures ? `<ul class="import-failures">${failures}</ul>` : '') +
+      `</div>`
+    );
+}
+
+/**
+ * preValidation hook of the import upload route: read the CSV file into
+ * request.upload before the preHandler hooks run, so the idempotency check
+ * hashes the uploaded bytes
+ */
+async function readImportUpload(request) {
+  if (!request.isMultipart()) {
+    throw errors.badRequest('Upload the CSV file as multipart/form-data');
+  }
+
+  const file = await request.file({ limits: { fileSize: MAX_IMPORT_BYTES, files: 1 } });
+
+  if (!file) {
+    throw errors.badRequest('A CSV file is required');
+  }
+
+  // toBuffer() rejects with 413 once the file passes fileSize
+  request.upload = { filename: file.filename, content: await file.toBuffer() };
+}
+
+/**
+ * Run import_records for a dry run or commit and send the report
+ */
+async function runImport(request, reply, dryRun) {
+  const userId = getUserId(request);
+  const { entity, id } = request.params;
+
+  await validateEntity(entity);
+
+  if (!isValidUUID(id)) {
+    throw errors.badRequest('Invalid import ID format');
+  }
+
+  const mapping = parseImportMapping(request.body || {});
+
+  const result = await callFunctionAsUser('import_records', {
+    p_import_id: id,
+    p_mapping: mapping,
+    p_dry_run: dryRun
+  }, userId);
+
+  if (result?.results) {
+    return sendImportResult(result, reply);
+  }
+
+  return handleResult(result, reply);
+}
+
+/**
+ * Read the version the caller last saw, from If-Match or the _version form field
+ */
+function getExpectedVersion(request) {
+  const ifMatch = request.headers['if-match'];
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    return ifMatch.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+  }
+
+  return request.body?._version || null;
+}
+
+/**
+ * Update a record through update_record with an optimistic concurrency check
+ * Stale writes get 409: HTMX callers see a diff of their values against the
+ * current ones, JSON callers get the conflict result
+ */
+async function updateRecord(request, reply, entity, id, successMessage) {
+  const userId = getUserId(request);
+  const { _version, ...updates } = request.body || {};
+
+  const result = await callFunctionAsUser('update_record', {
+    p_entity_type: entity,
+    p_record_id: id,
+    p_updates: updates,
+    p_expected_version: getExpectedVersion(request)
+  }, userId);
+
+  if (result?.conflict && !wantsJson(request)) {
+    const html = await callFunctionAsUser('generate_update_conflict_html', {
+      p_entity_type: entity,
+      p_record_id: id,
+      p_submitted: updates,
+      p_conflict: result
+    }, userId);
+
+    return reply
+      .code(409)
+      .header('Content-Type', 'text/html; charset=utf-8')
+      .header('HX-Trigger', JSON.stringify({
+        showToast: { message: escapeHtml(getErrorMessage(result)), type: 'warning' }
+      }))
+      .send(html);
+  }
+
+  if (result?.version) {
+    reply.header('ETag', `"${result.version}"`);
+  }
+
+  return handleResult(result, reply, successMessage);
+}
+
+/**
+ * Yield the records of each keyset page, fetching the next page only once
+ * the previous one has been written
+ */
+async function* exportPages(page, fetchPage) {
+  yield page.data;
+
+  while (page.has_more) {
+    page = await fetchPage(page.next_cursor);
+    yield page.data;
   }
 }
 
 export default async function apiRoutes(fastify) {
 
+  // Idempotency-Key support for every POST route below
+  fastify.addHook('preHandler', idempotencyCheck);
+  fastify.addHook('onSend', idempotencyStore);
+
   // =========================================================================
   // PURCHASE ORDER ROUTES
   // =========================================================================
@@ -143,34 +478,25 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('create_purchase_order', {
-      p_user_id: userId,
       p_supplier_id: supplier_id,
       p_po_date: po_date || new Date().toISOString().split('T')[0],
       p_expected_delivery_date: expected_delivery_date || null,
       p_currency: currency,
       p_notes: notes || null,
       p_lines: lines
-    });
+    }, userId);
 
-    handleResult(result, reply, `Purchase order ${result.po_number} created`);
+    return handleResult(result, reply, `Purchase order ${result.po_number} created`, { successCode: 201 });
   });
 
   /**
    * PUT /api/purchase_order/:id
-   * Update a purchase order
+   * Update a purchase order (If-Match / _version rejects stale writes)
    */
   fastify.put('/purchase_order/:id', async (request, reply) => {
-    const userId = getUserId(request);
     const { id } = request.params;
 
-    const result = await callFunctionAsUser('update_record', {
-      p_user_id: userId,
-      p_entity_type: 'purchase_order',
-      p_record_id: id,
-      p_updates: request.body
-    });
-
-    handleResult(result, reply, 'Purchase order updated');
+    return updateRecord(request, reply, 'purchase_order', id, 'Purchase order updated');
   });
 
   /**
@@ -182,11 +508,10 @@ export default async function apiRoutes(fastify) {
     const { id } = request.params;
 
     const result = await callFunctionAsUser('submit_purchase_order', {
-      p_user_id: userId,
       p_po_id: id
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Purchase order submitted for approval');
+    return handleResult(result, reply, 'Purchase order submitted for approval');
   });
 
   /**
@@ -199,12 +524,11 @@ export default async function apiRoutes(fastify) {
     const { notes } = request.body || {};
 
     const result = await callFunctionAsUser('approve_purchase_order', {
-      p_user_id: userId,
       p_po_id: id,
       p_approval_notes: notes || null
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Purchase order approved');
+    return handleResult(result, reply, 'Purchase order approved');
   });
 
   /**
@@ -221,12 +545,11 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('reject_purchase_order', {
-      p_user_id: userId,
       p_po_id: id,
       p_rejection_reason: reason
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Purchase order rejected');
+    return handleResult(result, reply, 'Purchase order rejected');
   });
 
   /**
@@ -239,12 +562,11 @@ export default async function apiRoutes(fastify) {
     const { reason } = request.body || {};
 
     const result = await callFunctionAsUser('cancel_purchase_order', {
-      p_user_id: userId,
       p_po_id: id,
       p_cancellation_reason: reason || 'Cancelled by user'
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Purchase order cancelled');
+    return handleResult(result, reply, 'Purchase order cancelled');
   });
 
   // =========================================================================
@@ -270,15 +592,14 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('create_goods_receipt', {
-      p_user_id: userId,
       p_po_id: po_id,
       p_receipt_date: receipt_date || new Date().toISOString().split('T')[0],
       p_delivery_note_number: delivery_note_number || null,
       p_notes: notes || null,
       p_lines: lines
-    });
+    }, userId);
 
-    handleResult(result, reply, `Goods receipt ${result.gr_number} created`);
+    return handleResult(result, reply, `Goods receipt ${result.gr_number} created`, { successCode: 201 });
   });
 
   /**
@@ -291,12 +612,11 @@ export default async function apiRoutes(fastify) {
     const { notes } = request.body || {};
 
     const result = await callFunctionAsUser('accept_goods_receipt', {
-      p_user_id: userId,
       p_gr_id: id,
       p_notes: notes || null
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Goods receipt accepted');
+    return handleResult(result, reply, 'Goods receipt accepted');
   });
 
   /**
@@ -313,12 +633,37 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('reject_goods_receipt', {
-      p_user_id: userId,
       p_gr_id: id,
       p_rejection_reason: reason
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Goods receipt rejected');
+    return handleResult(result, reply, 'Goods receipt rejected');
+  });
+
+  /**
+   * POST /api/goods_receipt/:id/partial_accept
+   * Record line-by-line inspection results
+   * Body: { lines: [{ gr_line_id, quantity_accepted, quantity_rejected, reason }], notes }
+   * or the inspection form's repeated gr_line_id / quantity_* / reason fields
+   */
+  fastify.post('/goods_receipt/:id/partial_accept', async (request, reply) => {
+    const userId = getUserId(request);
+    const { id } = request.params;
+    const { notes } = request.body || {};
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    const lines = parseInspectionLines(request.body || {});
+
+    const result = await callFunctionAsUser('partial_accept_goods_receipt', {
+      p_gr_id: id,
+      p_lines: lines,
+      p_notes: notes || null
+    }, userId);
+
+    return handleResult(result, reply);
   });
 
   // =========================================================================
@@ -349,7 +694,6 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('create_invoice_receipt', {
-      p_user_id: userId,
       p_po_id: po_id,
       p_vendor_invoice_number: vendor_invoice_number,
       p_invoice_date: invoice_date || new Date().toISOString().split('T')[0],
@@ -357,9 +701,9 @@ export default async function apiRoutes(fastify) {
       p_currency: currency,
       p_notes: notes || null,
       p_lines: lines
-    });
+    }, userId);
 
-    handleResult(result, reply, `Invoice ${result.invoice_number} created`);
+    return handleResult(result, reply, `Invoice ${result.invoice_number} created`, { successCode: 201 });
   });
 
   /**
@@ -372,12 +716,11 @@ export default async function apiRoutes(fastify) {
     const { notes } = request.body || {};
 
     const result = await callFunctionAsUser('approve_invoice_variance', {
-      p_user_id: userId,
       p_invoice_id: id,
       p_approval_notes: notes || null
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Invoice variance approved');
+    return handleResult(result, reply, 'Invoice variance approved');
   });
 
   /**
@@ -385,13 +728,15 @@ export default async function apiRoutes(fastify) {
    * Get 3-way matching details
    */
   fastify.get('/invoice_receipt/:id/matching', async (request, reply) => {
+    const userId = getUserId(request);
     const { id } = request.params;
 
-    const result = await callFunctionAsUser('get_invoice_matching_summary', {
+    // Takes no p_user_id, so the user only sets the session for RLS
+    const result = await callFunction('get_invoice_matching_summary', {
       p_invoice_id: id
-    });
+    }, { useAdmin: true, userId });
 
-    reply.send(result);
+    return reply.send(result);
   });
 
   // =========================================================================
@@ -421,16 +766,15 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('create_payment', {
-      p_user_id: userId,
       p_invoice_id: invoice_id,
       p_amount: parseFloat(amount),
       p_payment_method: payment_method,
       p_payment_date: payment_date || new Date().toISOString().split('T')[0],
       p_reference_number: reference_number || null,
       p_notes: notes || null
-    });
+    }, userId);
 
-    handleResult(result, reply, `Payment ${result.payment_number} created`);
+    return handleResult(result, reply, `Payment ${result.payment_number} created`, { successCode: 201 });
   });
 
   /**
@@ -443,12 +787,11 @@ export default async function apiRoutes(fastify) {
     const { transaction_id } = request.body || {};
 
     const result = await callFunctionAsUser('process_payment', {
-      p_user_id: userId,
       p_payment_id: id,
       p_transaction_id: transaction_id || null
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Payment processed');
+    return handleResult(result, reply, 'Payment processed');
   });
 
   /**
@@ -461,13 +804,12 @@ export default async function apiRoutes(fastify) {
     const { cleared_date, bank_reference } = request.body || {};
 
     const result = await callFunctionAsUser('clear_payment', {
-      p_user_id: userId,
       p_payment_id: id,
       p_cleared_date: cleared_date || new Date().toISOString().split('T')[0],
       p_bank_reference: bank_reference || null
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Payment cleared');
+    return handleResult(result, reply, 'Payment cleared');
   });
 
   /**
@@ -484,34 +826,145 @@ export default async function apiRoutes(fastify) {
     }
 
     const result = await callFunctionAsUser('cancel_payment', {
-      p_user_id: userId,
       p_payment_id: id,
       p_cancellation_reason: reason
-    });
+    }, userId);
 
-    handleResult(result, reply, 'Payment cancelled');
+    return handleResult(result, reply, 'Payment cancelled');
+  });
+
+  /**
+   * POST /api/payment/:id/reverse
+   * Reverse a processed or cleared payment
+   */
+  fastify.post('/payment/:id/reverse', async (request, reply) => {
+    const userId = getUserId(request);
+    const { id } = request.params;
+    const { reason } = request.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      throw errors.badRequest('Reversal reason is required');
+    }
+
+    const result = await callFunctionAsUser('reverse_payment', {
+      p_payment_id: id,
+      p_reversal_reason: reason
+    }, userId);
+
+    return handleResult(result, reply, 'Payment reversed');
+  });
+
+  // =========================================================================
+  // APPROVAL ROUTES
+  // =========================================================================
+
+  /**
+   * GET /api/approvals/pending
+   * List the approval steps waiting for the current user
+   */
+  fastify.get('/approvals/pending', async (request, reply) => {
+    const userId = getUserId(request);
+
+    const result = await callFunctionAsUser('get_pending_approvals', {
+    }, userId);
+
+    return reply.send(result);
   });
 
   // =========================================================================
   // GENERIC CRUD ROUTES
   // =========================================================================
 
+  /**
+   * POST /api/:entity
+   * Create a record for any metadata-driven entity
+   * HTMX callers get the rendered view form for the new record
+   */
+  fastify.post('/:entity', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity } = request.params;
+
+    await validateEntity(entity);
+
+    const result = await callFunctionAsUser('create_record', {
+      p_entity_type: entity,
+      p_values: request.body || {}
+    }, userId);
+
+    if (!isSuccess(result) || wantsJson(request)) {
+      return handleResult(result, reply, `${entity} created`, { successCode: 201 });
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_form', {
+      p_entity_type: entity,
+      p_view_type: 'form_view',
+      p_record_id: result.record_id
+    }, userId);
+
+    return reply
+      .code(201)
+      .header('Content-Type', 'text/html; charset=utf-8')
+      .header('HX-Trigger', JSON.stringify({
+        showToast: { message: escapeHtml(`${entity} created`), type: 'success' }
+      }))
+      .send(html);
+  });
+
   /**
    * PUT /api/:entity/:id
-   * Update any entity record
+   * Update any entity record (If-Match / _version rejects stale writes)
    */
   fastify.put('/:entity/:id', async (request, reply) => {
-    const userId = getUserId(request);
     const { entity, id } = request.params;
 
-    const result = await callFunctionAsUser('update_record', {
-      p_user_id: userId,
+    await validateEntity(entity);
+
+    return updateRecord(request, reply, entity, id, `${entity} updated`);
+  });
+
+  /**
+   * POST /api/:entity/:id/revert/:audit_id
+   * Restore the values a record had before an audited update
+   * Goes through update_record limited to UPDATABLE_FIELDS; HTMX callers get
+   * the refreshed history timeline
+   */
+  fastify.post('/:entity/:id/revert/:audit_id', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity, id, audit_id: auditId } = request.params;
+
+    await validateEntity(entity);
+
+    if (!isValidUUID(id) || !isValidUUID(auditId)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    const result = await callFunctionAsUser('revert_record', {
       p_entity_type: entity,
       p_record_id: id,
-      p_updates: request.body
-    });
+      p_audit_id: auditId,
+      p_fields: UPDATABLE_FIELDS[entity] || [],
+      p_expected_version: getExpectedVersion(request)
+    }, userId);
 
-    handleResult(result, reply, `${entity} updated`);
+    if (result?.version) {
+      reply.header('ETag', `"${result.version}"`);
+    }
+
+    if (!isSuccess(result) || wantsJson(request)) {
+      return handleResult(result, reply, `${entity} reverted`);
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_history', {
+      p_entity_type: entity,
+      p_record_id: id
+    }, userId);
+
+    return reply
+      .header('Content-Type', 'text/html; charset=utf-8')
+      .header('HX-Trigger', JSON.stringify({
+        showToast: { message: escapeHtml(`${entity} reverted`), type: 'success' }
+      }))
+      .send(html);
   });
 
   /**
@@ -523,14 +976,15 @@ export default async function apiRoutes(fastify) {
     const { entity, id } = request.params;
     const { reason } = request.body || {};
 
+    await validateEntity(entity);
+
     const result = await callFunctionAsUser('soft_delete_record', {
-      p_user_id: userId,
       p_entity_type: entity,
       p_record_id: id,
       p_reason: reason || null
-    });
+    }, userId);
 
-    handleResult(result, reply, `${entity} deleted`);
+    return handleResult(result, reply, `${entity} deleted`);
   });
 
   /**
@@ -541,13 +995,235 @@ export default async function apiRoutes(fastify) {
     const userId = getUserId(request);
     const { entity, id } = request.params;
 
+    await validateEntity(entity);
+
     const result = await callFunctionAsUser('restore_record', {
-      p_user_id: userId,
       p_entity_type: entity,
       p_record_id: id
-    });
+    }, userId);
+
+    return handleResult(result, reply, `${entity} restored`);
+  });
+
+  /**
+   * POST /api/:entity/:id/transition/:name
+   * Take a workflow transition (workflow_transitions) on a record
+   * The body is passed to the transition's handler; transitions that need a
+   * reason read it from `reason`
+   */
+  fastify.post('/:entity/:id/transition/:name', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity, id, name } = request.params;
+
+    await validateEntity(entity);
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    if (!/^[a-z_]+$/.test(name)) {
+      throw errors.badRequest('Invalid transition name');
+    }
+
+    const result = await callFunctionAsUser('perform_workflow_transition', {
+      p_entity_type: entity,
+      p_record_id: id,
+      p_transition_name: name,
+      p_params: request.body || {}
+    }, userId);
+
+    return handleResult(result, reply);
+  });
+
+  /**
+   * POST /api/:entity/bulk/update
+   * Apply the same changes to several records
+   * Body: { ids: [...], updates: {...} } or form fields ids, field, value
+   * Only UPDATABLE_FIELDS of the entity are accepted (400 otherwise)
+   */
+  fastify.post('/:entity/bulk/update', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity } = request.params;
+    const { ids, updates, field, value } = request.body || {};
+
+    await validateEntity(entity);
+
+    const recordIds = parseRecordIds(ids);
+    const changes = updates || (field ? { [field]: value === '' ? null : value } : {});
+
+    if (Object.keys(changes).length === 0) {
+      throw errors.badRequest('No fields to update');
+    }
 
-    handleResult(result, reply, `${entity} restored`);
+    // Same mass assignment limits as revert; editability is checked per record
+    const allowedFields = UPDATABLE_FIELDS[entity] || [];
+    const rejected = Object.keys(changes).filter((name) => !allowedFields.includes(name));
+
+    if (rejected.length > 0) {
+      throw errors.badRequest(`Fields cannot be bulk updated: ${rejected.join(', ')}`);
+    }
+
+    const result = await callFunctionAsUser('bulk_update_records', {
+      p_entity_type: entity,
+      p_record_ids: recordIds,
+      p_updates: changes
+    }, userId);
+
+    return sendBulkResult(result, reply, 'updated');
+  });
+
+  /**
+   * POST /api/:entity/bulk/delete
+   * Soft delete several records
+   * Body: { ids: [...], reason }
+   */
+  fastify.post('/:entity/bulk/delete', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity } = request.params;
+    const { ids, reason } = request.body || {};
+
+    await validateEntity(entity);
+
+    const result = await callFunctionAsUser('bulk_soft_delete_records', {
+      p_entity_type: entity,
+      p_record_ids: parseRecordIds(ids),
+      p_reason: reason || null
+    }, userId);
+
+    return sendBulkResult(result, reply, 'deleted');
+  });
+
+  // =========================================================================
+  // EXPORT ROUTES
+  // =========================================================================
+
+  /**
+   * GET /api/:entity/export?format=csv|xlsx
+   * Stream every record matching the list filters and sort, with the
+   * columns the user's role can see in list views
+   */
+  fastify.get('/:entity/export', async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity } = request.params;
+    const {
+      format = 'csv',
+      sort = null,
+      sort_dir = 'ASC',
+      page,
+      page_size,
+      cursor,
+      ...filters
+    } = request.query;
+
+    await validateEntity(entity);
+
+    const writer = EXPORT_FORMATS[format];
+    if (!writer) {
+      throw errors.badRequest('format must be csv or xlsx');
+    }
+
+    const canExport = await callFunctionAsUser('can_user_perform_action', {
+      p_entity_type: entity,
+      p_action_name: 'export'
+    }, userId);
+
+    if (!canExport) {
+      throw errors.forbidden(`You do not have permission to export ${entity}`);
+    }
+
+    const columns = await callFunctionAsUser('get_visible_fields', {
+      p_entity_type: entity,
+      p_view_type: 'list'
+    }, userId);
+
+    const fetchPage = async (pageCursor) => {
+      const [page] = await callFunctionAsUser('fetch_list_data_cursor', {
+        p_entity_type: entity,
+        p_filters: filters,
+        p_sort_field: sort,
+        p_sort_direction: sort_dir.toUpperCase(),
+        p_cursor_value: pageCursor,
+        p_page_size: EXPORT_PAGE_SIZE
+      }, userId);
+      return page;
+    };
+
+    // The first page is fetched before any output, so bad filters still
+    // get an error status instead of a truncated file
+    const firstPage = await fetchPage(null);
+    const date = new Date().toISOString().split('T')[0];
+
+    // Returning the reply keeps Fastify from ending the response before the
+    // stream is piped
+    return reply
+      .header('Content-Type', writer.contentType)
+      .header('Content-Disposition', `attachment; filename="${entity}-${date}.${format}"`)
+      .send(Readable.from(writer.write(columns, exportPages(firstPage, fetchPage), entity)));
+  });
+
+  // =========================================================================
+  // IMPORT ROUTES
+  // =========================================================================
+
+  /**
+   * POST /api/:entity/import
+   * Upload a CSV file (multipart field "file") and stage it for import
+   * HTMX callers get the column mapping form; JSON callers get the import_id
+   */
+  fastify.post('/:entity/import', { preValidation: readImportUpload }, async (request, reply) => {
+    const userId = getUserId(request);
+    const { entity } = request.params;
+    const { filename, content } = request.upload;
+
+    await validateEntity(entity);
+
+    let parsed;
+    try {
+      parsed = parseCsv(content.toString('utf8'));
+    } catch (err) {
+      throw errors.badRequest(`Could not read CSV file: ${err.message}`);
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      throw errors.badRequest(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`);
+    }
+
+    const result = await callFunctionAsUser('create_import_batch', {
+      p_entity_type: entity,
+      p_file_name: filename || null,
+      p_headers: parsed.headers,
+      p_rows: parsed.rows
+    }, userId);
+
+    if (isSuccess(result) && !wantsJson(request)) {
+      const html = await callFunctionAsUser('generate_import_mapping_form', {
+        p_import_id: result.import_id
+      }, userId);
+
+      return reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    }
+
+    return handleResult(result, reply, null, { successCode: 201 });
+  });
+
+  /**
+   * POST /api/:entity/import/:id/dry_run
+   * Validate every staged row against the column mapping without saving
+   * Body: { mapping: [field|null, ...] } or repeated "field" form values
+   */
+  fastify.post('/:entity/import/:id/dry_run', async (request, reply) => {
+    return runImport(request, reply, true);
+  });
+
+  /**
+   * POST /api/:entity/import/:id/commit
+   * Create all staged rows in one transaction; any row error rolls back every row
+   * Body: { mapping: [field|null, ...] } or repeated "field" form values
+   */
+  fastify.post('/:entity/import/:id/commit', async (request, reply) => {
+    return runImport(request, reply, false);
   });
 
   // =========================================================================
@@ -557,6 +1233,8 @@ export default async function apiRoutes(fastify) {
   /**
    * GET /api/:entity
    * Fetch list data as JSON
+   * With ?cursor= (empty for the first page) pages by keyset instead of
+   * OFFSET and returns next_cursor/has_more rather than counts
    */
   fastify.get('/:entity', async (request, reply) => {
     const userId = getUserId(request);
@@ -566,37 +1244,57 @@ export default async function apiRoutes(fastify) {
       page_size = 25,
       sort = null,
       sort_dir = 'ASC',
+      cursor,
       ...filters
     } = request.query;
 
-    const result = await callFunctionAsUser('fetch_list_data', {
-      p_user_id: userId,
-      p_entity_type: entity,
-      p_filters: filters,
-      p_sort_field: sort,
-      p_sort_direction: sort_dir.toUpperCase(),
-      p_page_size: parseInt(page_size, 10),
-      p_page_number: parseInt(page, 10)
-    });
+    await validateEntity(entity);
+
+    let result;
 
-    reply.send(result);
+    if (cursor !== undefined) {
+      result = await callFunctionAsUser('fetch_list_data_cursor', {
+        p_entity_type: entity,
+        p_filters: filters,
+        p_sort_field: sort,
+        p_sort_direction: sort_dir.toUpperCase(),
+        p_cursor_value: cursor || null,
+        p_page_size: parseInt(page_size, 10)
+      }, userId);
+    } else {
+      result = await callFunctionAsUser('fetch_list_data', {
+        p_entity_type: entity,
+        p_filters: filters,
+        p_sort_field: sort,
+        p_sort_direction: sort_dir.toUpperCase(),
+        p_page_size: parseInt(page_size, 10),
+        p_page_number: parseInt(page, 10)
+      }, userId);
+    }
+
+    return reply.send(result);
   });
 
   /**
    * GET /api/:entity/:id
-   * Fetch single record as JSON
+   * Fetch single record as JSON, with its version in the ETag header
    */
   fastify.get('/:entity/:id', async (request, reply) => {
     const userId = getUserId(request);
     const { entity, id } = request.params;
 
+    await validateEntity(entity);
+
     const result = await callFunctionAsUser('fetch_form_data', {
-      p_user_id: userId,
       p_entity_type: entity,
       p_record_id: id,
       p_view_type: 'form_view'
-    });
+    }, userId);
+
+    if (result?._version) {
+      reply.header('ETag', `"${result._version}"`);
+    }
 
-    reply.send(result);
+    return reply.send(result);
   });
 }
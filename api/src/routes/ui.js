@@ -4,19 +4,11 @@
  */
 
 import { callFunctionAsUser, parseResult } from '../db/connection.js';
-import { getUserId } from '../middleware/auth.js';
-import { errors } from '../middleware/errorHandler.js';
-
-/**
- * Valid entity types - prevents arbitrary entity access
- */
-const VALID_ENTITIES = [
-  'supplier',
-  'purchase_order',
-  'goods_receipt',
-  'invoice_receipt',
-  'payment'
-];
+import { getEntities, isValidEntity } from '../db/entityRegistry.js';
+import { isRecordEventsAvailable, subscribeRecordChanges } from '../db/recordEvents.js';
+import { getUserId, isAdmin } from '../middleware/auth.js';
+import { createError, errors } from '../middleware/errorHandler.js';
+import { documentPdf } from '../print/pdf.js';
 
 /**
  * HTML escape function to prevent XSS
@@ -35,14 +27,43 @@ function escapeHtml(str) {
 }
 
 /**
- * Validate entity type
+ * Validate entity type against the entity registry
  */
-function validateEntity(entity) {
-  if (!VALID_ENTITIES.includes(entity)) {
+async function validateEntity(entity) {
+  if (!(await isValidEntity(entity))) {
     throw errors.badRequest(`Invalid entity type: ${entity}`);
   }
 }
 
+/**
+ * Get registered entities the user may read, in registry order
+ */
+async function getReadableEntities(userId) {
+  const entities = await getEntities();
+  const readable = [];
+
+  for (const entity of entities) {
+    // Check if user can read this entity
+    let canRead = true;
+    if (userId) {
+      try {
+        canRead = await callFunctionAsUser('can_user_perform_action', {
+          p_entity_type: entity.entity_name,
+          p_action_name: 'read'
+        }, userId);
+      } catch {
+        canRead = false;
+      }
+    }
+
+    if (canRead) {
+      readable.push(entity);
+    }
+  }
+
+  return readable;
+}
+
 /**
  * Validate UUID format
  */
@@ -57,7 +78,7 @@ function isValidUUID(str) {
  */
 function parseFilters(query) {
   const filters = {};
-  const reserved = ['page', 'page_size', 'sort', 'sort_dir', 'demo_user'];
+  const reserved = ['page', 'page_size', 'sort', 'sort_dir', 'cursor', 'demo_user'];
 
   for (const [key, value] of Object.entries(query)) {
     if (reserved.includes(key)) continue;
@@ -76,6 +97,74 @@ function parseFilters(query) {
   return filters;
 }
 
+/**
+ * Send a printable document as a standalone HTML page, or as a PDF when
+ * the query asks for format=pdf
+ */
+async function sendPrintDocument(request, reply, entity) {
+  const { id } = request.params;
+  const { format = 'html' } = request.query;
+  const userId = getUserId(request);
+
+  if (!userId) {
+    throw errors.unauthorized('Authentication required');
+  }
+
+  if (!isValidUUID(id)) {
+    throw errors.badRequest('Invalid record ID format');
+  }
+
+  if (format !== 'html' && format !== 'pdf') {
+    throw errors.badRequest('format must be html or pdf');
+  }
+
+  const params = {
+    p_entity_type: entity,
+    p_record_id: id
+  };
+
+  try {
+    if (format === 'pdf') {
+      const doc = parseResult(await callFunctionAsUser('build_print_document', params, userId));
+      const filename = String(doc.number).replace(/[^A-Za-z0-9._-]/g, '_');
+
+      return reply
+        .header('Content-Type', 'application/pdf')
+        .header('Content-Disposition', `inline; filename="${filename}.pdf"`)
+        .send(documentPdf(doc));
+    }
+
+    const html = await callFunctionAsUser('generate_htmx_print', params, userId);
+
+    return reply
+      .header('Content-Type', 'text/html; charset=utf-8')
+      .send(html);
+  } catch (err) {
+    request.log.error({ err, entity, id, format }, 'Failed to generate print document');
+    throw err;
+  }
+}
+
+// How long browsers wait before reconnecting a dropped event stream
+const SSE_RETRY_MS = 5000;
+
+// Comment lines keep idle event streams open through proxies
+const SSE_HEARTBEAT_MS = 25000;
+
+/**
+ * Notice swapped into an open edit form when its record changes
+ * It is the data of an SSE event, so it has to stay on one line
+ */
+function recordChangeNotice(entity, change) {
+  if (change.op === 'DELETE') {
+    return 'This record has been deleted.';
+  }
+
+  return 'This record was changed after you opened it. '
+    + `<button type="button" class="btn btn-sm btn-text" hx-get="/ui/${escapeHtml(entity)}/form/edit?id=${escapeHtml(change.id)}" `
+    + 'hx-target="closest .modal-content" hx-swap="outerHTML"><i class="fa fa-sync"></i> Reload</button>';
+}
+
 export default async function uiRoutes(fastify) {
   /**
    * GET /ui/:entity/list
@@ -83,7 +172,7 @@ export default async function uiRoutes(fastify) {
    */
   fastify.get('/:entity/list', async (request, reply) => {
     const { entity } = request.params;
-    validateEntity(entity);
+    await validateEntity(entity);
     const userId = getUserId(request);
 
     if (!userId) {
@@ -101,14 +190,13 @@ export default async function uiRoutes(fastify) {
 
     try {
       const html = await callFunctionAsUser('generate_htmx_list', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_filters: filters,
         p_sort_field: sort,
         p_sort_direction: sort_dir.toUpperCase(),
         p_page_size: parseInt(page_size, 10),
         p_page_number: parseInt(page, 10)
-      });
+      }, userId);
 
       reply
         .header('Content-Type', 'text/html; charset=utf-8')
@@ -125,7 +213,7 @@ export default async function uiRoutes(fastify) {
    */
   fastify.get('/:entity/list/table', async (request, reply) => {
     const { entity } = request.params;
-    validateEntity(entity);
+    await validateEntity(entity);
     const userId = getUserId(request);
 
     if (!userId) {
@@ -143,14 +231,13 @@ export default async function uiRoutes(fastify) {
 
     try {
       const html = await callFunctionAsUser('generate_htmx_list_table', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_filters: filters,
         p_sort_field: sort,
         p_sort_direction: sort_dir.toUpperCase(),
         p_page_size: parseInt(page_size, 10),
         p_page_number: parseInt(page, 10)
-      });
+      }, userId);
 
       reply
         .header('Content-Type', 'text/html; charset=utf-8')
@@ -161,13 +248,134 @@ export default async function uiRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /ui/:entity/list/scroll
+   * Generate an infinite-scroll table backed by cursor paging
+   */
+  fastify.get('/:entity/list/scroll', async (request, reply) => {
+    const { entity } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    const {
+      page_size = 50,
+      sort = null,
+      sort_dir = 'ASC'
+    } = request.query;
+
+    const filters = parseFilters(request.query);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_list_scroll', {
+        p_entity_type: entity,
+        p_filters: filters,
+        p_sort_field: sort,
+        p_sort_direction: sort_dir.toUpperCase(),
+        p_page_size: parseInt(page_size, 10)
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity, filters }, 'Failed to generate scroll list');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/:entity/list/rows?cursor=
+   * Generate the next page of infinite-scroll rows (requested on revealed)
+   */
+  fastify.get('/:entity/list/rows', async (request, reply) => {
+    const { entity } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    const {
+      page_size = 50,
+      sort = null,
+      sort_dir = 'ASC',
+      cursor = null
+    } = request.query;
+
+    const filters = parseFilters(request.query);
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_list_rows', {
+        p_entity_type: entity,
+        p_filters: filters,
+        p_sort_field: sort,
+        p_sort_direction: sort_dir.toUpperCase(),
+        p_cursor: cursor || null,
+        p_page_size: parseInt(page_size, 10)
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to generate list rows');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/:entity/list/row?id=&layout=
+   * Re-render one record's list row after the event stream reports a change
+   * (layout=scroll for infinite-scroll tables). Empty when the record is gone
+   * or hidden from the user, so the swap removes the row.
+   */
+  fastify.get('/:entity/list/row', async (request, reply) => {
+    const { entity } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    const { id, layout = 'list' } = request.query;
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    if (layout !== 'list' && layout !== 'scroll') {
+      throw errors.badRequest('layout must be list or scroll');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_list_row', {
+        p_entity_type: entity,
+        p_record_id: id,
+        p_layout: layout
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity, id }, 'Failed to generate list row');
+      throw err;
+    }
+  });
+
   /**
    * GET /ui/:entity/form/create
    * Generate create form for an entity
    */
   fastify.get('/:entity/form/create', async (request, reply) => {
     const { entity } = request.params;
-    validateEntity(entity);
+    await validateEntity(entity);
     const userId = getUserId(request);
 
     if (!userId) {
@@ -176,11 +384,10 @@ export default async function uiRoutes(fastify) {
 
     try {
       const html = await callFunctionAsUser('generate_htmx_form', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_view_type: 'form_create',
         p_record_id: null
-      });
+      }, userId);
 
       reply
         .header('Content-Type', 'text/html; charset=utf-8')
@@ -198,7 +405,7 @@ export default async function uiRoutes(fastify) {
   fastify.get('/:entity/form/edit', async (request, reply) => {
     const { entity } = request.params;
     const { id } = request.query;
-    validateEntity(entity);
+    await validateEntity(entity);
     const userId = getUserId(request);
 
     if (!userId) {
@@ -215,11 +422,10 @@ export default async function uiRoutes(fastify) {
 
     try {
       const html = await callFunctionAsUser('generate_htmx_form', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_view_type: 'form_edit',
         p_record_id: id
-      });
+      }, userId);
 
       reply
         .header('Content-Type', 'text/html; charset=utf-8')
@@ -237,7 +443,7 @@ export default async function uiRoutes(fastify) {
   fastify.get('/:entity/form/view', async (request, reply) => {
     const { entity } = request.params;
     const { id } = request.query;
-    validateEntity(entity);
+    await validateEntity(entity);
     const userId = getUserId(request);
 
     if (!userId) {
@@ -254,11 +460,10 @@ export default async function uiRoutes(fastify) {
 
     try {
       const html = await callFunctionAsUser('generate_htmx_form', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_view_type: 'form_view',
         p_record_id: id
-      });
+      }, userId);
 
       reply
         .header('Content-Type', 'text/html; charset=utf-8')
@@ -269,13 +474,191 @@ export default async function uiRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /ui/:entity/:id/detail
+   * Generate detail view with related-record tabs
+   */
+  fastify.get('/:entity/:id/detail', async (request, reply) => {
+    const { entity, id } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_detail', {
+        p_entity_type: entity,
+        p_record_id: id
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity, id }, 'Failed to generate detail view');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/:entity/:id/related/:relation
+   * Generate one related-records tab of a detail view
+   */
+  fastify.get('/:entity/:id/related/:relation', async (request, reply) => {
+    const { entity, id, relation } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    if (!/^[a-z_]+$/.test(relation)) {
+      throw errors.badRequest('Invalid relation name');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_related_tab', {
+        p_entity_type: entity,
+        p_record_id: id,
+        p_relation_name: relation
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity, id, relation }, 'Failed to generate related tab');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/:entity/:id/history
+   * Generate the field-by-field change history of a record
+   */
+  fastify.get('/:entity/:id/history', async (request, reply) => {
+    const { entity, id } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_history', {
+        p_entity_type: entity,
+        p_record_id: id
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity, id }, 'Failed to generate history view');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/:entity/import
+   * Generate the CSV upload form that starts an import
+   */
+  fastify.get('/:entity/import', async (request, reply) => {
+    const { entity } = request.params;
+    await validateEntity(entity);
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_import_upload_form', {
+        p_entity_type: entity
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to generate import form');
+      throw err;
+    }
+  });
+
+  /**
+   * GET /ui/purchase_order/:id/print
+   * Printable purchase order (?format=pdf for a PDF download)
+   */
+  fastify.get('/purchase_order/:id/print', async (request, reply) =>
+    sendPrintDocument(request, reply, 'purchase_order')
+  );
+
+  /**
+   * GET /ui/payment/:id/remittance
+   * Printable remittance advice for a payment (?format=pdf for a PDF download)
+   */
+  fastify.get('/payment/:id/remittance', async (request, reply) =>
+    sendPrintDocument(request, reply, 'payment')
+  );
+
+  /**
+   * GET /ui/goods_receipt/form/inspect
+   * Generate the line-by-line quality inspection form for a pending goods receipt
+   */
+  fastify.get('/goods_receipt/form/inspect', async (request, reply) => {
+    const { id } = request.query;
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    if (!id) {
+      throw errors.badRequest('Record ID is required');
+    }
+
+    if (!isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_gr_inspection_form', {
+        p_gr_id: id
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err, id }, 'Failed to generate inspection form');
+      throw err;
+    }
+  });
+
   /**
    * GET /ui/:entity/lookup
    * Get lookup options for a field (dropdown data)
    */
   fastify.get('/:entity/lookup/:field', async (request, reply) => {
     const { entity, field } = request.params;
-    validateEntity(entity);
+    await validateEntity(entity);
     const { search = null, limit = 50 } = request.query;
     const userId = getUserId(request);
 
@@ -290,12 +673,11 @@ export default async function uiRoutes(fastify) {
 
     try {
       const options = await callFunctionAsUser('fetch_lookup_options', {
-        p_user_id: userId,
         p_entity_type: entity,
         p_field_name: field,
         p_search_term: search,
         p_limit: parseInt(limit, 10)
-      });
+      }, userId);
 
       // Return as HTML options for HTMX - escape values to prevent XSS
       const html = (options || []).map(opt =>
@@ -311,6 +693,30 @@ export default async function uiRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /ui/approvals
+   * Generate the inbox of approval steps waiting for the current user
+   */
+  fastify.get('/approvals', async (request, reply) => {
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    try {
+      const html = await callFunctionAsUser('generate_htmx_approval_inbox', {
+      }, userId);
+
+      reply
+        .header('Content-Type', 'text/html; charset=utf-8')
+        .send(html);
+    } catch (err) {
+      request.log.error({ err }, 'Failed to generate approval inbox');
+      throw err;
+    }
+  });
+
   /**
    * GET /ui/nav
    * Generate navigation menu based on user permissions
@@ -318,43 +724,54 @@ export default async function uiRoutes(fastify) {
   fastify.get('/nav', async (request, reply) => {
     const userId = getUserId(request);
 
-    // Define available entities
-    const entities = [
-      { name: 'supplier', label: 'Suppliers', icon: 'building' },
-      { name: 'purchase_order', label: 'Purchase Orders', icon: 'file-text' },
-      { name: 'goods_receipt', label: 'Goods Receipts', icon: 'package' },
-      { name: 'invoice_receipt', label: 'Invoices', icon: 'file-invoice' },
-      { name: 'payment', label: 'Payments', icon: 'credit-card' }
-    ];
+    const entities = await getReadableEntities(userId);
 
     // Build navigation HTML
     let navHtml = '<nav class="main-nav"><ul>';
 
     for (const entity of entities) {
-      // Check if user can read this entity
-      let canRead = true;
-      if (userId) {
-        try {
-          canRead = await callFunctionAsUser('can_user_perform_action', {
-            p_user_id: userId,
-            p_entity_type: entity.name,
-            p_action_name: 'read'
-          });
-        } catch {
-          canRead = false;
-        }
-      }
+      navHtml += `
+        <li>
+          <a href="#" hx-get="/ui/${escapeHtml(entity.entity_name)}/list" hx-target="#main-content" hx-push-url="true">
+            <i class="fa ${escapeHtml(entity.icon_class || 'fa-folder')}"></i>
+            <span>${escapeHtml(entity.display_name)}</span>
+          </a>
+        </li>
+      `;
+    }
 
-      if (canRead) {
-        navHtml += `
-          <li>
-            <a href="#" hx-get="/ui/${entity.name}/list" hx-target="#main-content" hx-push-url="true">
-              <i class="fa fa-${entity.icon}"></i>
-              <span>${entity.label}</span>
-            </a>
-          </li>
-        `;
-      }
+    if (userId) {
+      navHtml += `
+        <li>
+          <a href="#" hx-get="/ui/approvals" hx-target="#main-content" hx-push-url="true">
+            <i class="fa fa-inbox"></i>
+            <span>Approvals</span>
+          </a>
+        </li>
+      `;
+    }
+
+    if (isAdmin(request)) {
+      navHtml += `
+        <li class="nav-admin">
+          <a href="#" hx-get="/ui/admin/templates" hx-target="#main-content" hx-push-url="true">
+            <i class="fa fa-file-code"></i>
+            <span>Templates</span>
+          </a>
+        </li>
+        <li class="nav-admin">
+          <a href="#" hx-get="/ui/admin/permissions/fields" hx-target="#main-content" hx-push-url="true">
+            <i class="fa fa-user-shield"></i>
+            <span>Field Permissions</span>
+          </a>
+        </li>
+        <li class="nav-admin">
+          <a href="#" hx-get="/ui/admin/permissions/actions" hx-target="#main-content" hx-push-url="true">
+            <i class="fa fa-key"></i>
+            <span>Action Permissions</span>
+          </a>
+        </li>
+      `;
     }
 
     navHtml += '</ul></nav>';
@@ -371,32 +788,21 @@ export default async function uiRoutes(fastify) {
   fastify.get('/dashboard', async (request, reply) => {
     const userId = getUserId(request);
 
-    // Simple dashboard HTML
+    const entities = await getReadableEntities(userId);
+
+    const cards = entities.map((entity) => `
+    <div class="card" hx-get="/ui/${escapeHtml(entity.entity_name)}/list" hx-target="#main-content" hx-trigger="click">
+      <h3><i class="fa ${escapeHtml(entity.icon_class || 'fa-folder')}"></i> ${escapeHtml(entity.display_name)}</h3>
+      <p>${escapeHtml(entity.description || '')}</p>
+    </div>`).join('\n');
+
     const html = `
 <div class="dashboard">
   <h1>Dashboard</h1>
   <p>Welcome! Select an item from the navigation to get started.</p>
 
   <div class="dashboard-cards">
-    <div class="card" hx-get="/ui/purchase_order/list" hx-target="#main-content" hx-trigger="click">
-      <h3>Purchase Orders</h3>
-      <p>Manage purchase orders and approvals</p>
-    </div>
-
-    <div class="card" hx-get="/ui/goods_receipt/list" hx-target="#main-content" hx-trigger="click">
-      <h3>Goods Receipts</h3>
-      <p>Record received goods</p>
-    </div>
-
-    <div class="card" hx-get="/ui/invoice_receipt/list" hx-target="#main-content" hx-trigger="click">
-      <h3>Invoices</h3>
-      <p>Process vendor invoices</p>
-    </div>
-
-    <div class="card" hx-get="/ui/payment/list" hx-target="#main-content" hx-trigger="click">
-      <h3>Payments</h3>
-      <p>Manage payments</p>
-    </div>
+${cards}
   </div>
 </div>
     `.trim();
@@ -405,4 +811,108 @@ export default async function uiRoutes(fastify) {
       .header('Content-Type', 'text/html; charset=utf-8')
       .send(html);
   });
+
+  // Open event streams, ended on shutdown so the server can close
+  const eventStreams = new Set();
+
+  fastify.addHook('preClose', (done) => {
+    for (const stream of eventStreams) {
+      stream.end();
+    }
+    done();
+  });
+
+  /**
+   * GET /ui/events?entity=&id=
+   * Server-sent event stream of committed changes to an entity's records,
+   * optionally narrowed to one record. Each change is sent as an event named
+   * changed-<record id>: list rows and view forms re-fetch themselves on it,
+   * edit forms swap its data in as a notice. The channel carries every row's
+   * id, so each change is checked as the subscriber first and records they
+   * cannot read (RLS or read conditions) are not announced.
+   */
+  fastify.get('/events', async (request, reply) => {
+    const { entity, id } = request.query;
+    const userId = getUserId(request);
+
+    if (!userId) {
+      throw errors.unauthorized('Authentication required');
+    }
+
+    if (!entity) {
+      throw errors.badRequest('entity is required');
+    }
+    await validateEntity(entity);
+
+    if (id !== undefined && !isValidUUID(id)) {
+      throw errors.badRequest('Invalid record ID format');
+    }
+
+    const canRead = await callFunctionAsUser('can_user_perform_action', {
+      p_entity_type: entity,
+      p_action_name: 'read'
+    }, userId);
+
+    if (!canRead) {
+      throw errors.forbidden(`You do not have permission to read ${entity}`);
+    }
+
+    if (!isRecordEventsAvailable()) {
+      throw createError(503, 'Live updates require the pg database backend');
+    }
+
+    const canReadRecord = (recordId) => callFunctionAsUser('can_user_read_record', {
+      p_entity_type: entity,
+      p_record_id: recordId
+    }, userId);
+
+    if (id && !(await canReadRecord(id))) {
+      throw errors.notFound(`${entity} not found`);
+    }
+
+    let closed = false;
+    let unsubscribe;
+    try {
+      unsubscribe = await subscribeRecordChanges((change) => {
+        if (change.entity !== entity || (id && change.id !== id)) return;
+
+        // A deleted row can no longer be checked: only a stream for that
+        // record, whose visibility was checked on subscribing, hears of it
+        const visible = change.op === 'DELETE'
+          ? Promise.resolve(Boolean(id))
+          : canReadRecord(change.id);
+
+        visible
+          .then((allowed) => {
+            if (!allowed || closed) return;
+            reply.raw.write(
+              `event: changed-${change.id}\ndata: ${recordChangeNotice(entity, change)}\n\n`
+            );
+          })
+          .catch((err) => request.log.error({ err, entity }, 'Failed to check record change visibility'));
+      });
+    } catch (err) {
+      request.log.error({ err, entity }, 'Failed to subscribe to record changes');
+      throw err;
+    }
+
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    reply.raw.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    eventStreams.add(reply.raw);
+
+    const heartbeat = setInterval(() => reply.raw.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    request.raw.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      eventStreams.delete(reply.raw);
+    });
+  });
 }
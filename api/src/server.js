@@ -6,6 +6,7 @@
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import formbody from '@fastify/formbody';
+import multipart from '@fastify/multipart';
 import cookie from '@fastify/cookie';
 import fastifyStatic from '@fastify/static';
 import { fileURLToPath } from 'url';
@@ -21,10 +22,13 @@ const __dirname = dirname(__filename);
 
 // Import modules
 import { initDatabase, closeDatabase } from './db/connection.js';
+import { loadEntityRegistry } from './db/entityRegistry.js';
+import { isRecordEventsAvailable, stopRecordEvents } from './db/recordEvents.js';
 import { authMiddleware, optionalAuthMiddleware } from './middleware/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import uiRoutes from './routes/ui.js';
 import apiRoutes from './routes/api.js';
+import adminRoutes from './routes/admin.js';
 import authRoutes from './routes/auth.js';
 
 // Create Fastify instance
@@ -46,12 +50,16 @@ async function registerPlugins() {
   // CORS
   await fastify.register(cors, {
     origin: true,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
   });
 
   // Form body parsing (for HTMX form submissions)
   await fastify.register(formbody);
 
+  // Multipart parsing (for CSV import uploads)
+  await fastify.register(multipart);
+
   // Cookie support
   await fastify.register(cookie, {
     secret: process.env.SESSION_SECRET || 'default-secret-change-in-production',
@@ -77,6 +85,7 @@ async function registerRoutes() {
   await fastify.register(async (instance) => {
     instance.addHook('preHandler', optionalAuthMiddleware);
     await instance.register(uiRoutes);
+    await instance.register(adminRoutes, { prefix: '/admin' });
   }, { prefix: '/ui' });
 
   // API routes for business logic (protected)
@@ -95,6 +104,7 @@ const gracefulShutdown = async (signal) => {
 
   try {
     await fastify.close();
+    await stopRecordEvents();
     await closeDatabase();
     fastify.log.info('Server closed successfully');
     process.exit(0);
@@ -114,6 +124,14 @@ async function start() {
     await initDatabase();
     fastify.log.info('Database connection initialized');
 
+    // Load entity types for routing and navigation
+    const entities = await loadEntityRegistry();
+    fastify.log.info(`Entity registry loaded (${entities.size} entities)`);
+
+    if (!isRecordEventsAvailable()) {
+      fastify.log.info('Live list refresh disabled: /ui/events needs the pg backend');
+    }
+
     // Register plugins and routes
     await registerPlugins();
     await registerRoutes();
@@ -17,7 +17,7 @@ describe('Procurement Workflow Functional Tests', () => {
     const client = getTestClient();
     const { data: suppliers } = await client.from('suppliers')
       .select('supplier_id')
-      .eq('is_deleted', false)
+      .eq('is_active', true)
       .limit(1);
 
     if (suppliers && suppliers.length > 0) {
@@ -25,7 +25,7 @@ describe('Procurement Workflow Functional Tests', () => {
     } else {
       const { data: newSupplier } = await client.from('suppliers')
         .insert([{
-          supplier_code: `TEST-${faker.string.alphanumeric(6)}`,
+          supplier_code: `TEST-${faker.string.alphanumeric(6).toUpperCase()}`,
           supplier_name: 'Functional Test Supplier',
           is_active: true,
           created_by: TEST_USERS.admin
@@ -269,6 +269,105 @@ describe('Procurement Workflow Functional Tests', () => {
     });
   });
 
+  // =========================================================================
+  // Approval Chains
+  // =========================================================================
+  describe('Approval Chains', () => {
+    // Submitted PO of a single line worth the given amount
+    const createSubmittedPo = async (amount) => {
+      const result = await callFunctionAsUser('create_purchase_order', {
+        p_user_id: TEST_USERS.admin,
+        p_supplier_id: supplierId,
+        p_po_date: new Date().toISOString().split('T')[0],
+        p_currency: 'USD',
+        p_notes: 'Approval chain test PO',
+        p_lines: [
+          { item_code: 'CHAIN-001', item_description: 'Approval Chain Test Item', quantity_ordered: 1, unit_price: amount, uom: 'EA' }
+        ]
+      });
+
+      expect(result.success).toBe(true);
+      createdIds.push({ poId: result.po_id });
+
+      const submitted = await callFunctionAsUser('submit_purchase_order', {
+        p_user_id: TEST_USERS.admin,
+        p_po_id: result.po_id
+      });
+
+      expect(submitted.success).toBe(true);
+      return result.po_id;
+    };
+
+    const approveAs = (userId, poId) => callFunctionAsUser('approve_purchase_order', {
+      p_user_id: userId,
+      p_po_id: poId,
+      p_approval_notes: 'Chain test approval'
+    });
+
+    const getPo = async (poId) => {
+      const { data } = await getTestClient().from('purchase_orders')
+        .select('status, approved_by')
+        .eq('po_id', poId)
+        .single();
+      return data;
+    };
+
+    test('Over 10,000: purchase manager then finance approve the PO', async () => {
+      const poId = await createSubmittedPo(20000);
+
+      const first = await approveAs(TEST_USERS.purchaseManager, poId);
+      expect(first.success).toBe(true);
+      expect(first.new_status).toBe('submitted');
+      expect(first.approval_step.step_name).toBe('Purchase Manager');
+      expect(await getPo(poId)).toEqual({ status: 'submitted', approved_by: null });
+
+      const second = await approveAs(TEST_USERS.accountant, poId);
+      expect(second.success).toBe(true);
+      expect(second.new_status).toBe('approved');
+      expect(second.approval_step.step_name).toBe('Finance');
+      expect(await getPo(poId)).toEqual({ status: 'approved', approved_by: TEST_USERS.accountant });
+    });
+
+    test('Over 100,000: purchase manager, finance then an administrator approve the PO', async () => {
+      const poId = await createSubmittedPo(150000);
+
+      expect((await approveAs(TEST_USERS.purchaseManager, poId)).success).toBe(true);
+      expect(await getPo(poId)).toEqual({ status: 'submitted', approved_by: null });
+
+      expect((await approveAs(TEST_USERS.accountant, poId)).success).toBe(true);
+      expect(await getPo(poId)).toEqual({ status: 'submitted', approved_by: null });
+
+      const last = await approveAs(TEST_USERS.admin, poId);
+      expect(last.success).toBe(true);
+      expect(last.approval_step.step_name).toBe('Administrator');
+      expect(await getPo(poId)).toEqual({ status: 'approved', approved_by: TEST_USERS.admin });
+    });
+
+    test('Finance cannot approve before the purchase manager', async () => {
+      const poId = await createSubmittedPo(20000);
+
+      const result = await approveAs(TEST_USERS.accountant, poId);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/step 1 \(Purchase Manager\)/);
+      expect(await getPo(poId)).toEqual({ status: 'submitted', approved_by: null });
+    });
+
+    test('A role outside the chain cannot approve a step', async () => {
+      const poId = await createSubmittedPo(150000);
+      expect((await approveAs(TEST_USERS.purchaseManager, poId)).success).toBe(true);
+
+      // Finance is next; the purchase manager and warehouse staff are refused
+      const asManager = await approveAs(TEST_USERS.purchaseManager, poId);
+      const asWarehouse = await approveAs(TEST_USERS.warehouseStaff, poId);
+
+      expect(asManager.success).toBe(false);
+      expect(asManager.error).toMatch(/step 2 \(Finance\)/);
+      expect(asWarehouse.success).toBe(false);
+      expect(await getPo(poId)).toEqual({ status: 'submitted', approved_by: null });
+    });
+  });
+
   // =========================================================================
   // Partial Receipts
   // =========================================================================
@@ -334,6 +433,112 @@ describe('Procurement Workflow Functional Tests', () => {
     });
   });
 
+  // =========================================================================
+  // Line-by-Line Inspection
+  // =========================================================================
+  describe('Line-by-Line Inspection', () => {
+    let inspection = {};
+
+    beforeAll(async () => {
+      const result = await callFunctionAsUser('create_purchase_order', {
+        p_user_id: TEST_USERS.admin,
+        p_supplier_id: supplierId,
+        p_po_date: new Date().toISOString().split('T')[0],
+        p_currency: 'USD',
+        p_notes: 'Inspection test PO',
+        p_lines: [
+          { item_code: 'INSPECT-001', item_description: 'Inspection Test Item', quantity_ordered: 10, unit_price: 5.00, uom: 'EA' }
+        ]
+      });
+
+      inspection.poId = result.po_id;
+      createdIds.push({ poId: inspection.poId });
+
+      await callFunctionAsUser('submit_purchase_order', {
+        p_user_id: TEST_USERS.admin,
+        p_po_id: inspection.poId
+      });
+
+      await callFunctionAsUser('approve_purchase_order', {
+        p_user_id: TEST_USERS.admin,
+        p_po_id: inspection.poId,
+        p_approval_notes: 'Approved'
+      });
+
+      const grResult = await callFunctionAsUser('create_goods_receipt', {
+        p_user_id: TEST_USERS.admin,
+        p_po_id: inspection.poId,
+        p_receipt_date: new Date().toISOString().split('T')[0],
+        p_delivery_note_number: 'DN-INSPECT-1'
+      });
+
+      inspection.grId = grResult.gr_id;
+      createdIds[createdIds.length - 1].grId = inspection.grId;
+
+      const { data: grLines } = await getTestClient().from('goods_receipt_lines')
+        .select('gr_line_id')
+        .eq('gr_id', inspection.grId);
+
+      inspection.grLineId = grLines[0].gr_line_id;
+    });
+
+    test('Warehouse staff can open the inspection form', async () => {
+      const html = await callFunctionAsUser('generate_gr_inspection_form', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_gr_id: inspection.grId
+      });
+
+      expect(html).toContain(`/api/goods_receipt/${inspection.grId}/partial_accept`);
+    });
+
+    test('Warehouse staff cannot accept a receipt whole', async () => {
+      await expect(callFunctionAsUser('accept_goods_receipt', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_gr_id: inspection.grId
+      })).rejects.toThrow(/permission/);
+    });
+
+    test('Warehouse staff cannot reject a receipt whole', async () => {
+      await expect(callFunctionAsUser('reject_goods_receipt', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_gr_id: inspection.grId,
+        p_rejection_reason: 'Damaged'
+      })).rejects.toThrow(/permission/);
+    });
+
+    test('Rejecting without a reason is refused', async () => {
+      const result = await callFunctionAsUser('partial_accept_goods_receipt', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_gr_id: inspection.grId,
+        p_lines: [{ gr_line_id: inspection.grLineId, quantity_accepted: 8, quantity_rejected: 2 }]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/reason is required/i);
+    });
+
+    test('Warehouse staff can accept part of a receipt', async () => {
+      const result = await callFunctionAsUser('partial_accept_goods_receipt', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_gr_id: inspection.grId,
+        p_lines: [{ gr_line_id: inspection.grLineId, quantity_accepted: 8, quantity_rejected: 2, reason: 'Damaged' }],
+        p_notes: 'Two units damaged'
+      });
+
+      expect(result.success).toBe(true);
+      expect(Number(result.total_accepted)).toBe(8);
+      expect(Number(result.total_rejected)).toBe(2);
+    });
+
+    test('Only accepted quantity counts as received on the PO line', async () => {
+      const { data: poLines } = await getTestClient().from('purchase_order_lines')
+        .select('quantity_received')
+        .eq('po_id', inspection.poId);
+
+      expect(Number(poLines[0].quantity_received)).toBe(8);
+    });
+  });
+
   // =========================================================================
   // PO Cancellation
   // =========================================================================
@@ -16,7 +16,7 @@ describe('Three-Way Matching Functional Tests', () => {
     const client = getTestClient();
     const { data: suppliers } = await client.from('suppliers')
       .select('supplier_id')
-      .eq('is_deleted', false)
+      .eq('is_active', true)
       .limit(1);
 
     if (suppliers && suppliers.length > 0) {
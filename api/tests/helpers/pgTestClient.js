@@ -0,0 +1,174 @@
+/**
+ * PostgreSQL Test Client
+ * The subset of the supabase-js query builder the tests use for fixtures
+ * and assertions (from/select/insert/update/delete with eq, gt, in, order,
+ * limit and single), run directly on a pg pool. Results come back as
+ * { data, error } like supabase-js; errors are returned, not thrown.
+ */
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+function identifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+function columnList(columns) {
+  if (!columns || columns.trim() === '*') {
+    return '*';
+  }
+  return columns.split(',').map((column) => identifier(column.trim())).join(', ');
+}
+
+/**
+ * Chainable query on one table; awaiting it runs the query
+ */
+class QueryBuilder {
+  constructor(pool, table) {
+    this.pool = pool;
+    this.table = identifier(table);
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.rows = null;
+    this.values = null;
+    this.filters = [];
+    this.orderBy = null;
+    this.maxRows = null;
+    this.expectSingle = false;
+  }
+
+  select(columns = '*') {
+    if (this.operation === 'select') {
+      this.columns = columnList(columns);
+    } else {
+      this.returning = columnList(columns);
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push({ column: identifier(column), op: '=', value });
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push({ column: identifier(column), op: '>', value });
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push({ column: identifier(column), op: 'in', value: values });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orderBy = `${identifier(column)} ${ascending ? 'ASC' : 'DESC'}`;
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.expectSingle = true;
+    return this;
+  }
+
+  toSql() {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const where = () => (this.filters.length
+      ? ' WHERE ' + this.filters.map(({ column, op, value }) =>
+        op === 'in' ? `${column} = ANY(${param(value)})` : `${column} ${op} ${param(value)}`
+      ).join(' AND ')
+      : '');
+    const returning = this.returning ? ` RETURNING ${this.returning}` : '';
+
+    switch (this.operation) {
+      case 'insert': {
+        const columns = Object.keys(this.rows[0]);
+        const tuples = this.rows.map((row) =>
+          `(${columns.map((column) => param(row[column])).join(', ')})`
+        );
+        return {
+          text: `INSERT INTO ${this.table} (${columns.map(identifier).join(', ')}) VALUES ${tuples.join(', ')}${returning}`,
+          params
+        };
+      }
+      case 'update': {
+        const set = Object.keys(this.values)
+          .map((column) => `${identifier(column)} = ${param(this.values[column])}`)
+          .join(', ');
+        return { text: `UPDATE ${this.table} SET ${set}${where()}${returning}`, params };
+      }
+      case 'delete':
+        return { text: `DELETE FROM ${this.table}${where()}${returning}`, params };
+      default: {
+        let text = `SELECT ${this.columns} FROM ${this.table}${where()}`;
+        if (this.orderBy) text += ` ORDER BY ${this.orderBy}`;
+        if (this.maxRows !== null) text += ` LIMIT ${param(this.maxRows)}`;
+        return { text, params };
+      }
+    }
+  }
+
+  async execute() {
+    try {
+      const { text, params } = this.toSql();
+      const { rows } = await this.pool.query(text, params);
+      const returnsRows = this.operation === 'select' || this.returning;
+
+      if (!returnsRows) {
+        return { data: null, error: null };
+      }
+      if (this.expectSingle) {
+        return rows.length === 1
+          ? { data: rows[0], error: null }
+          : { data: null, error: { message: `Expected 1 row, got ${rows.length}` } };
+      }
+      return { data: rows, error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code } };
+    }
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+/**
+ * Create a client whose from(table) starts a query on the pool
+ */
+export function createPgTestClient(pool) {
+  return {
+    from: (table) => new QueryBuilder(pool, table)
+  };
+}
+
+export default { createPgTestClient };
@@ -6,11 +6,13 @@
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import formbody from '@fastify/formbody';
+import multipart from '@fastify/multipart';
 import cookie from '@fastify/cookie';
 import { errorHandler } from '../../src/middleware/errorHandler.js';
-import { optionalAuthMiddleware, authMiddleware } from '../../src/middleware/auth.js';
+import { optionalAuthMiddleware, authMiddleware, DEMO_USERS } from '../../src/middleware/auth.js';
 import uiRoutes from '../../src/routes/ui.js';
 import apiRoutes from '../../src/routes/api.js';
+import adminRoutes from '../../src/routes/admin.js';
 import authRoutes from '../../src/routes/auth.js';
 
 /**
@@ -21,9 +23,13 @@ export async function createTestApp() {
     logger: false  // Disable logging during tests
   });
 
+  // Error handler; set before the route plugins load so they inherit it
+  app.setErrorHandler(errorHandler);
+
   // Register plugins
   await app.register(cors, { origin: true, credentials: true });
   await app.register(formbody);
+  await app.register(multipart);
   await app.register(cookie, { secret: 'test-secret' });
 
   // Health check
@@ -36,6 +42,7 @@ export async function createTestApp() {
   await app.register(async (instance) => {
     instance.addHook('preHandler', optionalAuthMiddleware);
     await instance.register(uiRoutes);
+    await instance.register(adminRoutes, { prefix: '/admin' });
   }, { prefix: '/ui' });
 
   // API routes with required auth
@@ -44,13 +51,22 @@ export async function createTestApp() {
     await instance.register(apiRoutes);
   }, { prefix: '/api' });
 
-  // Error handler
-  app.setErrorHandler(errorHandler);
-
   await app.ready();
   return app;
 }
 
+/**
+ * Demo user key (X-Demo-User value) of a test user ID. The middleware falls
+ * back to admin for unknown keys, so an unmapped ID would silently run as admin.
+ */
+export function demoUserKey(userId) {
+  const key = Object.keys(DEMO_USERS).find((name) => DEMO_USERS[name].user_id === userId);
+  if (!key) {
+    throw new Error(`No demo user with ID ${userId}`);
+  }
+  return key;
+}
+
 /**
  * Helper to inject requests with authentication
  */
@@ -58,7 +74,7 @@ export function injectWithAuth(app, userId, options = {}) {
   const headers = options.headers || {};
 
   // Add demo user header for testing
-  headers['x-demo-user'] = userId;
+  headers['x-demo-user'] = demoUserKey(userId);
 
   return app.inject({
     ...options,
@@ -114,4 +130,4 @@ export const testRequest = {
   }
 };
 
-export default { createTestApp, injectWithAuth, testRequest };
+export default { createTestApp, demoUserKey, injectWithAuth, testRequest };
@@ -5,7 +5,7 @@
 
 import { faker } from '@faker-js/faker';
 import { callFunctionAsUser } from '../../src/db/connection.js';
-import { TEST_USERS } from '../setup.js';
+import { TEST_USERS, getTestClient } from '../setup.js';
 
 /**
  * Generate a random supplier
@@ -14,12 +14,8 @@ export function generateSupplier() {
   return {
     supplier_code: `SUP-${faker.string.alphanumeric(6).toUpperCase()}`,
     supplier_name: faker.company.name(),
-    contact_name: faker.person.fullName(),
-    email: faker.internet.email(),
-    phone: faker.phone.number(),
-    address: faker.location.streetAddress(),
-    city: faker.location.city(),
-    country: faker.location.country(),
+    contact_email: faker.internet.email(),
+    contact_phone: faker.string.numeric(10),
     payment_terms_days: faker.helpers.arrayElement([15, 30, 45, 60, 90]),
     is_active: true
   };
@@ -27,6 +23,8 @@ export function generateSupplier() {
 
 /**
  * Generate purchase order lines
+ * Up to three lines stay under the 10,000 approval chain threshold, so one
+ * approval approves the order
  */
 export function generatePOLines(count = 3) {
   const lines = [];
@@ -34,8 +32,8 @@ export function generatePOLines(count = 3) {
     lines.push({
       item_code: `ITEM-${faker.string.alphanumeric(6).toUpperCase()}`,
       item_description: faker.commerce.productName(),
-      quantity_ordered: faker.number.int({ min: 1, max: 100 }),
-      unit_price: parseFloat(faker.commerce.price({ min: 10, max: 1000 })),
+      quantity_ordered: faker.number.int({ min: 1, max: 10 }),
+      unit_price: parseFloat(faker.commerce.price({ min: 10, max: 300 })),
       uom: faker.helpers.arrayElement(['EA', 'PC', 'BOX', 'KG', 'LT'])
     });
   }
@@ -64,43 +62,38 @@ export async function createTestScenario(options = {}) {
   const userId = options.userId || TEST_USERS.admin;
   const scenario = {};
 
-  // 1. Get or create a supplier
-  const client = (await import('../../src/db/connection.js')).getSupabaseAdmin();
-  const { data: suppliers } = await client.from('suppliers')
+  // 1. Create a supplier of its own: the seeded suppliers' IDs are not RFC 4122
+  // UUIDs, so the routes reject them, and tests that edit the scenario
+  // supplier would otherwise change the seed data
+  const client = getTestClient();
+  const { data: newSupplier, error } = await client.from('suppliers')
+    .insert([{ ...generateSupplier(), created_by: userId }])
     .select('supplier_id')
-    .eq('is_deleted', false)
-    .limit(1);
-
-  if (suppliers && suppliers.length > 0) {
-    scenario.supplierId = suppliers[0].supplier_id;
-  } else {
-    // Create a test supplier directly
-    const supplierData = generateSupplier();
-    const { data: newSupplier } = await client.from('suppliers')
-      .insert([{ ...supplierData, created_by: userId }])
-      .select('supplier_id')
-      .single();
-    scenario.supplierId = newSupplier.supplier_id;
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create test supplier: ${error.message}`);
   }
+  scenario.supplierId = newSupplier.supplier_id;
 
   // 2. Create a purchase order
   const poPayload = generatePurchaseOrder(scenario.supplierId, options.lineCount || 3);
   const poResult = await callFunctionAsUser('create_purchase_order', {
-    p_user_id: userId,
     p_supplier_id: poPayload.supplier_id,
     p_po_date: poPayload.po_date,
     p_expected_delivery_date: poPayload.expected_delivery_date,
     p_currency: poPayload.currency,
     p_notes: poPayload.notes,
     p_lines: poPayload.lines
-  });
+  }, userId);
 
-  if (poResult && poResult.success) {
-    scenario.poId = poResult.po_id;
-    scenario.poNumber = poResult.po_number;
-    scenario.poLines = poPayload.lines;
-    scenario.totalAmount = poResult.total_amount;
+  if (!poResult?.success) {
+    throw new Error(`Failed to create test purchase order: ${poResult?.error}`);
   }
+  scenario.poId = poResult.po_id;
+  scenario.poNumber = poResult.po_number;
+  scenario.poLines = poPayload.lines;
+  scenario.totalAmount = poResult.total_amount;
 
   return scenario;
 }
@@ -119,28 +112,25 @@ export async function createFullP2PCycle(options = {}) {
 
   // Submit PO
   const submitResult = await callFunctionAsUser('submit_purchase_order', {
-    p_user_id: userId,
     p_po_id: cycle.poId
-  });
+  }, userId);
   cycle.submitted = submitResult?.success;
 
   // Approve PO
   const approveResult = await callFunctionAsUser('approve_purchase_order', {
-    p_user_id: userId,
     p_po_id: cycle.poId,
     p_approval_notes: 'Approved for testing'
-  });
+  }, userId);
   cycle.approved = approveResult?.success;
 
   // Create Goods Receipt
   if (cycle.approved) {
     const grResult = await callFunctionAsUser('create_goods_receipt', {
-      p_user_id: userId,
       p_po_id: cycle.poId,
       p_receipt_date: new Date().toISOString().split('T')[0],
       p_delivery_note_number: `DN-${faker.string.alphanumeric(8).toUpperCase()}`,
       p_notes: 'Test goods receipt'
-    });
+    }, userId);
 
     if (grResult?.success) {
       cycle.grId = grResult.gr_id;
@@ -148,10 +138,9 @@ export async function createFullP2PCycle(options = {}) {
 
       // Accept the goods receipt
       const acceptResult = await callFunctionAsUser('accept_goods_receipt', {
-        p_user_id: userId,
         p_gr_id: cycle.grId,
         p_notes: 'QC passed'
-      });
+      }, userId);
       cycle.grAccepted = acceptResult?.success;
     }
   }
@@ -159,14 +148,13 @@ export async function createFullP2PCycle(options = {}) {
   // Create Invoice
   if (cycle.grAccepted) {
     const invoiceResult = await callFunctionAsUser('create_invoice_receipt', {
-      p_user_id: userId,
       p_po_id: cycle.poId,
       p_vendor_invoice_number: `INV-${faker.string.alphanumeric(8).toUpperCase()}`,
       p_invoice_date: new Date().toISOString().split('T')[0],
       p_due_date: faker.date.future().toISOString().split('T')[0],
       p_currency: 'USD',
       p_notes: 'Test invoice'
-    });
+    }, userId);
 
     if (invoiceResult?.success) {
       cycle.invoiceId = invoiceResult.invoice_id;
@@ -178,14 +166,13 @@ export async function createFullP2PCycle(options = {}) {
   // Create Payment (if invoice was created)
   if (cycle.invoiceId) {
     const paymentResult = await callFunctionAsUser('create_payment', {
-      p_user_id: userId,
       p_invoice_id: cycle.invoiceId,
       p_amount: cycle.totalAmount,
       p_payment_method: 'bank_transfer',
       p_payment_date: new Date().toISOString().split('T')[0],
       p_reference_number: `PAY-${faker.string.alphanumeric(8).toUpperCase()}`,
       p_notes: 'Test payment'
-    });
+    }, userId);
 
     if (paymentResult?.success) {
       cycle.paymentId = paymentResult.payment_id;
@@ -200,7 +187,7 @@ export async function createFullP2PCycle(options = {}) {
  * Clean up test data by soft-deleting
  */
 export async function cleanupTestData(ids = {}) {
-  const client = (await import('../../src/db/connection.js')).getSupabaseAdmin();
+  const client = getTestClient();
 
   if (ids.paymentId) {
     await client.from('payments')
@@ -225,6 +212,13 @@ export async function cleanupTestData(ids = {}) {
       .update({ is_deleted: true })
       .eq('po_id', ids.poId);
   }
+
+  // Also inactive, as tests that look up a supplier filter on is_active only
+  if (ids.supplierId) {
+    await client.from('suppliers')
+      .update({ is_active: false, is_deleted: true })
+      .eq('supplier_id', ids.supplierId);
+  }
 }
 
 export default {
@@ -3,8 +3,8 @@
  * Tests for all API endpoints
  */
 
-import { createTestApp, testRequest } from '../helpers/testApp.js';
-import { TEST_USERS } from '../setup.js';
+import { createTestApp, injectWithAuth, testRequest } from '../helpers/testApp.js';
+import { TEST_USERS, getTestClient } from '../setup.js';
 import { createTestScenario, cleanupTestData } from '../helpers/testDataGenerator.js';
 
 describe('API Integration Tests', () => {
@@ -99,6 +99,38 @@ describe('API Integration Tests', () => {
       expect(response.body).toContain('form');
     });
 
+    test('GET /ui/supplier/form/create renders every field editable for admin', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/supplier/form/create',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+      for (const name of ['supplier_code', 'supplier_name', 'contact_email', 'contact_phone', 'payment_terms_days']) {
+        expect(response.body).toContain(`name="${name}"`);
+      }
+      expect(response.body).not.toContain('disabled');
+      expect(response.body).not.toContain('{{');
+    });
+
+    test('GET /ui/supplier/form/edit renders the record in an editable form', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/supplier/form/edit',
+        TEST_USERS.admin,
+        { id: testData.supplierId }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain(`hx-put="/api/supplier/${testData.supplierId}"`);
+      expect(response.body).toContain(`sse-connect="/ui/events?entity=supplier&amp;id=${testData.supplierId}"`);
+      for (const name of ['supplier_name', 'contact_email', 'contact_phone', 'payment_terms_days', 'is_active']) {
+        expect(response.body).toContain(`name="${name}"`);
+      }
+      expect(response.body).not.toContain('{{');
+    });
+
     test('GET /ui/:entity/form/view requires record ID', async () => {
       const response = await testRequest.get(
         app,
@@ -110,10 +142,7 @@ describe('API Integration Tests', () => {
     });
 
     test('GET /ui/:entity/form/view returns record form', async () => {
-      if (!testData.poId) {
-        console.log('Skipping - no test PO available');
-        return;
-      }
+      expect(testData.poId).toBeDefined();
 
       const response = await testRequest.get(
         app,
@@ -126,268 +155,1669 @@ describe('API Integration Tests', () => {
       expect(response.headers['content-type']).toContain('text/html');
     });
 
-    test('GET /ui/dashboard returns dashboard HTML', async () => {
+    test('GET /ui/:entity/:id/detail returns detail view with tabs', async () => {
+      expect(testData.poId).toBeDefined();
+
       const response = await testRequest.get(
         app,
-        '/ui/dashboard',
+        `/ui/purchase_order/${testData.poId}/detail`,
         TEST_USERS.admin
       );
 
       expect(response.statusCode).toBe(200);
-      expect(response.body).toContain('Dashboard');
+      expect(response.body).toContain('detail-tabs');
+      expect(response.body).toContain(`/ui/purchase_order/${testData.poId}/related/lines`);
     });
 
-    test('GET /ui/nav returns navigation HTML', async () => {
+    test('GET /ui/:entity/:id/related/:relation returns related records', async () => {
+      expect(testData.poId).toBeDefined();
+
       const response = await testRequest.get(
         app,
-        '/ui/nav',
+        `/ui/purchase_order/${testData.poId}/related/lines`,
         TEST_USERS.admin
       );
 
       expect(response.statusCode).toBe(200);
-      expect(response.body).toContain('nav');
+      expect(response.headers['content-type']).toContain('text/html');
     });
-  });
 
-  // =========================================================================
-  // Purchase Order API
-  // =========================================================================
-  describe('Purchase Order API', () => {
-    let createdPoId;
+    test('Detail view hides tabs the user cannot read', async () => {
+      expect(testData.poId).toBeDefined();
 
-    test('POST /api/purchase_order creates a PO', async () => {
-      const response = await testRequest.post(
+      const detail = await testRequest.get(
         app,
-        '/api/purchase_order',
-        TEST_USERS.admin,
-        {
-          supplier_id: testData.supplierId,
-          po_date: new Date().toISOString().split('T')[0],
-          currency: 'USD',
-          notes: 'Integration test PO',
-          lines: [
-            {
-              item_code: 'TEST-INT-001',
-              item_description: 'Integration Test Item',
-              quantity_ordered: 10,
-              unit_price: 50.00,
-              uom: 'EA'
-            }
-          ]
-        }
+        `/ui/purchase_order/${testData.poId}/detail`,
+        TEST_USERS.warehouseStaff
+      );
+      const tab = await testRequest.get(
+        app,
+        `/ui/purchase_order/${testData.poId}/related/payments`,
+        TEST_USERS.warehouseStaff
       );
 
-      expect(response.statusCode).toBe(200);
-      expect(response.headers['content-type']).toContain('text/html');
-
-      // Try to extract PO ID from HX-Trigger header if available
-      const hxTrigger = response.headers['hx-trigger'];
-      if (hxTrigger) {
-        const triggerData = JSON.parse(hxTrigger);
-        if (triggerData.showToast?.type === 'success') {
-          // PO was created successfully
-          createdPoId = testData.poId; // Use existing test data for cleanup
-        }
-      }
+      expect(detail.body).not.toContain('/related/payments');
+      expect(tab.statusCode).toBe(403);
     });
 
-    test('POST /api/purchase_order requires supplier', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/:entity/:id/related/:relation rejects invalid relation names', async () => {
+      const response = await testRequest.get(
         app,
-        '/api/purchase_order',
-        TEST_USERS.admin,
-        {
-          po_date: new Date().toISOString().split('T')[0],
-          lines: []
-        }
+        '/ui/purchase_order/00000000-0000-4000-8000-000000000000/related/Bad-Name',
+        TEST_USERS.admin
       );
 
       expect(response.statusCode).toBe(400);
     });
 
-    test('GET /api/purchase_order returns list data', async () => {
+    test('GET /ui/:entity/:id/history returns the change timeline', async () => {
+      expect(testData.poId).toBeDefined();
+
       const response = await testRequest.get(
         app,
-        '/api/purchase_order',
+        `/ui/purchase_order/${testData.poId}/history`,
         TEST_USERS.admin
       );
 
       expect(response.statusCode).toBe(200);
-      const data = JSON.parse(response.body);
-      expect(data).toBeDefined();
+      expect(response.body).toContain('history-timeline');
+      expect(response.body).toContain('created the record');
+      expect(response.body).toContain(testData.poNumber);
     });
 
-    test('GET /api/purchase_order/:id returns single record', async () => {
-      if (!testData.poId) {
-        console.log('Skipping - no test PO available');
-        return;
-      }
+    test('History masks fields hidden from the user role', async () => {
+      expect(testData.poId).toBeDefined();
 
+      // The viewer role cannot see purchase order notes
       const response = await testRequest.get(
         app,
-        `/api/purchase_order/${testData.poId}`,
+        `/ui/purchase_order/${testData.poId}/history`,
+        TEST_USERS.viewer
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toMatch(/<th>Notes<\/th><td colspan="2" class="history-masked">Hidden<\/td>/);
+    });
+
+    test('GET /ui/:entity/:id/history rejects invalid record IDs', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/purchase_order/not-a-uuid/history',
         TEST_USERS.admin
       );
 
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /ui/:entity/list/row re-renders a single row that refreshes on change', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await testRequest.get(
+        app,
+        '/ui/purchase_order/list/row',
+        TEST_USERS.admin,
+        { id: testData.poId }
+      );
+
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain(testData.poNumber);
+      expect(response.body).toContain(`hx-trigger="sse:changed-${testData.poId}"`);
+      expect(response.body.match(/<tr[\s>]/g)).toHaveLength(1);
     });
 
-    test('PUT /api/purchase_order/:id updates record', async () => {
-      if (!testData.poId) {
-        console.log('Skipping - no test PO available');
-        return;
-      }
+    test('GET /ui/:entity/list subscribes a non-PO list to its own entity', async () => {
+      const response = await testRequest.get(app, '/ui/supplier/list', TEST_USERS.admin);
 
-      const response = await testRequest.put(
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('sse-connect="/ui/events?entity=supplier"');
+      expect(response.body).toContain(`hx-get="/ui/supplier/list/row?id=${testData.supplierId}"`);
+      expect(response.body).toContain(`hx-trigger="sse:changed-${testData.supplierId}"`);
+      expect(response.body).not.toMatch(/events\?entity=(?!supplier)/);
+    });
+
+    test('GET /ui/:entity/list/row is empty for records that are gone', async () => {
+      const response = await testRequest.get(
         app,
-        `/api/purchase_order/${testData.poId}`,
+        '/ui/purchase_order/list/row',
         TEST_USERS.admin,
-        { notes: 'Updated via integration test' }
+        { id: '00000000-0000-4000-8000-000000000000', layout: 'scroll' }
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toBe('');
     });
-  });
 
-  // =========================================================================
-  // Goods Receipt API
-  // =========================================================================
-  describe('Goods Receipt API', () => {
-    test('POST /api/goods_receipt requires po_id', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/:entity/list/row rejects unknown layouts', async () => {
+      const response = await testRequest.get(
         app,
-        '/api/goods_receipt',
+        '/ui/purchase_order/list/row',
         TEST_USERS.admin,
-        {
-          receipt_date: new Date().toISOString().split('T')[0]
-        }
+        { id: '00000000-0000-4000-8000-000000000000', layout: 'cards' }
       );
 
       expect(response.statusCode).toBe(400);
     });
 
-    test('GET /api/goods_receipt returns list data', async () => {
+    test('GET /ui/events requires authentication and an entity', async () => {
+      // Outside production the middleware falls back to the demo admin
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      let anonymous;
+      try {
+        anonymous = await app.inject({
+          method: 'GET',
+          url: '/ui/events?entity=purchase_order'
+        });
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+      const missingEntity = await testRequest.get(app, '/ui/events', TEST_USERS.admin);
+      const badId = await testRequest.get(
+        app,
+        '/ui/events',
+        TEST_USERS.admin,
+        { entity: 'purchase_order', id: 'not-a-uuid' }
+      );
+
+      expect(anonymous.statusCode).toBe(401);
+      expect(missingEntity.statusCode).toBe(400);
+      expect(badId.statusCode).toBe(400);
+    });
+
+    test('GET /ui/purchase_order/:id/print returns a printable document', async () => {
+      expect(testData.poId).toBeDefined();
+
       const response = await testRequest.get(
         app,
-        '/api/goods_receipt',
-        TEST_USERS.admin
+        `/ui/purchase_order/${testData.poId}/print`,
+        TEST_USERS.purchaseManager
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('<!DOCTYPE html>');
+      expect(response.body).toContain('print-document');
+      expect(response.body).toContain(testData.poNumber);
     });
-  });
 
-  // =========================================================================
-  // Invoice Receipt API
-  // =========================================================================
-  describe('Invoice Receipt API', () => {
-    test('POST /api/invoice_receipt requires po_id', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/purchase_order/:id/print?format=pdf returns a PDF', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await testRequest.get(
         app,
-        '/api/invoice_receipt',
-        TEST_USERS.admin,
-        {
-          vendor_invoice_number: 'TEST-INV-001'
-        }
+        `/ui/purchase_order/${testData.poId}/print`,
+        TEST_USERS.purchaseManager,
+        { format: 'pdf' }
       );
 
-      expect(response.statusCode).toBe(400);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain(`${testData.poNumber}.pdf`);
+      expect(response.rawPayload.subarray(0, 5).toString()).toBe('%PDF-');
     });
 
-    test('POST /api/invoice_receipt requires vendor_invoice_number', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/purchase_order/:id/print requires the print permission', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await testRequest.get(
         app,
-        '/api/invoice_receipt',
-        TEST_USERS.admin,
-        {
-          po_id: testData.poId
-        }
+        `/ui/purchase_order/${testData.poId}/print`,
+        TEST_USERS.viewer
+      );
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('GET /ui/payment/:id/remittance returns 404 for unknown payment', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/payment/00000000-0000-4000-8000-000000000000/remittance',
+        TEST_USERS.accountant
+      );
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('GET /ui/payment/:id/remittance rejects unknown formats', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/payment/00000000-0000-4000-8000-000000000000/remittance',
+        TEST_USERS.accountant,
+        { format: 'docx' }
       );
 
       expect(response.statusCode).toBe(400);
     });
 
-    test('GET /api/invoice_receipt returns list data', async () => {
+    test('GET /ui/:entity/list/scroll loads later pages through a revealed sentinel', async () => {
       const response = await testRequest.get(
         app,
-        '/api/invoice_receipt',
-        TEST_USERS.admin
+        '/ui/supplier/list/scroll',
+        TEST_USERS.admin,
+        { page_size: 1, sort: 'supplier_name' }
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('<table');
+
+      const sentinel = response.body.match(/hx-get="([^"]+)" hx-trigger="revealed"/);
+      expect(sentinel).not.toBeNull();
+
+      const rows = await testRequest.get(
+        app,
+        sentinel[1].replace(/&amp;/g, '&'),
+        TEST_USERS.admin
+      );
+
+      expect(rows.statusCode).toBe(200);
+      expect(rows.body).toContain('<tr');
+      expect(rows.body).not.toContain('<table');
     });
-  });
 
-  // =========================================================================
-  // Payment API
-  // =========================================================================
-  describe('Payment API', () => {
-    test('POST /api/payment requires invoice_id', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/:entity/list/rows rejects a tampered cursor', async () => {
+      const response = await testRequest.get(
         app,
-        '/api/payment',
+        '/ui/supplier/list/rows',
         TEST_USERS.admin,
-        {
-          amount: 100.00
-        }
+        { cursor: 'not-a-cursor' }
       );
 
       expect(response.statusCode).toBe(400);
     });
 
-    test('POST /api/payment requires valid amount', async () => {
-      const response = await testRequest.post(
+    test('GET /ui/dashboard returns dashboard HTML', async () => {
+      const response = await testRequest.get(
         app,
-        '/api/payment',
-        TEST_USERS.admin,
-        {
-          invoice_id: '00000000-0000-0000-0000-000000000001',
-          amount: 0
-        }
+        '/ui/dashboard',
+        TEST_USERS.admin
       );
 
-      expect(response.statusCode).toBe(400);
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('Dashboard');
     });
 
-    test('GET /api/payment returns list data', async () => {
+    test('GET /ui/nav returns navigation HTML', async () => {
       const response = await testRequest.get(
         app,
-        '/api/payment',
+        '/ui/nav',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('nav');
+    });
+
+    test('GET /ui/nav lists entities from ui_entity_types', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/nav',
         TEST_USERS.admin
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('Purchase Orders');
+      expect(response.body).toContain('fa-shopping-cart');
+    });
+
+    test('GET /ui/approvals returns the approval inbox', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/approvals',
+        TEST_USERS.purchaseManager
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('Pending My Approval');
+    });
+
+    test('GET /ui/:entity/list rejects unregistered entities', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/not_an_entity/list',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(400);
     });
   });
 
   // =========================================================================
-  // Generic CRUD
+  // Template Administration
   // =========================================================================
-  describe('Generic CRUD Endpoints', () => {
-    test('GET /api/supplier returns list data', async () => {
+  describe('Template Administration', () => {
+    test('GET /ui/admin/templates lists versions for admins', async () => {
       const response = await testRequest.get(
         app,
-        '/api/supplier',
-        TEST_USERS.admin
+        '/ui/admin/templates',
+        TEST_USERS.admin,
+        { entity: 'purchase_order' }
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('id="template-admin"');
+      expect(response.body).toMatch(/\/ui\/admin\/templates\/[0-9a-f-]{36}\/edit/);
     });
 
-    test('PUT /api/:entity/:id updates record', async () => {
-      if (!testData.supplierId) {
-        console.log('Skipping - no test supplier available');
-        return;
-      }
+    test('GET /ui/admin/templates is forbidden for other roles', async () => {
+      const response = await testRequest.get(app, '/ui/admin/templates', TEST_USERS.viewer);
 
-      const response = await testRequest.put(
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('POST /ui/admin/templates/preview renders source against sample data', async () => {
+      const response = await testRequest.post(
         app,
-        `/api/supplier/${testData.supplierId}`,
+        '/ui/admin/templates/preview',
         TEST_USERS.admin,
-        { notes: 'Updated via generic CRUD test' }
+        {
+          entity: 'supplier',
+          view_type: 'list',
+          base_template: '<ul>{{#records}}<li>{{supplier_name}}</li>{{/records}}</ul>'
+        }
       );
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('template-preview-frame');
+      expect(response.body).toContain('&lt;ul&gt;');
+    });
+
+    test('POST /ui/admin/templates/:id/versions rejects unbalanced tags', async () => {
+      const list = await testRequest.get(app, '/ui/admin/templates', TEST_USERS.admin);
+      const [, templateId] = list.body.match(/\/ui\/admin\/templates\/([0-9a-f-]{36})\/edit/) || [];
+
+      expect(templateId).toBeDefined();
+
+      const response = await testRequest.post(
+        app,
+        `/ui/admin/templates/${templateId}/versions`,
+        TEST_USERS.admin,
+        { base_template: '{{#if can_edit}}<button>Edit</button>' }
+      );
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toContain('error-message');
+    });
+
+    test('template admin routes reject invalid template IDs', async () => {
+      const edit = await testRequest.get(app, '/ui/admin/templates/not-a-uuid/edit', TEST_USERS.admin);
+      const activate = await testRequest.post(
+        app,
+        '/ui/admin/templates/not-a-uuid/activate',
+        TEST_USERS.admin
+      );
+
+      expect(edit.statusCode).toBe(400);
+      expect(activate.statusCode).toBe(400);
+    });
+
+    test('GET /ui/admin/permissions/fields renders the role x field matrix', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/admin/permissions/fields',
+        TEST_USERS.admin,
+        { entity: 'supplier' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('id="permission-admin"');
+      expect(response.body).toContain('fp-matrix');
+      expect(response.body).toContain('"flag": "list_editable"');
+    });
+
+    test('POST /ui/admin/permissions/fields refuses editable fields that are hidden', async () => {
+      const matrix = await testRequest.get(
+        app,
+        '/ui/admin/permissions/fields',
+        TEST_USERS.admin,
+        { entity: 'supplier' }
+      );
+      const [, roleId, fieldId] = matrix.body.match(/id="fp-([0-9a-f-]{36})-([0-9a-f-]{36})"/) || [];
+
+      expect(roleId).toBeDefined();
+
+      // Make the field editable in the create form, then try to hide it there
+      const editable = await testRequest.post(app, '/ui/admin/permissions/fields', TEST_USERS.admin, {
+        role_id: roleId,
+        field_id: fieldId,
+        flag: 'form_create_editable',
+        value: 'true'
+      });
+      const hidden = await testRequest.post(app, '/ui/admin/permissions/fields', TEST_USERS.admin, {
+        role_id: roleId,
+        field_id: fieldId,
+        flag: 'form_create_visible'
+      });
+
+      expect(editable.statusCode).toBe(200);
+      expect(editable.body).toContain(`id="fp-${roleId}-${fieldId}"`);
+      expect(hidden.statusCode).toBe(400);
+      expect(hidden.body).toContain('read-only');
+    });
+
+    test('POST /ui/admin/permissions/fields validates its input', async () => {
+      const response = await testRequest.post(app, '/ui/admin/permissions/fields', TEST_USERS.admin, {
+        role_id: 'not-a-uuid',
+        field_id: '00000000-0000-4000-8000-000000000000',
+        flag: 'list_visible'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /ui/admin/permissions/fields/condition opens the record condition editor', async () => {
+      const matrix = await testRequest.get(
+        app,
+        '/ui/admin/permissions/fields',
+        TEST_USERS.admin,
+        { entity: 'purchase_order' }
+      );
+      const [, roleId, fieldId] = matrix.body.match(/id="fp-([0-9a-f-]{36})-([0-9a-f-]{36})"/) || [];
+
+      expect(roleId).toBeDefined();
+
+      const response = await testRequest.get(
+        app,
+        '/ui/admin/permissions/fields/condition',
+        TEST_USERS.admin,
+        { role_id: roleId, field_id: fieldId }
+      );
+
+      expect(matrix.body).toContain('id="field-condition-editor"');
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('id="field-condition-form"');
+      expect(response.body).toContain('Editable while');
+    });
+
+    test('POST /ui/admin/permissions/fields/condition rejects unknown fields', async () => {
+      const matrix = await testRequest.get(
+        app,
+        '/ui/admin/permissions/fields',
+        TEST_USERS.admin,
+        { entity: 'purchase_order' }
+      );
+      const [, roleId, fieldId] = matrix.body.match(/id="fp-([0-9a-f-]{36})-([0-9a-f-]{36})"/) || [];
+
+      expect(roleId).toBeDefined();
+
+      const response = await testRequest.post(app, '/ui/admin/permissions/fields/condition', TEST_USERS.admin, {
+        role_id: roleId,
+        field_id: fieldId,
+        mode: 'rows',
+        subject_r1: 'no_such_column',
+        operator_r1: 'equals',
+        value_r1: 'draft'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /ui/admin/permissions/actions renders the role x action grid', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/admin/permissions/actions',
+        TEST_USERS.admin,
+        { entity: 'purchase_order' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('id="action-permission-admin"');
+      expect(response.body).toContain('ap-matrix');
+      expect(response.body).toContain('id="condition-builder"');
+    });
+
+    test('POST /ui/admin/permissions/actions/condition rejects unknown fields', async () => {
+      const response = await testRequest.post(app, '/ui/admin/permissions/actions/condition', TEST_USERS.admin, {
+        role_id: '00000000-0000-0000-0000-000000000002',
+        entity: 'purchase_order',
+        action: 'edit',
+        subject_r1: 'no_such_column',
+        operator_r1: 'equals',
+        value_r1: 'x'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /ui/admin/permissions/actions/condition validates every condition of a group', async () => {
+      const response = await testRequest.post(app, '/ui/admin/permissions/actions/condition', TEST_USERS.admin, {
+        role_id: '00000000-0000-0000-0000-000000000002',
+        entity: 'purchase_order',
+        action: 'edit',
+        match: 'all',
+        subject_r1: 'status',
+        operator_r1: 'in',
+        value_r1: 'draft,rejected',
+        subject_r2: 'user.department',
+        operator_r2: 'equals',
+        value_r2: 'purchasing'
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toContain('Unknown user attribute');
+    });
+
+    test('POST /ui/admin/permissions/actions/condition rejects malformed JSON rules', async () => {
+      const response = await testRequest.post(app, '/ui/admin/permissions/actions/condition', TEST_USERS.admin, {
+        role_id: '00000000-0000-0000-0000-000000000002',
+        entity: 'purchase_order',
+        action: 'edit',
+        mode: 'json',
+        rule_json: '{"all": [{"field": "status"'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /ui/admin/permissions/actions/test requires a record and a user', async () => {
+      const response = await testRequest.post(app, '/ui/admin/permissions/actions/test', TEST_USERS.admin, {
+        role_id: '00000000-0000-0000-0000-000000000002',
+        entity: 'purchase_order',
+        action: 'edit',
+        field: 'status',
+        operator: 'equals',
+        value: 'draft'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  // =========================================================================
+  // Purchase Order API
+  // =========================================================================
+  describe('Purchase Order API', () => {
+    let createdPoId;
+
+    test('POST /api/purchase_order creates a PO', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/purchase_order',
+        TEST_USERS.admin,
+        {
+          supplier_id: testData.supplierId,
+          po_date: new Date().toISOString().split('T')[0],
+          currency: 'USD',
+          notes: 'Integration test PO',
+          lines: [
+            {
+              item_code: 'TEST-INT-001',
+              item_description: 'Integration Test Item',
+              quantity_ordered: 10,
+              unit_price: 50.00,
+              uom: 'EA'
+            }
+          ]
+        }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+
+      // Try to extract PO ID from HX-Trigger header if available
+      const hxTrigger = response.headers['hx-trigger'];
+      if (hxTrigger) {
+        const triggerData = JSON.parse(hxTrigger);
+        if (triggerData.showToast?.type === 'success') {
+          // PO was created successfully
+          createdPoId = testData.poId; // Use existing test data for cleanup
+        }
+      }
+    });
+
+    test('POST /api/purchase_order requires supplier', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/purchase_order',
+        TEST_USERS.admin,
+        {
+          po_date: new Date().toISOString().split('T')[0],
+          lines: []
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/purchase_order returns list data', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/purchase_order',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+      const data = JSON.parse(response.body);
+      expect(data).toBeDefined();
+    });
+
+    test('GET /api/purchase_order/:id returns single record', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await testRequest.get(
+        app,
+        `/api/purchase_order/${testData.poId}`,
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('PUT /api/purchase_order/:id updates record', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await testRequest.put(
+        app,
+        `/api/purchase_order/${testData.poId}`,
+        TEST_USERS.admin,
+        { notes: 'Updated via integration test' }
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('POST /api/:entity/:id/transition/:name rejects transitions invalid for the current state', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: `/api/purchase_order/${testData.poId}/transition/approve`,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(409);
+      expect(JSON.parse(response.body).error).toContain('with status: draft');
+    });
+
+    test('POST /api/:entity/:id/transition/:name rejects unknown transitions', async () => {
+      expect(testData.poId).toBeDefined();
+
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: `/api/purchase_order/${testData.poId}/transition/ship`,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/approvals/pending returns the waiting steps as JSON', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/approvals/pending',
+        TEST_USERS.purchaseManager
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(Array.isArray(JSON.parse(response.body))).toBe(true);
+    });
+  });
+
+  // =========================================================================
+  // Workflow Transitions
+  // =========================================================================
+  describe('Workflow Transitions', () => {
+    const poIds = [];
+
+    const createDraftPo = async () => {
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: '/api/purchase_order',
+        payload: {
+          supplier_id: testData.supplierId,
+          currency: 'USD',
+          notes: 'Workflow transition test',
+          lines: [
+            { item_code: 'WF-001', item_description: 'Workflow Test Item', quantity_ordered: 2, unit_price: 25, uom: 'EA' }
+          ]
+        },
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(201);
+      const { po_id: poId } = JSON.parse(response.body);
+      poIds.push(poId);
+      return poId;
+    };
+
+    const transition = (poId, name, payload) => injectWithAuth(app, TEST_USERS.admin, {
+      method: 'POST',
+      url: `/api/purchase_order/${poId}/transition/${name}`,
+      payload,
+      headers: { Accept: 'application/json' }
+    });
+
+    const getStatus = async (poId) => {
+      const response = await testRequest.get(app, `/api/purchase_order/${poId}`, TEST_USERS.admin);
+      return JSON.parse(response.body).status;
+    };
+
+    afterAll(async () => {
+      for (const poId of poIds) {
+        await cleanupTestData({ poId });
+      }
+    });
+
+    test('submit moves a PO from draft to submitted', async () => {
+      const poId = await createDraftPo();
+
+      const response = await transition(poId, 'submit');
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).new_status).toBe('submitted');
+      expect(await getStatus(poId)).toBe('submitted');
+    });
+
+    test('reject, reopen and cancel move a PO through rejected and draft to cancelled', async () => {
+      const poId = await createDraftPo();
+
+      expect((await transition(poId, 'submit')).statusCode).toBe(200);
+
+      const rejected = await transition(poId, 'reject', { reason: 'Wrong supplier' });
+      expect(rejected.statusCode).toBe(200);
+      expect(await getStatus(poId)).toBe('rejected');
+
+      const reopened = await transition(poId, 'reopen');
+      expect(reopened.statusCode).toBe(200);
+      expect(await getStatus(poId)).toBe('draft');
+
+      const cancelled = await transition(poId, 'cancel', { reason: 'No longer needed' });
+      expect(cancelled.statusCode).toBe(200);
+      expect(await getStatus(poId)).toBe('cancelled');
+    });
+
+    test('revert follows the workflow\'s editable states', async () => {
+      const poId = await createDraftPo();
+      await testRequest.put(app, `/api/purchase_order/${poId}`, TEST_USERS.admin, { notes: 'Mistaken edit' });
+
+      const { data: entries } = await getTestClient().from('audit_trail')
+        .select('audit_id')
+        .eq('table_name', 'purchase_orders')
+        .eq('record_id', poId)
+        .eq('operation', 'UPDATE')
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      expect(entries).toHaveLength(1);
+
+      const revert = () => injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: `/api/purchase_order/${poId}/revert/${entries[0].audit_id}`,
+        headers: { Accept: 'application/json' }
+      });
+
+      // Submitted is an editable state; approved is not
+      expect((await transition(poId, 'submit')).statusCode).toBe(200);
+      expect((await revert()).statusCode).toBe(200);
+
+      expect((await transition(poId, 'approve')).statusCode).toBe(200);
+      const locked = await revert();
+
+      expect(locked.statusCode).toBe(409);
+      expect(JSON.parse(locked.body).error).toContain('with status: approved');
+    });
+  });
+
+  // =========================================================================
+  // Goods Receipt API
+  // =========================================================================
+  describe('Goods Receipt API', () => {
+    test('POST /api/goods_receipt requires po_id', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/goods_receipt',
+        TEST_USERS.admin,
+        {
+          receipt_date: new Date().toISOString().split('T')[0]
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/goods_receipt/:id/partial_accept requires lines', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/goods_receipt/00000000-0000-4000-8000-000000000000/partial_accept',
+        TEST_USERS.warehouseStaff,
+        { notes: 'No lines' }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/goods_receipt/:id/partial_accept validates line IDs', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/goods_receipt/00000000-0000-4000-8000-000000000000/partial_accept',
+        TEST_USERS.warehouseStaff,
+        { lines: [{ gr_line_id: 'not-a-uuid', quantity_accepted: 1, quantity_rejected: 0 }] }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /ui/goods_receipt/form/inspect requires record ID', async () => {
+      const response = await testRequest.get(
+        app,
+        '/ui/goods_receipt/form/inspect',
+        TEST_USERS.warehouseStaff
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/goods_receipt returns list data', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/goods_receipt',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+  });
+
+  // =========================================================================
+  // Invoice Receipt API
+  // =========================================================================
+  describe('Invoice Receipt API', () => {
+    test('POST /api/invoice_receipt requires po_id', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/invoice_receipt',
+        TEST_USERS.admin,
+        {
+          vendor_invoice_number: 'TEST-INV-001'
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/invoice_receipt requires vendor_invoice_number', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/invoice_receipt',
+        TEST_USERS.admin,
+        {
+          po_id: testData.poId
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/invoice_receipt returns list data', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/invoice_receipt',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+  });
+
+  // =========================================================================
+  // Payment API
+  // =========================================================================
+  describe('Payment API', () => {
+    test('POST /api/payment requires invoice_id', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/payment',
+        TEST_USERS.admin,
+        {
+          amount: 100.00
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/payment requires valid amount', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/payment',
+        TEST_USERS.admin,
+        {
+          invoice_id: '00000000-0000-0000-0000-000000000001',
+          amount: 0
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/payment/:id/reverse requires reason', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/payment/00000000-0000-4000-8000-000000000000/reverse',
+        TEST_USERS.accountant,
+        {}
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('POST /api/payment/:id/reverse returns 404 for unknown payment', async () => {
+      const response = await injectWithAuth(app, TEST_USERS.accountant, {
+        method: 'POST',
+        url: '/api/payment/00000000-0000-4000-8000-000000000000/reverse',
+        payload: { reason: 'Wrong account' },
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('GET /api/payment returns list data', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/payment',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+  });
+
+  // =========================================================================
+  // Generic CRUD
+  // =========================================================================
+  describe('Generic CRUD Endpoints', () => {
+    let createdSupplierId;
+
+    afterAll(async () => {
+      if (createdSupplierId) {
+        await getTestClient().from('suppliers').delete().eq('supplier_id', createdSupplierId);
+      }
+    });
+
+    test('POST /api/:entity creates a record and returns the view form', async () => {
+      const supplierCode = `INT-${Date.now()}`;
+
+      const response = await testRequest.post(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        {
+          supplier_code: supplierCode,
+          supplier_name: 'Generic Create Test Supplier'
+        }
+      );
+
+      expect(response.statusCode).toBe(201);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('Generic Create Test Supplier');
+
+      const { data } = await getTestClient().from('suppliers')
+        .select('supplier_id, payment_terms_days')
+        .eq('supplier_code', supplierCode)
+        .single();
+
+      createdSupplierId = data?.supplier_id;
+      expect(data?.payment_terms_days).toBe(30);
+    });
+
+    test('POST /api/:entity enforces validation_rule', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        {
+          supplier_code: 'lowercase code',
+          supplier_name: 'Invalid Supplier'
+        }
+      );
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toContain('Supplier Code');
+    });
+
+    test('POST /api/:entity enforces required fields', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        { supplier_code: `INT-${Date.now()}` }
+      );
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toContain('Supplier Name is required');
+    });
+
+    test('POST /api/:entity rejects unknown entities', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/not_an_entity',
+        TEST_USERS.admin,
+        { name: 'x' }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/supplier returns list data', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('GET /api/:entity?cursor= pages by keyset without repeating rows', async () => {
+      const first = await testRequest.get(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        { cursor: '', page_size: 1, sort: 'supplier_name' }
+      );
+
+      expect(first.statusCode).toBe(200);
+      const [firstPage] = JSON.parse(first.body);
+      expect(firstPage).toHaveProperty('has_more');
+
+      expect(firstPage.has_more).toBe(true);
+
+      const second = await testRequest.get(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        { cursor: firstPage.next_cursor, page_size: 1, sort: 'supplier_name' }
+      );
+
+      expect(second.statusCode).toBe(200);
+      const [secondPage] = JSON.parse(second.body);
+      expect(secondPage.data).toHaveLength(1);
+      expect(secondPage.data[0].supplier_id).not.toBe(firstPage.data[0].supplier_id);
+    });
+
+    test('GET /api/:entity rejects a cursor issued for another sort field', async () => {
+      const first = await testRequest.get(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        { cursor: '', page_size: 1, sort: 'supplier_name' }
+      );
+      const [firstPage] = JSON.parse(first.body);
+
+      expect(firstPage.has_more).toBe(true);
+
+      const response = await testRequest.get(
+        app,
+        '/api/supplier',
+        TEST_USERS.admin,
+        { cursor: firstPage.next_cursor, page_size: 1 }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('PUT /api/:entity/:id updates record', async () => {
+      expect(testData.supplierId).toBeDefined();
+
+      const response = await testRequest.put(
+        app,
+        `/api/supplier/${testData.supplierId}`,
+        TEST_USERS.admin,
+        { supplier_name: 'Updated via generic CRUD test' }
+      );
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('PUT /api/:entity/:id records the acting user in audit_trail', async () => {
+      const response = await testRequest.put(
+        app,
+        `/api/supplier/${testData.supplierId}`,
+        TEST_USERS.admin,
+        { contact_phone: '555-0142' }
+      );
+      expect(response.statusCode).toBe(200);
+
+      const { data: entries } = await getTestClient().from('audit_trail')
+        .select('changed_by')
+        .eq('table_name', 'suppliers')
+        .eq('record_id', testData.supplierId)
+        .eq('operation', 'UPDATE')
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].changed_by).toBe(TEST_USERS.admin);
+    });
+
+    test('POST /api/:entity/:id/revert/:audit_id restores the earlier values', async () => {
+      expect(testData.supplierId).toBeDefined();
+
+      const url = `/api/supplier/${testData.supplierId}`;
+      await testRequest.put(app, url, TEST_USERS.admin, { supplier_name: 'Before mistaken edit' });
+      await testRequest.put(app, url, TEST_USERS.admin, { supplier_name: 'Mistaken edit' });
+
+      const { data: entries } = await getTestClient().from('audit_trail')
+        .select('audit_id')
+        .eq('table_name', 'suppliers')
+        .eq('record_id', testData.supplierId)
+        .eq('operation', 'UPDATE')
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      expect(entries).toHaveLength(1);
+
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: `${url}/revert/${entries[0].audit_id}`,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      const data = JSON.parse(response.body);
+      expect(data.reverted_audit_id).toBe(entries[0].audit_id);
+      expect(data.new_values.supplier_name).toBe('Before mistaken edit');
+    });
+
+    test('POST /api/:entity/:id/revert/:audit_id returns 404 for unknown audit entries', async () => {
+      expect(testData.supplierId).toBeDefined();
+
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: `/api/supplier/${testData.supplierId}/revert/00000000-0000-4000-8000-000000000000`,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('POST /api/:entity/:id/revert/:audit_id requires edit permission', async () => {
+      expect(testData.supplierId).toBeDefined();
+
+      const response = await injectWithAuth(app, TEST_USERS.viewer, {
+        method: 'POST',
+        url: `/api/supplier/${testData.supplierId}/revert/00000000-0000-4000-8000-000000000000`,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('POST /api/:entity/bulk/update reports each record', async () => {
+      expect(testData.supplierId).toBeDefined();
+
+      const missingId = '00000000-0000-4000-8000-000000000000';
+
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: '/api/supplier/bulk/update',
+        payload: { ids: [testData.supplierId, missingId], updates: { contact_phone: '555-0199' } },
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      const data = JSON.parse(response.body);
+      expect(data.total).toBe(2);
+      expect(data.success_count).toBe(1);
+      expect(data.results.find(r => r.record_id === missingId).success).toBe(false);
+    });
+
+    test('POST /api/:entity/bulk/update rejects fields outside UPDATABLE_FIELDS', async () => {
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: '/api/supplier/bulk/update',
+        payload: { ids: [testData.supplierId], updates: { supplier_code: 'HACK' } },
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toContain('supplier_code');
+    });
+
+    test('POST /api/:entity/bulk/update edits invoice notes', async () => {
+      const client = getTestClient();
+      const today = new Date().toISOString().split('T')[0];
+      const { data: invoice, error } = await client.from('invoice_receipts')
+        .insert([{
+          invoice_number: `BULK-INV-${Date.now()}`,
+          po_id: testData.poId,
+          invoice_date: today,
+          due_date: today,
+          total_amount: 10
+        }])
+        .select('invoice_id')
+        .single();
+      expect(error).toBeNull();
+
+      try {
+        const response = await injectWithAuth(app, TEST_USERS.admin, {
+          method: 'POST',
+          url: '/api/invoice_receipt/bulk/update',
+          payload: { ids: [invoice.invoice_id], updates: { notes: 'Bulk updated via test' } },
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).success_count).toBe(1);
+
+        const { data: stored } = await client.from('invoice_receipts')
+          .select('notes')
+          .eq('invoice_id', invoice.invoice_id)
+          .single();
+        expect(stored.notes).toBe('Bulk updated via test');
+      } finally {
+        await cleanupTestData({ invoiceId: invoice.invoice_id });
+      }
+    });
+
+    test('POST /api/:entity/bulk/delete renders a summary for HTMX', async () => {
+      const response = await injectWithAuth(app, TEST_USERS.admin, {
+        method: 'POST',
+        url: '/api/supplier/bulk/delete',
+        payload: 'ids=00000000-0000-4000-8000-000000000000',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'HX-Request': 'true' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('0 of 1 records deleted');
+      expect(response.body).toContain('bulk-failures');
+    });
+
+    test('POST /api/:entity/bulk/delete requires ids', async () => {
+      const response = await testRequest.post(
+        app,
+        '/api/supplier/bulk/delete',
+        TEST_USERS.admin,
+        { ids: [] }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  // =========================================================================
+  // Export
+  // =========================================================================
+  describe('Export', () => {
+    test('GET /api/:entity/export streams CSV with list columns', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/supplier/export',
+        TEST_USERS.admin,
+        { format: 'csv', sort: 'supplier_name' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="supplier-.*\.csv"/);
+
+      const [header] = response.body.replace(/^\uFEFF/, '').split('\r\n');
+      expect(header.split(',')).toContain('supplier_name');
+    });
+
+    test('GET /api/:entity/export?format=xlsx returns a workbook', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/supplier/export',
+        TEST_USERS.admin,
+        { format: 'xlsx' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('spreadsheetml.sheet');
+      expect(response.rawPayload.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    test('GET /api/:entity/export rejects unknown formats', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/supplier/export',
+        TEST_USERS.admin,
+        { format: 'pdf' }
+      );
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('GET /api/:entity/export requires the export permission, not just read', async () => {
+      const response = await testRequest.get(
+        app,
+        '/api/supplier/export',
+        TEST_USERS.viewer,
+        { format: 'csv' }
+      );
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  // =========================================================================
+  // Import
+  // =========================================================================
+  describe('Import', () => {
+    const stamp = Date.now();
+    const codes = [`IMP-${stamp}-A`, `IMP-${stamp}-B`];
+
+    afterAll(async () => {
+      await getTestClient().from('suppliers').delete().in('supplier_code', codes);
+    });
+
+    const upload = (userId, csv, headers = {}) => {
+      const boundary = 'import-test-boundary';
+
+      return injectWithAuth(app, userId, {
+        method: 'POST',
+        url: '/api/supplier/import',
+        payload: [
+          `--${boundary}`,
+          'Content-Disposition: form-data; name="file"; filename="suppliers.csv"',
+          'Content-Type: text/csv',
+          '',
+          csv,
+          `--${boundary}--`,
+          ''
+        ].join('\r\n'),
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          Accept: 'application/json',
+          ...headers
+        }
+      });
+    };
+
+    const runImport = (importId, action, mapping) => injectWithAuth(app, TEST_USERS.admin, {
+      method: 'POST',
+      url: `/api/supplier/import/${importId}/${action}`,
+      payload: { mapping },
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+    });
+
+    const findImported = async () => {
+      const { data } = await getTestClient().from('suppliers')
+        .select('supplier_code')
+        .in('supplier_code', codes);
+      return data || [];
+    };
+
+    const mapping = ['supplier_code', 'supplier_name', null];
+
+    test('POST /api/:entity/import requires the import permission', async () => {
+      const response = await upload(TEST_USERS.viewer, `Supplier Code,Supplier Name\n${codes[0]},Viewer Import\n`);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('POST /api/:entity/import answers HTMX with a preselected mapping form', async () => {
+      const response = await upload(
+        TEST_USERS.admin,
+        `Supplier Code,Supplier Name\n${codes[0]},Mapped Supplier\n`,
+        { 'HX-Request': 'true' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain('name="field"');
+      expect(response.body).toContain('value="supplier_code" selected');
+      expect(response.body).toContain('/import/');
+    });
+
+    test('dry run reports each invalid row and creates nothing', async () => {
+      const uploaded = await upload(
+        TEST_USERS.admin,
+        `Code,Name,Comment\r\n${codes[0]},"Import, Valid",x\r\n${codes[1]},,y\r\n`
+      );
+
+      expect(uploaded.statusCode).toBe(201);
+      const { import_id: importId, row_count: rowCount } = JSON.parse(uploaded.body);
+      expect(rowCount).toBe(2);
+
+      const response = await runImport(importId, 'dry_run', mapping);
+      const result = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(result).toMatchObject({ dry_run: true, committed: false, success_count: 1, failure_count: 1 });
+      expect(result.results[1]).toMatchObject({ row: 3, success: false });
+      expect(result.results[1].validation_errors).toHaveProperty('supplier_name');
+      expect(await findImported()).toHaveLength(0);
+    });
+
+    test('commit rolls back every row when one row fails', async () => {
+      const uploaded = await upload(TEST_USERS.admin, `Code,Name,Comment\n${codes[0]},Import Valid,\n${codes[1]},,\n`);
+      const { import_id: importId } = JSON.parse(uploaded.body);
+
+      const response = await runImport(importId, 'commit', mapping);
+
+      expect(response.statusCode).toBe(422);
+      expect(JSON.parse(response.body)).toMatchObject({ committed: false, failure_count: 1 });
+      expect(await findImported()).toHaveLength(0);
+    });
+
+    test('commit creates all rows once', async () => {
+      const uploaded = await upload(TEST_USERS.admin, `Code,Name,Comment\n${codes[0]},Import A,\n${codes[1]},Import B,\n`);
+      const { import_id: importId } = JSON.parse(uploaded.body);
+
+      const response = await runImport(importId, 'commit', mapping);
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toMatchObject({ committed: true, success_count: 2 });
+      expect(await findImported()).toHaveLength(2);
+
+      const again = await runImport(importId, 'commit', mapping);
+      expect(again.statusCode).toBe(409);
+    });
+
+    test('rejects a mapping that does not cover every column', async () => {
+      const uploaded = await upload(TEST_USERS.admin, `Code,Name,Comment\nIMP-X,Unused,\n`);
+      const { import_id: importId } = JSON.parse(uploaded.body);
+
+      const response = await runImport(importId, 'dry_run', ['supplier_code']);
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('reusing an Idempotency-Key for a different file is rejected', async () => {
+      const key = `import-${Date.now()}`;
+      const csv = `Code,Name\n${codes[0]},Keyed Import\n`;
+
+      const first = await upload(TEST_USERS.admin, csv, { 'Idempotency-Key': key });
+      const replayed = await upload(TEST_USERS.admin, csv, { 'Idempotency-Key': key });
+      const changed = await upload(TEST_USERS.admin, `Code,Name\n${codes[1]},Other File\n`, { 'Idempotency-Key': key });
+
+      expect(first.statusCode).toBe(201);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      expect(JSON.parse(replayed.body).import_id).toBe(JSON.parse(first.body).import_id);
+      expect(changed.statusCode).toBe(422);
+    });
+  });
+
+  // =========================================================================
+  // Content Negotiation
+  // =========================================================================
+  describe('Content Negotiation', () => {
+    let createdSupplierId;
+
+    afterAll(async () => {
+      if (createdSupplierId) {
+        await getTestClient().from('suppliers').delete().eq('supplier_id', createdSupplierId);
+      }
+    });
+
+    const postAs = (url, headers, payload) => injectWithAuth(app, TEST_USERS.admin, {
+      method: 'POST',
+      url,
+      payload,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+
+    test('JSON callers get the create_record result with 201', async () => {
+      const response = await postAs('/api/supplier', { Accept: 'application/json' }, {
+        supplier_code: `NEG-${Date.now()}`,
+        supplier_name: 'Negotiation Test Supplier'
+      });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.headers['hx-trigger']).toBeUndefined();
+
+      const data = JSON.parse(response.body);
+      createdSupplierId = data.record_id;
+      expect(data.success).toBe(true);
+      expect(data.record_id).toBeDefined();
+    });
+
+    test('JSON callers get validation failures as JSON', async () => {
+      const response = await postAs('/api/purchase_order', { Accept: 'application/json' }, {
+        supplier_id: '00000000-0000-0000-0000-000000000000',
+        lines: [{ item_code: 'NEG-001', item_description: 'Test', quantity_ordered: 1, unit_price: 1, uom: 'EA' }]
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.headers['content-type']).toContain('application/json');
+
+      const data = JSON.parse(response.body);
+      expect(data.success).toBe(false);
+      expect(data.error).toContain('supplier');
+    });
+
+    test('JSON callers get 404 for missing records', async () => {
+      const response = await postAs(
+        '/api/purchase_order/00000000-0000-0000-0000-000000000000/submit',
+        { Accept: 'application/json' },
+        {}
+      );
+
+      expect(response.statusCode).toBe(404);
+      expect(JSON.parse(response.body).error).toContain('not found');
+    });
+
+    test('HX-Request wins over Accept: application/json', async () => {
+      const response = await postAs(
+        '/api/purchase_order/00000000-0000-0000-0000-000000000000/submit',
+        { Accept: 'application/json', 'HX-Request': 'true' },
+        {}
+      );
+
+      expect(response.statusCode).toBe(400);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(JSON.parse(response.headers['hx-trigger']).showToast.type).toBe('error');
+    });
+  });
+
+  // =========================================================================
+  // Optimistic Concurrency
+  // =========================================================================
+  describe('Optimistic Concurrency', () => {
+    const getVersion = async () => {
+      const response = await testRequest.get(app, `/api/supplier/${testData.supplierId}`, TEST_USERS.admin);
+      return response.headers.etag;
+    };
+
+    const putAs = (headers, payload) => injectWithAuth(app, TEST_USERS.admin, {
+      method: 'PUT',
+      url: `/api/supplier/${testData.supplierId}`,
+      payload,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+
+    test('GET /api/:entity/:id returns the record version as ETag', async () => {
+      const etag = await getVersion();
+
+      expect(etag).toMatch(/^"\d+"$/);
+    });
+
+    test('PUT with the current If-Match succeeds and returns a new ETag', async () => {
+      const etag = await getVersion();
+
+      const response = await putAs({ 'If-Match': etag }, { supplier_name: 'Concurrency test - current' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.etag).toBeDefined();
+    });
+
+    test('PUT with a stale If-Match is rejected with 409 for JSON callers', async () => {
+      const stale = await getVersion();
+      await putAs({}, { supplier_name: 'Concurrency test - other editor' });
+
+      const response = await putAs(
+        { 'If-Match': stale, Accept: 'application/json' },
+        { supplier_name: 'Concurrency test - stale' }
+      );
+
+      expect(response.statusCode).toBe(409);
+      const data = JSON.parse(response.body);
+      expect(data.conflict).toBe(true);
+      expect(data.current_values.supplier_name).toBe('Concurrency test - other editor');
+    });
+
+    test('Stale _version from an HTMX form returns a rendered diff', async () => {
+      const response = await putAs(
+        { 'HX-Request': 'true' },
+        { supplier_name: 'Concurrency test - stale form', _version: '0' }
+      );
+
+      expect(response.statusCode).toBe(409);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('conflict-table');
+      expect(response.body).toContain('Concurrency test - stale form');
+    });
+  });
+
+  // =========================================================================
+  // Idempotency Keys
+  // =========================================================================
+  describe('Idempotency Keys', () => {
+    const supplierCode = `IDEM-${Date.now()}`;
+    const key = `test-${Date.now()}`;
+
+    afterAll(async () => {
+      await getTestClient().from('suppliers').delete().eq('supplier_code', supplierCode);
+    });
+
+    const postWithKey = (idempotencyKey, payload) => injectWithAuth(app, TEST_USERS.admin, {
+      method: 'POST',
+      url: '/api/supplier',
+      payload,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'Idempotency-Key': idempotencyKey
+      }
+    });
+
+    test('Repeating a key replays the stored response without re-running', async () => {
+      const payload = { supplier_code: supplierCode, supplier_name: 'Idempotency Test Supplier' };
+
+      const first = await postWithKey(key, payload);
+      const second = await postWithKey(key, payload);
+
+      expect(first.statusCode).toBe(201);
+      expect(second.statusCode).toBe(201);
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(JSON.parse(second.body).record_id).toBe(JSON.parse(first.body).record_id);
+
+      const { data } = await getTestClient().from('suppliers')
+        .select('supplier_id')
+        .eq('supplier_code', supplierCode);
+
+      expect(data).toHaveLength(1);
+    });
+
+    test('Reusing a key for a different request is rejected', async () => {
+      const response = await postWithKey(key, {
+        supplier_code: `${supplierCode}-B`,
+        supplier_name: 'Different Request'
+      });
+
+      expect(response.statusCode).toBe(422);
+    });
+
+    test('A failed request releases its key for a corrected retry', async () => {
+      const retryKey = `${key}-retry`;
+
+      const failed = await postWithKey(retryKey, { supplier_name: 'Missing Code' });
+      expect(failed.statusCode).toBe(400);
+
+      const retried = await postWithKey(retryKey, { supplier_name: 'Missing Code' });
+      expect(retried.headers['idempotent-replayed']).toBeUndefined();
     });
   });
 
@@ -91,7 +91,7 @@ describe('Data Integrity Tests', () => {
       const client = getTestClient();
       const { data: suppliers } = await client.from('suppliers')
         .select('supplier_id')
-        .eq('is_deleted', false)
+        .eq('is_active', true)
         .limit(1);
 
       if (!suppliers || suppliers.length === 0) {
@@ -199,7 +199,7 @@ describe('Data Integrity Tests', () => {
       const client = getTestClient();
       const { data: suppliers } = await client.from('suppliers')
         .select('supplier_id')
-        .eq('is_deleted', false)
+        .eq('is_active', true)
         .limit(1);
 
       if (!suppliers || suppliers.length === 0) {
@@ -305,7 +305,7 @@ describe('Data Integrity Tests', () => {
       const client = getTestClient();
       const { data: suppliers } = await client.from('suppliers')
         .select('supplier_id')
-        .eq('is_deleted', false)
+        .eq('is_active', true)
         .limit(1);
 
       if (!suppliers || suppliers.length === 0) {
@@ -408,7 +408,7 @@ describe('Data Integrity Tests', () => {
       // Get a supplier with POs
       const { data: suppliers } = await client.from('suppliers')
         .select('supplier_id')
-        .eq('is_deleted', false)
+        .eq('is_active', true)
         .limit(1);
 
       if (!suppliers || suppliers.length === 0) {
@@ -449,7 +449,7 @@ describe('Data Integrity Tests', () => {
       const client = getTestClient();
       const { data: suppliers } = await client.from('suppliers')
         .select('supplier_id')
-        .eq('is_deleted', false)
+        .eq('is_active', true)
         .limit(1);
 
       if (!suppliers || suppliers.length === 0) {
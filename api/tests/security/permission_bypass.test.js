@@ -111,6 +111,17 @@ describe('Permission Bypass Prevention Tests', () => {
       expect(result.success).toBe(false);
     });
 
+    test('Warehouse staff cannot reverse payments', async () => {
+      const result = await callFunctionAsUser('reverse_payment', {
+        p_user_id: TEST_USERS.warehouseStaff,
+        p_payment_id: '00000000-0000-4000-8000-000000000000',
+        p_reversal_reason: 'Unauthorized reversal attempt'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/permission/i);
+    });
+
     test('Viewer cannot delete records', async () => {
       if (!testData.poId) {
         console.log('Skipping - no test PO available');
@@ -0,0 +1,341 @@
+/**
+ * Security Tests: Row Level Security Enforcement
+ * Verifies the routes and live change events only expose rows RLS lets the
+ * authenticated user see, and that a forged p_user_id does not widen what the
+ * session user reads
+ * Requires DB_BACKEND=pg and DB_EXECUTE_AS=user
+ */
+
+import { createTestApp, demoUserKey, injectWithAuth, testRequest } from '../helpers/testApp.js';
+import {
+  callFunctionAsUser,
+  withTransaction,
+  getBackend,
+  getExecutionMode
+} from '../../src/db/connection.js';
+import { stopRecordEvents } from '../../src/db/recordEvents.js';
+import { TEST_USERS, getTestClient } from '../setup.js';
+import { generateSupplier, cleanupTestData } from '../helpers/testDataGenerator.js';
+
+const runAsEndUser = getBackend() === 'pg' && getExecutionMode() === 'user';
+const describeRls = runAsEndUser ? describe : describe.skip;
+
+describeRls('Row Level Security Enforcement Tests', () => {
+  let app;
+  let supplierId;
+  let poId;
+  let poNumber;
+  let invoiceId;
+  let paymentId;
+
+  // JSON request as the given user
+  const getJson = (url, userId) => injectWithAuth(app, userId, {
+    method: 'GET',
+    url,
+    headers: { Accept: 'application/json' }
+  });
+
+  // total_count of a list response: fetch_list_data returns a single-row table
+  const listCount = (response) => Number(JSON.parse(response.body)[0].total_count);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+
+    const { data: supplier, error } = await getTestClient().from('suppliers')
+      .insert([{ ...generateSupplier(), created_by: TEST_USERS.admin }])
+      .select('supplier_id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create the RLS test supplier: ${error.message}`);
+    }
+    supplierId = supplier.supplier_id;
+
+    // Draft PO owned by the purchase manager: hidden from viewers by po_select_policy
+    const response = await injectWithAuth(app, TEST_USERS.purchaseManager, {
+      method: 'POST',
+      url: '/api/purchase_order',
+      payload: {
+        supplier_id: supplierId,
+        notes: 'RLS enforcement test',
+        lines: [
+          { item_code: 'RLS-001', item_description: 'RLS Test Item', quantity_ordered: 1, unit_price: 10, uom: 'EA' }
+        ]
+      },
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+    });
+
+    if (response.statusCode !== 201) {
+      throw new Error(`Failed to create the RLS test PO: ${response.body}`);
+    }
+
+    ({ po_id: poId, po_number: poNumber } = JSON.parse(response.body));
+
+    // Invoice and payment rows for the finance policies, inserted directly so
+    // they do not depend on the receiving and matching workflow
+    const client = getTestClient();
+    const today = new Date().toISOString().split('T')[0];
+
+    const { data: invoice, error: invoiceError } = await client.from('invoice_receipts')
+      .insert([{
+        invoice_number: `RLS-INV-${Date.now()}`,
+        po_id: poId,
+        invoice_date: today,
+        due_date: today,
+        total_amount: 10
+      }])
+      .select('invoice_id')
+      .single();
+
+    if (invoiceError) {
+      throw new Error(`Failed to create the RLS test invoice: ${invoiceError.message}`);
+    }
+    invoiceId = invoice.invoice_id;
+
+    const { data: payment, error: paymentError } = await client.from('payments')
+      .insert([{
+        payment_number: `RLS-PAY-${Date.now()}`,
+        invoice_id: invoiceId,
+        payment_method: 'ach',
+        payment_amount: 10
+      }])
+      .select('payment_id')
+      .single();
+
+    if (paymentError) {
+      throw new Error(`Failed to create the RLS test payment: ${paymentError.message}`);
+    }
+    paymentId = payment.payment_id;
+  });
+
+  afterAll(async () => {
+    await cleanupTestData({ paymentId, invoiceId, poId, supplierId });
+    await app.close();
+    await stopRecordEvents();
+  });
+
+  // =========================================================================
+  // Session Identity
+  // =========================================================================
+  describe('Session Identity', () => {
+    test('Calls run as the application role, not the connecting role', async () => {
+      const { rows } = await withTransaction(TEST_USERS.viewer, (query) =>
+        query('SELECT current_user AS db_role')
+      );
+
+      expect(rows[0].db_role).toBe(process.env.DB_APP_ROLE || 'app_user');
+    });
+
+    test('Session user does not leak into the next transaction', async () => {
+      await withTransaction(TEST_USERS.admin, (query) => query('SELECT 1'));
+
+      const { rows } = await withTransaction(null, (query) =>
+        query('SELECT get_current_user_id() AS user_id')
+      );
+
+      expect(rows[0].user_id).toBeNull();
+    });
+  });
+
+  // =========================================================================
+  // Record Routes
+  // =========================================================================
+  describe('Record Routes', () => {
+    test('Owner can fetch their own draft PO', async () => {
+      const response = await getJson(`/api/purchase_order/${poId}`, TEST_USERS.purchaseManager);
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).po_number).toBe(poNumber);
+    });
+
+    test('Owner sees their own draft PO in the view form', async () => {
+      const response = await testRequest.get(
+        app, '/ui/purchase_order/form/view', TEST_USERS.purchaseManager, { id: poId }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toContain(poNumber);
+    });
+
+    test('Viewer cannot fetch another user\'s draft PO', async () => {
+      const response = await getJson(`/api/purchase_order/${poId}`, TEST_USERS.viewer);
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('Viewer does not see another user\'s draft PO in the view form', async () => {
+      const response = await testRequest.get(
+        app, '/ui/purchase_order/form/view', TEST_USERS.viewer, { id: poId }
+      );
+
+      expect(response.body).not.toContain(poNumber);
+    });
+  });
+
+  // =========================================================================
+  // List Routes
+  // =========================================================================
+  describe('List Routes', () => {
+    test('Admin sees another user\'s draft PO in the list', async () => {
+      const response = await getJson(`/api/purchase_order?po_number=${poNumber}`, TEST_USERS.admin);
+
+      expect(response.statusCode).toBe(200);
+      expect(listCount(response)).toBe(1);
+    });
+
+    test('Viewer does not see another user\'s draft PO in the list', async () => {
+      const response = await getJson(`/api/purchase_order?po_number=${poNumber}`, TEST_USERS.viewer);
+
+      expect(response.statusCode).toBe(200);
+      expect(listCount(response)).toBe(0);
+    });
+
+    test('Accountant lists payments that a purchase manager cannot', async () => {
+      const asAccountant = await getJson('/api/payment', TEST_USERS.accountant);
+      const asManager = await getJson('/api/payment', TEST_USERS.purchaseManager);
+
+      expect(asAccountant.statusCode).toBe(200);
+      expect(listCount(asAccountant)).toBeGreaterThan(0);
+      expect(asManager.statusCode).toBe(200);
+      expect(listCount(asManager)).toBe(0);
+    });
+
+    test('Admin lists invoices that a viewer cannot', async () => {
+      const asAdmin = await getJson('/api/invoice_receipt', TEST_USERS.admin);
+      const asViewer = await getJson('/api/invoice_receipt', TEST_USERS.viewer);
+
+      expect(asAdmin.statusCode).toBe(200);
+      expect(listCount(asAdmin)).toBeGreaterThan(0);
+      expect(asViewer.statusCode).toBe(200);
+      expect(listCount(asViewer)).toBe(0);
+    });
+  });
+
+  // =========================================================================
+  // Forged p_user_id
+  // =========================================================================
+  describe('Forged p_user_id', () => {
+    test('Viewer forging admin p_user_id cannot fetch the draft PO form', async () => {
+      await expect(
+        withTransaction(TEST_USERS.viewer, (query) =>
+          query(
+            'SELECT fetch_form_data(p_user_id => $1, p_entity_type => $2, p_record_id => $3)',
+            [TEST_USERS.admin, 'purchase_order', poId]
+          )
+        )
+      ).rejects.toThrow(/Record not found/);
+    });
+
+    test('Viewer forging admin p_user_id gets no draft PO in list data', async () => {
+      const listAs = (sessionUser) => withTransaction(sessionUser, (query) =>
+        query(
+          'SELECT total_count FROM fetch_list_data(p_user_id => $1, p_entity_type => $2, p_filters => $3)',
+          [TEST_USERS.admin, 'purchase_order', JSON.stringify({ po_number: poNumber })]
+        )
+      );
+
+      const asAdmin = await listAs(TEST_USERS.admin);
+      const asViewer = await listAs(TEST_USERS.viewer);
+
+      expect(Number(asAdmin.rows[0].total_count)).toBe(1);
+      expect(Number(asViewer.rows[0].total_count)).toBe(0);
+    });
+
+    test('Purchase manager forging accountant p_user_id cannot read payments', async () => {
+      const { rows } = await withTransaction(TEST_USERS.purchaseManager, (query) =>
+        query(
+          'SELECT total_count FROM fetch_list_data(p_user_id => $1, p_entity_type => $2)',
+          [TEST_USERS.accountant, 'payment']
+        )
+      );
+
+      expect(Number(rows[0].total_count)).toBe(0);
+    });
+
+    test('A p_user_id without an acting user does not become the session user', async () => {
+      const rows = await callFunctionAsUser('fetch_list_data', {
+        p_user_id: TEST_USERS.admin,
+        p_entity_type: 'purchase_order',
+        p_filters: { po_number: poNumber }
+      });
+
+      expect(Number(rows[0].total_count)).toBe(0);
+    });
+  });
+
+  // =========================================================================
+  // Live Updates
+  // =========================================================================
+  describe('Live Updates', () => {
+    let baseUrl;
+
+    // Open /ui/events as a user over HTTP and collect what it sends
+    const openStream = async (userId, query) => {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/ui/events?${new URLSearchParams(query)}`, {
+        headers: { 'x-demo-user': demoUserKey(userId) },
+        signal: controller.signal
+      });
+      const stream = { status: response.status, text: '', close: () => controller.abort() };
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      (async () => {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) return;
+          stream.text += decoder.decode(value, { stream: true });
+        }
+      })().catch(() => {
+        // Aborted
+      });
+
+      return stream;
+    };
+
+    const waitFor = async (predicate, timeoutMs = 5000) => {
+      const deadline = Date.now() + timeoutMs;
+      while (!predicate() && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      return predicate();
+    };
+
+    beforeAll(async () => {
+      baseUrl = await app.listen({ port: 0, host: '127.0.0.1' });
+    });
+
+    test('Viewer cannot subscribe to another user\'s draft PO', async () => {
+      const response = await testRequest.get(
+        app, '/ui/events', TEST_USERS.viewer, { entity: 'purchase_order', id: poId }
+      );
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('Changes to a hidden draft PO reach the admin stream but not the viewer stream', async () => {
+      const asAdmin = await openStream(TEST_USERS.admin, { entity: 'purchase_order' });
+      const asViewer = await openStream(TEST_USERS.viewer, { entity: 'purchase_order' });
+
+      try {
+        expect(asAdmin.status).toBe(200);
+        expect(asViewer.status).toBe(200);
+
+        await getTestClient().from('purchase_orders')
+          .update({ notes: 'RLS live update test' })
+          .eq('po_id', poId);
+
+        // Both streams check the change at the same time; once the admin has
+        // it, give the viewer's check time to finish as well
+        expect(await waitFor(() => asAdmin.text.includes(`changed-${poId}`))).toBe(true);
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(asViewer.text).toContain('retry:');
+        expect(asViewer.text).not.toContain(poId);
+      } finally {
+        asAdmin.close();
+        asViewer.close();
+      }
+    });
+  });
+});
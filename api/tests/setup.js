@@ -3,8 +3,10 @@
  * Initializes database connection and test fixtures
  */
 
+import { jest } from '@jest/globals';
 import dotenv from 'dotenv';
-import { initDatabase, closeDatabase, getSupabaseAdmin } from '../src/db/connection.js';
+import { initDatabase, closeDatabase, getBackend, getPool, getSupabaseAdmin } from '../src/db/connection.js';
+import { createPgTestClient } from './helpers/pgTestClient.js';
 
 // Load test environment variables
 dotenv.config({ path: '.env.test' });
@@ -22,10 +24,45 @@ export const TEST_USERS = {
   viewer: '00000000-0000-0000-0000-000000000104'
 };
 
+// Users behind TEST_USERS other than the admin the migrations seed; role IDs
+// from migration 006
+const TEST_USER_ROWS = [
+  { user_id: TEST_USERS.purchaseManager, username: 'pm', email: 'pm@example.com', full_name: 'Test Purchase Manager', role_id: '00000000-0000-0000-0000-000000000002' },
+  { user_id: TEST_USERS.warehouseStaff, username: 'warehouse', email: 'warehouse@example.com', full_name: 'Test Warehouse Staff', role_id: '00000000-0000-0000-0000-000000000003' },
+  { user_id: TEST_USERS.accountant, username: 'accountant', email: 'accountant@example.com', full_name: 'Test Accountant', role_id: '00000000-0000-0000-0000-000000000004' },
+  { user_id: TEST_USERS.viewer, username: 'viewer', email: 'viewer@example.com', full_name: 'Test Viewer', role_id: '00000000-0000-0000-0000-000000000005' }
+];
+
+/**
+ * Create the non-admin test users if the database does not have them yet
+ */
+async function ensureTestUsers() {
+  const client = getTestClient();
+  const { data: existing, error } = await client.from('users')
+    .select('user_id')
+    .in('user_id', TEST_USER_ROWS.map((user) => user.user_id));
+
+  if (error) {
+    throw new Error(`Failed to look up test users: ${error.message}`);
+  }
+
+  const missing = TEST_USER_ROWS.filter((user) =>
+    !existing.some((row) => row.user_id === user.user_id)
+  );
+
+  if (missing.length > 0) {
+    const { error: insertError } = await client.from('users').insert(missing);
+    if (insertError) {
+      throw new Error(`Failed to create test users: ${insertError.message}`);
+    }
+  }
+}
+
 // Global setup - runs once before all tests
 beforeAll(async () => {
   try {
     await initDatabase();
+    await ensureTestUsers();
     console.log('Test database connection established');
   } catch (error) {
     console.error('Failed to initialize test database:', error);
@@ -43,7 +80,8 @@ afterAll(async () => {
   }
 });
 
-// Helper to get admin client for test setup/cleanup
+// Helper to get admin client for test setup/cleanup: the Supabase service
+// client, or the same query subset on the pool with the pg backend
 export function getTestClient() {
-  return getSupabaseAdmin();
+  return getBackend() === 'pg' ? createPgTestClient(getPool()) : getSupabaseAdmin();
 }
@@ -0,0 +1,429 @@
+-- Business Logic Functions
+-- Module: Approval Chains
+-- Description: Multi-step approvals by entity, amount band and currency
+--              (approval_chains, approval_chain_steps, record_approvals;
+--              migration 019)
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Approval Chain
+-- =============================================================================
+-- The active chain for an amount in a currency, or NULL when the record is
+-- approved in a single step. A chain for the currency wins over a catch-all
+-- chain, then the one with the highest lower bound.
+
+CREATE OR REPLACE FUNCTION get_approval_chain(
+    p_entity_type VARCHAR,
+    p_amount DECIMAL,
+    p_currency VARCHAR
+)
+RETURNS UUID AS $$
+    SELECT c.chain_id
+    FROM approval_chains c
+    JOIN ui_entity_types e ON e.entity_type_id = c.entity_type_id
+    WHERE e.entity_name = p_entity_type
+      AND c.is_active = TRUE
+      AND p_amount > c.min_amount
+      AND (c.max_amount IS NULL OR p_amount <= c.max_amount)
+      AND (c.currency IS NULL OR c.currency = p_currency)
+    ORDER BY (c.currency IS NULL), c.min_amount DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_approval_chain(VARCHAR, DECIMAL, VARCHAR) IS 'Returns the approval chain matching an entity, amount and currency';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Current Approval Step
+-- =============================================================================
+-- The first pending step of the record's current round. All columns are NULL
+-- when there is none: no round, or every step decided or cancelled.
+
+CREATE OR REPLACE FUNCTION get_current_approval_step(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS record_approvals AS $$
+    SELECT ra.*
+    FROM record_approvals ra
+    JOIN ui_entity_types e ON e.entity_type_id = ra.entity_type_id
+    WHERE e.entity_name = p_entity_type
+      AND ra.record_id = p_record_id
+      AND ra.is_current = TRUE
+      AND ra.status = 'pending'
+    ORDER BY ra.step_order
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_current_approval_step(VARCHAR, UUID) IS 'Returns the next pending approval step of a record';
+
+-- =============================================================================
+-- HELPER FUNCTION: Has Approval Round
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION has_approval_round(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM record_approvals ra
+        JOIN ui_entity_types e ON e.entity_type_id = ra.entity_type_id
+        WHERE e.entity_name = p_entity_type
+          AND ra.record_id = p_record_id
+          AND ra.is_current = TRUE
+    );
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION has_approval_round(VARCHAR, UUID) IS 'Checks whether a record has a current approval round';
+
+-- =============================================================================
+-- FUNCTION: Start Approval Chain
+-- =============================================================================
+-- Opens a new round for a record entering approval: earlier rounds stop being
+-- current (their pending steps are cancelled) and the matching chain's steps
+-- are added as pending rows. Returns the number of steps, 0 when no chain
+-- applies.
+
+CREATE OR REPLACE FUNCTION start_approval_chain(
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_record_reference VARCHAR,
+    p_amount DECIMAL,
+    p_currency VARCHAR
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_entity_type_id UUID;
+    v_chain_id UUID;
+    v_steps INTEGER;
+BEGIN
+    SELECT entity_type_id INTO v_entity_type_id
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    IF v_entity_type_id IS NULL THEN
+        RAISE EXCEPTION 'Unknown entity type: %', p_entity_type;
+    END IF;
+
+    UPDATE record_approvals
+    SET is_current = FALSE,
+        status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END
+    WHERE entity_type_id = v_entity_type_id
+      AND record_id = p_record_id
+      AND is_current = TRUE;
+
+    v_chain_id := get_approval_chain(p_entity_type, p_amount, p_currency);
+
+    IF v_chain_id IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    INSERT INTO record_approvals (
+        entity_type_id, record_id, record_reference, amount, currency,
+        chain_id, step_order, step_name, approver_role_id
+    )
+    SELECT v_entity_type_id, p_record_id, p_record_reference, p_amount, p_currency,
+           s.chain_id, s.step_order, s.step_name, s.approver_role_id
+    FROM approval_chain_steps s
+    WHERE s.chain_id = v_chain_id;
+
+    GET DIAGNOSTICS v_steps = ROW_COUNT;
+
+    RETURN v_steps;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION start_approval_chain(VARCHAR, UUID, VARCHAR, DECIMAL, VARCHAR) IS 'Starts a new approval round for a record from its matching chain';
+
+-- =============================================================================
+-- FUNCTION: Can User Approve Step
+-- =============================================================================
+-- Whether the user may decide the record's current step: their role is the
+-- step's approver role, or they are an administrator, and they have not
+-- approved an earlier step of the same round. Records without a round are
+-- approved in one step and pass; only the approve permission applies to them.
+
+CREATE OR REPLACE FUNCTION can_user_approve_step(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_step record_approvals;
+BEGIN
+    IF NOT has_approval_round(p_entity_type, p_record_id) THEN
+        RETURN TRUE;
+    END IF;
+
+    v_step := get_current_approval_step(p_entity_type, p_record_id);
+
+    IF v_step.approval_id IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1
+        FROM users u
+        JOIN roles r ON r.role_id = u.role_id
+        WHERE u.user_id = p_user_id
+          AND u.is_active = TRUE
+          AND (u.role_id = v_step.approver_role_id OR r.role_name = 'admin')
+    )
+    AND NOT EXISTS (
+        SELECT 1
+        FROM record_approvals ra
+        WHERE ra.entity_type_id = v_step.entity_type_id
+          AND ra.record_id = p_record_id
+          AND ra.is_current = TRUE
+          AND ra.status = 'approved'
+          AND ra.decided_by = p_user_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION can_user_approve_step(UUID, VARCHAR, UUID) IS 'Checks that a user may decide the current approval step of a record';
+
+-- =============================================================================
+-- FUNCTION: Record Approval Step
+-- =============================================================================
+-- Approves the record's current step for the user. Returns the step taken,
+-- the round's total_steps and is_final, TRUE once no step is left; callers
+-- apply the approval to the record only then. Without a round it returns
+-- is_final = TRUE and total_steps = 0.
+
+CREATE OR REPLACE FUNCTION record_approval_step(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_step record_approvals;
+    v_next record_approvals;
+    v_total_steps INTEGER;
+BEGIN
+    v_step := get_current_approval_step(p_entity_type, p_record_id);
+
+    IF v_step.approval_id IS NULL THEN
+        RETURN jsonb_build_object('is_final', TRUE, 'total_steps', 0);
+    END IF;
+
+    IF NOT can_user_approve_step(p_user_id, p_entity_type, p_record_id) THEN
+        RAISE EXCEPTION 'User does not have permission to approve step % (%) of this %',
+            v_step.step_order, v_step.step_name, p_entity_type;
+    END IF;
+
+    UPDATE record_approvals
+    SET status = 'approved',
+        decided_by = p_user_id,
+        decided_at = NOW(),
+        notes = p_notes
+    WHERE approval_id = v_step.approval_id;
+
+    v_next := get_current_approval_step(p_entity_type, p_record_id);
+
+    SELECT COUNT(*) INTO v_total_steps
+    FROM record_approvals
+    WHERE entity_type_id = v_step.entity_type_id
+      AND record_id = p_record_id
+      AND is_current = TRUE;
+
+    RETURN jsonb_build_object(
+        'step_order', v_step.step_order,
+        'step_name', v_step.step_name,
+        'total_steps', v_total_steps,
+        'is_final', v_next.approval_id IS NULL,
+        'next_step_name', v_next.step_name
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_approval_step(UUID, VARCHAR, UUID, TEXT) IS 'Approves the current approval step of a record and reports whether it was the last';
+
+-- =============================================================================
+-- FUNCTION: Reject Approval Step
+-- =============================================================================
+-- Rejects the record's current step for the user and cancels the steps after
+-- it. Does nothing for records without a pending step.
+
+CREATE OR REPLACE FUNCTION reject_approval_step(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_reason TEXT
+)
+RETURNS VOID AS $$
+DECLARE
+    v_step record_approvals;
+BEGIN
+    v_step := get_current_approval_step(p_entity_type, p_record_id);
+
+    IF v_step.approval_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF NOT can_user_approve_step(p_user_id, p_entity_type, p_record_id) THEN
+        RAISE EXCEPTION 'User does not have permission to reject step % (%) of this %',
+            v_step.step_order, v_step.step_name, p_entity_type;
+    END IF;
+
+    UPDATE record_approvals
+    SET status = 'rejected',
+        decided_by = p_user_id,
+        decided_at = NOW(),
+        notes = p_reason
+    WHERE approval_id = v_step.approval_id;
+
+    PERFORM close_approval_round(p_entity_type, p_record_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reject_approval_step(UUID, VARCHAR, UUID, TEXT) IS 'Rejects the current approval step of a record and cancels the rest of the round';
+
+-- =============================================================================
+-- FUNCTION: Close Approval Round
+-- =============================================================================
+-- Cancels the pending steps of the record's current round, e.g. when the
+-- record is cancelled. Decided steps are kept.
+
+CREATE OR REPLACE FUNCTION close_approval_round(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS VOID AS $$
+    UPDATE record_approvals ra
+    SET status = 'cancelled'
+    FROM ui_entity_types e
+    WHERE e.entity_type_id = ra.entity_type_id
+      AND e.entity_name = p_entity_type
+      AND ra.record_id = p_record_id
+      AND ra.is_current = TRUE
+      AND ra.status = 'pending';
+$$ LANGUAGE sql;
+
+COMMENT ON FUNCTION close_approval_round(VARCHAR, UUID) IS 'Cancels the pending approval steps of a record';
+
+-- =============================================================================
+-- FUNCTION: Get Record Approvals
+-- =============================================================================
+-- The steps of the record's current round in order, as a JSON array of
+-- { step_order, step_name, status, decided_by, decided_at, notes }.
+
+CREATE OR REPLACE FUNCTION get_record_approvals(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'step_order', ra.step_order,
+            'step_name', ra.step_name,
+            'status', ra.status,
+            'decided_by', u.full_name,
+            'decided_at', to_char(ra.decided_at, 'YYYY-MM-DD HH24:MI:SS'),
+            'notes', ra.notes
+        )
+        ORDER BY ra.step_order
+    ), '[]'::JSONB)
+    FROM record_approvals ra
+    JOIN ui_entity_types e ON e.entity_type_id = ra.entity_type_id
+    LEFT JOIN users u ON u.user_id = ra.decided_by
+    WHERE e.entity_name = p_entity_type
+      AND ra.record_id = p_record_id
+      AND ra.is_current = TRUE;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_record_approvals(VARCHAR, UUID) IS 'Returns the approval steps of the current round of a record';
+
+-- =============================================================================
+-- FUNCTION: Get Pending Approvals
+-- =============================================================================
+-- The user's approval inbox: current steps whose approver role is the user's
+-- role, oldest first, skipping records where the user already approved a
+-- step. waiting_since is when the previous step was approved, or when the
+-- round started.
+
+CREATE OR REPLACE FUNCTION get_pending_approvals(
+    p_user_id UUID
+)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'approval_id', p.approval_id,
+            'entity_type', p.entity_name,
+            'entity_display_name', p.display_name,
+            'record_id', p.record_id,
+            'record_reference', p.record_reference,
+            'amount', p.amount,
+            'currency', p.currency,
+            'step_order', p.step_order,
+            'step_name', p.step_name,
+            'total_steps', p.total_steps,
+            'waiting_since', to_char(p.waiting_since, 'YYYY-MM-DD HH24:MI:SS')
+        )
+        ORDER BY p.waiting_since
+    ), '[]'::JSONB)
+    FROM (
+        SELECT ra.*, e.entity_name, e.display_name,
+               (SELECT COUNT(*) FROM record_approvals x
+                WHERE x.entity_type_id = ra.entity_type_id
+                  AND x.record_id = ra.record_id
+                  AND x.is_current = TRUE) AS total_steps,
+               COALESCE((SELECT MAX(x.decided_at) FROM record_approvals x
+                         WHERE x.entity_type_id = ra.entity_type_id
+                           AND x.record_id = ra.record_id
+                           AND x.is_current = TRUE), ra.created_at) AS waiting_since
+        FROM record_approvals ra
+        JOIN ui_entity_types e ON e.entity_type_id = ra.entity_type_id
+        JOIN users u ON u.user_id = p_user_id AND u.is_active = TRUE
+        WHERE ra.is_current = TRUE
+          AND ra.status = 'pending'
+          AND ra.approver_role_id = u.role_id
+          AND ra.step_order = (
+              SELECT MIN(x.step_order) FROM record_approvals x
+              WHERE x.entity_type_id = ra.entity_type_id
+                AND x.record_id = ra.record_id
+                AND x.is_current = TRUE
+                AND x.status = 'pending'
+          )
+          AND NOT EXISTS (
+              SELECT 1 FROM record_approvals x
+              WHERE x.entity_type_id = ra.entity_type_id
+                AND x.record_id = ra.record_id
+                AND x.is_current = TRUE
+                AND x.status = 'approved'
+                AND x.decided_by = p_user_id
+          )
+    ) p;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_pending_approvals(UUID) IS 'Returns the approval steps waiting for a user''s role';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Which chain applies to a 25,000 USD purchase order
+SELECT get_approval_chain('purchase_order', 25000, 'USD');
+-- Returns: 30000000-0000-0000-0000-000000000001 (purchase manager, then finance)
+
+-- Submitting a PO starts its round (submit_purchase_order does this)
+SELECT start_approval_chain('purchase_order', 'po-uuid'::UUID, 'PO-2024-000123', 25000, 'USD');
+-- Returns: 2
+
+-- First approve_purchase_order call, by the purchase manager
+-- Returns: {"success": true, "new_status": "submitted",
+--           "message": "Step 1 of 2 (Purchase Manager) approved; awaiting Finance", ...}
+
+-- Steps of the round
+SELECT get_record_approvals('purchase_order', 'po-uuid'::UUID);
+
+-- Finance user's inbox
+SELECT get_pending_approvals('00000000-0000-0000-0000-000000000103'::UUID);
+-- Returns: [{"entity_type": "purchase_order", "record_reference": "PO-2024-000123",
+--            "step_order": 2, "step_name": "Finance", "total_steps": 2, ...}]
+*/
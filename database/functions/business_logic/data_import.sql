@@ -0,0 +1,289 @@
+-- Business Logic Functions
+-- Module: Data Import
+-- Description: CSV import staging, column mapping, dry-run and transactional commit
+-- Author: happyveggie
+
+-- =============================================================================
+-- FUNCTION: Create Import Batch
+-- =============================================================================
+-- Stores a parsed CSV upload until its columns are mapped and it is committed.
+-- p_rows is a JSON array of rows, each an array of text aligned with p_headers.
+
+CREATE OR REPLACE FUNCTION create_import_batch(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_file_name VARCHAR,
+    p_headers TEXT[],
+    p_rows JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_import_id UUID;
+    v_row_count INTEGER;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'import') THEN
+        RAISE EXCEPTION 'User does not have permission to import %', p_entity_type;
+    END IF;
+
+    IF COALESCE(array_length(p_headers, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'The file has no header row';
+    END IF;
+
+    IF p_rows IS NULL OR jsonb_typeof(p_rows) != 'array' THEN
+        RAISE EXCEPTION 'Import rows must be a JSON array';
+    END IF;
+
+    v_row_count := jsonb_array_length(p_rows);
+
+    IF v_row_count = 0 THEN
+        RAISE EXCEPTION 'The file has no data rows';
+    END IF;
+
+    INSERT INTO import_batches (user_id, entity_type, file_name, headers, rows, row_count)
+    VALUES (p_user_id, p_entity_type, p_file_name, p_headers, p_rows, v_row_count)
+    RETURNING import_id INTO v_import_id;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'import_id', v_import_id,
+        'headers', to_jsonb(p_headers),
+        'row_count', v_row_count
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object(
+        'success', FALSE,
+        'error', SQLERRM
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION create_import_batch(UUID, VARCHAR, VARCHAR, TEXT[], JSONB) IS 'Stages an uploaded CSV file for import';
+
+-- =============================================================================
+-- FUNCTION: Import Records
+-- =============================================================================
+-- Creates one record per batch row through create_record(), so each row gets
+-- the same is_required and validation_rule checks as the create form.
+--
+-- p_mapping is a JSON array aligned with the batch headers: the field each
+-- column fills, or null / '' to skip the column.
+--
+-- All rows are inserted inside one block. A dry run, or a commit where any row
+-- failed, raises at the end of the block so every insert is rolled back; the
+-- per-row report is kept either way. Row numbers count the header as row 1.
+
+CREATE OR REPLACE FUNCTION import_records(
+    p_user_id UUID,
+    p_import_id UUID,
+    p_mapping JSONB,
+    p_dry_run BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_batch RECORD;
+    v_editable_fields TEXT[];
+    v_fields TEXT[] := ARRAY[]::TEXT[];
+    v_field TEXT;
+    v_row JSONB;
+    v_column INTEGER;
+    v_row_number INTEGER;
+    v_values JSONB;
+    v_result JSONB;
+    v_results JSONB := '[]'::JSONB;
+    v_success_count INTEGER := 0;
+    v_failure_count INTEGER := 0;
+    v_rollback BOOLEAN := FALSE;
+    v_committed BOOLEAN;
+BEGIN
+    SELECT * INTO v_batch
+    FROM import_batches
+    WHERE import_id = p_import_id AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Import batch not found';
+    END IF;
+
+    IF NOT can_user_perform_action(p_user_id, v_batch.entity_type, 'import') THEN
+        RAISE EXCEPTION 'User does not have permission to import %', v_batch.entity_type;
+    END IF;
+
+    IF v_batch.committed_at IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', FALSE,
+            'conflict', TRUE,
+            'error', 'Import batch has already been committed',
+            'committed_at', v_batch.committed_at
+        );
+    END IF;
+
+    -- Validate the column mapping
+    IF p_mapping IS NULL OR jsonb_typeof(p_mapping) != 'array'
+       OR jsonb_array_length(p_mapping) != array_length(v_batch.headers, 1) THEN
+        RAISE EXCEPTION 'Column mapping must list one field (or none) for each of the % columns',
+            array_length(v_batch.headers, 1);
+    END IF;
+
+    v_editable_fields := get_editable_fields(p_user_id, v_batch.entity_type, 'form_create');
+
+    FOR v_column IN 1..array_length(v_batch.headers, 1) LOOP
+        v_field := NULLIF(p_mapping->>(v_column - 1), '');
+
+        IF v_field IS NOT NULL THEN
+            IF NOT (v_field = ANY(COALESCE(v_editable_fields, ARRAY[]::TEXT[]))) THEN
+                RAISE EXCEPTION 'Column "%" is mapped to %, which cannot be imported',
+                    v_batch.headers[v_column], v_field;
+            END IF;
+
+            IF v_field = ANY(v_fields) THEN
+                RAISE EXCEPTION 'Field % is mapped to more than one column', v_field;
+            END IF;
+        END IF;
+
+        v_fields := v_fields || v_field;
+    END LOOP;
+
+    IF array_length(array_remove(v_fields, NULL), 1) IS NULL THEN
+        RAISE EXCEPTION 'Map at least one column to a field';
+    END IF;
+
+    BEGIN
+        v_row_number := 1;
+
+        FOR v_row IN SELECT value FROM jsonb_array_elements(v_batch.rows) LOOP
+            v_row_number := v_row_number + 1;
+
+            SELECT COALESCE(jsonb_object_agg(v_fields[i], v_row->>(i - 1)), '{}'::JSONB)
+            INTO v_values
+            FROM generate_series(1, array_length(v_fields, 1)) AS i
+            WHERE v_fields[i] IS NOT NULL;
+
+            v_result := create_record(p_user_id, v_batch.entity_type, v_values);
+
+            IF (v_result->>'success')::BOOLEAN THEN
+                v_success_count := v_success_count + 1;
+            ELSE
+                v_failure_count := v_failure_count + 1;
+            END IF;
+
+            v_results := v_results || jsonb_build_object(
+                'row', v_row_number,
+                'success', (v_result->>'success')::BOOLEAN,
+                'error', v_result->>'error',
+                'validation_errors', v_result->'validation_errors',
+                'record_id', v_result->'record_id'
+            );
+        END LOOP;
+
+        IF p_dry_run OR v_failure_count > 0 THEN
+            v_rollback := TRUE;
+            RAISE EXCEPTION 'Import rolled back';
+        END IF;
+    EXCEPTION WHEN OTHERS THEN
+        IF NOT v_rollback THEN
+            RAISE;
+        END IF;
+    END;
+
+    v_committed := NOT v_rollback;
+
+    -- Rolled-back record IDs were never created
+    IF NOT v_committed THEN
+        SELECT jsonb_agg(value - 'record_id') INTO v_results
+        FROM jsonb_array_elements(v_results);
+    END IF;
+
+    v_result := jsonb_build_object(
+        'success', v_failure_count = 0,
+        'import_id', p_import_id,
+        'entity_type', v_batch.entity_type,
+        'dry_run', p_dry_run,
+        'committed', v_committed,
+        'total', v_batch.row_count,
+        'success_count', v_success_count,
+        'failure_count', v_failure_count,
+        'results', v_results
+    );
+
+    IF v_committed THEN
+        UPDATE import_batches
+        SET field_mapping = p_mapping,
+            result = v_result,
+            committed_at = NOW()
+        WHERE import_id = p_import_id;
+    END IF;
+
+    RETURN v_result;
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object(
+        'success', FALSE,
+        'error', SQLERRM
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION import_records(UUID, UUID, JSONB, BOOLEAN) IS 'Validates (dry run) or creates all rows of an import batch in one transaction';
+
+-- =============================================================================
+-- FUNCTION: Cleanup Import Batches
+-- =============================================================================
+-- Removes staged batches that were never committed. Call periodically.
+
+CREATE OR REPLACE FUNCTION cleanup_import_batches(
+    p_older_than INTERVAL DEFAULT INTERVAL '24 hours'
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_deleted_count INTEGER;
+BEGIN
+    DELETE FROM import_batches
+    WHERE committed_at IS NULL
+      AND created_at < NOW() - p_older_than;
+
+    GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+    RETURN v_deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION cleanup_import_batches(INTERVAL) IS 'Deletes uncommitted import batches older than the given interval';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Stage a file (the API parses the CSV)
+SELECT create_import_batch(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    'suppliers.csv',
+    ARRAY['Code', 'Name', 'Terms'],
+    '[["ACME-01", "Acme Corp", "30"], ["", "No Code Ltd", "30"]]'::JSONB
+);
+-- Returns: {"success": true, "import_id": "...", "headers": [...], "row_count": 2}
+
+-- Dry run: validates every row, creates nothing
+SELECT import_records(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'import-uuid-here'::UUID,
+    '["supplier_code", "supplier_name", "payment_terms_days"]'::JSONB
+);
+-- Returns: {"success": false, "dry_run": true, "committed": false, "total": 2,
+--           "success_count": 1, "failure_count": 1,
+--           "results": [{"row": 2, "success": true, ...},
+--                       {"row": 3, "success": false, "error": "Validation failed: Supplier Code is required",
+--                        "validation_errors": {"supplier_code": "Supplier Code is required"}}]}
+
+-- Commit, skipping the third column: all rows or none
+SELECT import_records(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'import-uuid-here'::UUID,
+    '["supplier_code", "supplier_name", null]'::JSONB,
+    FALSE
+);
+
+-- Remove abandoned uploads
+SELECT cleanup_import_batches(INTERVAL '1 day');
+*/
@@ -1,18 +1,246 @@
 -- Business Logic Functions
 -- Module: Generic CRUD Operations
--- Description: Generic update, soft delete, and restore functions
+-- Description: Generic create, update, soft delete, and restore functions
 -- Author: happyveggie & Claude Opus 4.5
 
+-- =============================================================================
+-- HELPER FUNCTION: Validate Field Value
+-- =============================================================================
+-- Checks a value against a ui_field_definitions.validation_rule
+-- Returns an error message, or NULL when the value is valid
+
+CREATE OR REPLACE FUNCTION validate_field_value(
+    p_value TEXT,
+    p_validation_rule TEXT,
+    p_display_label TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_rule JSONB;
+    v_number NUMERIC;
+BEGIN
+    -- Only JSON rules are validation rules; lookup rules carry an entity instead
+    IF p_value IS NULL OR p_validation_rule IS NULL OR p_validation_rule NOT LIKE '{%' THEN
+        RETURN NULL;
+    END IF;
+
+    v_rule := p_validation_rule::JSONB;
+
+    IF v_rule ? 'entity' THEN
+        RETURN NULL;
+    END IF;
+
+    -- Numeric bounds
+    IF v_rule ? 'min' OR v_rule ? 'max' THEN
+        BEGIN
+            v_number := p_value::NUMERIC;
+        EXCEPTION WHEN OTHERS THEN
+            RETURN format('%s must be a number', p_display_label);
+        END;
+
+        IF v_rule ? 'min' AND v_number < (v_rule->>'min')::NUMERIC THEN
+            RETURN format('%s must be at least %s', p_display_label, v_rule->>'min');
+        END IF;
+
+        IF v_rule ? 'max' AND v_number > (v_rule->>'max')::NUMERIC THEN
+            RETURN format('%s must be at most %s', p_display_label, v_rule->>'max');
+        END IF;
+    END IF;
+
+    -- Length bounds
+    IF v_rule ? 'min_length' AND length(p_value) < (v_rule->>'min_length')::INTEGER THEN
+        RETURN format('%s must be at least %s characters', p_display_label, v_rule->>'min_length');
+    END IF;
+
+    IF v_rule ? 'max_length' AND length(p_value) > (v_rule->>'max_length')::INTEGER THEN
+        RETURN format('%s must be at most %s characters', p_display_label, v_rule->>'max_length');
+    END IF;
+
+    -- Pattern
+    IF v_rule ? 'pattern' AND p_value !~ (v_rule->>'pattern') THEN
+        RETURN format('%s has an invalid format', p_display_label);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION validate_field_value(TEXT, TEXT, TEXT) IS 'Validates a field value against its validation_rule JSON';
+
+-- =============================================================================
+-- FUNCTION: Create Record
+-- =============================================================================
+-- Generic function to create any metadata-driven entity record.
+-- Only fields editable in form_create are taken from p_values; the rest fall
+-- back to ui_field_definitions.default_value, then to the column default.
+
+CREATE OR REPLACE FUNCTION create_record(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_values JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_table_name TEXT;
+    v_pk_column TEXT;
+    v_editable_fields TEXT[];
+    v_field RECORD;
+    v_value TEXT;
+    v_error TEXT;
+    v_errors JSONB := '{}'::JSONB;
+    v_row JSONB := '{}'::JSONB;
+    v_columns TEXT[] := ARRAY[]::TEXT[];
+    v_record_id UUID;
+    v_new_values JSONB;
+BEGIN
+    -- Validate user has create permission
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'create') THEN
+        RAISE EXCEPTION 'User does not have permission to create %', p_entity_type;
+    END IF;
+
+    -- Get table metadata
+    SELECT primary_table INTO v_table_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    IF v_table_name IS NULL THEN
+        RAISE EXCEPTION 'Unknown entity type: %', p_entity_type;
+    END IF;
+
+    v_pk_column := get_entity_pk(p_entity_type);
+
+    -- Get fields the user may fill in on create
+    v_editable_fields := get_editable_fields(p_user_id, p_entity_type, 'form_create');
+
+    FOR v_field IN
+        SELECT
+            f.field_name,
+            f.display_label,
+            f.is_required,
+            f.validation_rule,
+            f.default_value,
+            c.column_name IS NOT NULL AS column_exists,
+            c.column_default IS NOT NULL AS has_column_default
+        FROM ui_field_definitions f
+        JOIN ui_entity_types e ON f.entity_type_id = e.entity_type_id
+        LEFT JOIN information_schema.columns c ON (
+            c.table_name = v_table_name
+            AND c.column_name = f.field_name
+        )
+        WHERE e.entity_name = p_entity_type
+        ORDER BY f.field_order
+    LOOP
+        -- Skip system fields and fields without a backing column
+        IF NOT v_field.column_exists
+           OR v_field.field_name IN (v_pk_column, 'created_at', 'created_by', 'updated_at', 'updated_by',
+                                     'is_deleted', 'deleted_at', 'deleted_by') THEN
+            CONTINUE;
+        END IF;
+
+        v_value := NULL;
+
+        IF p_values ? v_field.field_name THEN
+            IF v_field.field_name = ANY(v_editable_fields) THEN
+                v_value := NULLIF(p_values->>v_field.field_name, '');
+            ELSE
+                RAISE NOTICE 'Skipping non-editable field: %', v_field.field_name;
+            END IF;
+        END IF;
+
+        v_value := COALESCE(v_value, v_field.default_value);
+
+        IF v_value IS NULL THEN
+            IF v_field.is_required AND NOT v_field.has_column_default THEN
+                v_errors := v_errors || jsonb_build_object(
+                    v_field.field_name, format('%s is required', v_field.display_label)
+                );
+            END IF;
+            CONTINUE;
+        END IF;
+
+        v_error := validate_field_value(v_value, v_field.validation_rule, v_field.display_label);
+
+        IF v_error IS NOT NULL THEN
+            v_errors := v_errors || jsonb_build_object(v_field.field_name, v_error);
+            CONTINUE;
+        END IF;
+
+        v_row := v_row || jsonb_build_object(v_field.field_name, v_value);
+        v_columns := v_columns || quote_ident(v_field.field_name);
+    END LOOP;
+
+    IF v_errors != '{}'::JSONB THEN
+        RETURN jsonb_build_object(
+            'success', FALSE,
+            'error', 'Validation failed: ' || (
+                SELECT string_agg(value, '; ') FROM jsonb_each_text(v_errors)
+            ),
+            'validation_errors', v_errors
+        );
+    END IF;
+
+    IF array_length(v_columns, 1) IS NULL THEN
+        RETURN jsonb_build_object(
+            'success', FALSE,
+            'error', 'No valid fields to create'
+        );
+    END IF;
+
+    -- Add audit fields
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = v_table_name AND column_name = 'created_by'
+    ) THEN
+        v_row := v_row || jsonb_build_object('created_by', p_user_id);
+        v_columns := v_columns || quote_ident('created_by');
+    END IF;
+
+    -- Insert, letting jsonb_populate_record cast values to the column types
+    EXECUTE format(
+        'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$I, $1) RETURNING %3$I',
+        v_table_name, array_to_string(v_columns, ', '), v_pk_column
+    ) INTO v_record_id USING v_row;
+
+    EXECUTE format(
+        'SELECT row_to_json(t) FROM %I t WHERE %I = $1',
+        v_table_name, v_pk_column
+    ) INTO v_new_values USING v_record_id;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'entity_type', p_entity_type,
+        'record_id', v_record_id,
+        'new_values', v_new_values,
+        'message', 'Record created successfully'
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object(
+        'success', FALSE,
+        'error', SQLERRM
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION create_record(UUID, VARCHAR, JSONB) IS 'Generic function to create entity records';
+
 -- =============================================================================
 -- FUNCTION: Update Record
 -- =============================================================================
--- Generic function to update any entity record with permission checks
+-- Generic function to update any entity record with permission checks.
+-- When p_expected_version is given (see record_version_token) the update is
+-- rejected with conflict = TRUE if the record changed since it was read.
+-- Fields the user may not edit are skipped, except that changing a field
+-- locked by its record_condition (see get_user_field_permissions) is an error.
+
+-- The 4-argument version is replaced rather than overloaded
+DROP FUNCTION IF EXISTS update_record(UUID, VARCHAR, UUID, JSONB);
 
 CREATE OR REPLACE FUNCTION update_record(
     p_user_id UUID,
     p_entity_type VARCHAR,
     p_record_id UUID,
-    p_updates JSONB
+    p_updates JSONB,
+    p_expected_version TEXT DEFAULT NULL
 )
 RETURNS JSONB AS $$
 DECLARE
@@ -20,16 +248,20 @@ DECLARE
     v_pk_column TEXT;
     v_update_cols TEXT := '';
     v_editable_fields TEXT[];
+    v_locked_fields TEXT[];
     v_field TEXT;
     v_value TEXT;
     v_field_type TEXT;
+    v_udt_name TEXT;
+    v_changed BOOLEAN;
     v_sql TEXT;
     v_old_values JSONB;
     v_new_values JSONB;
     v_updates_applied INTEGER := 0;
+    v_current_version TEXT;
 BEGIN
-    -- Validate user has edit permission
-    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'edit') THEN
+    -- Validate user has edit permission (condition rules see the record)
+    IF NOT can_user_perform_action_on_record(p_user_id, p_entity_type, 'edit', p_record_id) THEN
         RAISE EXCEPTION 'User does not have permission to edit %', p_entity_type;
     END IF;
 
@@ -43,12 +275,10 @@ BEGIN
 
     v_pk_column := get_entity_pk(p_entity_type);
 
-    -- Get editable fields for user
-    v_editable_fields := get_editable_fields(p_user_id, p_entity_type, 'form_edit');
-
-    -- Validate record exists and is not deleted
+    -- Validate record exists and is not deleted (locked until commit so the
+    -- version check below cannot race another writer)
     EXECUTE format(
-        'SELECT row_to_json(t) FROM %I t WHERE %I = $1 AND is_deleted = FALSE',
+        'SELECT row_to_json(t) FROM %I t WHERE %I = $1 AND is_deleted = FALSE FOR UPDATE',
         v_table_name, v_pk_column
     ) INTO v_old_values USING p_record_id;
 
@@ -56,9 +286,59 @@ BEGIN
         RAISE EXCEPTION 'Record not found: % with id %', p_entity_type, p_record_id;
     END IF;
 
+    -- Reject stale writes
+    v_current_version := record_version_token((v_old_values->>'updated_at')::TIMESTAMPTZ);
+
+    IF p_expected_version IS NOT NULL AND p_expected_version IS DISTINCT FROM v_current_version THEN
+        RETURN jsonb_build_object(
+            'success', FALSE,
+            'conflict', TRUE,
+            'error', 'Record was modified by another user since it was loaded',
+            'entity_type', p_entity_type,
+            'record_id', p_record_id,
+            'current_version', v_current_version,
+            'current_values', (
+                SELECT COALESCE(jsonb_object_agg(key, value), '{}'::JSONB)
+                FROM jsonb_each(v_old_values)
+                WHERE key = ANY(get_visible_fields(p_user_id, p_entity_type, 'form_edit'))
+            )
+        );
+    END IF;
+
+    -- Get editable fields for user; record conditions see the stored row
+    v_editable_fields := get_editable_fields(p_user_id, p_entity_type, 'form_edit', v_old_values);
+
+    SELECT ARRAY(
+        SELECT field_name
+        FROM get_user_field_permissions(p_user_id, p_entity_type, 'form_edit', v_old_values)
+        WHERE is_locked
+    ) INTO v_locked_fields;
+
     -- Build dynamic UPDATE statement
     FOR v_field, v_value IN SELECT * FROM jsonb_each_text(p_updates)
     LOOP
+        -- Fields locked by the record's state may only be resubmitted unchanged
+        IF v_field = ANY(v_locked_fields) THEN
+            SELECT udt_name INTO v_udt_name
+            FROM information_schema.columns
+            WHERE table_name = v_table_name AND column_name = v_field;
+
+            EXECUTE format(
+                'SELECT %L::%I IS DISTINCT FROM %I FROM %I WHERE %I = $1',
+                v_value, v_udt_name, v_field, v_table_name, v_pk_column
+            ) INTO v_changed USING p_record_id;
+
+            IF v_changed THEN
+                RAISE EXCEPTION '% is read-only in the record''s current state',
+                    COALESCE((
+                        SELECT f.display_label
+                        FROM ui_field_definitions f
+                        JOIN ui_entity_types e ON e.entity_type_id = f.entity_type_id
+                        WHERE e.entity_name = p_entity_type AND f.field_name = v_field
+                    ), v_field);
+            END IF;
+        END IF;
+
         -- Skip if field is not editable
         IF NOT (v_field = ANY(v_editable_fields)) THEN
             RAISE NOTICE 'Skipping non-editable field: %', v_field;
@@ -126,7 +406,14 @@ BEGIN
     END IF;
 
     -- Add audit fields
-    v_update_cols := v_update_cols || ', updated_at = NOW(), updated_by = ' || quote_literal(p_user_id) || '::UUID';
+    v_update_cols := v_update_cols || ', updated_at = NOW()';
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = v_table_name AND column_name = 'updated_by'
+    ) THEN
+        v_update_cols := v_update_cols || ', updated_by = ' || quote_literal(p_user_id) || '::UUID';
+    END IF;
 
     -- Execute update
     v_sql := format(
@@ -143,6 +430,7 @@ BEGIN
         'fields_updated', v_updates_applied,
         'old_values', v_old_values,
         'new_values', v_new_values,
+        'version', record_version_token((v_new_values->>'updated_at')::TIMESTAMPTZ),
         'message', 'Record updated successfully'
     );
 
@@ -154,7 +442,7 @@ EXCEPTION WHEN OTHERS THEN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
-COMMENT ON FUNCTION update_record(UUID, VARCHAR, UUID, JSONB) IS 'Generic function to update entity records';
+COMMENT ON FUNCTION update_record(UUID, VARCHAR, UUID, JSONB, TEXT) IS 'Generic function to update entity records with optional version check';
 
 -- =============================================================================
 -- FUNCTION: Soft Delete Record
@@ -174,8 +462,8 @@ DECLARE
     v_record_exists BOOLEAN;
     v_already_deleted BOOLEAN;
 BEGIN
-    -- Validate user has delete permission
-    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'delete') THEN
+    -- Validate user has delete permission (condition rules see the record)
+    IF NOT can_user_perform_action_on_record(p_user_id, p_entity_type, 'delete', p_record_id) THEN
         RAISE EXCEPTION 'User does not have permission to delete %', p_entity_type;
     END IF;
 
@@ -260,8 +548,8 @@ DECLARE
     v_record_exists BOOLEAN;
     v_is_deleted BOOLEAN;
 BEGIN
-    -- Validate user has restore/edit permission
-    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'edit') THEN
+    -- Validate user has restore/edit permission (condition rules see the record)
+    IF NOT can_user_perform_action_on_record(p_user_id, p_entity_type, 'edit', p_record_id) THEN
         RAISE EXCEPTION 'User does not have permission to restore %', p_entity_type;
     END IF;
 
@@ -331,6 +619,141 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 
 COMMENT ON FUNCTION restore_record(UUID, VARCHAR, UUID) IS 'Restores a soft-deleted record';
 
+-- =============================================================================
+-- FUNCTION: Get Record Edit Lock
+-- =============================================================================
+-- Returns the workflow status that stops a record from being reverted, or
+-- NULL while it may still change: the record's state is marked is_editable
+-- in its entity's workflow (workflow_states). Entities without a workflow,
+-- such as suppliers, and states the workflow does not list are never locked.
+
+CREATE OR REPLACE FUNCTION get_record_edit_lock(
+    p_entity_type VARCHAR,
+    p_record JSONB
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_status TEXT;
+    v_is_editable BOOLEAN;
+BEGIN
+    SELECT p_record->>w.status_field, s.is_editable
+    INTO v_status, v_is_editable
+    FROM workflow_definitions w
+    JOIN ui_entity_types e ON e.entity_type_id = w.entity_type_id
+    LEFT JOIN workflow_states s
+        ON s.workflow_id = w.workflow_id
+       AND s.state_name = p_record->>w.status_field
+    WHERE e.entity_name = p_entity_type;
+
+    IF COALESCE(v_is_editable, TRUE) THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN v_status;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_record_edit_lock(VARCHAR, JSONB) IS 'Returns the workflow status that locks a record against reverts, or NULL';
+
+-- =============================================================================
+-- FUNCTION: Revert Record
+-- =============================================================================
+-- Restores the values a record had before one of its audit_trail changes, by
+-- passing that entry's old_values to update_record(). update_record applies the
+-- usual edit permission and editable-field checks; p_fields narrows the
+-- snapshot further to the fields the caller may mass-assign (the API passes
+-- its UPDATABLE_FIELDS list). Records whose workflow has moved past editing
+-- are refused.
+
+CREATE OR REPLACE FUNCTION revert_record(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_audit_id UUID,
+    p_fields TEXT[],
+    p_expected_version TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_table_name TEXT;
+    v_current JSONB;
+    v_audit RECORD;
+    v_locked_status TEXT;
+    v_updates JSONB;
+    v_result JSONB;
+BEGIN
+    -- Checked again by update_record; here so nothing is revealed without it
+    IF NOT can_user_perform_action_on_record(p_user_id, p_entity_type, 'edit', p_record_id) THEN
+        RAISE EXCEPTION 'User does not have permission to edit %', p_entity_type;
+    END IF;
+
+    SELECT primary_table INTO v_table_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    IF v_table_name IS NULL THEN
+        RAISE EXCEPTION 'Unknown entity type: %', p_entity_type;
+    END IF;
+
+    SELECT audit_id, operation, old_values, changed_at INTO v_audit
+    FROM audit_trail
+    WHERE audit_id = p_audit_id
+      AND table_name = v_table_name
+      AND record_id = p_record_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Audit entry not found: %', p_audit_id;
+    END IF;
+
+    IF v_audit.operation <> 'UPDATE' THEN
+        RAISE EXCEPTION 'Only updates can be reverted';
+    END IF;
+
+    -- Lock the record so its status cannot move before the update
+    EXECUTE format(
+        'SELECT row_to_json(t) FROM %I t WHERE %I = $1 AND is_deleted = FALSE FOR UPDATE',
+        v_table_name, get_entity_pk(p_entity_type)
+    ) INTO v_current USING p_record_id;
+
+    IF v_current IS NULL THEN
+        RAISE EXCEPTION 'Record not found: % with id %', p_entity_type, p_record_id;
+    END IF;
+
+    v_locked_status := get_record_edit_lock(p_entity_type, v_current);
+
+    IF v_locked_status IS NOT NULL THEN
+        RAISE EXCEPTION 'Cannot revert % with status: %', p_entity_type, v_locked_status;
+    END IF;
+
+    SELECT jsonb_object_agg(key, value) INTO v_updates
+    FROM jsonb_each(v_audit.old_values)
+    WHERE key = ANY(COALESCE(p_fields, ARRAY[]::TEXT[]));
+
+    IF v_updates IS NULL THEN
+        RAISE EXCEPTION 'No revertible fields in audit entry %', p_audit_id;
+    END IF;
+
+    v_result := update_record(p_user_id, p_entity_type, p_record_id, v_updates, p_expected_version);
+
+    IF (v_result->>'success')::BOOLEAN THEN
+        v_result := v_result || jsonb_build_object(
+            'reverted_audit_id', p_audit_id,
+            'reverted_to', v_audit.changed_at,
+            'message', 'Record reverted successfully'
+        );
+    END IF;
+
+    RETURN v_result;
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object(
+        'success', FALSE,
+        'error', SQLERRM
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION revert_record(UUID, VARCHAR, UUID, UUID, TEXT[], TEXT) IS 'Re-applies the values a record had before an audited update';
+
 -- =============================================================================
 -- FUNCTION: Hard Delete Record (Admin Only)
 -- =============================================================================
@@ -440,7 +863,7 @@ BEGIN
 
     RETURN jsonb_build_object(
         'success', v_failure_count = 0,
-        'total', array_length(p_record_ids, 1),
+        'total', COALESCE(array_length(p_record_ids, 1), 0),
         'success_count', v_success_count,
         'failure_count', v_failure_count,
         'results', v_results
@@ -467,6 +890,7 @@ DECLARE
     v_result JSONB;
     v_success_count INTEGER := 0;
     v_failure_count INTEGER := 0;
+    v_results JSONB := '[]'::JSONB;
 BEGIN
     FOREACH v_record_id IN ARRAY p_record_ids
     LOOP
@@ -477,13 +901,20 @@ BEGIN
         ELSE
             v_failure_count := v_failure_count + 1;
         END IF;
+
+        v_results := v_results || jsonb_build_object(
+            'record_id', v_record_id,
+            'success', (v_result->>'success')::BOOLEAN,
+            'error', v_result->>'error'
+        );
     END LOOP;
 
     RETURN jsonb_build_object(
         'success', v_failure_count = 0,
-        'total', array_length(p_record_ids, 1),
+        'total', COALESCE(array_length(p_record_ids, 1), 0),
         'success_count', v_success_count,
-        'failure_count', v_failure_count
+        'failure_count', v_failure_count,
+        'results', v_results
     );
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -495,6 +926,16 @@ COMMENT ON FUNCTION bulk_soft_delete_records(UUID, VARCHAR, UUID[], TEXT) IS 'So
 -- =============================================================================
 
 /*
+-- Create a record
+SELECT create_record(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    '{"supplier_code": "ACME-01", "supplier_name": "Acme Corp", "payment_terms_days": "45"}'::JSONB
+);
+
+-- Validate a value against a rule
+SELECT validate_field_value('abc', '{"pattern": "^[A-Z0-9-]+$"}', 'Supplier Code');
+
 -- Update a record
 SELECT update_record(
     '00000000-0000-0000-0000-000000000100'::UUID,
@@ -503,6 +944,26 @@ SELECT update_record(
     '{"notes": "Updated notes", "expected_delivery_date": "2024-02-15"}'::JSONB
 );
 
+-- Update only if nobody changed the record since it was read
+SELECT update_record(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    'some-supplier-uuid'::UUID,
+    '{"notes": "Checked notes"}'::JSONB,
+    '20240115103000123456'  -- _version from fetch_form_data
+);
+-- Stale version: {"success": false, "conflict": true, "current_version": "...", "current_values": {...}}
+
+-- With a record_condition of {"field": "status", "operator": "equals", "value": "draft"}
+-- on expected_delivery_date, changing it on an approved order is refused
+SELECT update_record(
+    '00000000-0000-0000-0000-000000000101'::UUID,  -- purchase manager
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE status = 'approved' LIMIT 1),
+    '{"expected_delivery_date": "2024-03-01"}'::JSONB
+);
+-- Returns: {"success": false, "error": "Expected Delivery is read-only in the record's current state"}
+
 -- Soft delete a record
 SELECT soft_delete_record(
     '00000000-0000-0000-0000-000000000100'::UUID,
@@ -518,6 +979,16 @@ SELECT restore_record(
     (SELECT po_id FROM purchase_orders WHERE is_deleted = TRUE LIMIT 1)
 );
 
+-- Undo a supplier edit: restore the values from before an audited update
+SELECT revert_record(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    'some-supplier-uuid'::UUID,
+    'audit-entry-uuid'::UUID,
+    ARRAY['supplier_name', 'contact_email', 'contact_phone', 'payment_terms_days', 'is_active']
+);
+-- Approved PO: {"success": false, "error": "Cannot revert purchase_order with status: approved"}
+
 -- Bulk update
 SELECT bulk_update_records(
     '00000000-0000-0000-0000-000000000100'::UUID,
@@ -378,10 +378,11 @@ DECLARE
     v_gr_line RECORD;
     v_total_accepted DECIMAL := 0;
     v_total_rejected DECIMAL := 0;
+    v_lines_processed INTEGER := 0;
     v_po_id UUID;
 BEGIN
-    -- Validate user has approve permission
-    IF NOT can_user_perform_action(p_user_id, 'goods_receipt', 'approve') THEN
+    -- Validate user has inspect permission
+    IF NOT can_user_perform_action(p_user_id, 'goods_receipt', 'inspect') THEN
         RAISE EXCEPTION 'User does not have permission to process goods receipts';
     END IF;
 
@@ -418,11 +419,21 @@ BEGIN
         END IF;
 
         -- Validate quantities
+        IF COALESCE((v_line->>'quantity_accepted')::DECIMAL, 0) < 0 OR
+           COALESCE((v_line->>'quantity_rejected')::DECIMAL, 0) < 0 THEN
+            RAISE EXCEPTION 'Quantities cannot be negative for line %', v_gr_line.gr_line_id;
+        END IF;
+
         IF COALESCE((v_line->>'quantity_accepted')::DECIMAL, 0) +
            COALESCE((v_line->>'quantity_rejected')::DECIMAL, 0) != v_gr_line.quantity_received THEN
             RAISE EXCEPTION 'Accepted + Rejected must equal received quantity for line %', v_gr_line.gr_line_id;
         END IF;
 
+        IF COALESCE((v_line->>'quantity_rejected')::DECIMAL, 0) > 0
+           AND NULLIF(TRIM(v_line->>'reason'), '') IS NULL THEN
+            RAISE EXCEPTION 'Rejection reason is required for line %', v_gr_line.gr_line_id;
+        END IF;
+
         -- Update line
         UPDATE goods_receipt_lines
         SET quantity_accepted = COALESCE((v_line->>'quantity_accepted')::DECIMAL, 0),
@@ -432,8 +443,17 @@ BEGIN
 
         v_total_accepted := v_total_accepted + COALESCE((v_line->>'quantity_accepted')::DECIMAL, 0);
         v_total_rejected := v_total_rejected + COALESCE((v_line->>'quantity_rejected')::DECIMAL, 0);
+        v_lines_processed := v_lines_processed + 1;
     END LOOP;
 
+    -- Every line must be inspected; a skipped line would silently count as rejected
+    IF v_lines_processed != (
+        SELECT COUNT(*) FROM goods_receipt_lines
+        WHERE gr_id = p_gr_id AND is_deleted = FALSE
+    ) THEN
+        RAISE EXCEPTION 'Each goods receipt line must be inspected exactly once';
+    END IF;
+
     -- Determine final status
     UPDATE goods_receipts
     SET quality_status = CASE
@@ -448,7 +468,7 @@ BEGIN
         updated_by = p_user_id
     WHERE gr_id = p_gr_id;
 
-    -- Update PO line quantities (only for accepted items)
+    -- Update PO line quantities (only accepted items count as received)
     PERFORM update_po_line_quantities(v_po_id, 'received');
 
     RETURN jsonb_build_object(
@@ -497,4 +517,13 @@ SELECT reject_goods_receipt(
     (SELECT gr_id FROM goods_receipts WHERE quality_status = 'pending' LIMIT 1),
     'Items damaged in transit'
 );
+
+-- Inspect line by line: accept 8 of 10, reject 2 as damaged
+SELECT partial_accept_goods_receipt(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    (SELECT gr_id FROM goods_receipts WHERE quality_status = 'pending' LIMIT 1),
+    '[{"gr_line_id": "...", "quantity_accepted": 8, "quantity_rejected": 2, "reason": "Damaged packaging"}]'::JSONB,
+    'Two units crushed in transit'
+);
+-- Result: {"success": true, "total_accepted": 8, "total_rejected": 2, ...}
 */
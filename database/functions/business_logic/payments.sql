@@ -6,29 +6,15 @@
 -- =============================================================================
 -- HELPER FUNCTION: Validate Payment Status Transition
 -- =============================================================================
+-- Looks the move up in the payment workflow (migration 018)
 
 CREATE OR REPLACE FUNCTION validate_payment_status_transition(
     p_current_status VARCHAR,
     p_new_status VARCHAR
 )
 RETURNS BOOLEAN AS $$
-DECLARE
-    v_valid_transitions JSONB := '{
-        "pending": ["processed", "cancelled", "failed"],
-        "processed": ["cleared", "failed", "reversed"],
-        "cleared": ["reversed"],
-        "failed": ["pending"],
-        "cancelled": [],
-        "reversed": []
-    }'::JSONB;
-    v_allowed TEXT[];
-BEGIN
-    SELECT ARRAY(SELECT jsonb_array_elements_text(v_valid_transitions -> p_current_status))
-    INTO v_allowed;
-
-    RETURN p_new_status = ANY(v_allowed);
-END;
-$$ LANGUAGE plpgsql IMMUTABLE;
+    SELECT is_workflow_transition_allowed('payment', p_current_status, p_new_status);
+$$ LANGUAGE sql STABLE;
 
 COMMENT ON FUNCTION validate_payment_status_transition(VARCHAR, VARCHAR) IS 'Validates payment status transitions';
 
@@ -481,9 +467,6 @@ CREATE OR REPLACE FUNCTION reverse_payment(
 RETURNS JSONB AS $$
 DECLARE
     v_payment_record RECORD;
-    v_invoice_info JSONB;
-    v_total_paid DECIMAL;
-    v_new_invoice_status VARCHAR;
 BEGIN
     -- Validate user has reverse permission
     IF NOT can_user_perform_action(p_user_id, 'payment', 'reverse') THEN
@@ -496,7 +479,7 @@ BEGIN
     END IF;
 
     -- Get payment info
-    SELECT payment_id, payment_number, invoice_id, amount, status
+    SELECT payment_id, payment_number, invoice_id, payment_amount, status
     INTO v_payment_record
     FROM payments
     WHERE payment_id = p_payment_id
@@ -518,47 +501,22 @@ BEGIN
         reversed_at = NOW(),
         reversed_by = p_user_id,
         reversal_reason = p_reversal_reason,
-        updated_at = NOW(),
-        updated_by = p_user_id
+        updated_at = NOW()
     WHERE payment_id = p_payment_id;
 
-    -- Update any clearing entries
+    -- The payment no longer clears the invoice; reversed payments are left
+    -- out of the amount paid, so the invoice is open for payment again
     UPDATE clearing_entries
-    SET status = 'reversed',
-        reversed_at = NOW(),
-        reversed_by = p_user_id
+    SET is_deleted = TRUE
     WHERE payment_id = p_payment_id;
 
-    -- Recalculate invoice payment status
-    SELECT COALESCE(SUM(amount), 0)
-    INTO v_total_paid
-    FROM payments
-    WHERE invoice_id = v_payment_record.invoice_id
-      AND status IN ('processed', 'cleared')
-      AND is_deleted = FALSE;
-
-    v_invoice_info := get_invoice_payment_info(v_payment_record.invoice_id);
-
-    IF v_total_paid >= (v_invoice_info->>'total_amount')::DECIMAL THEN
-        v_new_invoice_status := 'paid';
-    ELSIF v_total_paid > 0 THEN
-        v_new_invoice_status := 'partial';
-    ELSE
-        v_new_invoice_status := 'unpaid';
-    END IF;
-
-    UPDATE invoice_receipts
-    SET payment_status = v_new_invoice_status,
-        updated_at = NOW()
-    WHERE invoice_id = v_payment_record.invoice_id;
-
     RETURN jsonb_build_object(
         'success', TRUE,
         'payment_id', p_payment_id,
         'payment_number', v_payment_record.payment_number,
         'old_status', v_payment_record.status,
         'new_status', 'reversed',
-        'invoice_status', v_new_invoice_status,
+        'invoice_id', v_payment_record.invoice_id,
         'message', 'Payment reversed'
     );
 
@@ -6,33 +6,16 @@
 -- =============================================================================
 -- HELPER FUNCTION: Validate PO Status Transition
 -- =============================================================================
--- Validates that a status transition is allowed
+-- Validates that a status transition is allowed by the purchase_order
+-- workflow (workflow_transitions, migration 018)
 
 CREATE OR REPLACE FUNCTION validate_po_status_transition(
     p_current_status VARCHAR,
     p_new_status VARCHAR
 )
 RETURNS BOOLEAN AS $$
-DECLARE
-    v_valid_transitions JSONB := '{
-        "draft": ["submitted", "cancelled"],
-        "submitted": ["approved", "rejected", "cancelled"],
-        "approved": ["partially_received", "fully_received", "cancelled"],
-        "rejected": ["draft"],
-        "partially_received": ["fully_received"],
-        "fully_received": [],
-        "cancelled": []
-    }'::JSONB;
-    v_allowed TEXT[];
-BEGIN
-    -- Get allowed transitions for current status
-    SELECT ARRAY(SELECT jsonb_array_elements_text(v_valid_transitions -> p_current_status))
-    INTO v_allowed;
-
-    -- Check if new status is in allowed list
-    RETURN p_new_status = ANY(v_allowed);
-END;
-$$ LANGUAGE plpgsql IMMUTABLE;
+    SELECT is_workflow_transition_allowed('purchase_order', p_current_status, p_new_status);
+$$ LANGUAGE sql STABLE;
 
 COMMENT ON FUNCTION validate_po_status_transition(VARCHAR, VARCHAR) IS 'Validates PO status transitions';
 
@@ -83,9 +66,10 @@ BEGIN
     -- Generate PO ID
     v_po_id := gen_random_uuid();
 
-    -- Create the purchase order (po_number will be auto-generated by trigger)
+    -- Create the purchase order
     INSERT INTO purchase_orders (
         po_id,
+        po_number,
         supplier_id,
         po_date,
         expected_delivery_date,
@@ -97,6 +81,7 @@ BEGIN
         created_at
     ) VALUES (
         v_po_id,
+        generate_po_number(),
         p_supplier_id,
         p_po_date,
         p_expected_delivery_date,
@@ -120,7 +105,7 @@ BEGIN
                        COALESCE((v_line->>'unit_price')::DECIMAL, 0);
 
         INSERT INTO purchase_order_lines (
-            line_id,
+            po_line_id,
             po_id,
             line_number,
             item_code,
@@ -130,8 +115,7 @@ BEGIN
             quantity_invoiced,
             uom,
             unit_price,
-            line_total,
-            created_at
+            line_total
         ) VALUES (
             v_line_id,
             v_po_id,
@@ -143,8 +127,7 @@ BEGIN
             0,
             COALESCE(v_line->>'uom', 'EA'),
             COALESCE((v_line->>'unit_price')::DECIMAL, 0),
-            v_line_total,
-            NOW()
+            v_line_total
         );
 
         v_total_amount := v_total_amount + v_line_total;
@@ -191,6 +174,7 @@ DECLARE
     v_current_status VARCHAR;
     v_po_record RECORD;
     v_line_count INTEGER;
+    v_approval_steps INTEGER;
 BEGIN
     -- Validate user has submit permission
     IF NOT can_user_perform_action(p_user_id, 'purchase_order', 'submit') THEN
@@ -198,7 +182,7 @@ BEGIN
     END IF;
 
     -- Get current PO state
-    SELECT po_id, po_number, status, total_amount, created_by
+    SELECT po_id, po_number, status, total_amount, currency, created_by
     INTO v_po_record
     FROM purchase_orders
     WHERE po_id = p_po_id
@@ -233,18 +217,22 @@ BEGIN
     -- Update status
     UPDATE purchase_orders
     SET status = 'submitted',
-        submitted_at = NOW(),
-        submitted_by = p_user_id,
-        updated_at = NOW(),
-        updated_by = p_user_id
+        updated_at = NOW()
     WHERE po_id = p_po_id;
 
+    -- Open the approval round of the chain for this amount, if any
+    v_approval_steps := start_approval_chain(
+        'purchase_order', p_po_id, v_po_record.po_number,
+        v_po_record.total_amount, v_po_record.currency
+    );
+
     RETURN jsonb_build_object(
         'success', TRUE,
         'po_id', p_po_id,
         'po_number', v_po_record.po_number,
         'old_status', v_current_status,
         'new_status', 'submitted',
+        'approval_steps', v_approval_steps,
         'message', 'Purchase order submitted for approval'
     );
 
@@ -261,7 +249,9 @@ COMMENT ON FUNCTION submit_purchase_order(UUID, UUID) IS 'Submits a purchase ord
 -- =============================================================================
 -- FUNCTION: Approve Purchase Order
 -- =============================================================================
--- Approves a submitted PO
+-- Approves a submitted PO. When an approval chain applies to its amount and
+-- currency, each call approves the current step only; the PO becomes approved,
+-- with approved_by set, at the last step.
 
 CREATE OR REPLACE FUNCTION approve_purchase_order(
     p_user_id UUID,
@@ -272,14 +262,15 @@ RETURNS JSONB AS $$
 DECLARE
     v_current_status VARCHAR;
     v_po_record RECORD;
+    v_step JSONB;
 BEGIN
-    -- Validate user has approve permission
-    IF NOT can_user_perform_action(p_user_id, 'purchase_order', 'approve') THEN
+    -- Validate user has approve permission (condition rules see the PO)
+    IF NOT can_user_perform_action_on_record(p_user_id, 'purchase_order', 'approve', p_po_id) THEN
         RAISE EXCEPTION 'User does not have permission to approve purchase orders';
     END IF;
 
     -- Get current PO state
-    SELECT po_id, po_number, status, total_amount, created_by
+    SELECT po_id, po_number, status, total_amount, currency, created_by
     INTO v_po_record
     FROM purchase_orders
     WHERE po_id = p_po_id
@@ -303,14 +294,37 @@ BEGIN
         NULL;
     END IF;
 
-    -- Update status
+    -- Approval chain: POs submitted before the chain was configured get
+    -- their round now. Until the last step the PO stays submitted.
+    IF NOT has_approval_round('purchase_order', p_po_id) THEN
+        PERFORM start_approval_chain(
+            'purchase_order', p_po_id, v_po_record.po_number,
+            v_po_record.total_amount, v_po_record.currency
+        );
+    END IF;
+
+    v_step := record_approval_step(p_user_id, 'purchase_order', p_po_id, p_approval_notes);
+
+    IF NOT (v_step->>'is_final')::BOOLEAN THEN
+        RETURN jsonb_build_object(
+            'success', TRUE,
+            'po_id', p_po_id,
+            'po_number', v_po_record.po_number,
+            'old_status', v_current_status,
+            'new_status', v_current_status,
+            'approval_step', v_step,
+            'message', format('Step %s of %s (%s) approved; awaiting %s',
+                v_step->>'step_order', v_step->>'total_steps',
+                v_step->>'step_name', v_step->>'next_step_name')
+        );
+    END IF;
+
+    -- Final step: the PO is approved
     UPDATE purchase_orders
     SET status = 'approved',
         approved_at = NOW(),
         approved_by = p_user_id,
-        approval_notes = p_approval_notes,
-        updated_at = NOW(),
-        updated_by = p_user_id
+        updated_at = NOW()
     WHERE po_id = p_po_id;
 
     RETURN jsonb_build_object(
@@ -320,6 +334,7 @@ BEGIN
         'old_status', v_current_status,
         'new_status', 'approved',
         'approved_by', p_user_id,
+        'approval_step', v_step,
         'message', 'Purchase order approved'
     );
 
@@ -349,7 +364,7 @@ DECLARE
     v_po_record RECORD;
 BEGIN
     -- Validate user has approve permission (same permission for reject)
-    IF NOT can_user_perform_action(p_user_id, 'purchase_order', 'approve') THEN
+    IF NOT can_user_perform_action_on_record(p_user_id, 'purchase_order', 'approve', p_po_id) THEN
         RAISE EXCEPTION 'User does not have permission to reject purchase orders';
     END IF;
 
@@ -376,14 +391,13 @@ BEGIN
         RAISE EXCEPTION 'Cannot reject PO with status: %', v_current_status;
     END IF;
 
+    -- In an approval chain only the current step's approver rejects
+    PERFORM reject_approval_step(p_user_id, 'purchase_order', p_po_id, p_rejection_reason);
+
     -- Update status
     UPDATE purchase_orders
     SET status = 'rejected',
-        rejected_at = NOW(),
-        rejected_by = p_user_id,
-        rejection_reason = p_rejection_reason,
-        updated_at = NOW(),
-        updated_by = p_user_id
+        updated_at = NOW()
     WHERE po_id = p_po_id;
 
     RETURN jsonb_build_object(
@@ -445,14 +459,12 @@ BEGIN
         RAISE EXCEPTION 'Cannot cancel PO with status: %. PO may have been received.', v_current_status;
     END IF;
 
+    PERFORM close_approval_round('purchase_order', p_po_id);
+
     -- Update status
     UPDATE purchase_orders
     SET status = 'cancelled',
-        cancelled_at = NOW(),
-        cancelled_by = p_user_id,
-        cancellation_reason = p_cancellation_reason,
-        updated_at = NOW(),
-        updated_by = p_user_id
+        updated_at = NOW()
     WHERE po_id = p_po_id;
 
     RETURN jsonb_build_object(
@@ -491,9 +503,11 @@ DECLARE
 BEGIN
     IF p_update_type = 'received' THEN
         -- Update quantity_received on each line from goods receipts
+        -- Only quantities accepted at quality check count; pending lines have
+        -- quantity_accepted = 0 and rejected quantities stay open for re-receipt
         UPDATE purchase_order_lines pol
         SET quantity_received = COALESCE((
-            SELECT SUM(grl.quantity_received)
+            SELECT SUM(grl.quantity_accepted)
             FROM goods_receipt_lines grl
             JOIN goods_receipts gr ON grl.gr_id = gr.gr_id
             WHERE grl.po_line_id = pol.line_id
@@ -0,0 +1,348 @@
+-- Business Logic Functions
+-- Module: Workflows
+-- Description: Status transitions driven by workflow_definitions, workflow_states
+--              and workflow_transitions (migration 018)
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Is Workflow Transition Allowed
+-- =============================================================================
+-- Whether the entity's workflow has any transition, manual or system, from one
+-- state to another. Backs validate_po_status_transition and
+-- validate_payment_status_transition.
+
+CREATE OR REPLACE FUNCTION is_workflow_transition_allowed(
+    p_entity_type VARCHAR,
+    p_from_state VARCHAR,
+    p_to_state VARCHAR
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM workflow_transitions t
+        JOIN workflow_definitions w ON w.workflow_id = t.workflow_id
+        JOIN ui_entity_types e ON e.entity_type_id = w.entity_type_id
+        WHERE e.entity_name = p_entity_type
+          AND t.from_state = p_from_state
+          AND t.to_state = p_to_state
+    );
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION is_workflow_transition_allowed(VARCHAR, VARCHAR, VARCHAR) IS 'Checks that the entity workflow allows a move between two states';
+
+-- =============================================================================
+-- FUNCTION: Get Available Transitions
+-- =============================================================================
+-- The manual transitions a user can take on a record now: those leaving its
+-- current state whose action permission (condition rules included) and guard
+-- condition hold, and for approve-action transitions whose current approval
+-- step the user may decide (approval_chains.sql). Empty for entities without a
+-- workflow and missing records.
+
+CREATE OR REPLACE FUNCTION get_available_transitions(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_workflow RECORD;
+    v_record JSONB;
+    v_transition RECORD;
+    v_transitions JSONB := '[]'::JSONB;
+BEGIN
+    SELECT w.workflow_id, w.status_field
+    INTO v_workflow
+    FROM workflow_definitions w
+    JOIN ui_entity_types e ON e.entity_type_id = w.entity_type_id
+    WHERE e.entity_name = p_entity_type;
+
+    IF NOT FOUND THEN
+        RETURN v_transitions;
+    END IF;
+
+    v_record := get_record_data(p_entity_type, p_record_id);
+
+    IF v_record IS NULL OR COALESCE((v_record->>'is_deleted')::BOOLEAN, FALSE) THEN
+        RETURN v_transitions;
+    END IF;
+
+    FOR v_transition IN
+        SELECT t.*, s.display_label AS to_state_label
+        FROM workflow_transitions t
+        JOIN workflow_states s ON s.workflow_id = t.workflow_id AND s.state_name = t.to_state
+        WHERE t.workflow_id = v_workflow.workflow_id
+          AND t.from_state = v_record->>v_workflow.status_field
+          AND t.is_manual = TRUE
+        ORDER BY t.sort_order, t.transition_name
+    LOOP
+        -- Approve-action transitions (approve, reject) also wait for the
+        -- user's turn in an approval chain
+        IF can_user_perform_action(p_user_id, p_entity_type, v_transition.action_name, v_record)
+           AND evaluate_permission_condition(v_transition.guard_condition, v_record, p_user_id)
+           AND (v_transition.action_name <> 'approve'
+                OR can_user_approve_step(p_user_id, p_entity_type, p_record_id)) THEN
+            v_transitions := v_transitions || jsonb_build_object(
+                'name', v_transition.transition_name,
+                'label', v_transition.display_label,
+                'to_state', v_transition.to_state,
+                'to_state_label', v_transition.to_state_label,
+                'action_name', v_transition.action_name,
+                'requires_reason', v_transition.requires_reason,
+                'confirm_message', v_transition.confirm_message,
+                'button_class', v_transition.button_class,
+                'icon_class', v_transition.icon_class
+            );
+        END IF;
+    END LOOP;
+
+    RETURN v_transitions;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_available_transitions(UUID, VARCHAR, UUID) IS 'Lists the workflow transitions a user can take on a record in its current state';
+
+-- =============================================================================
+-- FUNCTION: Perform Workflow Transition
+-- =============================================================================
+-- Takes a named manual transition on a record. Checks, in order: the record's
+-- current state, the transition's action permission, its guard condition and,
+-- when requires_reason is set, a non-empty 'reason' parameter. The handler
+-- function then does the work; its result is returned as is. Transitions
+-- without a handler update the status column, provided it has not changed
+-- since it was read.
+
+CREATE OR REPLACE FUNCTION perform_workflow_transition(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_transition_name VARCHAR,
+    p_params JSONB DEFAULT '{}'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_workflow RECORD;
+    v_record JSONB;
+    v_current_state TEXT;
+    v_transition RECORD;
+    v_pk_column TEXT;
+    v_param RECORD;
+    v_value TEXT;
+    v_args TEXT;
+    v_result JSONB;
+    v_updated INTEGER;
+BEGIN
+    SELECT w.workflow_id, w.status_field, e.primary_table
+    INTO v_workflow
+    FROM workflow_definitions w
+    JOIN ui_entity_types e ON e.entity_type_id = w.entity_type_id
+    WHERE e.entity_name = p_entity_type;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No workflow defined for %', p_entity_type;
+    END IF;
+
+    v_record := get_record_data(p_entity_type, p_record_id);
+
+    IF v_record IS NULL OR COALESCE((v_record->>'is_deleted')::BOOLEAN, FALSE) THEN
+        RAISE EXCEPTION 'Record not found: % with id %', p_entity_type, p_record_id;
+    END IF;
+
+    v_current_state := v_record->>v_workflow.status_field;
+
+    SELECT t.*, s.display_label AS to_state_label
+    INTO v_transition
+    FROM workflow_transitions t
+    JOIN workflow_states s ON s.workflow_id = t.workflow_id AND s.state_name = t.to_state
+    WHERE t.workflow_id = v_workflow.workflow_id
+      AND t.transition_name = p_transition_name
+      AND t.from_state = v_current_state
+      AND t.is_manual = TRUE;
+
+    IF NOT FOUND THEN
+        IF NOT EXISTS (
+            SELECT 1 FROM workflow_transitions
+            WHERE workflow_id = v_workflow.workflow_id
+              AND transition_name = p_transition_name
+              AND is_manual = TRUE
+        ) THEN
+            RAISE EXCEPTION 'Unknown % transition: %', p_entity_type, p_transition_name;
+        END IF;
+        RAISE EXCEPTION 'Cannot % % with status: %', p_transition_name, p_entity_type, v_current_state;
+    END IF;
+
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, v_transition.action_name, v_record) THEN
+        RAISE EXCEPTION 'User does not have permission to % %', p_transition_name, p_entity_type;
+    END IF;
+
+    IF NOT evaluate_permission_condition(v_transition.guard_condition, v_record, p_user_id) THEN
+        RAISE EXCEPTION '% is not allowed for this record', v_transition.display_label;
+    END IF;
+
+    IF v_transition.requires_reason AND COALESCE(trim(p_params->>'reason'), '') = '' THEN
+        RAISE EXCEPTION '% requires a reason', v_transition.display_label;
+    END IF;
+
+    v_pk_column := get_entity_pk(p_entity_type);
+
+    IF v_transition.handler_function IS NOT NULL THEN
+        -- Named arguments, so handler_params need not follow the handler's
+        -- argument order; empty parameters fall back to the handler defaults
+        v_args := format('p_user_id => %L, %I => %L', p_user_id, 'p_' || v_pk_column, p_record_id);
+
+        FOR v_param IN
+            SELECT key, value FROM jsonb_each_text(v_transition.handler_params)
+        LOOP
+            v_value := NULLIF(trim(p_params->>v_param.value), '');
+            IF v_value IS NOT NULL THEN
+                v_args := v_args || format(', %I => %L', v_param.key, v_value);
+            END IF;
+        END LOOP;
+
+        EXECUTE format('SELECT %I(%s)', v_transition.handler_function, v_args) INTO v_result;
+
+        RETURN v_result || jsonb_build_object('transition', p_transition_name);
+    END IF;
+
+    EXECUTE format(
+        'UPDATE %I SET %I = $1, updated_at = NOW()
+         WHERE %I = $2 AND %I = $3',
+        v_workflow.primary_table, v_workflow.status_field, v_pk_column, v_workflow.status_field
+    ) USING v_transition.to_state, p_record_id, v_current_state;
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+    IF v_updated = 0 THEN
+        RAISE EXCEPTION 'Cannot % % with status: % (changed by another user)',
+            p_transition_name, p_entity_type, v_current_state;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'entity_type', p_entity_type,
+        'record_id', p_record_id,
+        'transition', p_transition_name,
+        'old_status', v_current_state,
+        'new_status', v_transition.to_state,
+        'message', 'Status changed to ' || v_transition.to_state_label
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object(
+        'success', FALSE,
+        'error', SQLERRM
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION perform_workflow_transition(UUID, VARCHAR, UUID, VARCHAR, JSONB) IS 'Performs a named workflow transition on a record after state, permission, guard and reason checks';
+
+-- =============================================================================
+-- FUNCTION: Render Workflow Buttons
+-- =============================================================================
+-- Buttons for get_available_transitions, posting to
+-- /api/:entity/:id/transition/:name. Transitions that need a reason render as
+-- a small inline form. Results are shown in #workflow-action-result.
+
+CREATE OR REPLACE FUNCTION render_workflow_buttons(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_transition JSONB;
+    v_url TEXT;
+    v_confirm TEXT;
+    v_icon TEXT;
+    v_html TEXT := '';
+BEGIN
+    FOR v_transition IN
+        SELECT value FROM jsonb_array_elements(get_available_transitions(p_user_id, p_entity_type, p_record_id))
+    LOOP
+        v_url := format('/api/%s/%s/transition/%s', p_entity_type, p_record_id, v_transition->>'name');
+        v_confirm := CASE WHEN COALESCE(v_transition->>'confirm_message', '') <> ''
+            THEN ' hx-confirm="' || escape_html(v_transition->>'confirm_message') || '"' ELSE '' END;
+        v_icon := CASE WHEN v_transition->>'icon_class' IS NOT NULL
+            THEN '<i class="fa ' || escape_html(v_transition->>'icon_class') || '"></i> ' ELSE '' END;
+
+        IF (v_transition->>'requires_reason')::BOOLEAN THEN
+            v_html := v_html
+                || '<form class="inline-action-form" hx-post="' || v_url || '"' || v_confirm
+                || ' hx-target="#workflow-action-result">'
+                || '<input type="text" name="reason" required class="form-control" placeholder="'
+                || escape_html(v_transition->>'label') || ' reason">'
+                || '<button type="submit" class="btn ' || escape_html(v_transition->>'button_class') || '">'
+                || v_icon || escape_html(v_transition->>'label') || '</button></form>';
+        ELSE
+            v_html := v_html
+                || '<button type="button" class="btn ' || escape_html(v_transition->>'button_class') || '"'
+                || ' hx-post="' || v_url || '"' || v_confirm
+                || ' hx-target="#workflow-action-result">'
+                || v_icon || escape_html(v_transition->>'label') || '</button>';
+        END IF;
+    END LOOP;
+
+    IF v_html = '' THEN
+        RETURN '';
+    END IF;
+
+    RETURN v_html || '<div id="workflow-action-result"></div>';
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION render_workflow_buttons(UUID, VARCHAR, UUID) IS 'Renders the workflow transition buttons a user can use on a record';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Transitions the purchase manager can take on a draft PO
+SELECT get_available_transitions(
+    '00000000-0000-0000-0000-000000000101'::UUID,
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE status = 'draft' LIMIT 1)
+);
+-- Returns: [{"name": "submit", "label": "Submit", "to_state": "submitted", ...},
+--           {"name": "cancel", "label": "Cancel PO", "requires_reason": true, ...}]
+
+-- Submit it (calls submit_purchase_order)
+SELECT perform_workflow_transition(
+    '00000000-0000-0000-0000-000000000101'::UUID,
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE status = 'draft' LIMIT 1),
+    'submit'
+);
+
+-- Reject needs a reason, passed to reject_purchase_order as p_rejection_reason
+SELECT perform_workflow_transition(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE status = 'submitted' LIMIT 1),
+    'reject',
+    '{"reason": "Wrong supplier"}'::JSONB
+);
+
+-- Approving a draft PO
+SELECT perform_workflow_transition(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE status = 'draft' LIMIT 1),
+    'approve'
+);
+-- Returns: {"success": false, "error": "Cannot approve purchase_order with status: draft"}
+
+-- Guard: a PO can only be submitted once it has an expected delivery date
+UPDATE workflow_transitions
+SET guard_condition = '{"field": "expected_delivery_date", "operator": "is_not_null"}'
+WHERE transition_name = 'submit'
+  AND workflow_id = '20000000-0000-0000-0000-000000000001'::UUID;
+
+-- Buttons for a payment view
+SELECT render_workflow_buttons(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'payment',
+    (SELECT payment_id FROM payments WHERE status = 'processed' LIMIT 1)
+);
+*/
@@ -0,0 +1,41 @@
+-- Data Layer Functions
+-- Function: get_entity_registry
+-- Description: Lists registered entity types for API routing and navigation
+-- Author: happyveggie
+
+-- =============================================================================
+-- MAIN FUNCTION: Get Entity Registry
+-- =============================================================================
+-- Returns every entity in ui_entity_types with its display metadata.
+-- The API caches this list; new entities appear once the cache refreshes.
+
+CREATE OR REPLACE FUNCTION get_entity_registry()
+RETURNS JSONB AS $$
+BEGIN
+    RETURN COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'entity_name', e.entity_name,
+                'display_name', e.display_name,
+                'icon_class', e.icon_class,
+                'description', e.description
+            )
+            ORDER BY e.created_at, e.entity_type_id
+        )
+        FROM ui_entity_types e
+    ), '[]'::JSONB);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_entity_registry() IS 'Returns registered entity types with display name and icon';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- List registered entities
+SELECT get_entity_registry();
+-- Result: [{"entity_name": "purchase_order", "display_name": "Purchase Orders",
+--           "icon_class": "fa-shopping-cart", "description": "..."}, ...]
+*/
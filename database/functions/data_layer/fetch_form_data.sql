@@ -1,8 +1,30 @@
 -- Data Layer Functions
 -- Function: fetch_form_data
 -- Description: Fetches single record data for forms with lookups
+-- Security: SECURITY INVOKER; records hidden by RLS from the calling role read as not found
 -- Author: happyveggie & Claude Opus 4.5
 
+-- =============================================================================
+-- HELPER FUNCTION: Record Version Token
+-- =============================================================================
+-- Turns updated_at into the opaque version token used for optimistic
+-- concurrency (ETag / If-Match, hidden _version field on edit forms)
+
+CREATE OR REPLACE FUNCTION record_version_token(
+    p_updated_at TIMESTAMPTZ
+)
+RETURNS TEXT AS $$
+BEGIN
+    IF p_updated_at IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN to_char(p_updated_at AT TIME ZONE 'UTC', 'YYYYMMDDHH24MISSUS');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION record_version_token(TIMESTAMPTZ) IS 'Converts updated_at to a record version token';
+
 -- =============================================================================
 -- MAIN FUNCTION: Fetch Form Data
 -- =============================================================================
@@ -24,6 +46,7 @@ DECLARE
     v_result JSONB;
     v_visible_fields TEXT[];
     v_action_name VARCHAR;
+    v_updated_at TIMESTAMPTZ;
 BEGIN
     -- Determine action based on view type
     v_action_name := CASE p_view_type
@@ -32,8 +55,8 @@ BEGIN
         ELSE 'read'
     END;
 
-    -- Validate user has permission for this action
-    IF NOT can_user_perform_action(p_user_id, p_entity_type, v_action_name) THEN
+    -- Validate user has permission for this action (condition rules see the record)
+    IF NOT can_user_perform_action_on_record(p_user_id, p_entity_type, v_action_name, p_record_id) THEN
         RAISE EXCEPTION 'User % does not have % permission for %', p_user_id, v_action_name, p_entity_type;
     END IF;
 
@@ -78,9 +101,20 @@ BEGIN
         RAISE EXCEPTION 'Record not found: % with id %', p_entity_type, p_record_id;
     END IF;
 
+    -- Attach the version token even when updated_at is not a visible field
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = v_table_name AND column_name = 'updated_at'
+    ) THEN
+        EXECUTE format('SELECT updated_at FROM %I WHERE %I = $1', v_table_name, v_pk_column)
+        INTO v_updated_at USING p_record_id;
+
+        v_result := v_result || jsonb_build_object('_version', record_version_token(v_updated_at));
+    END IF;
+
     RETURN v_result;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_form_data(UUID, VARCHAR, UUID, VARCHAR) IS 'Fetches single record with lookups for form display';
 
@@ -102,24 +136,27 @@ DECLARE
     v_visible_fields TEXT[];
     v_field_info JSONB := '{}'::JSONB;
     v_field RECORD;
+    v_record JSONB;
 BEGIN
     -- Get the form data
     v_data := fetch_form_data(p_user_id, p_entity_type, p_record_id, p_view_type);
 
-    -- Get field permissions
-    v_editable_fields := get_editable_fields(p_user_id, p_entity_type, p_view_type);
+    -- Get field permissions; record conditions see the stored row
+    v_record := get_record_data(p_entity_type, p_record_id);
+    v_editable_fields := get_editable_fields(p_user_id, p_entity_type, p_view_type, v_record);
     v_visible_fields := get_visible_fields(p_user_id, p_entity_type, p_view_type);
 
     -- Build field info object
     FOR v_field IN
-        SELECT field_name, is_visible, is_editable
-        FROM get_user_field_permissions(p_user_id, p_entity_type, p_view_type)
+        SELECT field_name, is_visible, is_editable, is_locked
+        FROM get_user_field_permissions(p_user_id, p_entity_type, p_view_type, v_record)
     LOOP
         v_field_info := v_field_info || jsonb_build_object(
             v_field.field_name,
             jsonb_build_object(
                 'visible', v_field.is_visible,
-                'editable', v_field.is_editable
+                'editable', v_field.is_editable,
+                'locked', v_field.is_locked
             )
         );
     END LOOP;
@@ -132,7 +169,7 @@ BEGIN
         'visible_fields', to_jsonb(v_visible_fields)
     );
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_form_data_with_permissions(UUID, VARCHAR, UUID, VARCHAR) IS 'Fetches form data with field permission info';
 
@@ -207,7 +244,7 @@ BEGIN
 
     RETURN v_result;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_lookup_options(UUID, VARCHAR, VARCHAR, TEXT, INTEGER) IS 'Fetches lookup options for dropdown fields';
 
@@ -241,6 +278,7 @@ BEGIN
         SELECT
             f.field_name,
             f.data_type,
+            f.default_value,
             c.column_default
         FROM ui_field_definitions f
         JOIN ui_entity_types e ON f.entity_type_id = e.entity_type_id
@@ -251,8 +289,10 @@ BEGIN
         WHERE e.entity_name = p_entity_type
         ORDER BY f.field_order
     LOOP
-        -- Set defaults based on data type and column defaults
-        IF v_field.column_default IS NOT NULL THEN
+        -- Configured default wins, then column default, then data type
+        IF v_field.default_value IS NOT NULL THEN
+            v_default_value := v_field.default_value;
+        ELSIF v_field.column_default IS NOT NULL THEN
             -- Use database default (simplified parsing)
             IF v_field.column_default LIKE '''%''::character%' THEN
                 v_default_value := substring(v_field.column_default from '''([^'']+)''');
@@ -294,14 +334,54 @@ BEGIN
 
     RETURN v_defaults;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_new_form_defaults(UUID, VARCHAR) IS 'Returns default values for new record creation';
 
+-- =============================================================================
+-- HELPER FUNCTION: Get Entity Relations
+-- =============================================================================
+-- Lists the related-record tabs (ui_entity_relations) of an entity that the
+-- user may read. Line types inherit the parent's read permission; registered
+-- child entities need their own.
+
+CREATE OR REPLACE FUNCTION get_entity_relations(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS JSONB AS $$
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        RETURN '[]'::JSONB;
+    END IF;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'relation_name', r.relation_name,
+                'display_name', r.display_name,
+                'child_entity_name', r.child_entity_name
+            )
+            ORDER BY r.tab_order, r.relation_name
+        )
+        FROM ui_entity_relations r
+        JOIN ui_entity_types p ON p.entity_type_id = r.parent_entity_type_id
+        LEFT JOIN ui_entity_types c ON c.entity_name = r.child_entity_name
+        WHERE p.entity_name = p_entity_type
+          AND (c.entity_type_id IS NULL
+               OR can_user_perform_action(p_user_id, r.child_entity_name, 'read'))
+    ), '[]'::JSONB);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION get_entity_relations(UUID, VARCHAR) IS 'Lists related-record tabs of an entity readable by the user';
+
 -- =============================================================================
 -- HELPER FUNCTION: Fetch Related Records
 -- =============================================================================
--- Returns related records (e.g., PO lines for a PO)
+-- Returns related records (e.g., PO lines for a PO) using ui_entity_relations.
+-- p_child_entity_type matches either the relation name ('payments') or the
+-- child entity name ('purchase_order_line').
 
 CREATE OR REPLACE FUNCTION fetch_related_records(
     p_user_id UUID,
@@ -311,64 +391,76 @@ CREATE OR REPLACE FUNCTION fetch_related_records(
 )
 RETURNS JSONB AS $$
 DECLARE
-    v_child_table TEXT;
-    v_parent_fk TEXT;
+    v_relation RECORD;
+    v_child_columns TEXT[];
     v_query TEXT;
     v_result JSONB;
 BEGIN
-    -- Get child table info
-    SELECT primary_table INTO v_child_table
-    FROM ui_entity_types WHERE entity_name = p_child_entity_type;
-
-    IF v_child_table IS NULL THEN
-        RAISE EXCEPTION 'Unknown entity type: %', p_child_entity_type;
+    SELECT r.*, (c.entity_type_id IS NOT NULL) AS child_is_entity
+    INTO v_relation
+    FROM ui_entity_relations r
+    JOIN ui_entity_types p ON p.entity_type_id = r.parent_entity_type_id
+    LEFT JOIN ui_entity_types c ON c.entity_name = r.child_entity_name
+    WHERE p.entity_name = p_parent_entity_type
+      AND p_child_entity_type IN (r.relation_name, r.child_entity_name)
+    ORDER BY r.tab_order
+    LIMIT 1;
+
+    IF v_relation IS NULL THEN
+        RAISE EXCEPTION 'Unknown relation % for %', p_child_entity_type, p_parent_entity_type;
     END IF;
 
-    -- Determine FK column (convention: parent_entity_id)
-    v_parent_fk := replace(p_parent_entity_type, '_', '') || '_id';
-    IF p_parent_entity_type = 'purchase_order' THEN
-        v_parent_fk := 'po_id';
+    -- Read permission on the parent, and on the child when it is an entity
+    IF NOT can_user_perform_action(p_user_id, p_parent_entity_type, 'read') THEN
+        RAISE EXCEPTION 'User % does not have read permission for %', p_user_id, p_parent_entity_type;
     END IF;
 
-    -- Check if FK column exists
-    IF NOT EXISTS (
-        SELECT 1 FROM information_schema.columns
-        WHERE table_name = v_child_table AND column_name = v_parent_fk
-    ) THEN
-        RETURN '[]'::JSONB;
+    IF v_relation.child_is_entity
+       AND NOT can_user_perform_action(p_user_id, v_relation.child_entity_name, 'read') THEN
+        RAISE EXCEPTION 'User % does not have read permission for %', p_user_id, v_relation.child_entity_name;
     END IF;
 
+    SELECT array_agg(column_name::TEXT) INTO v_child_columns
+    FROM information_schema.columns
+    WHERE table_name = v_relation.child_table;
+
     -- Build query
-    v_query := format(
-        'SELECT * FROM %I WHERE %I = %L ORDER BY line_number',
-        v_child_table,
-        v_parent_fk,
-        p_parent_id
-    );
+    IF v_relation.via_table IS NULL THEN
+        v_query := format(
+            'SELECT c.* FROM %I c WHERE c.%I = $1',
+            v_relation.child_table,
+            v_relation.parent_fk
+        );
+    ELSE
+        v_query := format(
+            'SELECT c.* FROM %I c WHERE c.%I IN (SELECT v.%I FROM %I v WHERE v.%I = $1 AND v.is_deleted = FALSE)',
+            v_relation.child_table,
+            v_relation.via_fk,
+            v_relation.via_fk,
+            v_relation.via_table,
+            v_relation.parent_fk
+        );
+    END IF;
 
-    -- Execute query
+    IF 'is_deleted' = ANY(v_child_columns) THEN
+        v_query := v_query || ' AND c.is_deleted = FALSE';
+    END IF;
+
+    IF 'line_number' = ANY(v_child_columns) THEN
+        v_query := v_query || ' ORDER BY c.line_number';
+    ELSIF 'created_at' = ANY(v_child_columns) THEN
+        v_query := v_query || ' ORDER BY c.created_at DESC';
+    END IF;
+
+    -- Execute query (RLS on the child table still applies: SECURITY INVOKER)
     EXECUTE format(
         'SELECT COALESCE(jsonb_agg(row_to_json(subq)), ''[]''::JSONB) FROM (%s) subq',
         v_query
-    ) INTO v_result;
+    ) INTO v_result USING p_parent_id;
 
     RETURN v_result;
-EXCEPTION
-    WHEN undefined_column THEN
-        -- If line_number doesn't exist, try without ORDER BY
-        v_query := format(
-            'SELECT * FROM %I WHERE %I = %L',
-            v_child_table,
-            v_parent_fk,
-            p_parent_id
-        );
-        EXECUTE format(
-            'SELECT COALESCE(jsonb_agg(row_to_json(subq)), ''[]''::JSONB) FROM (%s) subq',
-            v_query
-        ) INTO v_result;
-        RETURN v_result;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_related_records(UUID, VARCHAR, UUID, VARCHAR) IS 'Fetches related child records for a parent';
 
@@ -384,6 +476,7 @@ SELECT fetch_form_data(
     'some-po-uuid-here'::UUID,
     'form_view'
 );
+-- Result includes "_version": "20240115103000123456" (from updated_at)
 
 -- Fetch PO for editing with permission info
 SELECT fetch_form_data_with_permissions(
@@ -415,4 +508,18 @@ SELECT fetch_related_records(
     'some-po-uuid-here'::UUID,
     'purchase_order_line'
 );
+
+-- Fetch payments made against a PO's invoices (relation name works too)
+SELECT fetch_related_records(
+    '00000000-0000-0000-0000-000000000103'::UUID,
+    'purchase_order',
+    'some-po-uuid-here'::UUID,
+    'payments'
+);
+
+-- Tabs a warehouse user may open on a PO (no invoices or payments)
+SELECT get_entity_relations(
+    '00000000-0000-0000-0000-000000000102'::UUID,
+    'purchase_order'
+);
 */
@@ -1,6 +1,7 @@
 -- Data Layer Functions
 -- Function: fetch_list_data
 -- Description: Fetches paginated list data with filtering and sorting
+-- Security: SECURITY INVOKER, so RLS policies filter rows for the calling database role
 -- Author: happyveggie & Claude Opus 4.5
 
 -- =============================================================================
@@ -116,7 +117,7 @@ BEGIN
         COALESCE(p_page_number, 1),
         v_data;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_list_data(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, INTEGER, INTEGER) IS 'Fetches paginated list data with filtering and sorting';
 
@@ -150,14 +151,65 @@ BEGIN
 
     RETURN v_result.data;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_list_data_simple(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, INTEGER) IS 'Simplified list data fetch returning JSON array';
 
+-- =============================================================================
+-- HELPER FUNCTIONS: Encode / Decode List Cursor
+-- =============================================================================
+-- A cursor is the keyset position of the last row sent: the sort field, its
+-- value and the primary key as base64url JSON. Callers pass it back as is.
+
+CREATE OR REPLACE FUNCTION encode_list_cursor(
+    p_sort_field TEXT,
+    p_sort_value TEXT,
+    p_pk_value TEXT
+)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN translate(
+        encode(convert_to(
+            jsonb_build_object('s', p_sort_field, 'v', p_sort_value, 'k', p_pk_value)::TEXT,
+            'UTF8'
+        ), 'base64'),
+        E'+/=\n',
+        '-_'
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION encode_list_cursor(TEXT, TEXT, TEXT) IS 'Encodes a keyset position as an opaque list cursor';
+
+CREATE OR REPLACE FUNCTION decode_list_cursor(p_cursor TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    v_base64 TEXT := translate(p_cursor, '-_', '+/');
+    v_cursor JSONB;
+BEGIN
+    v_base64 := v_base64 || repeat('=', (4 - length(v_base64) % 4) % 4);
+    v_cursor := convert_from(decode(v_base64, 'base64'), 'UTF8')::JSONB;
+
+    IF jsonb_typeof(v_cursor) <> 'object' OR NOT (v_cursor ?& ARRAY['s', 'v', 'k']) THEN
+        RAISE EXCEPTION 'malformed';
+    END IF;
+
+    RETURN v_cursor;
+EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Invalid cursor';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION decode_list_cursor(TEXT) IS 'Decodes an opaque list cursor into {s, v, k}';
+
 -- =============================================================================
 -- CURSOR-BASED PAGINATION FUNCTION
 -- =============================================================================
--- For efficient pagination with large datasets
+-- Keyset pagination for large datasets: rows are ordered by (sort field,
+-- primary key) and each page starts after the cursor's position, so page 500
+-- costs the same as page 1 and ties on the sort field are never skipped.
+-- The sort field must be visible to the user (the cursor carries its value);
+-- anything else falls back to the primary key.
 
 CREATE OR REPLACE FUNCTION fetch_list_data_cursor(
     p_user_id UUID,
@@ -177,13 +229,19 @@ DECLARE
     v_table_name TEXT;
     v_pk_column TEXT;
     v_base_query TEXT;
+    v_conditions TEXT[] := ARRAY[]::TEXT[];
     v_where_clause TEXT;
     v_order_clause TEXT;
     v_cursor_condition TEXT;
     v_data_query TEXT;
     v_data JSONB;
-    v_last_value TEXT;
+    v_last_row JSONB;
+    v_next_cursor TEXT;
     v_sort_col TEXT;
+    v_direction TEXT;
+    v_operator TEXT;
+    v_sort_nullable BOOLEAN;
+    v_cursor JSONB;
     v_has_more BOOLEAN;
     v_page_size INTEGER;
     v_visible_fields TEXT[];
@@ -197,28 +255,29 @@ BEGIN
     SELECT primary_table INTO v_table_name
     FROM ui_entity_types WHERE entity_name = p_entity_type;
 
+    IF v_table_name IS NULL THEN
+        RAISE EXCEPTION 'Unknown entity type: %', p_entity_type;
+    END IF;
+
     v_pk_column := get_entity_pk(p_entity_type);
-    v_sort_col := COALESCE(p_sort_field, v_pk_column);
     v_page_size := GREATEST(1, LEAST(COALESCE(p_page_size, 25), 1000));
+    v_direction := CASE WHEN upper(p_sort_direction) = 'DESC' THEN 'DESC' ELSE 'ASC' END;
+    v_operator := CASE WHEN v_direction = 'DESC' THEN '<' ELSE '>' END;
 
     -- Get visible fields
     v_visible_fields := get_visible_fields(p_user_id, p_entity_type, 'list');
 
+    v_sort_col := NULLIF(p_sort_field, '');
+    IF v_sort_col IS NULL OR NOT (v_sort_col = ANY(v_visible_fields)) THEN
+        v_sort_col := v_pk_column;
+    END IF;
+
     -- Build base query
     v_base_query := build_query_with_joins(p_entity_type, v_visible_fields, TRUE);
     v_where_clause := build_where_clause(p_entity_type, p_filters, 't');
-    v_order_clause := build_order_by_clause(p_entity_type, v_sort_col, p_sort_direction, 't');
 
-    -- Add cursor condition if provided
-    IF p_cursor_value IS NOT NULL THEN
-        v_cursor_condition := format(
-            ' AND t.%I %s %L',
-            v_sort_col,
-            CASE WHEN upper(p_sort_direction) = 'DESC' THEN '<' ELSE '>' END,
-            p_cursor_value
-        );
-    ELSE
-        v_cursor_condition := '';
+    IF v_where_clause <> '' THEN
+        v_conditions := v_conditions || ('(' || regexp_replace(v_where_clause, '^WHERE ', '') || ')');
     END IF;
 
     -- Add soft delete filter
@@ -226,21 +285,62 @@ BEGIN
         SELECT 1 FROM information_schema.columns
         WHERE table_name = v_table_name AND column_name = 'is_deleted'
     ) THEN
-        IF v_where_clause = '' THEN
-            v_where_clause := 'WHERE t.is_deleted = FALSE';
+        v_conditions := v_conditions || 't.is_deleted = FALSE'::TEXT;
+    END IF;
+
+    -- Add keyset condition if a cursor was provided
+    IF NULLIF(p_cursor_value, '') IS NOT NULL THEN
+        v_cursor := decode_list_cursor(p_cursor_value);
+
+        IF v_cursor->>'s' IS DISTINCT FROM v_sort_col THEN
+            RAISE EXCEPTION 'Invalid cursor: it was issued for a different sort order';
+        END IF;
+
+        IF v_sort_col = v_pk_column THEN
+            v_cursor_condition := format('t.%I %s %L', v_pk_column, v_operator, v_cursor->>'k');
         ELSE
-            v_where_clause := v_where_clause || ' AND t.is_deleted = FALSE';
+            SELECT is_nullable = 'YES' INTO v_sort_nullable
+            FROM information_schema.columns
+            WHERE table_name = v_table_name AND column_name = v_sort_col;
+
+            -- NULLs sort last ascending and first descending
+            IF v_cursor->>'v' IS NULL THEN
+                v_cursor_condition := format(
+                    CASE WHEN v_direction = 'DESC'
+                         THEN '(t.%1$I IS NOT NULL OR t.%2$I %3$s %4$L)'
+                         ELSE '(t.%1$I IS NULL AND t.%2$I %3$s %4$L)' END,
+                    v_sort_col, v_pk_column, v_operator, v_cursor->>'k'
+                );
+            ELSE
+                v_cursor_condition := format(
+                    '(t.%1$I, t.%2$I) %3$s (%4$L, %5$L)',
+                    v_sort_col, v_pk_column, v_operator, v_cursor->>'v', v_cursor->>'k'
+                );
+
+                IF COALESCE(v_sort_nullable, FALSE) AND v_direction = 'ASC' THEN
+                    v_cursor_condition := format('(%s OR t.%I IS NULL)', v_cursor_condition, v_sort_col);
+                END IF;
+            END IF;
         END IF;
+
+        v_conditions := v_conditions || v_cursor_condition;
+    END IF;
+
+    IF v_sort_col = v_pk_column THEN
+        v_order_clause := format('ORDER BY t.%I %s', v_pk_column, v_direction);
+    ELSE
+        v_order_clause := format('ORDER BY t.%I %s, t.%I %s', v_sort_col, v_direction, v_pk_column, v_direction);
     END IF;
 
-    -- Build query with cursor condition
+    -- Build query, fetching one extra row to check for more
     v_data_query := format(
-        '%s %s %s %s LIMIT %s',
+        '%s %s %s LIMIT %s',
         v_base_query,
-        v_where_clause || v_cursor_condition,
+        CASE WHEN cardinality(v_conditions) > 0
+             THEN 'WHERE ' || array_to_string(v_conditions, ' AND ')
+             ELSE '' END,
         v_order_clause,
-        '',
-        v_page_size + 1  -- Fetch one extra to check for more
+        v_page_size + 1
     );
 
     -- Execute query
@@ -252,21 +352,20 @@ BEGIN
     -- Check if there are more records
     v_has_more := jsonb_array_length(v_data) > v_page_size;
 
-    -- Remove extra record if present
+    -- Remove extra record and point the cursor at the last row sent
     IF v_has_more THEN
         v_data := v_data - (jsonb_array_length(v_data) - 1);
+        v_last_row := v_data->(jsonb_array_length(v_data) - 1);
+        v_next_cursor := encode_list_cursor(
+            v_sort_col,
+            v_last_row->>v_sort_col,
+            v_last_row->>v_pk_column
+        );
     END IF;
 
-    -- Get cursor value from last record
-    IF jsonb_array_length(v_data) > 0 THEN
-        v_last_value := v_data->(jsonb_array_length(v_data) - 1)->>v_sort_col;
-    ELSE
-        v_last_value := NULL;
-    END IF;
-
-    RETURN QUERY SELECT v_data, v_last_value, v_has_more;
+    RETURN QUERY SELECT v_data, v_next_cursor, v_has_more;
 END;
-$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
 
 COMMENT ON FUNCTION fetch_list_data_cursor(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, TEXT, INTEGER) IS 'Cursor-based pagination for large datasets';
 
@@ -320,7 +419,7 @@ SELECT * FROM fetch_list_data_cursor(
     '{}'::JSONB,
     'po_date',
     'DESC',
-    '2024-01-15',  -- cursor from previous result
+    'eyJrIjogIi4uLiIsICJzIjogInBvX2RhdGUiLCAidiI6ICIyMDI0LTAxLTE1In0',  -- next_cursor from previous result
     25
 );
 */
@@ -77,6 +77,28 @@ CREATE INDEX IF NOT EXISTS idx_payment_status
 ON payments (status)
 WHERE is_deleted = FALSE;
 
+-- =============================================================================
+-- KEYSET INDEXES - Cursor pagination
+-- =============================================================================
+-- fetch_list_data_cursor() orders by (sort field, primary key). With a
+-- matching index every page is a range scan, however deep the cursor is.
+
+CREATE INDEX IF NOT EXISTS idx_po_date_keyset
+ON purchase_orders (po_date, po_id)
+WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_gr_receipt_date_keyset
+ON goods_receipts (receipt_date, gr_id)
+WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_invoice_date_keyset
+ON invoice_receipts (invoice_date, invoice_id)
+WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_payment_date_keyset
+ON payments (payment_date, payment_id)
+WHERE is_deleted = FALSE;
+
 -- =============================================================================
 -- UI/PERMISSION TABLES - Indexes for faster permission lookups
 -- =============================================================================
@@ -4,109 +4,296 @@
 -- Author: happyveggie & Claude Sonnet 4.5
 
 -- =============================================================================
--- FUNCTION: Evaluate Condition Rule
+-- HELPER FUNCTION: Get Condition User Context
 -- =============================================================================
--- Evaluates JSON condition rules for dynamic permissions
+-- The acting user's attributes that condition rules can refer to with
+-- {"user": "<attribute>"}. NULL for unknown or inactive users.
 
-CREATE OR REPLACE FUNCTION evaluate_permission_condition(
-    p_condition_rule TEXT,
-    p_record_data JSONB,
+CREATE OR REPLACE FUNCTION get_condition_user_context(
     p_user_id UUID
 )
-RETURNS BOOLEAN AS $$
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'user_id', u.user_id,
+        'username', u.username,
+        'email', u.email,
+        'full_name', u.full_name,
+        'role_name', r.role_name
+    )
+    FROM users u
+    JOIN roles r ON r.role_id = u.role_id
+    WHERE u.user_id = p_user_id
+      AND u.is_active = TRUE;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_condition_user_context(UUID) IS 'Returns the user attributes available to condition rules';
+
+-- =============================================================================
+-- HELPER FUNCTION: Resolve Condition Value
+-- =============================================================================
+-- Turns the value side of a condition into text. Besides literals it accepts
+-- 'current_user' (the acting user's id), {"user": "<attribute>"}, and the date
+-- tokens 'today' and 'now', optionally shifted by days ('today-30d').
+
+CREATE OR REPLACE FUNCTION resolve_condition_value(
+    p_value JSONB,
+    p_user JSONB
+)
+RETURNS TEXT AS $$
 DECLARE
-    v_condition JSONB;
-    v_field TEXT;
-    v_operator TEXT;
-    v_expected_value TEXT;
-    v_actual_value TEXT;
+    v_text TEXT;
+    v_match TEXT[];
 BEGIN
-    -- Handle NULL or empty condition (always allow)
-    IF p_condition_rule IS NULL OR p_condition_rule = '' THEN
-        RETURN TRUE;
+    IF p_value IS NULL OR jsonb_typeof(p_value) = 'null' THEN
+        RETURN NULL;
     END IF;
 
-    -- Parse JSON condition
-    BEGIN
-        v_condition := p_condition_rule::JSONB;
-    EXCEPTION WHEN OTHERS THEN
-        -- Invalid JSON, deny by default
-        RAISE WARNING 'Invalid condition rule JSON: %', p_condition_rule;
-        RETURN FALSE;
-    END;
+    IF jsonb_typeof(p_value) = 'object' THEN
+        RETURN p_user->>(p_value->>'user');
+    END IF;
 
-    -- Extract condition components
-    v_field := v_condition->>'field';
-    v_operator := v_condition->>'operator';
-    v_expected_value := v_condition->>'value';
+    v_text := p_value #>> '{}';
 
-    -- If no record data provided, can't evaluate record-level conditions
-    IF p_record_data IS NULL OR p_record_data = '{}'::JSONB THEN
-        -- If condition requires record data, deny
-        IF v_field IS NOT NULL THEN
-            RETURN FALSE;
-        END IF;
-        RETURN TRUE;
+    IF v_text = 'current_user' THEN
+        RETURN p_user->>'user_id';
     END IF;
 
-    -- Get actual value from record
-    v_actual_value := p_record_data->>v_field;
-
-    -- Replace special values
-    IF v_expected_value = 'current_user' THEN
-        v_expected_value := p_user_id::TEXT;
+    v_match := regexp_match(v_text, '^(today|now)(?:([+-][0-9]+)d)?$');
+    IF v_match IS NOT NULL THEN
+        RETURN (CASE WHEN v_match[1] = 'today' THEN CURRENT_DATE::TIMESTAMPTZ ELSE NOW() END
+                + make_interval(days => COALESCE(v_match[2]::INTEGER, 0)))::TEXT;
     END IF;
 
-    -- Evaluate based on operator
-    CASE v_operator
+    RETURN v_text;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION resolve_condition_value(JSONB, JSONB) IS 'Resolves the value of a condition (literal, current_user, user attribute or date token)';
+
+-- =============================================================================
+-- HELPER FUNCTION: Compare Condition Values
+-- =============================================================================
+-- Applies one operator. Ordering operators compare as dates when p_type is
+-- 'date', or when it is omitted and the expected value is a date token or
+-- looks like an ISO date; otherwise as numbers. A NULL actual value fails
+-- every operator except not_equals, not_in and is_null.
+
+CREATE OR REPLACE FUNCTION compare_condition_values(
+    p_actual TEXT,
+    p_operator TEXT,
+    p_expected TEXT,
+    p_type TEXT DEFAULT NULL,
+    p_raw_expected TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_type TEXT := p_type;
+    v_list TEXT[];
+    v_cmp INTEGER;
+BEGIN
+    CASE p_operator
+        WHEN 'is_null' THEN
+            RETURN p_actual IS NULL;
+
+        WHEN 'is_not_null' THEN
+            RETURN p_actual IS NOT NULL;
+
         WHEN 'equals', '=', '==' THEN
-            RETURN v_actual_value = v_expected_value;
+            RETURN COALESCE(p_actual = p_expected, FALSE);
 
         WHEN 'not_equals', '!=', '<>' THEN
-            RETURN v_actual_value != v_expected_value OR v_actual_value IS NULL;
-
-        WHEN 'in' THEN
-            -- v_expected_value should be comma-separated or JSON array
-            IF v_expected_value LIKE '[%]' THEN
-                -- JSON array
-                RETURN v_actual_value = ANY(
-                    SELECT jsonb_array_elements_text(v_expected_value::JSONB)
-                );
+            RETURN p_actual IS NULL OR p_actual != p_expected;
+
+        WHEN 'in', 'not_in' THEN
+            -- Comma-separated list or JSON array
+            IF p_expected LIKE '[%]' THEN
+                v_list := ARRAY(SELECT jsonb_array_elements_text(p_expected::JSONB));
             ELSE
-                -- Comma-separated
-                RETURN v_actual_value = ANY(string_to_array(v_expected_value, ','));
+                v_list := string_to_array(p_expected, ',');
             END IF;
 
-        WHEN 'not_in' THEN
-            IF v_expected_value LIKE '[%]' THEN
-                RETURN v_actual_value != ALL(
-                    SELECT jsonb_array_elements_text(v_expected_value::JSONB)
-                );
-            ELSE
-                RETURN v_actual_value != ALL(string_to_array(v_expected_value, ','));
+            IF p_operator = 'in' THEN
+                RETURN COALESCE(p_actual = ANY(v_list), FALSE);
             END IF;
+            RETURN p_actual IS NULL OR NOT COALESCE(p_actual = ANY(v_list), FALSE);
 
-        WHEN 'greater_than', '>' THEN
-            RETURN v_actual_value::NUMERIC > v_expected_value::NUMERIC;
+        WHEN 'greater_than', '>', 'less_than', '<',
+             'greater_or_equal', '>=', 'less_or_equal', '<=' THEN
+            IF p_actual IS NULL OR p_expected IS NULL THEN
+                RETURN FALSE;
+            END IF;
 
-        WHEN 'less_than', '<' THEN
-            RETURN v_actual_value::NUMERIC < v_expected_value::NUMERIC;
+            IF v_type IS NULL THEN
+                v_type := CASE
+                    WHEN COALESCE(p_raw_expected, p_expected) ~ '^(today|now)([+-][0-9]+d)?$'
+                      OR p_expected ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}' THEN 'date'
+                    ELSE 'number'
+                END;
+            END IF;
 
-        WHEN 'is_null' THEN
-            RETURN v_actual_value IS NULL;
-
-        WHEN 'is_not_null' THEN
-            RETURN v_actual_value IS NOT NULL;
+            BEGIN
+                IF v_type = 'date' THEN
+                    v_cmp := CASE WHEN p_actual::TIMESTAMPTZ > p_expected::TIMESTAMPTZ THEN 1
+                                  WHEN p_actual::TIMESTAMPTZ < p_expected::TIMESTAMPTZ THEN -1
+                                  ELSE 0 END;
+                ELSE
+                    v_cmp := sign(p_actual::NUMERIC - p_expected::NUMERIC)::INTEGER;
+                END IF;
+            EXCEPTION WHEN OTHERS THEN
+                RAISE WARNING 'Cannot compare % with % as %', p_actual, p_expected, v_type;
+                RETURN FALSE;
+            END;
+
+            RETURN CASE
+                WHEN p_operator IN ('greater_than', '>') THEN v_cmp > 0
+                WHEN p_operator IN ('less_than', '<') THEN v_cmp < 0
+                WHEN p_operator IN ('greater_or_equal', '>=') THEN v_cmp >= 0
+                ELSE v_cmp <= 0
+            END;
 
         ELSE
             -- Unknown operator, deny by default
-            RAISE WARNING 'Unknown operator in condition: %', v_operator;
+            RAISE WARNING 'Unknown operator in condition: %', p_operator;
             RETURN FALSE;
     END CASE;
 END;
 $$ LANGUAGE plpgsql STABLE;
 
-COMMENT ON FUNCTION evaluate_permission_condition(TEXT, JSONB, UUID) IS 'Evaluates JSON condition rules for dynamic permissions';
+COMMENT ON FUNCTION compare_condition_values(TEXT, TEXT, TEXT, TEXT, TEXT) IS 'Applies a condition operator to an actual and an expected value';
+
+-- =============================================================================
+-- HELPER FUNCTION: Evaluate Condition Node
+-- =============================================================================
+-- Evaluates one node of a condition rule:
+--   {"field": ..., "operator": ..., "value": ...}  a column of the record
+--   {"user": ..., "operator": ..., "value": ...}   an attribute of the acting user
+--   {"all": [...]}, {"any": [...]}, {"not": {...}} groups, nested freely
+-- Returns NULL (unknown) for field conditions when there is no record data.
+-- Groups follow SQL's three-valued AND/OR/NOT, so an unknown only decides the
+-- result when the known parts do not.
+
+CREATE OR REPLACE FUNCTION evaluate_condition_node(
+    p_node JSONB,
+    p_record_data JSONB,
+    p_user JSONB
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_child JSONB;
+    v_result BOOLEAN;
+    v_unknown BOOLEAN := FALSE;
+BEGIN
+    IF p_node IS NULL OR jsonb_typeof(p_node) <> 'object' THEN
+        RAISE WARNING 'Condition is not an object: %', p_node;
+        RETURN FALSE;
+    END IF;
+
+    IF p_node ? 'all' OR p_node ? 'any' THEN
+        IF jsonb_typeof(COALESCE(p_node->'all', p_node->'any')) <> 'array' THEN
+            RAISE WARNING 'Condition group is not an array: %', p_node;
+            RETURN FALSE;
+        END IF;
+
+        FOR v_child IN
+            SELECT * FROM jsonb_array_elements(COALESCE(p_node->'all', p_node->'any'))
+        LOOP
+            v_result := evaluate_condition_node(v_child, p_record_data, p_user);
+
+            IF v_result IS NULL THEN
+                v_unknown := TRUE;
+            ELSIF p_node ? 'all' AND NOT v_result THEN
+                RETURN FALSE;
+            ELSIF p_node ? 'any' AND v_result THEN
+                RETURN TRUE;
+            END IF;
+        END LOOP;
+
+        IF v_unknown THEN
+            RETURN NULL;
+        END IF;
+        RETURN p_node ? 'all';
+    END IF;
+
+    IF p_node ? 'not' THEN
+        RETURN NOT evaluate_condition_node(p_node->'not', p_record_data, p_user);
+    END IF;
+
+    IF p_node ? 'user' THEN
+        RETURN compare_condition_values(
+            p_user->>(p_node->>'user'),
+            p_node->>'operator',
+            resolve_condition_value(p_node->'value', p_user),
+            p_node->>'type',
+            p_node->>'value'
+        );
+    END IF;
+
+    IF p_node ? 'field' THEN
+        -- No record data: record-level conditions cannot be decided
+        IF p_record_data IS NULL OR p_record_data = '{}'::JSONB THEN
+            RETURN NULL;
+        END IF;
+
+        RETURN compare_condition_values(
+            p_record_data->>(p_node->>'field'),
+            p_node->>'operator',
+            resolve_condition_value(p_node->'value', p_user),
+            p_node->>'type',
+            p_node->>'value'
+        );
+    END IF;
+
+    RAISE WARNING 'Unrecognised condition: %', p_node;
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION evaluate_condition_node(JSONB, JSONB, JSONB) IS 'Evaluates one condition or condition group; NULL when it needs missing record data';
+
+-- =============================================================================
+-- FUNCTION: Evaluate Condition Rule
+-- =============================================================================
+-- Evaluates JSON condition rules for dynamic permissions. A rule is a single
+-- condition or a nested all/any/not group (see evaluate_condition_node); rules
+-- that cannot be decided, such as record conditions without record data, deny.
+
+CREATE OR REPLACE FUNCTION evaluate_permission_condition(
+    p_condition_rule TEXT,
+    p_record_data JSONB,
+    p_user_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_condition JSONB;
+    v_user JSONB;
+BEGIN
+    -- Handle NULL or empty condition (always allow)
+    IF p_condition_rule IS NULL OR p_condition_rule = '' THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Parse JSON condition
+    BEGIN
+        v_condition := p_condition_rule::JSONB;
+    EXCEPTION WHEN OTHERS THEN
+        -- Invalid JSON, deny by default
+        RAISE WARNING 'Invalid condition rule JSON: %', p_condition_rule;
+        RETURN FALSE;
+    END;
+
+    IF jsonb_typeof(v_condition) <> 'object' THEN
+        RAISE WARNING 'Condition rule is not an object: %', p_condition_rule;
+        RETURN FALSE;
+    END IF;
+
+    -- current_user resolves to p_user_id even without a user row
+    v_user := COALESCE(get_condition_user_context(p_user_id), jsonb_build_object('user_id', p_user_id));
+
+    RETURN COALESCE(evaluate_condition_node(v_condition, p_record_data, v_user), FALSE);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION evaluate_permission_condition(TEXT, JSONB, UUID) IS 'Evaluates JSON condition rules (single conditions or all/any/not groups) for dynamic permissions';
 
 -- =============================================================================
 -- MAIN FUNCTION: Can User Perform Action
@@ -186,6 +373,88 @@ $$ LANGUAGE plpgsql STABLE;
 
 COMMENT ON FUNCTION can_user_perform_action(UUID, VARCHAR, VARCHAR, JSONB) IS 'Checks if user can perform action on entity with optional record-level conditions';
 
+-- =============================================================================
+-- HELPER FUNCTION: Get Record Data
+-- =============================================================================
+-- The stored row of a record as JSONB, the record data condition rules are
+-- evaluated against. NULL for unknown entities and missing records.
+
+CREATE OR REPLACE FUNCTION get_record_data(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_table_name TEXT;
+    v_record JSONB;
+BEGIN
+    SELECT primary_table INTO v_table_name
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    IF v_table_name IS NOT NULL AND p_record_id IS NOT NULL THEN
+        EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE %I = $1',
+            v_table_name, get_entity_pk(p_entity_type))
+        INTO v_record USING p_record_id;
+    END IF;
+
+    RETURN v_record;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_record_data(VARCHAR, UUID) IS 'Returns the stored row of a record as JSONB for condition rules';
+
+-- =============================================================================
+-- FUNCTION: Can User Perform Action on Record
+-- =============================================================================
+-- can_user_perform_action with the stored row as the record data, so condition
+-- rules see the record being acted on. For a missing record there is no record
+-- data: unconditional permissions still pass and the caller reports the record
+-- as not found, conditional ones are denied.
+
+CREATE OR REPLACE FUNCTION can_user_perform_action_on_record(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_record_id UUID
+)
+RETURNS BOOLEAN AS $$
+    SELECT can_user_perform_action(p_user_id, p_entity_type, p_action_name,
+        get_record_data(p_entity_type, p_record_id));
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION can_user_perform_action_on_record(UUID, VARCHAR, VARCHAR, UUID) IS 'Checks an action permission with condition rules evaluated against a stored record';
+
+-- =============================================================================
+-- FUNCTION: Can User Read Record
+-- =============================================================================
+-- Whether the user may see one record: the row is visible to the calling role
+-- (RLS applies, as get_record_data runs as the caller) and the read
+-- permission holds for it. Unlike can_user_perform_action_on_record, a
+-- missing or hidden record is never readable. Used to filter live change
+-- events per subscriber.
+
+CREATE OR REPLACE FUNCTION can_user_read_record(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_record JSONB;
+BEGIN
+    v_record := get_record_data(p_entity_type, p_record_id);
+
+    IF v_record IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN can_user_perform_action(p_user_id, p_entity_type, 'read', v_record);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION can_user_read_record(UUID, VARCHAR, UUID) IS 'Checks that a record exists, is visible under RLS and is readable by the user';
+
 -- =============================================================================
 -- HELPER FUNCTION: Get User Actions
 -- =============================================================================
@@ -268,6 +537,30 @@ $$ LANGUAGE plpgsql STABLE;
 
 COMMENT ON FUNCTION check_user_actions(UUID, VARCHAR, VARCHAR[]) IS 'Checks multiple actions at once';
 
+-- =============================================================================
+-- HELPER FUNCTION: Is User Admin
+-- =============================================================================
+-- TRUE for active users holding the active admin role. Gates administration
+-- of the UI framework itself (templates), which has no entity permissions.
+
+CREATE OR REPLACE FUNCTION is_user_admin(
+    p_user_id UUID
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM users u
+        JOIN roles r ON r.role_id = u.role_id
+        WHERE u.user_id = p_user_id
+          AND u.is_active = TRUE
+          AND r.role_name = 'admin'
+          AND r.is_active = TRUE
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION is_user_admin(UUID) IS 'Checks if user is an active administrator';
+
 -- =============================================================================
 -- EXAMPLES AND TESTS
 -- =============================================================================
@@ -315,6 +608,10 @@ SELECT * FROM check_user_actions(
     ARRAY['create', 'read', 'edit', 'delete', 'approve']
 );
 
+-- Administrator check (template administration)
+SELECT is_user_admin('00000000-0000-0000-0000-000000000100'::UUID);
+-- Result: TRUE
+
 -- Example condition rules:
 -- Can only edit own records:
 -- {"field": "created_by", "operator": "equals", "value": "current_user"}
@@ -324,4 +621,27 @@ SELECT * FROM check_user_actions(
 
 -- Can approve if amount <= 10000:
 -- {"field": "total_amount", "operator": "<=", "value": "10000"}
+
+-- Can edit own drafts and rejected orders:
+-- {"all": [
+--     {"field": "status", "operator": "in", "value": "draft,rejected"},
+--     {"field": "created_by", "operator": "equals", "value": "current_user"}
+-- ]}
+
+-- Can approve small orders, or anything as a purchase manager:
+-- {"any": [
+--     {"field": "total_amount", "operator": "less_than", "value": "10000"},
+--     {"user": "role_name", "operator": "equals", "value": "purchase_manager"}
+-- ]}
+
+-- Can cancel unless delivery is due within a week:
+-- {"not": {"field": "expected_delivery_date", "operator": "less_than", "value": "today+7d"}}
+
+SELECT evaluate_permission_condition(
+    '{"any": [{"field": "total_amount", "operator": "less_than", "value": "10000"},
+              {"user": "role_name", "operator": "equals", "value": "admin"}]}',
+    NULL,
+    '00000000-0000-0000-0000-000000000100'::UUID
+);
+-- Result: TRUE (the user condition decides it without record data)
 */
@@ -6,50 +6,72 @@
 -- =============================================================================
 -- FUNCTION: Get User Field Permissions
 -- =============================================================================
--- Returns which fields are visible and editable for a user in a specific view
+-- Returns which fields are visible and editable for a user in a specific view.
+-- With p_record_data (the row being edited or viewed), fields whose
+-- record_condition does not hold for the record are locked: still visible,
+-- but not editable. Without record data, as on create forms and list headers,
+-- record conditions are not applied.
+
+-- p_record_data and is_locked were added; replace the 3-argument version
+-- rather than overload it
+DROP FUNCTION IF EXISTS get_user_field_permissions(UUID, VARCHAR, VARCHAR);
 
 CREATE OR REPLACE FUNCTION get_user_field_permissions(
     p_user_id UUID,
     p_entity_type VARCHAR,
-    p_view_type VARCHAR -- 'list', 'form_create', 'form_edit', 'form_view'
+    p_view_type VARCHAR, -- 'list', 'form_create', 'form_edit', 'form_view'
+    p_record_data JSONB DEFAULT NULL
 )
 RETURNS TABLE (
     field_name VARCHAR,
     is_visible BOOLEAN,
-    is_editable BOOLEAN
+    is_editable BOOLEAN,
+    is_locked BOOLEAN
 ) AS $$
 BEGIN
     RETURN QUERY
     SELECT
-        f.field_name::VARCHAR,
-        CASE
-            WHEN p_view_type = 'list' THEN COALESCE(fp.list_visible, TRUE)
-            WHEN p_view_type = 'form_create' THEN COALESCE(fp.form_create_visible, TRUE)
-            WHEN p_view_type = 'form_edit' THEN COALESCE(fp.form_edit_visible, TRUE)
-            WHEN p_view_type = 'form_view' THEN COALESCE(fp.form_view_visible, TRUE)
-            ELSE TRUE
-        END AS is_visible,
-        CASE
-            WHEN p_view_type = 'list' THEN COALESCE(fp.list_editable, FALSE)
-            WHEN p_view_type = 'form_create' THEN COALESCE(fp.form_create_editable, TRUE)
-            WHEN p_view_type = 'form_edit' THEN COALESCE(fp.form_edit_editable, TRUE)
-            WHEN p_view_type = 'form_view' THEN FALSE  -- View mode is never editable
-            ELSE FALSE
-        END AS is_editable
-    FROM ui_field_definitions f
-    JOIN ui_entity_types e ON f.entity_type_id = e.entity_type_id
-    LEFT JOIN users u ON u.user_id = p_user_id
-    LEFT JOIN field_permissions fp ON (
-        fp.field_id = f.field_id
-        AND fp.role_id = u.role_id
-    )
-    WHERE e.entity_name = p_entity_type
-      AND (u.is_active = TRUE OR u.user_id IS NULL)
-    ORDER BY f.field_order;
+        perm.field_name,
+        perm.is_visible,
+        perm.is_editable AND NOT perm.is_locked,
+        perm.is_locked
+    FROM (
+        SELECT
+            f.field_name::VARCHAR AS field_name,
+            f.field_order,
+            CASE
+                WHEN p_view_type = 'list' THEN COALESCE(fp.list_visible, TRUE)
+                WHEN p_view_type = 'form_create' THEN COALESCE(fp.form_create_visible, TRUE)
+                WHEN p_view_type = 'form_edit' THEN COALESCE(fp.form_edit_visible, TRUE)
+                WHEN p_view_type = 'form_view' THEN COALESCE(fp.form_view_visible, TRUE)
+                ELSE TRUE
+            END AS is_visible,
+            CASE
+                WHEN p_view_type = 'list' THEN COALESCE(fp.list_editable, FALSE)
+                WHEN p_view_type = 'form_create' THEN COALESCE(fp.form_create_editable, TRUE)
+                WHEN p_view_type = 'form_edit' THEN COALESCE(fp.form_edit_editable, TRUE)
+                WHEN p_view_type = 'form_view' THEN FALSE  -- View mode is never editable
+                ELSE FALSE
+            END AS is_editable,
+            (p_record_data IS NOT NULL
+             AND COALESCE(fp.record_condition, '') <> ''
+             AND NOT evaluate_permission_condition(fp.record_condition, p_record_data, p_user_id)
+            ) AS is_locked
+        FROM ui_field_definitions f
+        JOIN ui_entity_types e ON f.entity_type_id = e.entity_type_id
+        LEFT JOIN users u ON u.user_id = p_user_id
+        LEFT JOIN field_permissions fp ON (
+            fp.field_id = f.field_id
+            AND fp.role_id = u.role_id
+        )
+        WHERE e.entity_name = p_entity_type
+          AND (u.is_active = TRUE OR u.user_id IS NULL)
+    ) perm
+    ORDER BY perm.field_order;
 END;
 $$ LANGUAGE plpgsql STABLE;
 
-COMMENT ON FUNCTION get_user_field_permissions(UUID, VARCHAR, VARCHAR) IS 'Returns field visibility and editability for user in specific view';
+COMMENT ON FUNCTION get_user_field_permissions(UUID, VARCHAR, VARCHAR, JSONB) IS 'Returns field visibility and editability for user in specific view, with record conditions applied to the given record';
 
 -- =============================================================================
 -- HELPER FUNCTION: Get Visible Fields as Array
@@ -80,12 +102,17 @@ COMMENT ON FUNCTION get_visible_fields(UUID, VARCHAR, VARCHAR) IS 'Returns array
 -- =============================================================================
 -- HELPER FUNCTION: Get Editable Fields as Array
 -- =============================================================================
--- Returns just the list of editable field names
+-- Returns just the list of editable field names; pass the record to leave out
+-- fields its state locks
+
+-- The 3-argument version is replaced rather than overloaded
+DROP FUNCTION IF EXISTS get_editable_fields(UUID, VARCHAR, VARCHAR);
 
 CREATE OR REPLACE FUNCTION get_editable_fields(
     p_user_id UUID,
     p_entity_type VARCHAR,
-    p_view_type VARCHAR
+    p_view_type VARCHAR,
+    p_record_data JSONB DEFAULT NULL
 )
 RETURNS TEXT[] AS $$
 DECLARE
@@ -93,7 +120,7 @@ DECLARE
 BEGIN
     SELECT ARRAY(
         SELECT field_name
-        FROM get_user_field_permissions(p_user_id, p_entity_type, p_view_type)
+        FROM get_user_field_permissions(p_user_id, p_entity_type, p_view_type, p_record_data)
         WHERE is_editable = TRUE
     ) INTO v_editable_fields;
 
@@ -101,7 +128,7 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql STABLE;
 
-COMMENT ON FUNCTION get_editable_fields(UUID, VARCHAR, VARCHAR) IS 'Returns array of editable field names for user';
+COMMENT ON FUNCTION get_editable_fields(UUID, VARCHAR, VARCHAR, JSONB) IS 'Returns array of editable field names for user, optionally for a specific record';
 
 -- =============================================================================
 -- FUNCTION: Check if User Can See Field
@@ -224,6 +251,15 @@ SELECT get_editable_fields(
     'form_create'
 );
 
+-- Editable fields of a stored record: fields whose record_condition fails
+-- for the record are left out
+SELECT get_editable_fields(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'form_edit',
+    get_record_data('purchase_order', 'some-po-uuid'::UUID)
+);
+
 -- Check specific field permission
 SELECT can_user_see_field(
     '00000000-0000-0000-0000-000000000100'::UUID,
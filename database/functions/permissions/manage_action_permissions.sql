@@ -0,0 +1,632 @@
+-- Permission Administration Functions
+-- Module: Action Permission Management
+-- Description: Grants and revokes actions per role and entity, edits their
+--              condition rules and tests rules against stored records
+-- Security: Administrators only
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Permission Action Names
+-- =============================================================================
+-- The actions ui_action_permissions accepts, in display order. Keep in step
+-- with chk_action_name (last changed in migration 023).
+
+CREATE OR REPLACE FUNCTION get_permission_action_names()
+RETURNS TEXT[] AS $$
+BEGIN
+    RETURN ARRAY[
+        'read', 'create', 'edit', 'delete', 'submit', 'approve',
+        'inspect', 'cancel', 'process', 'clear', 'reverse', 'export', 'import',
+        'print'
+    ];
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION get_permission_action_names() IS 'Returns the action names allowed in ui_action_permissions';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Condition Fields
+-- =============================================================================
+-- Columns of the entity's primary table. Condition rules are evaluated
+-- against the stored row, so any column can be used, not only form fields.
+
+CREATE OR REPLACE FUNCTION get_condition_fields(
+    p_entity_type VARCHAR
+)
+RETURNS TEXT[] AS $$
+BEGIN
+    RETURN ARRAY(
+        SELECT a.attname::TEXT
+        FROM ui_entity_types e
+        JOIN pg_attribute a ON a.attrelid = e.primary_table::regclass
+        WHERE e.entity_name = p_entity_type
+          AND a.attnum > 0
+          AND NOT a.attisdropped
+        ORDER BY a.attnum
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_condition_fields(VARCHAR) IS 'Returns the columns condition rules of an entity can refer to';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Condition Operators
+-- =============================================================================
+-- Operator names the condition builder offers and validate_condition_rule
+-- accepts. evaluate_permission_condition also reads the older symbolic
+-- spellings ('=', '<=', ...) in rules written by hand.
+
+CREATE OR REPLACE FUNCTION get_condition_operators()
+RETURNS TEXT[] AS $$
+BEGIN
+    RETURN ARRAY[
+        'equals', 'not_equals', 'in', 'not_in',
+        'greater_than', 'less_than', 'greater_or_equal', 'less_or_equal',
+        'is_null', 'is_not_null'
+    ];
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION get_condition_operators() IS 'Returns the operator names condition rules accept';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Condition User Attributes
+-- =============================================================================
+-- Attributes of the acting user a rule can test with {"user": ...}; the keys of
+-- get_condition_user_context.
+
+CREATE OR REPLACE FUNCTION get_condition_user_attributes()
+RETURNS TEXT[] AS $$
+BEGIN
+    RETURN ARRAY['user_id', 'username', 'email', 'full_name', 'role_name'];
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION get_condition_user_attributes() IS 'Returns the user attributes condition rules can refer to';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Condition Rule Fields
+-- =============================================================================
+-- Record fields a rule refers to, in order of appearance, without duplicates.
+
+CREATE OR REPLACE FUNCTION get_condition_rule_fields(
+    p_rule JSONB
+)
+RETURNS TEXT[] AS $$
+DECLARE
+    v_fields TEXT[] := ARRAY[]::TEXT[];
+    v_child JSONB;
+    v_field TEXT;
+BEGIN
+    IF p_rule IS NULL OR jsonb_typeof(p_rule) <> 'object' THEN
+        RETURN v_fields;
+    END IF;
+
+    IF p_rule ? 'field' THEN
+        RETURN ARRAY[p_rule->>'field'];
+    END IF;
+
+    FOR v_child IN
+        SELECT p_rule->'not' WHERE p_rule ? 'not'
+        UNION ALL
+        SELECT e FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(COALESCE(p_rule->'all', p_rule->'any')) = 'array'
+                 THEN COALESCE(p_rule->'all', p_rule->'any') ELSE '[]'::JSONB END) e
+    LOOP
+        FOREACH v_field IN ARRAY get_condition_rule_fields(v_child)
+        LOOP
+            IF NOT (v_field = ANY(v_fields)) THEN
+                v_fields := v_fields || v_field;
+            END IF;
+        END LOOP;
+    END LOOP;
+
+    RETURN v_fields;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION get_condition_rule_fields(JSONB) IS 'Returns the record fields a condition rule refers to';
+
+-- =============================================================================
+-- HELPER FUNCTION: Validate Condition Node
+-- =============================================================================
+-- Checks one node of a rule and, for groups, its children (see
+-- evaluate_condition_node for the forms). Returns NULL or a message.
+
+CREATE OR REPLACE FUNCTION validate_condition_node(
+    p_entity_type VARCHAR,
+    p_node JSONB,
+    p_depth INTEGER
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_operator TEXT;
+    v_value JSONB;
+    v_text TEXT;
+    v_type TEXT;
+    v_child JSONB;
+    v_error TEXT;
+    v_group TEXT;
+BEGIN
+    IF p_node IS NULL OR jsonb_typeof(p_node) <> 'object' THEN
+        RETURN 'Each condition must be a JSON object';
+    END IF;
+
+    IF p_depth > 10 THEN
+        RETURN 'Conditions are nested too deeply';
+    END IF;
+
+    -- Groups
+    IF p_node ? 'all' OR p_node ? 'any' THEN
+        v_group := CASE WHEN p_node ? 'all' THEN 'all' ELSE 'any' END;
+
+        IF (SELECT count(*) FROM jsonb_object_keys(p_node)) > 1 THEN
+            RETURN format('A "%s" group takes no other keys', v_group);
+        END IF;
+
+        IF jsonb_typeof(p_node->v_group) <> 'array' OR jsonb_array_length(p_node->v_group) = 0 THEN
+            RETURN format('"%s" needs a list of conditions', v_group);
+        END IF;
+
+        FOR v_child IN SELECT * FROM jsonb_array_elements(p_node->v_group)
+        LOOP
+            v_error := validate_condition_node(p_entity_type, v_child, p_depth + 1);
+            IF v_error IS NOT NULL THEN
+                RETURN v_error;
+            END IF;
+        END LOOP;
+
+        RETURN NULL;
+    END IF;
+
+    IF p_node ? 'not' THEN
+        IF (SELECT count(*) FROM jsonb_object_keys(p_node)) > 1 THEN
+            RETURN 'A "not" group takes no other keys';
+        END IF;
+
+        RETURN validate_condition_node(p_entity_type, p_node->'not', p_depth + 1);
+    END IF;
+
+    -- Single conditions
+    IF p_node ? 'field' AND p_node ? 'user' THEN
+        RETURN 'A condition tests either a field or a user attribute, not both';
+    ELSIF p_node ? 'user' THEN
+        IF NOT (COALESCE(p_node->>'user', '') = ANY(get_condition_user_attributes())) THEN
+            RETURN format('Unknown user attribute: %s', COALESCE(p_node->>'user', '(none)'));
+        END IF;
+    ELSIF COALESCE(p_node->>'field', '') = '' THEN
+        RETURN 'Choose a field';
+    ELSIF NOT (p_node->>'field' = ANY(get_condition_fields(p_entity_type))) THEN
+        RETURN format('%s has no field %s', p_entity_type, p_node->>'field');
+    END IF;
+
+    v_operator := p_node->>'operator';
+
+    IF v_operator IS NULL OR NOT (v_operator = ANY(get_condition_operators())) THEN
+        RETURN format('Unknown operator: %s', COALESCE(v_operator, '(none)'));
+    END IF;
+
+    IF v_operator IN ('is_null', 'is_not_null') THEN
+        RETURN NULL;
+    END IF;
+
+    v_value := p_node->'value';
+
+    IF jsonb_typeof(v_value) = 'object' THEN
+        IF NOT (COALESCE(v_value->>'user', '') = ANY(get_condition_user_attributes())) THEN
+            RETURN format('Unknown user attribute: %s', COALESCE(v_value->>'user', '(none)'));
+        END IF;
+        RETURN NULL;
+    END IF;
+
+    v_text := v_value #>> '{}';
+
+    IF COALESCE(v_text, '') = '' THEN
+        RETURN 'Enter a value to compare with';
+    END IF;
+
+    IF v_operator IN ('greater_than', 'less_than', 'greater_or_equal', 'less_or_equal') THEN
+        v_type := p_node->>'type';
+
+        IF v_type IS NOT NULL AND v_type NOT IN ('number', 'date') THEN
+            RETURN format('Unknown comparison type: %s', v_type);
+        END IF;
+
+        IF v_text ~ '^(today|now)([+-][0-9]+d)?$' THEN
+            IF v_type = 'number' THEN
+                RETURN format('%s needs a number', replace(v_operator, '_', ' '));
+            END IF;
+        ELSIF v_type = 'date' OR (v_type IS NULL AND v_text ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}') THEN
+            BEGIN
+                PERFORM v_text::TIMESTAMPTZ;
+            EXCEPTION WHEN OTHERS THEN
+                RETURN format('%s needs a date (YYYY-MM-DD, today or today-30d)', replace(v_operator, '_', ' '));
+            END;
+        ELSIF v_text !~ '^-?[0-9]+(\.[0-9]+)?$' THEN
+            RETURN format('%s needs a number or a date', replace(v_operator, '_', ' '));
+        END IF;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION validate_condition_node(VARCHAR, JSONB, INTEGER) IS 'Validates one condition or condition group; returns an error message or NULL';
+
+-- =============================================================================
+-- FUNCTION: Validate Condition Rule
+-- =============================================================================
+-- Checks a rule in the form understood by evaluate_permission_condition: a
+-- single condition or nested all/any/not groups of them. Returns NULL when the
+-- rule is valid, otherwise a message for the administrator.
+-- evaluate_permission_condition denies on rules it cannot read, so a rule that
+-- fails here would lock the role out.
+
+CREATE OR REPLACE FUNCTION validate_condition_rule(
+    p_entity_type VARCHAR,
+    p_rule JSONB
+)
+RETURNS TEXT AS $$
+BEGIN
+    IF p_rule IS NULL OR jsonb_typeof(p_rule) <> 'object' THEN
+        RETURN 'A condition must be a JSON object: {field, operator, value} or an all/any/not group';
+    END IF;
+
+    RETURN validate_condition_node(p_entity_type, p_rule, 0);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION validate_condition_rule(VARCHAR, JSONB) IS 'Validates a condition rule; returns an error message or NULL';
+
+-- =============================================================================
+-- FUNCTION: Get Action Permission Matrix
+-- =============================================================================
+-- Active roles and every action with each role's grant:
+-- { entity_type, display_name, roles: [{role_id, role_name}],
+--   actions: [{action_name, permissions: {<role_id>: {is_allowed, condition_rule}}}] }
+
+CREATE OR REPLACE FUNCTION get_action_permission_matrix(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_entity RECORD;
+    v_roles JSONB;
+    v_actions JSONB;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage action permissions', p_user_id;
+    END IF;
+
+    SELECT entity_type_id, entity_name, display_name INTO v_entity
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Entity type not found: %', p_entity_type;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object('role_id', r.role_id, 'role_name', r.role_name)
+        ORDER BY r.created_at, r.role_id
+    ), '[]'::JSONB) INTO v_roles
+    FROM roles r
+    WHERE r.is_active = TRUE;
+
+    SELECT jsonb_agg(
+        jsonb_build_object(
+            'action_name', a.action_name,
+            'permissions', (
+                SELECT jsonb_object_agg(r.role_id, jsonb_build_object(
+                    'is_allowed', COALESCE(ap.is_allowed, FALSE),
+                    'condition_rule', NULLIF(ap.condition_rule, '')
+                ))
+                FROM roles r
+                LEFT JOIN ui_action_permissions ap
+                    ON ap.role_id = r.role_id
+                   AND ap.entity_type_id = v_entity.entity_type_id
+                   AND ap.action_name = a.action_name
+                WHERE r.is_active = TRUE
+            )
+        )
+        ORDER BY a.sort_order
+    ) INTO v_actions
+    FROM unnest(get_permission_action_names()) WITH ORDINALITY AS a(action_name, sort_order);
+
+    RETURN jsonb_build_object(
+        'entity_type', v_entity.entity_name,
+        'display_name', v_entity.display_name,
+        'roles', v_roles,
+        'actions', v_actions
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_action_permission_matrix(UUID, VARCHAR) IS 'Returns the role x action permission matrix of an entity (admin only)';
+
+-- =============================================================================
+-- FUNCTION: Set Action Permission
+-- =============================================================================
+-- Grants or revokes an action. A revoked action keeps its condition rule, so
+-- granting it again restores the previous behaviour.
+
+CREATE OR REPLACE FUNCTION set_action_permission(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_is_allowed BOOLEAN
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_entity_type_id UUID;
+    v_role_name VARCHAR;
+    v_condition_rule TEXT;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage action permissions', p_user_id;
+    END IF;
+
+    IF NOT (p_action_name = ANY(get_permission_action_names())) THEN
+        RAISE EXCEPTION 'Invalid action: %', p_action_name;
+    END IF;
+
+    SELECT entity_type_id INTO v_entity_type_id
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Entity type not found: %', p_entity_type;
+    END IF;
+
+    SELECT role_name INTO v_role_name
+    FROM roles
+    WHERE role_id = p_role_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role not found: %', p_role_id;
+    END IF;
+
+    INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed)
+    VALUES (p_role_id, v_entity_type_id, p_action_name, COALESCE(p_is_allowed, FALSE))
+    ON CONFLICT (role_id, entity_type_id, action_name) DO UPDATE SET
+        is_allowed = EXCLUDED.is_allowed
+    RETURNING condition_rule INTO v_condition_rule;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'role_id', p_role_id,
+        'role_name', v_role_name,
+        'action_name', p_action_name,
+        'is_allowed', COALESCE(p_is_allowed, FALSE),
+        'condition_rule', NULLIF(v_condition_rule, ''),
+        'message', format('%s %s %s on %s',
+            CASE WHEN p_is_allowed THEN 'Granted' ELSE 'Revoked' END,
+            p_action_name,
+            CASE WHEN p_is_allowed THEN 'to' ELSE 'from' END || ' ' || v_role_name,
+            p_entity_type)
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION set_action_permission(UUID, UUID, VARCHAR, VARCHAR, BOOLEAN) IS 'Grants or revokes an action for a role (admin only)';
+
+-- =============================================================================
+-- FUNCTION: Set Action Condition
+-- =============================================================================
+-- Sets the condition rule of a granted action; NULL removes it.
+
+CREATE OR REPLACE FUNCTION set_action_condition(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_condition_rule JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_error TEXT;
+    v_permission_id UUID;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage action permissions', p_user_id;
+    END IF;
+
+    IF p_condition_rule IS NOT NULL THEN
+        v_error := validate_condition_rule(p_entity_type, p_condition_rule);
+        IF v_error IS NOT NULL THEN
+            RAISE EXCEPTION '%', v_error;
+        END IF;
+    END IF;
+
+    UPDATE ui_action_permissions ap
+    SET condition_rule = p_condition_rule::TEXT
+    FROM ui_entity_types e
+    WHERE e.entity_type_id = ap.entity_type_id
+      AND e.entity_name = p_entity_type
+      AND ap.role_id = p_role_id
+      AND ap.action_name = p_action_name
+      AND ap.is_allowed = TRUE
+    RETURNING ap.action_permission_id INTO v_permission_id;
+
+    IF v_permission_id IS NULL THEN
+        RAISE EXCEPTION 'Grant % on % to the role before adding a condition', p_action_name, p_entity_type;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'entity_type', p_entity_type,
+        'action_name', p_action_name,
+        'condition_rule', p_condition_rule,
+        'message', CASE WHEN p_condition_rule IS NULL
+                        THEN format('Removed the condition on %s', p_action_name)
+                        ELSE format('Saved the condition on %s', p_action_name) END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION set_action_condition(UUID, UUID, VARCHAR, VARCHAR, JSONB) IS 'Sets or removes the condition rule of a granted action (admin only)';
+
+-- =============================================================================
+-- FUNCTION: Test Action Condition
+-- =============================================================================
+-- Runs can_user_perform_action for a user of the role on a stored record, with
+-- p_condition_rule in place of the saved rule (NULL tests without a condition).
+-- The draft rule is written inside a subtransaction that is always rolled
+-- back, so the check is the real one and nothing is saved.
+
+CREATE OR REPLACE FUNCTION test_action_condition(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_condition_rule JSONB,
+    p_record_id UUID,
+    p_test_user_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_error TEXT;
+    v_test_user RECORD;
+    v_record JSONB;
+    v_granted BOOLEAN;
+    v_allowed BOOLEAN;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage action permissions', p_user_id;
+    END IF;
+
+    IF p_condition_rule IS NOT NULL THEN
+        v_error := validate_condition_rule(p_entity_type, p_condition_rule);
+        IF v_error IS NOT NULL THEN
+            RAISE EXCEPTION '%', v_error;
+        END IF;
+    END IF;
+
+    SELECT u.user_id, u.full_name, r.role_name INTO v_test_user
+    FROM users u
+    JOIN roles r ON r.role_id = u.role_id
+    WHERE u.user_id = p_test_user_id
+      AND u.role_id = p_role_id
+      AND u.is_active = TRUE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Choose an active user with this role to test as';
+    END IF;
+
+    v_record := get_record_data(p_entity_type, p_record_id);
+
+    IF v_record IS NULL THEN
+        RAISE EXCEPTION 'Record not found: % with id %', p_entity_type, p_record_id;
+    END IF;
+
+    SELECT COALESCE(bool_or(ap.is_allowed), FALSE) INTO v_granted
+    FROM ui_action_permissions ap
+    JOIN ui_entity_types e ON e.entity_type_id = ap.entity_type_id
+    WHERE e.entity_name = p_entity_type
+      AND ap.role_id = p_role_id
+      AND ap.action_name = p_action_name;
+
+    BEGIN
+        UPDATE ui_action_permissions ap
+        SET condition_rule = p_condition_rule::TEXT
+        FROM ui_entity_types e
+        WHERE e.entity_type_id = ap.entity_type_id
+          AND e.entity_name = p_entity_type
+          AND ap.role_id = p_role_id
+          AND ap.action_name = p_action_name;
+
+        v_allowed := can_user_perform_action_on_record(
+            p_test_user_id, p_entity_type, p_action_name, p_record_id);
+
+        -- Undo the draft rule; v_allowed survives the rollback
+        RAISE EXCEPTION USING ERRCODE = 'UA001', MESSAGE = 'test rollback';
+    EXCEPTION WHEN SQLSTATE 'UA001' THEN
+        NULL;
+    END;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'allowed', v_allowed,
+        'granted', v_granted,
+        'test_user', v_test_user.full_name,
+        'role_name', v_test_user.role_name,
+        'record_id', p_record_id,
+        'record_values', (
+            SELECT COALESCE(jsonb_object_agg(f, v_record->f), '{}'::JSONB)
+            FROM unnest(get_condition_rule_fields(p_condition_rule)) f
+        ),
+        'message', format('%s %s %s this record%s',
+            v_test_user.full_name,
+            CASE WHEN v_allowed THEN 'may' ELSE 'may not' END,
+            p_action_name,
+            CASE WHEN v_test_user.role_name = 'admin' THEN ' (administrators may perform every action)'
+                 WHEN NOT v_granted THEN format(' (%s is not granted %s)', v_test_user.role_name, p_action_name)
+                 ELSE '' END)
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION test_action_condition(UUID, UUID, VARCHAR, VARCHAR, JSONB, UUID, UUID) IS 'Tests a draft condition rule against a stored record without saving it (admin only)';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Matrix for purchase orders
+SELECT get_action_permission_matrix(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order'
+);
+
+-- Let purchase managers edit purchase orders they created
+SELECT set_action_permission(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,  -- purchase_manager role
+    'purchase_order',
+    'edit',
+    TRUE
+);
+
+SELECT set_action_condition(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'purchase_order',
+    'edit',
+    '{"field": "created_by", "operator": "equals", "value": "current_user"}'::JSONB
+);
+
+-- Try a stricter rule on one PO as the demo purchase manager, without saving it
+SELECT test_action_condition(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'purchase_order',
+    'edit',
+    '{"field": "status", "operator": "in", "value": "draft,rejected"}'::JSONB,
+    'some-po-uuid'::UUID,
+    '00000000-0000-0000-0000-000000000101'::UUID
+);
+-- Returns: {"success": true, "allowed": false, "record_values": {"status": "approved"}, ...}
+
+-- Compound rules are checked node by node
+SELECT validate_condition_rule('purchase_order', '{"all": [
+    {"field": "status", "operator": "in", "value": "draft,rejected"},
+    {"user": "department", "operator": "equals", "value": "purchasing"}
+]}');
+-- Returns: 'Unknown user attribute: department'
+
+-- Rules are checked before saving
+SELECT validate_condition_rule('purchase_order', '{"field": "total_amount", "operator": "greater_than", "value": "lots"}');
+-- Returns: 'greater than needs a number or a date'
+*/
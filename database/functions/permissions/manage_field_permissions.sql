@@ -0,0 +1,378 @@
+-- Permission Administration Functions
+-- Module: Field Permission Management
+-- Description: Reads and changes the role x field permission matrix
+-- Security: Administrators only; changes are audited by migration 016
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Field Permission Flags
+-- =============================================================================
+-- The seven flags of a role/field pair as JSONB, plus its record_condition
+-- (NULL when the field does not depend on the record's state). Pairs without
+-- a field_permissions row get the column defaults, which are also the fallbacks
+-- get_user_field_permissions applies, so this is what the role actually gets.
+
+CREATE OR REPLACE FUNCTION get_field_permission_flags(
+    p_role_id UUID,
+    p_field_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_flags JSONB;
+BEGIN
+    SELECT jsonb_build_object(
+        'list_visible', fp.list_visible,
+        'list_editable', fp.list_editable,
+        'form_create_visible', fp.form_create_visible,
+        'form_create_editable', fp.form_create_editable,
+        'form_edit_visible', fp.form_edit_visible,
+        'form_edit_editable', fp.form_edit_editable,
+        'form_view_visible', fp.form_view_visible,
+        'record_condition', fp.record_condition
+    ) INTO v_flags
+    FROM field_permissions fp
+    WHERE fp.role_id = p_role_id
+      AND fp.field_id = p_field_id;
+
+    RETURN COALESCE(v_flags, jsonb_build_object(
+        'list_visible', TRUE,
+        'list_editable', FALSE,
+        'form_create_visible', TRUE,
+        'form_create_editable', TRUE,
+        'form_edit_visible', TRUE,
+        'form_edit_editable', TRUE,
+        'form_view_visible', TRUE,
+        'record_condition', NULL
+    ));
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_field_permission_flags(UUID, UUID) IS 'Returns the effective permission flags of a role for a field';
+
+-- =============================================================================
+-- FUNCTION: Get Field Permission Matrix
+-- =============================================================================
+-- Active roles and the entity's fields with every role's flags:
+-- { entity_type, display_name, roles: [{role_id, role_name}],
+--   fields: [{field_id, field_name, display_label, permissions: {<role_id>: flags}}] }
+
+CREATE OR REPLACE FUNCTION get_field_permission_matrix(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_entity RECORD;
+    v_roles JSONB;
+    v_fields JSONB;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage field permissions', p_user_id;
+    END IF;
+
+    SELECT entity_type_id, entity_name, display_name INTO v_entity
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Entity type not found: %', p_entity_type;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object('role_id', r.role_id, 'role_name', r.role_name)
+        ORDER BY r.created_at, r.role_id
+    ), '[]'::JSONB) INTO v_roles
+    FROM roles r
+    WHERE r.is_active = TRUE;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'field_id', f.field_id,
+            'field_name', f.field_name,
+            'display_label', f.display_label,
+            'permissions', (
+                SELECT jsonb_object_agg(r.role_id, get_field_permission_flags(r.role_id, f.field_id))
+                FROM roles r
+                WHERE r.is_active = TRUE
+            )
+        )
+        ORDER BY f.field_order, f.field_name
+    ), '[]'::JSONB) INTO v_fields
+    FROM ui_field_definitions f
+    WHERE f.entity_type_id = v_entity.entity_type_id;
+
+    RETURN jsonb_build_object(
+        'entity_type', v_entity.entity_name,
+        'display_name', v_entity.display_name,
+        'roles', v_roles,
+        'fields', v_fields
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_field_permission_matrix(UUID, VARCHAR) IS 'Returns the role x field permission matrix of an entity (admin only)';
+
+-- =============================================================================
+-- FUNCTION: Set Field Permission
+-- =============================================================================
+-- Sets one flag of a role/field pair, creating the field_permissions row from
+-- the effective flags when there is none. A field must stay visible in a view
+-- while it is editable there (the chk_*_editable_implies_visible constraints);
+-- changes that would break this are refused with a message saying which flag
+-- to change first. Lookups read field_permissions on every request, so the
+-- change applies to the next page a user of the role loads.
+
+CREATE OR REPLACE FUNCTION set_field_permission(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_field_id UUID,
+    p_flag VARCHAR,
+    p_value BOOLEAN
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_field RECORD;
+    v_role_name VARCHAR;
+    v_flags JSONB;
+    v_view TEXT;
+    v_view_label TEXT;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage field permissions', p_user_id;
+    END IF;
+
+    IF p_flag IS NULL OR p_flag NOT IN (
+        'list_visible', 'list_editable',
+        'form_create_visible', 'form_create_editable',
+        'form_edit_visible', 'form_edit_editable',
+        'form_view_visible'
+    ) THEN
+        RAISE EXCEPTION 'Invalid permission flag: %', p_flag;
+    END IF;
+
+    IF p_value IS NULL THEN
+        RAISE EXCEPTION 'A value is required for %', p_flag;
+    END IF;
+
+    SELECT f.field_id, f.entity_type_id, f.display_label INTO v_field
+    FROM ui_field_definitions f
+    WHERE f.field_id = p_field_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Field not found: %', p_field_id;
+    END IF;
+
+    SELECT role_name INTO v_role_name
+    FROM roles
+    WHERE role_id = p_role_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role not found: %', p_role_id;
+    END IF;
+
+    v_flags := get_field_permission_flags(p_role_id, p_field_id)
+        || jsonb_build_object(p_flag, p_value);
+
+    v_view := regexp_replace(p_flag, '_(visible|editable)$', '');
+    v_view_label := CASE v_view
+        WHEN 'list' THEN 'list'
+        WHEN 'form_create' THEN 'create form'
+        WHEN 'form_edit' THEN 'edit form'
+        ELSE 'view form'
+    END;
+
+    IF v_view <> 'form_view'
+       AND (v_flags->>(v_view || '_editable'))::BOOLEAN
+       AND NOT (v_flags->>(v_view || '_visible'))::BOOLEAN THEN
+        IF p_flag LIKE '%_editable' THEN
+            RAISE EXCEPTION '% must be visible in the % before it can be editable there',
+                v_field.display_label, v_view_label;
+        END IF;
+
+        RAISE EXCEPTION '% must be made read-only in the % before it can be hidden there',
+            v_field.display_label, v_view_label;
+    END IF;
+
+    INSERT INTO field_permissions (
+        role_id, entity_type_id, field_id,
+        list_visible, list_editable,
+        form_create_visible, form_create_editable,
+        form_edit_visible, form_edit_editable,
+        form_view_visible
+    ) VALUES (
+        p_role_id, v_field.entity_type_id, p_field_id,
+        (v_flags->>'list_visible')::BOOLEAN,
+        (v_flags->>'list_editable')::BOOLEAN,
+        (v_flags->>'form_create_visible')::BOOLEAN,
+        (v_flags->>'form_create_editable')::BOOLEAN,
+        (v_flags->>'form_edit_visible')::BOOLEAN,
+        (v_flags->>'form_edit_editable')::BOOLEAN,
+        (v_flags->>'form_view_visible')::BOOLEAN
+    )
+    ON CONFLICT (role_id, field_id) DO UPDATE SET
+        list_visible = EXCLUDED.list_visible,
+        list_editable = EXCLUDED.list_editable,
+        form_create_visible = EXCLUDED.form_create_visible,
+        form_create_editable = EXCLUDED.form_create_editable,
+        form_edit_visible = EXCLUDED.form_edit_visible,
+        form_edit_editable = EXCLUDED.form_edit_editable,
+        form_view_visible = EXCLUDED.form_view_visible;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'role_id', p_role_id,
+        'field_id', p_field_id,
+        'flags', v_flags,
+        'message', format('%s is now %s%s in the %s for %s',
+            v_field.display_label,
+            CASE WHEN p_value THEN '' ELSE 'not ' END,
+            CASE WHEN p_flag LIKE '%_editable' THEN 'editable' ELSE 'visible' END,
+            v_view_label,
+            v_role_name)
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION set_field_permission(UUID, UUID, UUID, VARCHAR, BOOLEAN) IS 'Sets one field permission flag for a role (admin only, audited)';
+
+-- =============================================================================
+-- FUNCTION: Set Field Condition
+-- =============================================================================
+-- Sets the record condition of a role/field pair; NULL removes it. While the
+-- condition does not hold for a record, the field is read-only on that record
+-- for the role, in forms and in update_record. The flags are left as they are.
+
+CREATE OR REPLACE FUNCTION set_field_condition(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_field_id UUID,
+    p_condition_rule JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_field RECORD;
+    v_role_name VARCHAR;
+    v_flags JSONB;
+    v_error TEXT;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage field permissions', p_user_id;
+    END IF;
+
+    SELECT f.field_id, f.entity_type_id, f.field_name, f.display_label, e.entity_name INTO v_field
+    FROM ui_field_definitions f
+    JOIN ui_entity_types e ON e.entity_type_id = f.entity_type_id
+    WHERE f.field_id = p_field_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Field not found: %', p_field_id;
+    END IF;
+
+    SELECT role_name INTO v_role_name
+    FROM roles
+    WHERE role_id = p_role_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role not found: %', p_role_id;
+    END IF;
+
+    IF p_condition_rule IS NOT NULL THEN
+        v_error := validate_condition_rule(v_field.entity_name, p_condition_rule);
+        IF v_error IS NOT NULL THEN
+            RAISE EXCEPTION '%', v_error;
+        END IF;
+    END IF;
+
+    v_flags := get_field_permission_flags(p_role_id, p_field_id)
+        || jsonb_build_object('record_condition', p_condition_rule::TEXT);
+
+    INSERT INTO field_permissions (
+        role_id, entity_type_id, field_id,
+        list_visible, list_editable,
+        form_create_visible, form_create_editable,
+        form_edit_visible, form_edit_editable,
+        form_view_visible, record_condition
+    ) VALUES (
+        p_role_id, v_field.entity_type_id, p_field_id,
+        (v_flags->>'list_visible')::BOOLEAN,
+        (v_flags->>'list_editable')::BOOLEAN,
+        (v_flags->>'form_create_visible')::BOOLEAN,
+        (v_flags->>'form_create_editable')::BOOLEAN,
+        (v_flags->>'form_edit_visible')::BOOLEAN,
+        (v_flags->>'form_edit_editable')::BOOLEAN,
+        (v_flags->>'form_view_visible')::BOOLEAN,
+        p_condition_rule::TEXT
+    )
+    ON CONFLICT (role_id, field_id) DO UPDATE SET
+        record_condition = EXCLUDED.record_condition;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'role_id', p_role_id,
+        'field_id', p_field_id,
+        'entity_type', v_field.entity_name,
+        'flags', v_flags,
+        'message', CASE WHEN p_condition_rule IS NULL
+                        THEN format('%s no longer depends on the record for %s',
+                                    v_field.display_label, v_role_name)
+                        ELSE format('Saved the record condition on %s for %s',
+                                    v_field.display_label, v_role_name) END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION set_field_condition(UUID, UUID, UUID, JSONB) IS 'Sets or removes the record condition of a field for a role (admin only, audited)';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Matrix for purchase orders
+SELECT get_field_permission_matrix(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order'
+);
+
+-- Let warehouse staff edit a field inline in the list
+SELECT set_field_permission(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000003'::UUID,  -- warehouse_staff role
+    'some-field-uuid'::UUID,
+    'list_editable',
+    TRUE
+);
+-- Returns: {"success": true, "flags": {...}, "message": "Notes is now editable in the list for warehouse_staff"}
+
+-- Hiding a field that is still editable is refused
+SELECT set_field_permission(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000003'::UUID,
+    'some-field-uuid'::UUID,
+    'list_visible',
+    FALSE
+);
+-- Returns: {"success": false, "error": "Notes must be made read-only in the list before it can be hidden there"}
+
+-- Purchase managers may change the expected delivery date only on drafts
+SELECT set_field_condition(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,  -- purchase_manager role
+    'some-field-uuid'::UUID,
+    '{"field": "status", "operator": "equals", "value": "draft"}'::JSONB
+);
+-- Returns: {"success": true, "flags": {..., "record_condition": "{...}"}, "message": "Saved the record condition on Expected Delivery for purchase_manager"}
+
+-- The change is in the audit trail
+SELECT operation, old_values, new_values, changed_by
+FROM audit_trail
+WHERE table_name = 'field_permissions'
+ORDER BY changed_at DESC
+LIMIT 5;
+*/
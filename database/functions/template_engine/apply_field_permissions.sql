@@ -146,6 +146,32 @@ $$ LANGUAGE plpgsql IMMUTABLE;
 
 COMMENT ON FUNCTION apply_field_permissions(TEXT, TEXT[], TEXT[]) IS 'Filters template fields based on visibility and editability permissions';
 
+-- =============================================================================
+-- FUNCTION: Apply User Field Permissions
+-- =============================================================================
+-- apply_field_permissions with the field lists of a user and view. Given the
+-- record being shown, fields whose record_condition it does not meet are made
+-- read-only.
+
+CREATE OR REPLACE FUNCTION apply_field_permissions(
+    p_template TEXT,
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_view_type VARCHAR,
+    p_record_data JSONB DEFAULT NULL
+)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN apply_field_permissions(
+        p_template,
+        get_visible_fields(p_user_id, p_entity_type, p_view_type),
+        get_editable_fields(p_user_id, p_entity_type, p_view_type, p_record_data)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION apply_field_permissions(TEXT, UUID, VARCHAR, VARCHAR, JSONB) IS 'Filters template fields by a user''s permissions, with record conditions applied to the given record';
+
 -- =============================================================================
 -- HELPER FUNCTION: Remove Field from List Template
 -- =============================================================================
@@ -357,4 +383,14 @@ SELECT apply_field_permissions(
     ARRAY['name']            -- only name editable, status readonly
 );
 -- Result: status input gets disabled attribute
+
+-- Example: Permissions of a user for a stored record
+SELECT apply_field_permissions(
+    '<div class="form-field"><input name="expected_delivery_date" value="{{expected_delivery_date}}"></div>',
+    '00000000-0000-0000-0000-000000000101'::UUID,
+    'purchase_order',
+    'form_edit',
+    get_record_data('purchase_order', 'some-po-uuid'::UUID)
+);
+-- Result: the input is disabled when the field's record_condition fails for the order
 */
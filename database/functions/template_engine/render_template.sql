@@ -33,6 +33,43 @@ $$ LANGUAGE plpgsql IMMUTABLE;
 
 COMMENT ON FUNCTION escape_html(TEXT) IS 'Escapes HTML special characters for XSS prevention';
 
+-- =============================================================================
+-- HELPER FUNCTION: URL Encode
+-- =============================================================================
+-- Percent-encodes a value for use in a query string (RFC 3986 unreserved
+-- characters are kept as is)
+
+CREATE OR REPLACE FUNCTION url_encode(p_text TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_bytes BYTEA;
+    v_result TEXT := '';
+    v_byte INTEGER;
+BEGIN
+    IF p_text IS NULL THEN
+        RETURN '';
+    END IF;
+
+    v_bytes := convert_to(p_text, 'UTF8');
+
+    FOR i IN 0 .. length(v_bytes) - 1 LOOP
+        v_byte := get_byte(v_bytes, i);
+
+        -- 0-9, A-Z, a-z, '-', '.', '_', '~'
+        IF v_byte BETWEEN 48 AND 57 OR v_byte BETWEEN 65 AND 90
+           OR v_byte BETWEEN 97 AND 122 OR v_byte IN (45, 46, 95, 126) THEN
+            v_result := v_result || chr(v_byte);
+        ELSE
+            v_result := v_result || '%' || upper(lpad(to_hex(v_byte), 2, '0'));
+        END IF;
+    END LOOP;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION url_encode(TEXT) IS 'Percent-encodes text for URL query strings';
+
 -- =============================================================================
 -- HELPER FUNCTION: Extract JSON Value by Path
 -- =============================================================================
@@ -295,7 +332,9 @@ COMMENT ON FUNCTION evaluate_template_condition(TEXT, JSONB) IS 'Evaluates simpl
 -- =============================================================================
 -- COMPLETE TEMPLATE RENDERER (All Features)
 -- =============================================================================
--- Handles all template features: placeholders, arrays, conditionals
+-- Handles all template features: placeholders, arrays, conditionals.
+-- {{#unless condition}}...{{/unless}} renders when the condition is false; as
+-- it has its own closing tag it can sit inside an {{#if}} block.
 
 CREATE OR REPLACE FUNCTION render_template_complete(
     p_template TEXT,
@@ -322,6 +361,8 @@ BEGIN
     END IF;
 
     -- First, handle conditionals {{#if condition}}...{{/if}}
+    -- A Postgres regex is greedy or not as a whole, after its first quantifier,
+    -- so that one (\s+?) must be lazy for each block to end at its own {{/if}}
     FOR v_match IN
         SELECT
             matches[1] AS condition,
@@ -329,7 +370,7 @@ BEGIN
         FROM (
             SELECT regexp_matches(
                 v_result,
-                '\{\{#if\s+([^}]+)\}\}(.*?)\{\{/if\}\}',
+                '\{\{#if\s+?([^}]+)\}\}(.*?)\{\{/if\}\}',
                 'gs'
             ) AS matches
         ) AS subq
@@ -353,6 +394,35 @@ BEGIN
         END IF;
     END LOOP;
 
+    -- Then negated conditionals {{#unless condition}}...{{/unless}}
+    FOR v_match IN
+        SELECT
+            matches[1] AS condition,
+            matches[2] AS inner_template
+        FROM (
+            SELECT regexp_matches(
+                v_result,
+                '\{\{#unless\s+?([^}]+)\}\}(.*?)\{\{/unless\}\}',
+                'gs'
+            ) AS matches
+        ) AS subq
+    LOOP
+        v_condition := v_match.condition;
+        v_if_template := v_match.inner_template;
+
+        v_should_render := NOT evaluate_template_condition(v_condition, p_data);
+
+        v_pattern := '{{#unless ' || v_condition || '}}' ||
+                    v_if_template ||
+                    '{{/unless}}';
+
+        IF v_should_render THEN
+            v_result := REPLACE(v_result, v_pattern, v_if_template);
+        ELSE
+            v_result := REPLACE(v_result, v_pattern, '');
+        END IF;
+    END LOOP;
+
     -- Then handle arrays
     v_result := render_template_with_arrays(v_result, p_data);
 
@@ -0,0 +1,570 @@
+-- Template Engine Functions
+-- Module: Template Versions
+-- Description: Versioning of htmx_templates for the template administration UI:
+--              listing versions, saving new ones, activation (and so rollback),
+--              line diffs and previews against sample data
+-- Security: Administrators only; every function checks is_user_admin()
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Validate Template Syntax
+-- =============================================================================
+-- Catches the mistakes that make render_template_complete() silently drop
+-- content: unclosed or unopened {{#if}} and {{#section}} blocks.
+-- Returns an error message, or NULL when the template is usable.
+
+CREATE OR REPLACE FUNCTION validate_template_syntax(
+    p_template TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_section TEXT;
+BEGIN
+    IF p_template IS NULL OR btrim(p_template) = '' THEN
+        RETURN 'Template is empty';
+    END IF;
+
+    IF (SELECT COUNT(*) FROM regexp_matches(p_template, '\{\{#if\s', 'g'))
+       <> (SELECT COUNT(*) FROM regexp_matches(p_template, '\{\{/if\}\}', 'g')) THEN
+        RETURN 'Unbalanced {{#if}} ... {{/if}} blocks';
+    END IF;
+
+    FOR v_section IN
+        SELECT DISTINCT m[1]
+        FROM regexp_matches(p_template, '\{\{[#/](\w+)\}\}', 'g') AS m
+        WHERE m[1] <> 'if'
+    LOOP
+        IF (SELECT COUNT(*) FROM regexp_matches(p_template, '\{\{#' || v_section || '\}\}', 'g'))
+           <> (SELECT COUNT(*) FROM regexp_matches(p_template, '\{\{/' || v_section || '\}\}', 'g')) THEN
+            RETURN format('Unbalanced {{#%1$s}} ... {{/%1$s}} block', v_section);
+        END IF;
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION validate_template_syntax(TEXT) IS 'Checks that template blocks are balanced; returns an error message or NULL';
+
+-- =============================================================================
+-- FUNCTION: List Template Versions
+-- =============================================================================
+-- All versions of every template, optionally narrowed to one entity and/or
+-- view type, grouped by entity and view with the newest version first
+
+CREATE OR REPLACE FUNCTION list_template_versions(
+    p_user_id UUID,
+    p_entity_type VARCHAR DEFAULT NULL,
+    p_view_type VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    RETURN (
+        SELECT COALESCE(jsonb_agg(
+            jsonb_build_object(
+                'template_id', t.template_id,
+                'entity_type', e.entity_name,
+                'entity_display_name', e.display_name,
+                'view_type', t.view_type,
+                'template_name', t.template_name,
+                'version', t.version,
+                'is_active', t.is_active,
+                'created_at', to_char(t.created_at, 'YYYY-MM-DD HH24:MI'),
+                'updated_at', to_char(t.updated_at, 'YYYY-MM-DD HH24:MI')
+            )
+            ORDER BY e.created_at, t.view_type, t.version DESC
+        ), '[]'::JSONB)
+        FROM htmx_templates t
+        JOIN ui_entity_types e ON e.entity_type_id = t.entity_type_id
+        WHERE (p_entity_type IS NULL OR e.entity_name = p_entity_type)
+          AND (p_view_type IS NULL OR t.view_type = p_view_type)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION list_template_versions(UUID, VARCHAR, VARCHAR) IS 'Lists template versions for the template admin UI';
+
+-- =============================================================================
+-- FUNCTION: Get Template Version
+-- =============================================================================
+-- One version including its source
+
+CREATE OR REPLACE FUNCTION get_template_version(
+    p_user_id UUID,
+    p_template_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_template JSONB;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'template_id', t.template_id,
+        'entity_type', e.entity_name,
+        'entity_display_name', e.display_name,
+        'view_type', t.view_type,
+        'template_name', t.template_name,
+        'base_template', t.base_template,
+        'version', t.version,
+        'is_active', t.is_active,
+        'created_at', to_char(t.created_at, 'YYYY-MM-DD HH24:MI')
+    ) INTO v_template
+    FROM htmx_templates t
+    JOIN ui_entity_types e ON e.entity_type_id = t.entity_type_id
+    WHERE t.template_id = p_template_id;
+
+    IF v_template IS NULL THEN
+        RAISE EXCEPTION 'Template not found: %', p_template_id;
+    END IF;
+
+    RETURN v_template;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_template_version(UUID, UUID) IS 'Gets one template version with its source';
+
+-- =============================================================================
+-- FUNCTION: Activate Template Version
+-- =============================================================================
+-- Makes a version the one used for rendering. Activating an older version is
+-- how a template is rolled back. The current version is deactivated first:
+-- idx_template_active_unique is checked per row, before the
+-- deactivate_old_templates trigger would get to run.
+
+CREATE OR REPLACE FUNCTION activate_template_version(
+    p_user_id UUID,
+    p_template_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_template RECORD;
+    v_previous_version INTEGER;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    SELECT * INTO v_template
+    FROM htmx_templates
+    WHERE template_id = p_template_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found: %', p_template_id;
+    END IF;
+
+    -- Serialize activations of the same entity/view
+    PERFORM 1 FROM htmx_templates
+    WHERE entity_type_id = v_template.entity_type_id
+      AND view_type = v_template.view_type
+    FOR UPDATE;
+
+    SELECT version INTO v_previous_version
+    FROM htmx_templates
+    WHERE entity_type_id = v_template.entity_type_id
+      AND view_type = v_template.view_type
+      AND is_active = TRUE;
+
+    IF v_previous_version = v_template.version THEN
+        RETURN jsonb_build_object(
+            'success', TRUE,
+            'template_id', p_template_id,
+            'entity_type', (SELECT entity_name FROM ui_entity_types WHERE entity_type_id = v_template.entity_type_id),
+            'version', v_template.version,
+            'message', format('Version %s is already active', v_template.version)
+        );
+    END IF;
+
+    UPDATE htmx_templates
+    SET is_active = FALSE, updated_at = NOW()
+    WHERE entity_type_id = v_template.entity_type_id
+      AND view_type = v_template.view_type
+      AND is_active = TRUE;
+
+    UPDATE htmx_templates
+    SET is_active = TRUE, updated_at = NOW()
+    WHERE template_id = p_template_id;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'template_id', p_template_id,
+        'entity_type', (SELECT entity_name FROM ui_entity_types WHERE entity_type_id = v_template.entity_type_id),
+        'version', v_template.version,
+        'previous_version', v_previous_version,
+        'message', format('%s version %s is now active%s',
+            v_template.template_name, v_template.version,
+            CASE WHEN v_previous_version > v_template.version
+                 THEN format(' (rolled back from version %s)', v_previous_version)
+                 ELSE '' END)
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION activate_template_version(UUID, UUID) IS 'Activates a template version, deactivating the current one (used for rollback)';
+
+-- =============================================================================
+-- FUNCTION: Save Template Version
+-- =============================================================================
+-- Saves edited template source as a new version of the same entity/view as
+-- p_template_id (the version that was edited). Existing versions are never
+-- modified, so any of them can be activated again later. The new version is
+-- inactive unless p_activate is set.
+
+CREATE OR REPLACE FUNCTION save_template_version(
+    p_user_id UUID,
+    p_template_id UUID,
+    p_base_template TEXT,
+    p_template_name VARCHAR DEFAULT NULL,
+    p_activate BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_source RECORD;
+    v_error TEXT;
+    v_version INTEGER;
+    v_template_id UUID;
+    v_activation JSONB;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    SELECT * INTO v_source
+    FROM htmx_templates
+    WHERE template_id = p_template_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found: %', p_template_id;
+    END IF;
+
+    v_error := validate_template_syntax(p_base_template);
+    IF v_error IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_error;
+    END IF;
+
+    -- Serialize version numbering of the same entity/view
+    PERFORM 1 FROM htmx_templates
+    WHERE entity_type_id = v_source.entity_type_id
+      AND view_type = v_source.view_type
+    FOR UPDATE;
+
+    SELECT MAX(version) + 1 INTO v_version
+    FROM htmx_templates
+    WHERE entity_type_id = v_source.entity_type_id
+      AND view_type = v_source.view_type;
+
+    INSERT INTO htmx_templates (
+        entity_type_id,
+        view_type,
+        template_name,
+        base_template,
+        version,
+        is_active
+    ) VALUES (
+        v_source.entity_type_id,
+        v_source.view_type,
+        COALESCE(NULLIF(btrim(p_template_name), ''), v_source.template_name),
+        p_base_template,
+        v_version,
+        FALSE
+    )
+    RETURNING template_id INTO v_template_id;
+
+    IF p_activate THEN
+        v_activation := activate_template_version(p_user_id, v_template_id);
+
+        IF NOT (v_activation->>'success')::BOOLEAN THEN
+            RAISE EXCEPTION '%', v_activation->>'error';
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', TRUE,
+        'template_id', v_template_id,
+        'entity_type', (SELECT entity_name FROM ui_entity_types WHERE entity_type_id = v_source.entity_type_id),
+        'version', v_version,
+        'is_active', COALESCE(p_activate, FALSE),
+        'message', format('Saved version %s%s', v_version,
+            CASE WHEN p_activate THEN ' and made it active' ELSE '' END)
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', SQLERRM);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION save_template_version(UUID, UUID, TEXT, VARCHAR, BOOLEAN) IS 'Saves edited template source as a new version, optionally activating it';
+
+-- =============================================================================
+-- HELPER FUNCTION: Diff Lines
+-- =============================================================================
+-- Line diff of two texts via longest common subsequence, after stripping the
+-- common leading and trailing lines. Returns a JSON array of
+-- { op: ' ' | '-' | '+', old_line, new_line, text } in display order.
+
+CREATE OR REPLACE FUNCTION diff_lines(
+    p_old TEXT,
+    p_new TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_old TEXT[] := string_to_array(COALESCE(p_old, ''), E'\n');
+    v_new TEXT[] := string_to_array(COALESCE(p_new, ''), E'\n');
+    v_old_count INTEGER := COALESCE(array_length(v_old, 1), 0);
+    v_new_count INTEGER := COALESCE(array_length(v_new, 1), 0);
+    v_prefix INTEGER := 0;
+    v_suffix INTEGER := 0;
+    v_n INTEGER;
+    v_m INTEGER;
+    v_width INTEGER;
+    v_lcs INTEGER[];
+    v_i INTEGER;
+    v_j INTEGER;
+    v_lines JSONB := '[]'::JSONB;
+BEGIN
+    WHILE v_prefix < LEAST(v_old_count, v_new_count)
+          AND v_old[v_prefix + 1] = v_new[v_prefix + 1] LOOP
+        v_prefix := v_prefix + 1;
+    END LOOP;
+
+    WHILE v_suffix < LEAST(v_old_count, v_new_count) - v_prefix
+          AND v_old[v_old_count - v_suffix] = v_new[v_new_count - v_suffix] LOOP
+        v_suffix := v_suffix + 1;
+    END LOOP;
+
+    v_n := v_old_count - v_prefix - v_suffix;
+    v_m := v_new_count - v_prefix - v_suffix;
+
+    IF v_n::BIGINT * v_m > 4000000 THEN
+        RAISE EXCEPTION 'Templates differ too much to diff line by line';
+    END IF;
+
+    -- v_lcs[(i - 1) * width + j]: LCS length of old[i..] and new[j..],
+    -- i and j counted within the changed middle section
+    v_width := v_m + 1;
+    v_lcs := array_fill(0, ARRAY[(v_n + 1) * v_width]);
+
+    FOR v_i IN REVERSE v_n..1 LOOP
+        FOR v_j IN REVERSE v_m..1 LOOP
+            IF v_old[v_prefix + v_i] = v_new[v_prefix + v_j] THEN
+                v_lcs[(v_i - 1) * v_width + v_j] := v_lcs[v_i * v_width + v_j + 1] + 1;
+            ELSE
+                v_lcs[(v_i - 1) * v_width + v_j] := GREATEST(
+                    v_lcs[v_i * v_width + v_j],
+                    v_lcs[(v_i - 1) * v_width + v_j + 1]
+                );
+            END IF;
+        END LOOP;
+    END LOOP;
+
+    FOR v_i IN 1..v_prefix LOOP
+        v_lines := v_lines || jsonb_build_object(
+            'op', ' ', 'old_line', v_i, 'new_line', v_i, 'text', v_old[v_i]);
+    END LOOP;
+
+    v_i := 1;
+    v_j := 1;
+    WHILE v_i <= v_n OR v_j <= v_m LOOP
+        IF v_i <= v_n AND v_j <= v_m AND v_old[v_prefix + v_i] = v_new[v_prefix + v_j] THEN
+            v_lines := v_lines || jsonb_build_object(
+                'op', ' ', 'old_line', v_prefix + v_i, 'new_line', v_prefix + v_j,
+                'text', v_old[v_prefix + v_i]);
+            v_i := v_i + 1;
+            v_j := v_j + 1;
+        ELSIF v_j > v_m OR (v_i <= v_n
+              AND v_lcs[v_i * v_width + v_j] >= v_lcs[(v_i - 1) * v_width + v_j + 1]) THEN
+            v_lines := v_lines || jsonb_build_object(
+                'op', '-', 'old_line', v_prefix + v_i, 'new_line', NULL,
+                'text', v_old[v_prefix + v_i]);
+            v_i := v_i + 1;
+        ELSE
+            v_lines := v_lines || jsonb_build_object(
+                'op', '+', 'old_line', NULL, 'new_line', v_prefix + v_j,
+                'text', v_new[v_prefix + v_j]);
+            v_j := v_j + 1;
+        END IF;
+    END LOOP;
+
+    FOR v_i IN 1..v_suffix LOOP
+        v_lines := v_lines || jsonb_build_object(
+            'op', ' ',
+            'old_line', v_old_count - v_suffix + v_i,
+            'new_line', v_new_count - v_suffix + v_i,
+            'text', v_old[v_old_count - v_suffix + v_i]);
+    END LOOP;
+
+    RETURN v_lines;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION diff_lines(TEXT, TEXT) IS 'Line-by-line diff of two texts (LCS based)';
+
+-- =============================================================================
+-- FUNCTION: Diff Template Versions
+-- =============================================================================
+-- Compares two versions of the same entity/view template
+
+CREATE OR REPLACE FUNCTION diff_template_versions(
+    p_user_id UUID,
+    p_from_template_id UUID,
+    p_to_template_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_from JSONB;
+    v_to JSONB;
+    v_lines JSONB;
+BEGIN
+    v_from := get_template_version(p_user_id, p_from_template_id);
+    v_to := get_template_version(p_user_id, p_to_template_id);
+
+    IF v_from->>'entity_type' <> v_to->>'entity_type'
+       OR v_from->>'view_type' <> v_to->>'view_type' THEN
+        RAISE EXCEPTION 'Only versions of the same template can be compared';
+    END IF;
+
+    v_lines := diff_lines(v_from->>'base_template', v_to->>'base_template');
+
+    RETURN jsonb_build_object(
+        'from', v_from - 'base_template',
+        'to', v_to - 'base_template',
+        'added_count', (SELECT COUNT(*) FROM jsonb_array_elements(v_lines) l WHERE l->>'op' = '+'),
+        'removed_count', (SELECT COUNT(*) FROM jsonb_array_elements(v_lines) l WHERE l->>'op' = '-'),
+        'lines', v_lines
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION diff_template_versions(UUID, UUID, UUID) IS 'Line diff between two versions of a template';
+
+-- =============================================================================
+-- FUNCTION: Build Template Preview Data
+-- =============================================================================
+-- Sample data a template of the given view type is rendered with: list views
+-- get the first page of fetch_list_data() plus paging and permission flags,
+-- the same shape generate_htmx_list() uses; other views get the first record
+-- of that page merged with the permission flags.
+
+CREATE OR REPLACE FUNCTION build_template_preview_data(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_view_type VARCHAR
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_list_result RECORD;
+    v_entity_display_name TEXT;
+    v_base JSONB;
+BEGIN
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    SELECT * INTO v_list_result
+    FROM fetch_list_data(p_user_id, p_entity_type, '{}'::JSONB, NULL, 'ASC', 5, 1);
+
+    v_base := jsonb_build_object(
+        'entity_type', p_entity_type,
+        'entity_display_name', COALESCE(v_entity_display_name, p_entity_type)
+    ) || build_user_permission_data(p_user_id, p_entity_type);
+
+    IF p_view_type = 'list' THEN
+        RETURN v_base || jsonb_build_object(
+            'records', v_list_result.data,
+            'bulk_action_bar', build_bulk_action_bar(p_user_id, p_entity_type),
+            'export_buttons', build_export_buttons(p_user_id, p_entity_type)
+        ) || build_pagination_data(v_list_result.total_count, 5, 1);
+    END IF;
+
+    RETURN v_base || COALESCE(v_list_result.data->0, '{}'::JSONB);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION build_template_preview_data(UUID, VARCHAR, VARCHAR) IS 'Builds sample template data from fetch_list_data for previews';
+
+-- =============================================================================
+-- FUNCTION: Preview Template
+-- =============================================================================
+-- Renders unsaved template source with render_template_complete() against
+-- build_template_preview_data()
+
+CREATE OR REPLACE FUNCTION preview_template(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_view_type VARCHAR,
+    p_base_template TEXT
+)
+RETURNS TEXT AS $$
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    RETURN render_template_complete(
+        p_base_template,
+        build_template_preview_data(p_user_id, p_entity_type, p_view_type)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION preview_template(UUID, VARCHAR, VARCHAR, TEXT) IS 'Renders template source against sample data';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- All purchase order template versions
+SELECT list_template_versions(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order'
+);
+
+-- Save an edited list template as a new, inactive version
+SELECT save_template_version(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'current-template-uuid'::UUID,
+    '<div class="entity-list">...</div>',
+    'Purchase Order List View (compact)'
+);
+-- Returns: {"success": true, "template_id": "...", "version": 2, "is_active": false, ...}
+
+-- Roll back by activating an earlier version
+SELECT activate_template_version(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'version-1-template-uuid'::UUID
+);
+-- Returns: {"success": true, "version": 1, "previous_version": 2,
+--           "message": "Purchase Order List View version 1 is now active (rolled back from version 2)"}
+
+-- What changed between two versions
+SELECT diff_template_versions(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'version-1-template-uuid'::UUID,
+    'version-2-template-uuid'::UUID
+);
+
+SELECT diff_lines(E'a\nb\nc', E'a\nc\nd');
+-- [{"op": " ", "text": "a", ...}, {"op": "-", "text": "b", ...},
+--  {"op": " ", "text": "c", ...}, {"op": "+", "text": "d", ...}]
+
+-- Render unsaved source against sample purchase orders
+SELECT preview_template(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'list',
+    '<ul>{{#records}}<li>{{po_number}}</li>{{/records}}</ul>'
+);
+
+-- Unclosed blocks are rejected when saving
+SELECT validate_template_syntax('{{#if user_can_edit}}<button>Edit</button>');
+-- Returns: 'Unbalanced {{#if}} ... {{/if}} blocks'
+*/
@@ -0,0 +1,648 @@
+-- UI Generation Functions
+-- Function: generate_htmx_action_permissions
+-- Description: Action permission editor (role x action grid per entity) with a
+--              condition rule builder and tester
+-- Security: SECURITY INVOKER; the manage_action_permissions functions check for an admin
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Describe Condition Node
+-- =============================================================================
+-- Summary of one condition or group; nested groups are parenthesised.
+
+CREATE OR REPLACE FUNCTION describe_condition_node(
+    p_node JSONB,
+    p_nested BOOLEAN DEFAULT FALSE
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_group TEXT;
+    v_parts TEXT[];
+    v_value TEXT;
+BEGIN
+    IF p_node ? 'all' OR p_node ? 'any' THEN
+        v_group := CASE WHEN p_node ? 'all' THEN 'all' ELSE 'any' END;
+
+        v_parts := ARRAY(
+            SELECT describe_condition_node(e, TRUE)
+            FROM jsonb_array_elements(
+                CASE WHEN jsonb_typeof(p_node->v_group) = 'array' THEN p_node->v_group ELSE '[]'::JSONB END
+            ) e
+        );
+
+        IF cardinality(v_parts) = 1 THEN
+            RETURN v_parts[1];
+        END IF;
+
+        RETURN CASE WHEN p_nested THEN '(' ELSE '' END
+            || array_to_string(v_parts, CASE v_group WHEN 'all' THEN ' and ' ELSE ' or ' END)
+            || CASE WHEN p_nested THEN ')' ELSE '' END;
+    END IF;
+
+    IF p_node ? 'not' THEN
+        RETURN 'not ' || describe_condition_node(p_node->'not', TRUE);
+    END IF;
+
+    v_value := CASE
+        WHEN jsonb_typeof(p_node->'value') = 'object' THEN 'user ' || (p_node->'value'->>'user')
+        WHEN p_node->>'value' = 'current_user' THEN 'current user'
+        ELSE p_node->>'value'
+    END;
+
+    RETURN format('%s %s%s',
+        CASE WHEN p_node ? 'user' THEN 'user ' || (p_node->>'user') ELSE p_node->>'field' END,
+        CASE p_node->>'operator'
+            WHEN 'equals' THEN '='
+            WHEN 'not_equals' THEN '≠'
+            WHEN 'in' THEN 'in'
+            WHEN 'not_in' THEN 'not in'
+            WHEN 'greater_than' THEN '>'
+            WHEN 'less_than' THEN '<'
+            WHEN 'greater_or_equal' THEN '≥'
+            WHEN 'less_or_equal' THEN '≤'
+            WHEN 'is_null' THEN 'is empty'
+            WHEN 'is_not_null' THEN 'is set'
+            ELSE COALESCE(p_node->>'operator', '?')
+        END,
+        CASE WHEN p_node->>'operator' IN ('is_null', 'is_not_null') THEN ''
+             WHEN p_node->>'operator' IN ('in', 'not_in')
+                 THEN ' ' || replace(trim(BOTH '[]"' FROM v_value), ',', ', ')
+             ELSE ' ' || COALESCE(v_value, '')
+        END
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION describe_condition_node(JSONB, BOOLEAN) IS 'Summarizes a condition or condition group';
+
+-- =============================================================================
+-- HELPER FUNCTION: Describe Condition Rule
+-- =============================================================================
+-- One-line summary of a condition rule for the grid, e.g.
+-- "created_by = current user" or
+-- "status in draft, rejected and (total_amount < 10000 or user role_name = purchase_manager)".
+
+CREATE OR REPLACE FUNCTION describe_condition_rule(
+    p_condition_rule TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_rule JSONB;
+BEGIN
+    IF p_condition_rule IS NULL OR p_condition_rule = '' THEN
+        RETURN NULL;
+    END IF;
+
+    BEGIN
+        v_rule := p_condition_rule::JSONB;
+    EXCEPTION WHEN OTHERS THEN
+        RETURN 'invalid rule';
+    END;
+
+    IF jsonb_typeof(v_rule) <> 'object' THEN
+        RETURN 'invalid rule';
+    END IF;
+
+    RETURN describe_condition_node(v_rule);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION describe_condition_rule(TEXT) IS 'Summarizes a condition rule in one line';
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Action Permission Cell
+-- =============================================================================
+-- One role/action cell: a grant checkbox and, for granted actions, a button
+-- that opens the condition builder showing the current rule. Administrators
+-- may perform every action whatever is stored, so their cells are read-only.
+
+CREATE OR REPLACE FUNCTION render_action_permission_cell(
+    p_role_id UUID,
+    p_role_name VARCHAR,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_is_allowed BOOLEAN,
+    p_condition_rule TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_vals TEXT;
+    v_condition TEXT := describe_condition_rule(p_condition_rule);
+BEGIN
+    IF p_role_name = 'admin' THEN
+        RETURN format(
+            '<td class="ap-cell" id="ap-%s-%s"><input type="checkbox" checked disabled '
+            'title="Administrators may perform every action"></td>',
+            p_role_id, p_action_name
+        );
+    END IF;
+
+    v_vals := escape_html(jsonb_build_object(
+        'role_id', p_role_id,
+        'entity', p_entity_type,
+        'action', p_action_name
+    )::TEXT);
+
+    RETURN format(
+        '<td class="ap-cell" id="ap-%s-%s">'
+        '<input type="checkbox" name="allowed" value="true" title="Grant %s"'
+        ' hx-post="/ui/admin/permissions/actions" hx-vals="%s"'
+        ' hx-target="closest td" hx-swap="outerHTML"%s>%s</td>',
+        p_role_id,
+        p_action_name,
+        escape_html(p_action_name),
+        v_vals,
+        CASE WHEN p_is_allowed THEN ' checked' ELSE '' END,
+        CASE WHEN p_is_allowed IS NOT TRUE THEN ''
+             ELSE format(
+                ' <button type="button" class="btn btn-sm btn-text ap-condition%s" title="%s"'
+                ' hx-get="/ui/admin/permissions/actions/condition" hx-vals="%s"'
+                ' hx-target="#condition-builder" hx-swap="innerHTML">%s</button>',
+                CASE WHEN v_condition IS NULL THEN '' ELSE ' has-condition' END,
+                escape_html(COALESCE(v_condition, 'Add a condition')),
+                v_vals,
+                -- Compound rules get long; the title carries the full summary
+                CASE WHEN v_condition IS NULL THEN '<i class="fa fa-plus"></i> condition'
+                     WHEN length(v_condition) > 40
+                         THEN '<i class="fa fa-filter"></i> ' || escape_html(left(v_condition, 39)) || '…'
+                     ELSE '<i class="fa fa-filter"></i> ' || escape_html(v_condition) END)
+        END
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION render_action_permission_cell(UUID, VARCHAR, VARCHAR, VARCHAR, BOOLEAN, TEXT) IS 'Renders the grant checkbox and condition button of one role/action pair';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Action Permission Matrix
+-- =============================================================================
+-- Actions down the side, roles across the top, for one entity (the first
+-- registered entity when none is given). The condition builder opens below.
+
+CREATE OR REPLACE FUNCTION generate_htmx_action_permissions(
+    p_user_id UUID,
+    p_entity_type VARCHAR DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_entity_type VARCHAR := p_entity_type;
+    v_matrix JSONB;
+    v_options TEXT;
+    v_header TEXT;
+    v_action JSONB;
+    v_role JSONB;
+    v_permission JSONB;
+    v_rows TEXT := '';
+BEGIN
+    IF v_entity_type IS NULL THEN
+        SELECT entity_name INTO v_entity_type
+        FROM ui_entity_types
+        ORDER BY created_at
+        LIMIT 1;
+    END IF;
+
+    v_matrix := get_action_permission_matrix(p_user_id, v_entity_type);
+
+    SELECT string_agg(
+        format('<option value="%s"%s>%s</option>',
+               escape_html(entity_name),
+               CASE WHEN entity_name = v_entity_type THEN ' selected' ELSE '' END,
+               escape_html(display_name)),
+        '' ORDER BY created_at
+    ) INTO v_options
+    FROM ui_entity_types;
+
+    SELECT string_agg(
+        format('<th>%s</th>', escape_html(initcap(replace(r->>'role_name', '_', ' ')))),
+        '' ORDER BY n
+    ) INTO v_header
+    FROM jsonb_array_elements(v_matrix->'roles') WITH ORDINALITY AS t(r, n);
+
+    FOR v_action IN SELECT * FROM jsonb_array_elements(v_matrix->'actions')
+    LOOP
+        v_rows := v_rows || format('<tr><th scope="row">%s</th>', escape_html(v_action->>'action_name'));
+
+        FOR v_role IN SELECT * FROM jsonb_array_elements(v_matrix->'roles')
+        LOOP
+            v_permission := v_action->'permissions'->(v_role->>'role_id');
+
+            v_rows := v_rows || render_action_permission_cell(
+                (v_role->>'role_id')::UUID,
+                v_role->>'role_name',
+                v_entity_type,
+                v_action->>'action_name',
+                (v_permission->>'is_allowed')::BOOLEAN,
+                v_permission->>'condition_rule'
+            );
+        END LOOP;
+
+        v_rows := v_rows || '</tr>';
+    END LOOP;
+
+    RETURN format(
+'<div class="permission-admin" id="action-permission-admin">
+    <div class="list-header">
+        <h2>Action Permissions</h2>
+        <div class="list-actions">
+            <select name="entity" class="form-select"
+                    hx-get="/ui/admin/permissions/actions"
+                    hx-target="#action-permission-admin"
+                    hx-swap="outerHTML">%s
+            </select>
+        </div>
+    </div>
+    <p class="fp-legend text-muted">
+        Tick a box to grant the action to the role. A granted action can carry a
+        condition on the record and the acting user, which is checked wherever the
+        action is taken on a specific record (opening and saving edit forms,
+        deleting, restoring). Without a record, as for list buttons, conditions
+        on the record count as not met.
+    </p>
+    <div class="table-container">
+        <table class="data-table ap-matrix">
+            <thead><tr><th>Action</th>%s</tr></thead>
+            <tbody>%s</tbody>
+        </table>
+    </div>
+    <div id="condition-builder"></div>
+</div>',
+        COALESCE(v_options, ''),
+        COALESCE(v_header, ''),
+        v_rows
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_action_permissions(UUID, VARCHAR) IS 'Generates the action permission editor for an entity';
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Condition Row
+-- =============================================================================
+-- One condition of the builder: subject (a record field or an attribute of the
+-- acting user), operator and value. Inputs are suffixed with p_key so the
+-- route can pair them up; a new row gets a random key.
+
+CREATE OR REPLACE FUNCTION render_condition_row(
+    p_entity_type VARCHAR,
+    p_key TEXT DEFAULT NULL,
+    p_condition JSONB DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_key TEXT := COALESCE(p_key, 'r' || substr(md5(random()::TEXT), 1, 8));
+    v_subject TEXT;
+    v_field_options TEXT;
+    v_user_options TEXT;
+    v_operator_options TEXT;
+    v_current_user BOOLEAN := p_condition->>'value' = 'current_user';
+BEGIN
+    v_subject := CASE WHEN p_condition ? 'user' THEN 'user.' || (p_condition->>'user')
+                      ELSE p_condition->>'field' END;
+
+    SELECT string_agg(
+        format('<option value="%1$s"%2$s>%1$s</option>',
+               escape_html(f), CASE WHEN f = v_subject THEN ' selected' ELSE '' END),
+        '' ORDER BY n
+    ) INTO v_field_options
+    FROM unnest(get_condition_fields(p_entity_type)) WITH ORDINALITY AS t(f, n);
+
+    SELECT string_agg(
+        format('<option value="user.%1$s"%2$s>%1$s</option>',
+               a, CASE WHEN 'user.' || a = v_subject THEN ' selected' ELSE '' END),
+        '' ORDER BY n
+    ) INTO v_user_options
+    FROM unnest(get_condition_user_attributes()) WITH ORDINALITY AS t(a, n);
+
+    SELECT string_agg(
+        format('<option value="%s"%s>%s</option>',
+               op, CASE WHEN op = COALESCE(p_condition->>'operator', 'equals') THEN ' selected' ELSE '' END, label),
+        '' ORDER BY n
+    ) INTO v_operator_options
+    FROM (VALUES
+        (1, 'equals', 'equals'),
+        (2, 'not_equals', 'does not equal'),
+        (3, 'in', 'is one of'),
+        (4, 'not_in', 'is not one of'),
+        (5, 'greater_than', 'is greater than / after'),
+        (6, 'less_than', 'is less than / before'),
+        (7, 'greater_or_equal', 'is at least / on or after'),
+        (8, 'less_or_equal', 'is at most / on or before'),
+        (9, 'is_null', 'is empty'),
+        (10, 'is_not_null', 'is set')
+    ) AS t(n, op, label);
+
+    RETURN format(
+'<div class="condition-row">
+    <select name="subject_%1$s" class="form-select" aria-label="Field" required>
+        <optgroup label="Record">%2$s</optgroup>
+        <optgroup label="Current user">%3$s</optgroup>
+    </select>
+    <select name="operator_%1$s" class="form-select" aria-label="Operator">%4$s</select>
+    <input type="text" name="value_%1$s" class="form-control" aria-label="Value" value="%5$s"
+           placeholder="value, a,b,c for one of, or today-30d">
+    <label class="condition-current-user">
+        <input type="checkbox" name="current_user_%1$s" value="true"%6$s> current user
+    </label>
+    <button type="button" class="btn btn-sm btn-text" title="Remove this condition"
+            onclick="this.closest(''.condition-row'').remove()">×</button>
+</div>',
+        v_key,
+        COALESCE(v_field_options, ''),
+        v_user_options,
+        v_operator_options,
+        CASE WHEN v_current_user THEN '' ELSE escape_html(p_condition->>'value') END,
+        CASE WHEN v_current_user THEN ' checked' ELSE '' END
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+COMMENT ON FUNCTION render_condition_row(VARCHAR, TEXT, JSONB) IS 'Renders one condition row of the condition builder';
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Condition Editor
+-- =============================================================================
+-- The rule part of a condition form, shared by the action and field condition
+-- editors. A single condition or a flat all/any group is edited as rows. Other
+-- rules (nested groups, "not", explicit comparison types, user attributes as
+-- values) open in a JSON editor, as does any rule with p_mode 'json'. The
+-- switch buttons reload the form from p_url with p_vals into p_target;
+-- p_lead starts the "... all/any of these conditions hold" sentence.
+
+CREATE OR REPLACE FUNCTION render_condition_editor(
+    p_entity_type VARCHAR,
+    p_rule JSONB,
+    p_mode VARCHAR,
+    p_lead TEXT,
+    p_url TEXT,
+    p_vals JSONB,
+    p_target TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_match TEXT := 'all';
+    v_conditions JSONB;
+    v_as_rows BOOLEAN;
+    v_rows TEXT;
+BEGIN
+    -- Rows hold single field/user conditions with literal (or current_user) values
+    IF p_rule IS NULL THEN
+        v_conditions := '[{}]'::JSONB;
+    ELSIF p_rule ? 'all' OR p_rule ? 'any' THEN
+        v_match := CASE WHEN p_rule ? 'all' THEN 'all' ELSE 'any' END;
+        v_conditions := p_rule->v_match;
+    ELSE
+        v_conditions := jsonb_build_array(p_rule);
+    END IF;
+
+    v_as_rows := jsonb_typeof(v_conditions) = 'array'
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(v_conditions) c
+            WHERE c ? 'all' OR c ? 'any' OR c ? 'not' OR c ? 'type'
+               OR jsonb_typeof(c->'value') = 'object'
+        );
+
+    IF v_as_rows AND p_mode IS DISTINCT FROM 'json' THEN
+        SELECT string_agg(render_condition_row(p_entity_type, 'r' || n, c), '' ORDER BY n)
+        INTO v_rows
+        FROM jsonb_array_elements(v_conditions) WITH ORDINALITY AS t(c, n);
+
+        RETURN format(
+'<input type="hidden" name="mode" value="rows">
+    <p class="condition-match">
+        %1$s
+        <select name="match" class="form-select" aria-label="Match">
+            <option value="all"%2$s>all</option>
+            <option value="any"%3$s>any</option>
+        </select>
+        of these conditions hold
+    </p>
+    <div id="condition-rows">%4$s</div>
+    <div class="condition-tools">
+        <button type="button" class="btn btn-sm btn-text"
+                hx-get="/ui/admin/permissions/actions/condition/row"
+                hx-vals=''{"entity": "%5$s"}''
+                hx-target="#condition-rows" hx-swap="beforeend">
+            <i class="fa fa-plus"></i> Add condition
+        </button>
+        <button type="button" class="btn btn-sm btn-text"
+                hx-get="%6$s"
+                hx-vals="%7$s"
+                hx-target="%8$s" hx-swap="innerHTML">
+            <i class="fa fa-code"></i> Edit as JSON
+        </button>
+    </div>',
+            escape_html(p_lead),
+            CASE WHEN v_match = 'all' THEN ' selected' ELSE '' END,
+            CASE WHEN v_match = 'any' THEN ' selected' ELSE '' END,
+            v_rows,
+            escape_html(p_entity_type),
+            p_url,
+            escape_html((p_vals || jsonb_build_object('mode', 'json'))::TEXT),
+            p_target
+        );
+    END IF;
+
+    RETURN format(
+'<input type="hidden" name="mode" value="json">
+    <textarea name="rule_json" class="form-control condition-json" rows="12" spellcheck="false"
+              aria-label="Condition rule">%1$s</textarea>
+    <p class="fp-legend text-muted">
+        A condition is {"field": ..., "operator": ..., "value": ...} on the record, or
+        {"user": ..., ...} on the acting user (%2$s). Combine them with
+        {"all": [...]}, {"any": [...]} and {"not": {...}}. Values may be
+        "current_user", {"user": ...}, or dates such as "today" and "today-30d".
+    </p>%3$s',
+        escape_html(COALESCE(jsonb_pretty(p_rule), '')),
+        array_to_string(get_condition_user_attributes(), ', '),
+        CASE WHEN NOT v_as_rows THEN '' ELSE format(
+'
+    <div class="condition-tools">
+        <button type="button" class="btn btn-sm btn-text"
+                hx-get="%s"
+                hx-vals="%s"
+                hx-target="%s" hx-swap="innerHTML">
+            <i class="fa fa-list"></i> Edit as rows
+        </button>
+    </div>', p_url, escape_html(p_vals::TEXT), p_target) END
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+COMMENT ON FUNCTION render_condition_editor(VARCHAR, JSONB, VARCHAR, TEXT, TEXT, JSONB, TEXT) IS 'Renders the rows or JSON editor of a condition rule';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Condition Builder
+-- =============================================================================
+-- Form for the condition rule of one role/action pair, prefilled with the saved
+-- rule and edited with render_condition_editor. The test section runs the rule
+-- in the form, saved or not, against a record chosen from the first page of
+-- the entity's list, as a user of the role.
+
+-- p_mode was added; replace the 4-argument version rather than overload it
+DROP FUNCTION IF EXISTS generate_htmx_condition_builder(UUID, UUID, VARCHAR, VARCHAR);
+
+CREATE OR REPLACE FUNCTION generate_htmx_condition_builder(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_entity_type VARCHAR,
+    p_action_name VARCHAR,
+    p_mode VARCHAR DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_matrix JSONB;
+    v_role_name TEXT;
+    v_rule JSONB;
+    v_editor TEXT;
+    v_label_field TEXT;
+    v_pk_column TEXT;
+    v_list_result RECORD;
+    v_record_options TEXT;
+    v_user_options TEXT;
+BEGIN
+    v_matrix := get_action_permission_matrix(p_user_id, p_entity_type);
+
+    SELECT role_name INTO v_role_name
+    FROM roles
+    WHERE role_id = p_role_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role not found: %', p_role_id;
+    END IF;
+
+    BEGIN
+        SELECT (a->'permissions'->(p_role_id::TEXT)->>'condition_rule')::JSONB INTO v_rule
+        FROM jsonb_array_elements(v_matrix->'actions') a
+        WHERE a->>'action_name' = p_action_name;
+    EXCEPTION WHEN OTHERS THEN
+        -- Unreadable rule: start over with an empty form
+        v_rule := NULL;
+    END;
+
+    v_editor := render_condition_editor(
+        p_entity_type,
+        v_rule,
+        p_mode,
+        'Allow when',
+        '/ui/admin/permissions/actions/condition',
+        jsonb_build_object('role_id', p_role_id, 'entity', p_entity_type, 'action', p_action_name),
+        '#condition-builder'
+    );
+
+    -- Records to test against, labelled by the entity's first form field
+    SELECT field_name INTO v_label_field
+    FROM ui_field_definitions f
+    JOIN ui_entity_types e ON e.entity_type_id = f.entity_type_id
+    WHERE e.entity_name = p_entity_type
+    ORDER BY f.field_order
+    LIMIT 1;
+
+    v_pk_column := get_entity_pk(p_entity_type);
+
+    SELECT * INTO v_list_result
+    FROM fetch_list_data(p_user_id, p_entity_type, '{}'::JSONB, NULL, 'ASC', 25, 1);
+
+    SELECT string_agg(
+        format('<option value="%s">%s</option>',
+               escape_html(r->>v_pk_column),
+               escape_html(COALESCE(r->>v_label_field, r->>v_pk_column))),
+        '' ORDER BY n
+    ) INTO v_record_options
+    FROM jsonb_array_elements(COALESCE(v_list_result.data, '[]'::JSONB)) WITH ORDINALITY AS t(r, n);
+
+    SELECT string_agg(
+        format('<option value="%s">%s</option>', user_id, escape_html(full_name)),
+        '' ORDER BY full_name
+    ) INTO v_user_options
+    FROM users
+    WHERE role_id = p_role_id
+      AND is_active = TRUE;
+
+    RETURN format(
+'<form id="condition-form" class="entity-form condition-builder"
+      hx-post="/ui/admin/permissions/actions/condition"
+      hx-target="#action-permission-admin"
+      hx-swap="outerHTML">
+    <h3>Condition for %1$s by %2$s</h3>
+    <input type="hidden" name="role_id" value="%3$s">
+    <input type="hidden" name="entity" value="%4$s">
+    <input type="hidden" name="action" value="%1$s">
+
+    %5$s
+
+    <div class="form-actions">
+        <button type="button" class="btn btn-text"
+                hx-post="/ui/admin/permissions/actions/condition"
+                hx-vals=''{"clear": "true"}''
+                hx-confirm="Remove the condition? The action is then allowed on every record.">
+            Remove condition
+        </button>
+        <button type="submit" class="btn btn-primary">
+            <i class="fa fa-save"></i> Save condition
+        </button>
+    </div>
+
+    <fieldset class="condition-test">
+        <legend>Test against record</legend>
+        <select name="record_id" class="form-select" aria-label="Record">%6$s</select>
+        <select name="test_user_id" class="form-select" aria-label="Test as user">%7$s</select>
+        <button type="button" class="btn btn-secondary"
+                hx-post="/ui/admin/permissions/actions/test"
+                hx-target="#condition-test-result"
+                hx-swap="innerHTML">
+            <i class="fa fa-vial"></i> Test
+        </button>
+        <div id="condition-test-result"></div>
+    </fieldset>
+</form>',
+        escape_html(p_action_name),
+        escape_html(initcap(replace(v_role_name, '_', ' '))),
+        p_role_id,
+        escape_html(p_entity_type),
+        v_editor,
+        COALESCE(v_record_options, '<option value="">No records</option>'),
+        COALESCE(v_user_options, '<option value="">No active users with this role</option>')
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_condition_builder(UUID, UUID, VARCHAR, VARCHAR, VARCHAR) IS 'Generates the condition rule builder (rows or JSON) for one role/action pair';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Grid for purchase orders
+SELECT generate_htmx_action_permissions('00000000-0000-0000-0000-000000000100'::UUID, 'purchase_order');
+
+-- Builder for "purchase managers may edit"
+SELECT generate_htmx_condition_builder(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'purchase_order',
+    'edit'
+);
+
+SELECT describe_condition_rule('{"field": "created_by", "operator": "equals", "value": "current_user"}');
+-- Returns: 'created_by = current user'
+
+SELECT describe_condition_rule('{"field": "status", "operator": "in", "value": "draft,rejected"}');
+-- Returns: 'status in draft, rejected'
+
+SELECT describe_condition_rule('{"all": [
+    {"field": "status", "operator": "in", "value": "draft,rejected"},
+    {"any": [{"field": "total_amount", "operator": "less_than", "value": "10000"},
+             {"user": "role_name", "operator": "equals", "value": "purchase_manager"}]}
+]}');
+-- Returns: 'status in draft, rejected and (total_amount < 10000 or user role_name = purchase_manager)'
+
+-- Same builder with the rule as JSON
+SELECT generate_htmx_condition_builder(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'purchase_order',
+    'edit',
+    'json'
+);
+*/
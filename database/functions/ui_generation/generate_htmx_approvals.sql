@@ -0,0 +1,161 @@
+-- UI Generation Functions
+-- Function: generate_htmx_approval_inbox, render_approval_progress
+-- Description: "Pending my approval" inbox and the approval steps shown on
+--              view forms (see business_logic/approval_chains.sql)
+-- Author: happyveggie
+
+-- =============================================================================
+-- FUNCTION: Render Approval Progress
+-- =============================================================================
+-- The steps of the record's current approval round as a form section, or an
+-- empty string when the record has none. Used as {{{approval_progress}}} in
+-- view templates.
+
+CREATE OR REPLACE FUNCTION render_approval_progress(
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_step JSONB;
+    v_items TEXT := '';
+BEGIN
+    FOR v_step IN
+        SELECT * FROM jsonb_array_elements(get_record_approvals(p_entity_type, p_record_id))
+    LOOP
+        v_items := v_items || format(
+'
+        <li class="approval-step approval-%1$s">
+            <strong>%2$s. %3$s</strong>
+            <span class="badge badge-%1$s">%1$s</span>%4$s%5$s
+        </li>',
+            v_step->>'status',
+            v_step->>'step_order',
+            escape_html(v_step->>'step_name'),
+            CASE WHEN v_step->>'decided_by' IS NOT NULL THEN format(
+                ' <span class="text-muted">%s, %s</span>',
+                escape_html(v_step->>'decided_by'), escape_html(v_step->>'decided_at')
+            ) ELSE '' END,
+            CASE WHEN COALESCE(v_step->>'notes', '') <> '' THEN
+                '<div class="approval-notes">' || escape_html(v_step->>'notes') || '</div>'
+            ELSE '' END
+        );
+    END LOOP;
+
+    IF v_items = '' THEN
+        RETURN '';
+    END IF;
+
+    RETURN format(
+'<div class="form-section">
+    <h4>Approvals</h4>
+    <ol class="approval-steps">%s
+    </ol>
+</div>',
+        v_items
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION render_approval_progress(VARCHAR, UUID) IS 'Renders the approval steps of a record for its view form';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Approval Inbox
+-- =============================================================================
+-- Lists get_pending_approvals() for the user. View opens the record's view
+-- form, where the approve and reject buttons are.
+
+CREATE OR REPLACE FUNCTION generate_htmx_approval_inbox(
+    p_user_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_pending JSONB;
+    v_item JSONB;
+    v_rows TEXT := '';
+BEGIN
+    v_pending := get_pending_approvals(p_user_id);
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(v_pending)
+    LOOP
+        v_rows := v_rows || format(
+'
+                <tr>
+                    <td>%1$s</td>
+                    <td>%2$s</td>
+                    <td class="text-right">%3$s %4$s</td>
+                    <td>%5$s of %6$s: %7$s</td>
+                    <td>%8$s</td>
+                    <td class="actions">
+                        <button class="btn btn-sm btn-text"
+                                hx-get="/ui/%9$s/form/view?id=%10$s"
+                                hx-target="#modal">
+                            <i class="fa fa-eye"></i> View
+                        </button>
+                    </td>
+                </tr>',
+            escape_html(v_item->>'entity_display_name'),
+            escape_html(COALESCE(v_item->>'record_reference', '')),
+            escape_html(COALESCE(v_item->>'currency', '')),
+            escape_html(COALESCE(v_item->>'amount', '')),
+            v_item->>'step_order',
+            v_item->>'total_steps',
+            escape_html(v_item->>'step_name'),
+            escape_html(v_item->>'waiting_since'),
+            escape_html(v_item->>'entity_type'),
+            v_item->>'record_id'
+        );
+    END LOOP;
+
+    RETURN format(
+'<div class="approval-inbox" id="approval-inbox">
+    <div class="list-header">
+        <h2>Pending My Approval</h2>
+        <div class="list-actions">
+            <button type="button" class="btn btn-secondary"
+                    hx-get="/ui/approvals"
+                    hx-target="#approval-inbox"
+                    hx-swap="outerHTML">
+                <i class="fa fa-sync"></i> Refresh
+            </button>
+        </div>
+    </div>
+    %s
+</div>',
+        CASE WHEN v_rows = '' THEN
+            '<div class="empty-state">Nothing is waiting for your approval.</div>'
+        ELSE
+'<div class="table-container">
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Reference</th>
+                    <th class="text-right">Amount</th>
+                    <th>Step</th>
+                    <th>Waiting Since</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>' || v_rows || '
+            </tbody>
+        </table>
+    </div>'
+        END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_approval_inbox(UUID) IS 'Generates the pending approvals inbox of a user';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Purchase manager's inbox
+SELECT generate_htmx_approval_inbox('00000000-0000-0000-0000-000000000101'::UUID);
+
+-- Approval steps section of a PO view form
+SELECT render_approval_progress('purchase_order', 'po-uuid'::UUID);
+*/
@@ -0,0 +1,216 @@
+-- UI Generation Functions
+-- Function: generate_htmx_detail
+-- Description: Generates detail views with related-record tabs loaded on demand
+-- Security: SECURITY INVOKER so fetch_form_data() and fetch_related_records() keep the caller's RLS context
+-- Author: happyveggie
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate HTMX Detail View
+-- =============================================================================
+-- Renders the entity's 'detail' template with the record fields plus a tabs
+-- array (display_name, url) of the relations the user may read. Each tab is
+-- fetched from /ui/:entity/:id/related/:relation when opened.
+
+CREATE OR REPLACE FUNCTION generate_htmx_detail(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_start_time TIMESTAMPTZ := clock_timestamp();
+    v_template TEXT;
+    v_form_data JSONB;
+    v_tabs JSONB;
+    v_base_url TEXT;
+    v_entity_display_name TEXT;
+    v_rendered_html TEXT;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        PERFORM log_ui_generation(
+            p_user_id, p_entity_type, 'detail', v_start_time, 0, FALSE,
+            'Permission denied: cannot read ' || p_entity_type
+        );
+        RETURN '<div class="error-message">You do not have permission to read this record.</div>';
+    END IF;
+
+    v_template := get_entity_template(p_entity_type, 'detail');
+
+    IF v_template IS NULL THEN
+        PERFORM log_ui_generation(
+            p_user_id, p_entity_type, 'detail', v_start_time, 0, FALSE,
+            'No template found for ' || p_entity_type || ' detail'
+        );
+        RETURN '<div class="error-message">No template configured for this view.</div>';
+    END IF;
+
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    v_form_data := fetch_form_data(p_user_id, p_entity_type, p_record_id, 'form_view');
+
+    -- Tab URLs are built here: array items only see their own fields
+    v_base_url := format('/ui/%s/%s/related/', p_entity_type, p_record_id);
+
+    SELECT COALESCE(jsonb_agg(
+        t || jsonb_build_object('url', v_base_url || (t->>'relation_name'))
+    ), '[]'::JSONB)
+    INTO v_tabs
+    FROM jsonb_array_elements(get_entity_relations(p_user_id, p_entity_type)) t;
+
+    v_rendered_html := render_template_complete(
+        v_template,
+        COALESCE(v_form_data, '{}'::JSONB)
+            || build_user_permission_data(p_user_id, p_entity_type)
+            || jsonb_build_object(
+                'entity_type', p_entity_type,
+                'entity_display_name', COALESCE(v_entity_display_name, p_entity_type),
+                'record_id', p_record_id,
+                'tabs', v_tabs,
+                'has_tabs', jsonb_array_length(v_tabs) > 0,
+                'first_tab_url', v_tabs->0->>'url'
+            )
+    );
+
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'detail', v_start_time, 1, FALSE, NULL
+    );
+
+    RETURN v_rendered_html;
+
+EXCEPTION WHEN OTHERS THEN
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'detail', v_start_time, 0, FALSE, SQLERRM
+    );
+    RETURN '<div class="error-message">An error occurred: ' ||
+           escape_html(SQLERRM) || '</div>';
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_detail(UUID, VARCHAR, UUID) IS 'Generates detail view HTML with related-record tabs';
+
+-- =============================================================================
+-- FUNCTION: Generate Related Records Tab
+-- =============================================================================
+-- Renders one relation as a table of its display_columns. Columns hidden from
+-- the user in the child's list view are dropped; rows of registered child
+-- entities link to their view form.
+
+CREATE OR REPLACE FUNCTION generate_related_tab(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_relation_name VARCHAR
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_relation RECORD;
+    v_columns TEXT[];
+    v_records JSONB;
+    v_record JSONB;
+    v_header TEXT := '';
+    v_rows TEXT := '';
+    v_cells TEXT;
+    v_column TEXT;
+BEGIN
+    SELECT r.child_entity_name, r.child_pk, r.display_columns,
+           (c.entity_type_id IS NOT NULL) AS child_is_entity
+    INTO v_relation
+    FROM ui_entity_relations r
+    JOIN ui_entity_types p ON p.entity_type_id = r.parent_entity_type_id
+    LEFT JOIN ui_entity_types c ON c.entity_name = r.child_entity_name
+    WHERE p.entity_name = p_entity_type
+      AND r.relation_name = p_relation_name;
+
+    IF v_relation IS NULL THEN
+        RAISE EXCEPTION 'Unknown relation % for %', p_relation_name, p_entity_type;
+    END IF;
+
+    -- Raises when the user cannot read the parent or the child entity
+    v_records := fetch_related_records(p_user_id, p_entity_type, p_record_id, p_relation_name);
+
+    IF v_relation.child_is_entity THEN
+        SELECT array_agg(col ORDER BY ord) INTO v_columns
+        FROM unnest(v_relation.display_columns) WITH ORDINALITY AS d(col, ord)
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM get_user_field_permissions(p_user_id, v_relation.child_entity_name, 'list') perm
+            WHERE perm.field_name = d.col
+              AND NOT perm.is_visible
+        );
+    ELSE
+        v_columns := v_relation.display_columns;
+    END IF;
+
+    IF jsonb_array_length(v_records) = 0 THEN
+        RETURN '<div class="empty-state">No related records.</div>';
+    END IF;
+
+    FOREACH v_column IN ARRAY COALESCE(v_columns, ARRAY[]::TEXT[])
+    LOOP
+        v_header := v_header || '<th>' || escape_html(initcap(replace(v_column, '_', ' '))) || '</th>';
+    END LOOP;
+
+    IF v_relation.child_is_entity THEN
+        v_header := v_header || '<th></th>';
+    END IF;
+
+    FOR v_record IN SELECT * FROM jsonb_array_elements(v_records)
+    LOOP
+        v_cells := '';
+
+        FOREACH v_column IN ARRAY COALESCE(v_columns, ARRAY[]::TEXT[])
+        LOOP
+            v_cells := v_cells || '<td>' || escape_html(COALESCE(v_record->>v_column, '')) || '</td>';
+        END LOOP;
+
+        IF v_relation.child_is_entity THEN
+            v_cells := v_cells || format(
+                '<td class="actions"><button class="btn btn-sm btn-text" hx-get="/ui/%s/form/view?id=%s" hx-target="#modal"><i class="fa fa-eye"></i></button></td>',
+                escape_html(v_relation.child_entity_name),
+                escape_html(v_record->>v_relation.child_pk)
+            );
+        END IF;
+
+        v_rows := v_rows || '<tr>' || v_cells || '</tr>';
+    END LOOP;
+
+    RETURN format(
+        '<table class="data-table related-table"><thead><tr>%s</tr></thead><tbody>%s</tbody></table>',
+        v_header,
+        v_rows
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_related_tab(UUID, VARCHAR, UUID, VARCHAR) IS 'Generates the HTML table for one related-records tab';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Detail view of a PO (tabs for lines, goods receipts, invoices, payments)
+SELECT generate_htmx_detail(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID
+);
+
+-- Load the payments tab
+SELECT generate_related_tab(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID,
+    'payments'
+);
+
+-- Warehouse staff cannot read payments
+SELECT generate_related_tab(
+    '00000000-0000-0000-0000-000000000102'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID,
+    'payments'
+);
+-- ERROR: User ... does not have read permission for payment
+*/
@@ -0,0 +1,335 @@
+-- UI Generation Functions
+-- Function: generate_htmx_field_permissions
+-- Description: Field permission matrix editor (role x field grid per entity)
+--              with record conditions per role/field pair
+-- Security: SECURITY INVOKER; get_field_permission_matrix checks for an admin
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Field Permission Checkbox
+-- =============================================================================
+-- A checkbox for one flag. It only submits value=true when checked, so an
+-- unchecked box posts the flag without a value, which the route reads as false.
+
+CREATE OR REPLACE FUNCTION render_field_permission_checkbox(
+    p_role_id UUID,
+    p_field_id UUID,
+    p_flag TEXT,
+    p_title TEXT,
+    p_checked BOOLEAN,
+    p_disabled BOOLEAN
+)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN format(
+        '<input type="checkbox" class="fp-flag fp-%s" name="value" value="true" title="%s"'
+        ' hx-post="/ui/admin/permissions/fields"'
+        ' hx-vals=''{"role_id": "%s", "field_id": "%s", "flag": "%s"}'''
+        ' hx-target="closest td" hx-swap="outerHTML"%s%s>',
+        CASE WHEN p_flag LIKE '%_editable' THEN 'editable' ELSE 'visible' END,
+        escape_html(p_title),
+        p_role_id,
+        p_field_id,
+        p_flag,
+        CASE WHEN p_checked THEN ' checked' ELSE '' END,
+        CASE WHEN p_disabled THEN ' disabled' ELSE '' END
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION render_field_permission_checkbox(UUID, UUID, TEXT, TEXT, BOOLEAN, BOOLEAN) IS 'Renders one field permission flag checkbox';
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Field Permission Cell
+-- =============================================================================
+-- One role/field cell: a visible and an editable checkbox for the list, create
+-- and edit views plus a visible checkbox for the view form. Each checkbox posts
+-- its flag and the server answers with the re-rendered cell. Checkboxes that
+-- would break editable-implies-visible are disabled: editable while the field
+-- is hidden, and visible while the field is editable. A lock button opens the
+-- record condition editor; it is closed while the field has a condition.
+
+CREATE OR REPLACE FUNCTION render_field_permission_cell(
+    p_role_id UUID,
+    p_field_id UUID,
+    p_flags JSONB
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_view RECORD;
+    v_html TEXT := '';
+    v_condition TEXT;
+BEGIN
+    FOR v_view IN
+        SELECT *
+        FROM (VALUES
+            (1, 'list', 'List', TRUE),
+            (2, 'form_create', 'Create', TRUE),
+            (3, 'form_edit', 'Edit', TRUE),
+            (4, 'form_view', 'View', FALSE)
+        ) AS t(sort_order, view_key, label, has_editable)
+        ORDER BY sort_order
+    LOOP
+        v_html := v_html || format(
+            '<span class="fp-group" title="%s">%s',
+            v_view.label,
+            render_field_permission_checkbox(
+                p_role_id, p_field_id, v_view.view_key || '_visible', v_view.label || ': visible',
+                (p_flags->>(v_view.view_key || '_visible'))::BOOLEAN,
+                v_view.has_editable AND (p_flags->>(v_view.view_key || '_editable'))::BOOLEAN
+            )
+        );
+
+        IF v_view.has_editable THEN
+            v_html := v_html || render_field_permission_checkbox(
+                p_role_id, p_field_id, v_view.view_key || '_editable', v_view.label || ': editable',
+                (p_flags->>(v_view.view_key || '_editable'))::BOOLEAN,
+                NOT (p_flags->>(v_view.view_key || '_visible'))::BOOLEAN
+            );
+        END IF;
+
+        v_html := v_html || '</span>';
+    END LOOP;
+
+    v_condition := describe_condition_rule(p_flags->>'record_condition');
+
+    v_html := v_html || format(
+        '<button type="button" class="btn btn-sm btn-text fp-condition%s" title="%s"'
+        ' hx-get="/ui/admin/permissions/fields/condition"'
+        ' hx-vals=''{"role_id": "%s", "field_id": "%s"}'''
+        ' hx-target="#field-condition-editor" hx-swap="innerHTML">'
+        '<i class="fa %s"></i></button>',
+        CASE WHEN v_condition IS NULL THEN '' ELSE ' has-condition' END,
+        escape_html(COALESCE('Editable only while ' || v_condition, 'Editable in every record state')),
+        p_role_id,
+        p_field_id,
+        CASE WHEN v_condition IS NULL THEN 'fa-lock-open' ELSE 'fa-lock' END
+    );
+
+    RETURN format('<td class="fp-cell" id="fp-%s-%s">%s</td>', p_role_id, p_field_id, v_html);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION render_field_permission_cell(UUID, UUID, JSONB) IS 'Renders the permission checkboxes and condition button of one role/field pair';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Field Permission Matrix
+-- =============================================================================
+-- Fields down the side, roles across the top, for one entity (the first
+-- registered entity when none is given).
+
+CREATE OR REPLACE FUNCTION generate_htmx_field_permissions(
+    p_user_id UUID,
+    p_entity_type VARCHAR DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_entity_type VARCHAR := p_entity_type;
+    v_matrix JSONB;
+    v_options TEXT;
+    v_header TEXT;
+    v_field JSONB;
+    v_role JSONB;
+    v_rows TEXT := '';
+BEGIN
+    IF v_entity_type IS NULL THEN
+        SELECT entity_name INTO v_entity_type
+        FROM ui_entity_types
+        ORDER BY created_at
+        LIMIT 1;
+    END IF;
+
+    v_matrix := get_field_permission_matrix(p_user_id, v_entity_type);
+
+    SELECT string_agg(
+        format('<option value="%s"%s>%s</option>',
+               escape_html(entity_name),
+               CASE WHEN entity_name = v_entity_type THEN ' selected' ELSE '' END,
+               escape_html(display_name)),
+        '' ORDER BY created_at
+    ) INTO v_options
+    FROM ui_entity_types;
+
+    SELECT string_agg(
+        format('<th>%s</th>', escape_html(initcap(replace(r->>'role_name', '_', ' ')))),
+        '' ORDER BY n
+    ) INTO v_header
+    FROM jsonb_array_elements(v_matrix->'roles') WITH ORDINALITY AS t(r, n);
+
+    FOR v_field IN SELECT * FROM jsonb_array_elements(v_matrix->'fields')
+    LOOP
+        v_rows := v_rows || format(
+            '<tr><th scope="row">%s <span class="text-muted">%s</span></th>',
+            escape_html(v_field->>'display_label'),
+            escape_html(v_field->>'field_name')
+        );
+
+        FOR v_role IN SELECT * FROM jsonb_array_elements(v_matrix->'roles')
+        LOOP
+            v_rows := v_rows || render_field_permission_cell(
+                (v_role->>'role_id')::UUID,
+                (v_field->>'field_id')::UUID,
+                v_field->'permissions'->(v_role->>'role_id')
+            );
+        END LOOP;
+
+        v_rows := v_rows || '</tr>';
+    END LOOP;
+
+    RETURN format(
+'<div class="permission-admin" id="permission-admin">
+    <div class="list-header">
+        <h2>Field Permissions</h2>
+        <div class="list-actions">
+            <select name="entity" class="form-select"
+                    hx-get="/ui/admin/permissions/fields"
+                    hx-target="#permission-admin"
+                    hx-swap="outerHTML">%s
+            </select>
+        </div>
+    </div>
+    <p class="fp-legend text-muted">
+        Each cell has a visible and an editable box for the list, create form and
+        edit form, and a visible box for the view form. A field has to be visible
+        wherever it is editable. The lock makes a field editable only while the
+        record meets a condition, such as a status; otherwise it is read-only on
+        that record. Changes apply to the next page a user loads.
+    </p>
+    %s
+    <div id="field-condition-editor"></div>
+</div>',
+        COALESCE(v_options, ''),
+        CASE WHEN v_rows = ''
+             THEN '<div class="empty-state">This entity has no fields.</div>'
+             ELSE format(
+                '<div class="table-container"><table class="data-table fp-matrix">'
+                '<thead><tr><th>Field</th>%s</tr></thead><tbody>%s</tbody></table></div>',
+                COALESCE(v_header, ''), v_rows)
+        END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_field_permissions(UUID, VARCHAR) IS 'Generates the field permission matrix editor for an entity';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Field Condition Editor
+-- =============================================================================
+-- Form for the record condition of one role/field pair, prefilled with the
+-- saved rule and edited with render_condition_editor.
+
+CREATE OR REPLACE FUNCTION generate_htmx_field_condition_editor(
+    p_user_id UUID,
+    p_role_id UUID,
+    p_field_id UUID,
+    p_mode VARCHAR DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_field RECORD;
+    v_role_name TEXT;
+    v_rule JSONB;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage field permissions', p_user_id;
+    END IF;
+
+    SELECT f.field_name, f.display_label, e.entity_name INTO v_field
+    FROM ui_field_definitions f
+    JOIN ui_entity_types e ON e.entity_type_id = f.entity_type_id
+    WHERE f.field_id = p_field_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Field not found: %', p_field_id;
+    END IF;
+
+    SELECT role_name INTO v_role_name
+    FROM roles
+    WHERE role_id = p_role_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role not found: %', p_role_id;
+    END IF;
+
+    BEGIN
+        v_rule := (get_field_permission_flags(p_role_id, p_field_id)->>'record_condition')::JSONB;
+    EXCEPTION WHEN OTHERS THEN
+        -- Unreadable rule: start over with an empty form
+        v_rule := NULL;
+    END;
+
+    RETURN format(
+'<form id="field-condition-form" class="entity-form condition-builder"
+      hx-post="/ui/admin/permissions/fields/condition"
+      hx-target="#permission-admin"
+      hx-swap="outerHTML">
+    <h3>%1$s for %2$s</h3>
+    <input type="hidden" name="role_id" value="%3$s">
+    <input type="hidden" name="field_id" value="%4$s">
+
+    %5$s
+
+    <div class="form-actions">
+        <button type="button" class="btn btn-text"
+                hx-post="/ui/admin/permissions/fields/condition"
+                hx-vals=''{"clear": "true"}''
+                hx-confirm="Remove the condition? The field is then editable in every record state.">
+            Remove condition
+        </button>
+        <button type="submit" class="btn btn-primary">
+            <i class="fa fa-save"></i> Save condition
+        </button>
+    </div>
+</form>',
+        escape_html(v_field.display_label),
+        escape_html(initcap(replace(v_role_name, '_', ' '))),
+        p_role_id,
+        p_field_id,
+        render_condition_editor(
+            v_field.entity_name,
+            v_rule,
+            p_mode,
+            'Editable while',
+            '/ui/admin/permissions/fields/condition',
+            jsonb_build_object('role_id', p_role_id, 'field_id', p_field_id),
+            '#field-condition-editor'
+        )
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_field_condition_editor(UUID, UUID, UUID, VARCHAR) IS 'Generates the record condition editor (rows or JSON) for one role/field pair';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Matrix for the first entity / for suppliers
+SELECT generate_htmx_field_permissions('00000000-0000-0000-0000-000000000100'::UUID);
+SELECT generate_htmx_field_permissions('00000000-0000-0000-0000-000000000100'::UUID, 'supplier');
+
+-- A cell as returned after toggling a flag
+SELECT render_field_permission_cell(
+    '00000000-0000-0000-0000-000000000003'::UUID,
+    'some-field-uuid'::UUID,
+    get_field_permission_flags('00000000-0000-0000-0000-000000000003'::UUID, 'some-field-uuid'::UUID)
+);
+
+-- Record condition editor for a role/field pair, as rows or as JSON
+SELECT generate_htmx_field_condition_editor(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'some-field-uuid'::UUID
+);
+SELECT generate_htmx_field_condition_editor(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    '00000000-0000-0000-0000-000000000002'::UUID,
+    'some-field-uuid'::UUID,
+    'json'
+);
+
+-- Non-admins are refused
+SELECT generate_htmx_field_permissions('00000000-0000-0000-0000-000000000104'::UUID);
+-- ERROR: User ... does not have permission to manage field permissions
+*/
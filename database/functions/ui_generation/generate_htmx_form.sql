@@ -1,6 +1,7 @@
 -- UI Generation Functions
 -- Function: generate_htmx_form
 -- Description: Generates complete HTMX form HTML for create/edit/view
+-- Security: SECURITY INVOKER so form data is read under the caller's RLS context
 -- Author: happyveggie & Claude Opus 4.5
 
 -- =============================================================================
@@ -124,12 +125,16 @@ COMMENT ON FUNCTION build_form_field_html(VARCHAR, TEXT, VARCHAR, BOOLEAN, BOOLE
 -- =============================================================================
 -- Returns field definitions with display info
 
+-- The label column was renamed from display_name; CREATE OR REPLACE cannot
+-- rename output columns
+DROP FUNCTION IF EXISTS get_entity_field_definitions(VARCHAR);
+
 CREATE OR REPLACE FUNCTION get_entity_field_definitions(
     p_entity_type VARCHAR
 )
 RETURNS TABLE (
     field_name VARCHAR,
-    display_name VARCHAR,
+    display_label VARCHAR,
     data_type VARCHAR,
     is_required BOOLEAN,
     field_order INTEGER,
@@ -139,7 +144,7 @@ BEGIN
     RETURN QUERY
     SELECT
         f.field_name::VARCHAR,
-        f.display_name::VARCHAR,
+        f.display_label::VARCHAR,
         f.data_type::VARCHAR,
         f.is_required,
         f.field_order,
@@ -153,6 +158,54 @@ $$ LANGUAGE plpgsql STABLE;
 
 COMMENT ON FUNCTION get_entity_field_definitions(VARCHAR) IS 'Returns field definitions for entity';
 
+-- =============================================================================
+-- HELPER FUNCTION: Add Idempotency Keys
+-- =============================================================================
+-- Gives every hx-post element its own Idempotency-Key (via hx-headers) so a
+-- double click on a rendered form or action button is only applied once.
+-- Elements that already set hx-headers are left alone.
+
+CREATE OR REPLACE FUNCTION add_idempotency_keys(p_html TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_result TEXT := '';
+    v_rest TEXT := p_html;
+    v_before TEXT;
+    v_tag TEXT;
+    v_pos INTEGER;
+BEGIN
+    IF p_html IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    LOOP
+        v_pos := strpos(v_rest, 'hx-post=');
+        EXIT WHEN v_pos = 0;
+
+        v_before := substr(v_rest, 1, v_pos - 1);
+        v_rest := substr(v_rest, v_pos);
+
+        -- Attributes of the tag containing this hx-post
+        v_tag := COALESCE(substring(v_result || v_before FROM '<[^<]*$'), '')
+              || COALESCE(substring(v_rest FROM '^[^>]*'), '');
+
+        IF strpos(v_tag, 'hx-headers') = 0 THEN
+            v_before := v_before || format(
+                'hx-headers=''{"Idempotency-Key": "%s"}'' ',
+                uuid_generate_v4()
+            );
+        END IF;
+
+        v_result := v_result || v_before || 'hx-post=';
+        v_rest := substr(v_rest, 9);
+    END LOOP;
+
+    RETURN v_result || v_rest;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+COMMENT ON FUNCTION add_idempotency_keys(TEXT) IS 'Adds a unique Idempotency-Key hx-headers attribute to each hx-post element';
+
 -- =============================================================================
 -- MAIN FUNCTION: Generate HTMX Form View
 -- =============================================================================
@@ -172,6 +225,7 @@ DECLARE
     v_form_data JSONB;
     v_template_data JSONB;
     v_permission_data JSONB;
+    v_workflow_flags JSONB;
     v_field_permissions JSONB := '{}'::JSONB;
     v_lookup_data JSONB := '{}'::JSONB;
     v_related_data JSONB := '{}'::JSONB;
@@ -257,14 +311,18 @@ BEGIN
         END;
     END IF;
 
-    -- 5. Build field permissions for template
+    -- 5. Build field permissions for template (record conditions see the stored row)
     FOR v_perm IN
-        SELECT field_name, is_visible, is_editable
-        FROM get_user_field_permissions(p_user_id, p_entity_type, p_view_type)
+        SELECT field_name, is_visible, is_editable, is_locked
+        FROM get_user_field_permissions(
+            p_user_id, p_entity_type, p_view_type,
+            CASE WHEN p_view_type <> 'form_create' THEN get_record_data(p_entity_type, p_record_id) END
+        )
     LOOP
         v_field_permissions := v_field_permissions || jsonb_build_object(
             v_perm.field_name || '_visible', v_perm.is_visible,
-            v_perm.field_name || '_editable', v_perm.is_editable
+            v_perm.field_name || '_editable', v_perm.is_editable,
+            v_perm.field_name || '_locked', v_perm.is_locked
         );
     END LOOP;
 
@@ -290,21 +348,31 @@ BEGIN
     -- 7. Build user action permissions
     v_permission_data := build_user_permission_data(p_user_id, p_entity_type);
 
-    -- Add workflow-specific permissions for view mode
+    -- Workflow transitions valid for the record's state and the user's role.
+    -- user_can_<transition> is TRUE only for those, whatever the role's action
+    -- grants, so templates testing a single transition follow the workflow too
     IF p_view_type = 'form_view' AND v_form_data IS NOT NULL THEN
-        -- Check submit permission (for draft POs)
-        IF (v_form_data->>'status') = 'draft' THEN
-            v_permission_data := v_permission_data || jsonb_build_object(
-                'user_can_submit', can_user_perform_action(p_user_id, p_entity_type, 'submit')
+        SELECT COALESCE(jsonb_object_agg('user_can_' || t.transition_name, FALSE), '{}'::JSONB)
+        INTO v_workflow_flags
+        FROM (
+            SELECT DISTINCT wt.transition_name
+            FROM workflow_transitions wt
+            JOIN workflow_definitions w ON w.workflow_id = wt.workflow_id
+            JOIN ui_entity_types e ON e.entity_type_id = w.entity_type_id
+            WHERE e.entity_name = p_entity_type
+              AND wt.is_manual = TRUE
+        ) t;
+
+        SELECT v_workflow_flags || COALESCE(jsonb_object_agg('user_can_' || (t->>'name'), TRUE), '{}'::JSONB)
+        INTO v_workflow_flags
+        FROM jsonb_array_elements(get_available_transitions(p_user_id, p_entity_type, p_record_id)) t;
+
+        v_permission_data := v_permission_data
+            || v_workflow_flags
+            || jsonb_build_object(
+                'workflow_buttons', render_workflow_buttons(p_user_id, p_entity_type, p_record_id),
+                'approval_progress', render_approval_progress(p_entity_type, p_record_id)
             );
-        END IF;
-
-        -- Check approve permission (for submitted POs)
-        IF (v_form_data->>'status') = 'submitted' THEN
-            v_permission_data := v_permission_data || jsonb_build_object(
-                'user_can_approve', can_user_perform_action(p_user_id, p_entity_type, 'approve')
-            );
-        END IF;
     END IF;
 
     -- 8. Combine all template data
@@ -316,6 +384,7 @@ BEGIN
         || jsonb_build_object(
             'entity_type', p_entity_type,
             'entity_display_name', COALESCE(v_entity_display_name, p_entity_type),
+            'record_id', p_record_id,
             'view_type', p_view_type,
             'is_create', p_view_type = 'form_create',
             'is_edit', p_view_type = 'form_edit',
@@ -325,6 +394,18 @@ BEGIN
     -- 9. Render template with data
     v_rendered_html := render_template_complete(v_template, v_template_data);
 
+    -- One Idempotency-Key per POST target in this render
+    v_rendered_html := add_idempotency_keys(v_rendered_html);
+
+    -- Carry the record version so update_record can reject stale writes
+    IF p_view_type = 'form_edit' AND v_form_data ? '_version' THEN
+        v_rendered_html := regexp_replace(
+            v_rendered_html,
+            '(<form[^>]*>)',
+            '\1<input type="hidden" name="_version" value="' || escape_html(v_form_data->>'_version') || '">'
+        );
+    END IF;
+
     -- 10. Log performance
     PERFORM log_ui_generation(
         p_user_id, p_entity_type, p_view_type, v_start_time, 1, FALSE, NULL
@@ -340,10 +421,398 @@ EXCEPTION WHEN OTHERS THEN
     RETURN '<div class="error-message">An error occurred: ' ||
            escape_html(SQLERRM) || '</div>';
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_form(UUID, VARCHAR, VARCHAR, UUID) IS 'Generates complete HTMX form HTML for create/edit/view';
 
+-- =============================================================================
+-- FUNCTION: Generate Update Conflict View
+-- =============================================================================
+-- Renders the values a user tried to save next to the current values when
+-- update_record rejects a stale write, with options to reload or overwrite
+
+CREATE OR REPLACE FUNCTION generate_update_conflict_html(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_submitted JSONB,
+    p_conflict JSONB  -- update_record result with conflict = TRUE
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_current JSONB := COALESCE(p_conflict->'current_values', '{}'::JSONB);
+    v_entity_display_name TEXT;
+    v_rows TEXT := '';
+    v_hidden TEXT := '';
+    v_field RECORD;
+    v_changed BOOLEAN;
+BEGIN
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    -- Only fields the user submitted and is allowed to see (current_values is
+    -- already filtered by update_record)
+    FOR v_field IN
+        SELECT
+            s.key AS field_name,
+            COALESCE(d.display_label, s.key) AS label,
+            s.value AS submitted_value,
+            v_current->>s.key AS current_value
+        FROM jsonb_each_text(p_submitted) s
+        LEFT JOIN get_entity_field_definitions(p_entity_type) d ON d.field_name = s.key
+        WHERE v_current ? s.key
+        ORDER BY d.field_order NULLS LAST, s.key
+    LOOP
+        v_changed := v_field.submitted_value IS DISTINCT FROM v_field.current_value;
+
+        v_rows := v_rows || format(
+            '<tr%s><td>%s</td><td>%s</td><td>%s</td></tr>',
+            CASE WHEN v_changed THEN ' class="conflict-changed"' ELSE '' END,
+            escape_html(v_field.label),
+            escape_html(COALESCE(v_field.submitted_value, '')),
+            escape_html(COALESCE(v_field.current_value, ''))
+        );
+
+        v_hidden := v_hidden || format(
+            '<input type="hidden" name="%s" value="%s">',
+            escape_html(v_field.field_name),
+            escape_html(COALESCE(v_field.submitted_value, ''))
+        );
+    END LOOP;
+
+    RETURN format(
+'<div class="modal-content conflict-container">
+    <div class="modal-header">
+        <h3>Edit Conflict: %1$s</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+    <div class="modal-body">
+        <p class="error-message">This record was changed by someone else after you opened it. Review the differences before saving again.</p>
+        <table class="data-table conflict-table">
+            <thead>
+                <tr><th>Field</th><th>Your Value</th><th>Current Value</th></tr>
+            </thead>
+            <tbody>%2$s</tbody>
+        </table>
+    </div>
+    <div class="modal-footer">
+        <button class="btn btn-secondary"
+                hx-get="/ui/%3$s/form/edit?id=%4$s"
+                hx-target="closest .modal-content"
+                hx-swap="outerHTML">Reload Latest</button>
+        <form hx-put="/api/%3$s/%4$s" hx-target="closest .modal-content" hx-swap="outerHTML">
+            %5$s<input type="hidden" name="_version" value="%6$s">
+            <button type="submit" class="btn btn-primary">Save My Values</button>
+        </form>
+    </div>
+</div>',
+        escape_html(COALESCE(v_entity_display_name, p_entity_type)),
+        v_rows,
+        escape_html(p_entity_type),
+        escape_html(p_record_id::TEXT),
+        v_hidden,
+        escape_html(p_conflict->>'current_version')
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_update_conflict_html(UUID, VARCHAR, UUID, JSONB, JSONB) IS 'Generates diff HTML for a rejected stale update';
+
+-- =============================================================================
+-- FUNCTION: Generate Goods Receipt Inspection Form
+-- =============================================================================
+-- Line-by-line quality check for a pending goods receipt. Each row posts
+-- gr_line_id, quantity_accepted, quantity_rejected and reason as repeated
+-- fields, in line order, to /api/goods_receipt/:id/partial_accept.
+
+CREATE OR REPLACE FUNCTION generate_gr_inspection_form(
+    p_user_id UUID,
+    p_gr_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_gr RECORD;
+    v_line RECORD;
+    v_rows TEXT := '';
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, 'goods_receipt', 'inspect') THEN
+        RAISE EXCEPTION 'User does not have permission to inspect goods receipts';
+    END IF;
+
+    SELECT gr_id, gr_number, quality_status
+    INTO v_gr
+    FROM goods_receipts
+    WHERE gr_id = p_gr_id
+      AND is_deleted = FALSE;
+
+    IF v_gr IS NULL THEN
+        RAISE EXCEPTION 'Goods receipt not found: %', p_gr_id;
+    END IF;
+
+    IF v_gr.quality_status != 'pending' THEN
+        RAISE EXCEPTION 'Cannot inspect GR with status: %. Already processed.', v_gr.quality_status;
+    END IF;
+
+    FOR v_line IN
+        SELECT
+            grl.gr_line_id,
+            grl.line_number,
+            grl.quantity_received,
+            grl.uom,
+            pol.item_code,
+            pol.item_description
+        FROM goods_receipt_lines grl
+        JOIN purchase_order_lines pol ON pol.line_id = grl.po_line_id
+        WHERE grl.gr_id = p_gr_id
+          AND grl.is_deleted = FALSE
+        ORDER BY grl.line_number
+    LOOP
+        v_rows := v_rows || format(
+'<tr>
+    <td>%1$s<input type="hidden" name="gr_line_id" value="%2$s"></td>
+    <td>%3$s<br><small>%4$s</small></td>
+    <td>%5$s %6$s</td>
+    <td><input type="number" name="quantity_accepted" value="%5$s" min="0" max="%5$s" step="0.01" required></td>
+    <td><input type="number" name="quantity_rejected" value="0" min="0" max="%5$s" step="0.01" required></td>
+    <td><input type="text" name="reason" placeholder="Required if rejecting"></td>
+</tr>',
+            v_line.line_number,
+            escape_html(v_line.gr_line_id::TEXT),
+            escape_html(v_line.item_code),
+            escape_html(v_line.item_description),
+            v_line.quantity_received,
+            escape_html(COALESCE(v_line.uom, ''))
+        );
+    END LOOP;
+
+    RETURN add_idempotency_keys(format(
+'<div class="modal-content inspection-container">
+    <div class="modal-header">
+        <h3>Inspect Goods Receipt %1$s</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+    <form hx-post="/api/goods_receipt/%2$s/partial_accept"
+          hx-target="#inspection-result-%2$s">
+        <div class="modal-body">
+            <p>Accepted plus rejected must equal the received quantity on every line.</p>
+            <table class="data-table inspection-table">
+                <thead>
+                    <tr><th>#</th><th>Item</th><th>Received</th><th>Accepted</th><th>Rejected</th><th>Reason</th></tr>
+                </thead>
+                <tbody>%3$s</tbody>
+            </table>
+            <div class="form-group">
+                <label for="inspection-notes">Inspection Notes</label>
+                <textarea id="inspection-notes" name="notes" rows="2"></textarea>
+            </div>
+            <div id="inspection-result-%2$s"></div>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" onclick="this.closest(''.modal'').remove()">Cancel</button>
+            <button type="submit" class="btn btn-primary">Submit Inspection</button>
+        </div>
+    </form>
+</div>',
+        escape_html(v_gr.gr_number),
+        escape_html(p_gr_id::TEXT),
+        v_rows
+    ));
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_gr_inspection_form(UUID, UUID) IS 'Generates the line-by-line quality inspection form for a pending goods receipt';
+
+-- =============================================================================
+-- FUNCTION: Generate Import Upload Form
+-- =============================================================================
+-- First step of a CSV import: pick the file. The upload is answered with the
+-- column mapping form, which replaces this one in the modal.
+
+CREATE OR REPLACE FUNCTION generate_import_upload_form(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_entity_display_name TEXT;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'import') THEN
+        RAISE EXCEPTION 'User does not have permission to import %', p_entity_type;
+    END IF;
+
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    -- No Idempotency-Key: the same form may be used to upload a different file
+    RETURN format(
+'<div class="modal-content import-container">
+    <div class="modal-header">
+        <h3>Import %1$s</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+    <form hx-post="/api/%2$s/import"
+          hx-encoding="multipart/form-data"
+          hx-target="closest .modal-content"
+          hx-swap="outerHTML">
+        <div class="modal-body">
+            <p>Upload a CSV file with a header row. You will map its columns to fields next.</p>
+            <div class="form-group">
+                <label for="import-file">CSV File <span class="required">*</span></label>
+                <input type="file" id="import-file" name="file" accept=".csv,text/csv" required>
+            </div>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" onclick="this.closest(''.modal'').remove()">Cancel</button>
+            <button type="submit" class="btn btn-primary">Upload</button>
+        </div>
+    </form>
+</div>',
+        escape_html(COALESCE(v_entity_display_name, p_entity_type)),
+        escape_html(p_entity_type)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_import_upload_form(UUID, VARCHAR) IS 'Generates the CSV upload form that starts an import';
+
+-- =============================================================================
+-- FUNCTION: Generate Import Mapping Form
+-- =============================================================================
+-- One row per CSV column with a sample value and a field picker listing the
+-- fields the user may fill in on create. Columns whose header matches a field
+-- name or label (ignoring case and punctuation) are preselected. The pickers
+-- post as repeated "field" values, in column order.
+
+CREATE OR REPLACE FUNCTION generate_import_mapping_form(
+    p_user_id UUID,
+    p_import_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_batch RECORD;
+    v_entity_display_name TEXT;
+    v_editable_fields TEXT[];
+    v_fields JSONB;
+    v_field JSONB;
+    v_header TEXT;
+    v_match TEXT;
+    v_options TEXT;
+    v_rows TEXT := '';
+    v_column INTEGER;
+    v_commit_button TEXT;
+BEGIN
+    SELECT import_id, entity_type, file_name, headers, rows, row_count
+    INTO v_batch
+    FROM import_batches
+    WHERE import_id = p_import_id
+      AND user_id = p_user_id
+      AND committed_at IS NULL;
+
+    IF v_batch.import_id IS NULL THEN
+        RAISE EXCEPTION 'Import batch not found: %', p_import_id;
+    END IF;
+
+    IF NOT can_user_perform_action(p_user_id, v_batch.entity_type, 'import') THEN
+        RAISE EXCEPTION 'User does not have permission to import %', v_batch.entity_type;
+    END IF;
+
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = v_batch.entity_type;
+
+    v_editable_fields := get_editable_fields(p_user_id, v_batch.entity_type, 'form_create');
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'name', f.field_name,
+        'label', f.display_label,
+        'required', f.is_required,
+        'key', lower(regexp_replace(f.field_name, '[^a-zA-Z0-9]', '', 'g')),
+        'label_key', lower(regexp_replace(f.display_label, '[^a-zA-Z0-9]', '', 'g'))
+    ) ORDER BY f.field_order), '[]'::JSONB)
+    INTO v_fields
+    FROM ui_field_definitions f
+    JOIN ui_entity_types e ON f.entity_type_id = e.entity_type_id
+    WHERE e.entity_name = v_batch.entity_type
+      AND f.field_name = ANY(v_editable_fields);
+
+    FOR v_column IN 1..array_length(v_batch.headers, 1) LOOP
+        v_header := v_batch.headers[v_column];
+        v_match := NULL;
+
+        SELECT value->>'name' INTO v_match
+        FROM jsonb_array_elements(v_fields)
+        WHERE lower(regexp_replace(v_header, '[^a-zA-Z0-9]', '', 'g')) IN (value->>'key', value->>'label_key')
+        LIMIT 1;
+
+        v_options := '<option value="">(skip column)</option>';
+
+        FOR v_field IN SELECT value FROM jsonb_array_elements(v_fields) LOOP
+            v_options := v_options || format(
+                '<option value="%s"%s>%s%s</option>',
+                escape_html(v_field->>'name'),
+                CASE WHEN v_field->>'name' = v_match THEN ' selected' ELSE '' END,
+                escape_html(v_field->>'label'),
+                CASE WHEN (v_field->>'required')::BOOLEAN THEN ' *' ELSE '' END
+            );
+        END LOOP;
+
+        v_rows := v_rows || format(
+'<tr>
+    <td>%s</td>
+    <td><small>%s</small></td>
+    <td><select name="field" aria-label="Field for column %s">%s</select></td>
+</tr>',
+            escape_html(v_header),
+            escape_html(COALESCE(v_batch.rows->0->>(v_column - 1), '')),
+            escape_html(v_header),
+            v_options
+        );
+    END LOOP;
+
+    -- Only the commit gets an Idempotency-Key; dry runs are repeated freely
+    -- with different mappings
+    v_commit_button := add_idempotency_keys(format(
+        '<button type="button" class="btn btn-primary" hx-post="/api/%s/import/%s/commit">Import</button>',
+        escape_html(v_batch.entity_type),
+        escape_html(p_import_id::TEXT)
+    ));
+
+    RETURN format(
+'<div class="modal-content import-container">
+    <div class="modal-header">
+        <h3>Import %1$s</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+    <form hx-target="#import-result-%3$s" hx-swap="innerHTML">
+        <div class="modal-body">
+            <p>%4$s: %5$s rows. Choose the field each column fills; fields marked * are required.</p>
+            <table class="data-table import-mapping-table">
+                <thead>
+                    <tr><th>Column</th><th>First Row</th><th>Field</th></tr>
+                </thead>
+                <tbody>%6$s</tbody>
+            </table>
+            <div id="import-result-%3$s"></div>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" onclick="this.closest(''.modal'').remove()">Cancel</button>
+            <button type="button" class="btn btn-secondary" hx-post="/api/%2$s/import/%3$s/dry_run">Dry Run</button>
+            %7$s
+        </div>
+    </form>
+</div>',
+        escape_html(COALESCE(v_entity_display_name, v_batch.entity_type)),
+        escape_html(v_batch.entity_type),
+        escape_html(p_import_id::TEXT),
+        escape_html(COALESCE(v_batch.file_name, 'Uploaded file')),
+        v_batch.row_count,
+        v_rows,
+        v_commit_button
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_import_mapping_form(UUID, UUID) IS 'Generates the column-to-field mapping form for a staged CSV import';
+
 -- =============================================================================
 -- CONVENIENCE FUNCTIONS: Specific Form Types
 -- =============================================================================
@@ -357,7 +826,7 @@ RETURNS TEXT AS $$
 BEGIN
     RETURN generate_htmx_form(p_user_id, p_entity_type, 'form_create', NULL);
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_form_create(UUID, VARCHAR) IS 'Generates create form HTML';
 
@@ -371,7 +840,7 @@ RETURNS TEXT AS $$
 BEGIN
     RETURN generate_htmx_form(p_user_id, p_entity_type, 'form_edit', p_record_id);
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_form_edit(UUID, VARCHAR, UUID) IS 'Generates edit form HTML';
 
@@ -385,7 +854,7 @@ RETURNS TEXT AS $$
 BEGIN
     RETURN generate_htmx_form(p_user_id, p_entity_type, 'form_view', p_record_id);
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_form_view(UUID, VARCHAR, UUID) IS 'Generates view-only form HTML';
 
@@ -414,14 +883,17 @@ BEGIN
     FOR v_field IN
         SELECT
             fd.field_name,
-            fd.display_name,
+            fd.display_label,
             fd.data_type,
             fd.is_required,
             fd.lookup_entity,
             COALESCE(perm.is_visible, TRUE) AS is_visible,
             COALESCE(perm.is_editable, TRUE) AS is_editable
         FROM get_entity_field_definitions(p_entity_type) fd
-        LEFT JOIN get_user_field_permissions(p_user_id, p_entity_type, p_view_type) perm
+        LEFT JOIN get_user_field_permissions(
+            p_user_id, p_entity_type, p_view_type,
+            CASE WHEN p_view_type <> 'form_create' AND p_form_data <> '{}'::JSONB THEN p_form_data END
+        ) perm
             ON perm.field_name = fd.field_name
         ORDER BY fd.field_order
     LOOP
@@ -454,7 +926,7 @@ BEGIN
             </div>',
             CASE WHEN v_field.is_required THEN ' required' ELSE '' END,
             escape_html(v_field.field_name),
-            escape_html(v_field.display_name),
+            escape_html(v_field.display_label),
             CASE WHEN v_field.is_required THEN ' *' ELSE '' END,
             build_form_field_html(
                 v_field.field_name,
@@ -471,7 +943,7 @@ BEGIN
 
     RETURN v_html;
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_dynamic_form_fields(UUID, VARCHAR, VARCHAR, JSONB) IS 'Generates dynamic form fields HTML';
 
@@ -492,6 +964,39 @@ SELECT generate_htmx_form_edit(
     'purchase_order',
     'some-po-uuid'::UUID
 );
+-- The first <form> gets <input type="hidden" name="_version" value="...">
+
+-- Tag hx-post elements with Idempotency-Key headers
+SELECT add_idempotency_keys('<button hx-post="/api/payment/x/process">Process</button>');
+-- Result: <button hx-headers='{"Idempotency-Key": "<uuid>"}' hx-post="/api/payment/x/process">Process</button>
+
+-- Render a conflict diff for a rejected update
+SELECT generate_update_conflict_html(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    'some-supplier-uuid'::UUID,
+    '{"notes": "My notes"}'::JSONB,
+    '{"conflict": true, "current_version": "20240115103000123456",
+      "current_values": {"notes": "Their notes"}}'::JSONB
+);
+
+-- Line-by-line inspection form for a pending goods receipt
+SELECT generate_gr_inspection_form(
+    '00000000-0000-0000-0000-000000000102'::UUID,  -- warehouse staff
+    (SELECT gr_id FROM goods_receipts WHERE quality_status = 'pending' LIMIT 1)
+);
+
+-- CSV import: upload form, then the column mapping form for the staged file
+SELECT generate_import_upload_form(
+    '00000000-0000-0000-0000-000000000103'::UUID,  -- accountant
+    'supplier'
+);
+
+SELECT generate_import_mapping_form(
+    '00000000-0000-0000-0000-000000000103'::UUID,
+    (SELECT import_id FROM import_batches ORDER BY created_at DESC LIMIT 1)
+);
+-- A "Supplier Name" or "supplier_name" column is preselected as supplier_name
 
 -- Generate view form
 SELECT generate_htmx_form_view(
@@ -0,0 +1,257 @@
+-- UI Generation Functions
+-- Function: generate_htmx_history
+-- Description: Per-record change history built from audit_trail
+-- Security: SECURITY INVOKER so the record lookup keeps the caller's RLS context
+-- Author: happyveggie
+
+-- =============================================================================
+-- FUNCTION: Get Record History
+-- =============================================================================
+-- Returns the audit entries of one record, newest first, as a JSON array of
+-- { audit_id, operation, changed_at, changed_by, changes[] }. Each change lists a field
+-- with its label and old/new values; only fields defined in
+-- ui_field_definitions are included, so system columns (updated_at, version,
+-- ...) never show up. Fields the user's role cannot see in the view form are
+-- reported as changed but with masked = true and no values.
+
+CREATE OR REPLACE FUNCTION get_record_history(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_limit INTEGER DEFAULT 100
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_table_name TEXT;
+    v_exists BOOLEAN;
+    v_entries JSONB;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        RAISE EXCEPTION 'User % does not have read permission for %', p_user_id, p_entity_type;
+    END IF;
+
+    SELECT primary_table INTO v_table_name
+    FROM ui_entity_types
+    WHERE entity_name = p_entity_type;
+
+    -- Only records the caller can see (RLS applies here)
+    EXECUTE format(
+        'SELECT EXISTS (SELECT 1 FROM %I WHERE %I = $1)',
+        v_table_name, get_entity_pk(p_entity_type)
+    ) INTO v_exists USING p_record_id;
+
+    IF NOT v_exists THEN
+        RAISE EXCEPTION 'Record not found: %', p_record_id;
+    END IF;
+
+    WITH fields AS (
+        SELECT f.field_name, f.display_label, f.field_order,
+               COALESCE(p.is_visible, TRUE) AS is_visible
+        FROM ui_field_definitions f
+        JOIN ui_entity_types e ON e.entity_type_id = f.entity_type_id
+        LEFT JOIN get_user_field_permissions(p_user_id, p_entity_type, 'form_view') p
+            ON p.field_name = f.field_name
+        WHERE e.entity_name = p_entity_type
+    ),
+    entries AS (
+        SELECT a.audit_id, a.operation, a.changed_at, a.old_values, a.new_values,
+               u.full_name
+        FROM audit_trail a
+        LEFT JOIN users u ON u.user_id = a.changed_by
+        WHERE a.table_name = v_table_name
+          AND a.record_id = p_record_id
+        ORDER BY a.changed_at DESC, a.audit_id
+        LIMIT p_limit
+    )
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'audit_id', e.audit_id,
+            'operation', e.operation,
+            'changed_at', to_char(e.changed_at, 'YYYY-MM-DD HH24:MI:SS'),
+            'changed_by', COALESCE(e.full_name, 'System'),
+            'changes', (
+                SELECT COALESCE(jsonb_agg(
+                    jsonb_build_object(
+                        'field', f.field_name,
+                        'label', f.display_label,
+                        'masked', NOT f.is_visible,
+                        'old_value', CASE WHEN f.is_visible THEN e.old_values->>f.field_name END,
+                        'new_value', CASE WHEN f.is_visible THEN e.new_values->>f.field_name END
+                    )
+                    ORDER BY f.field_order
+                ), '[]'::JSONB)
+                FROM fields f
+                WHERE e.operation <> 'DELETE'
+                  AND (e.old_values->f.field_name) IS DISTINCT FROM (e.new_values->f.field_name)
+                  -- A created record lists the fields it was given
+                  AND (e.operation = 'UPDATE' OR jsonb_typeof(e.new_values->f.field_name) <> 'null')
+            )
+        )
+        ORDER BY e.changed_at DESC, e.audit_id
+    ), '[]'::JSONB)
+    INTO v_entries
+    FROM entries e;
+
+    RETURN v_entries;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION get_record_history(UUID, VARCHAR, UUID, INTEGER) IS 'Returns the field-level change history of a record with hidden fields masked';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate HTMX History View
+-- =============================================================================
+-- Renders get_record_history() as a timeline inside a modal. Opened from the
+-- view and edit forms; Back returns to the view form. Users who may edit the
+-- record get a Revert button on each update while its workflow still allows
+-- changes (see revert_record); it answers with this view, refreshed.
+
+CREATE OR REPLACE FUNCTION generate_htmx_history(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_entity_display_name TEXT;
+    v_entries JSONB;
+    v_entry JSONB;
+    v_change JSONB;
+    v_rows TEXT;
+    v_timeline TEXT := '';
+    v_current JSONB;
+    v_can_revert BOOLEAN := FALSE;
+    v_empty CONSTANT TEXT := '<span class="history-empty">empty</span>';
+BEGIN
+    v_entries := get_record_history(p_user_id, p_entity_type, p_record_id);
+
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    IF can_user_perform_action(p_user_id, p_entity_type, 'edit') THEN
+        EXECUTE format(
+            'SELECT row_to_json(t) FROM %I t WHERE %I = $1 AND is_deleted = FALSE',
+            (SELECT primary_table FROM ui_entity_types WHERE entity_name = p_entity_type),
+            get_entity_pk(p_entity_type)
+        ) INTO v_current USING p_record_id;
+
+        v_can_revert := v_current IS NOT NULL
+            AND get_record_edit_lock(p_entity_type, v_current) IS NULL;
+    END IF;
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(v_entries)
+    LOOP
+        v_rows := '';
+
+        FOR v_change IN SELECT * FROM jsonb_array_elements(v_entry->'changes')
+        LOOP
+            IF (v_change->>'masked')::BOOLEAN THEN
+                v_rows := v_rows || format(
+                    '<tr><th>%s</th><td colspan="2" class="history-masked">Hidden</td></tr>',
+                    escape_html(v_change->>'label')
+                );
+            ELSE
+                v_rows := v_rows || format(
+                    '<tr><th>%s</th><td class="history-old">%s</td><td class="history-new">%s</td></tr>',
+                    escape_html(v_change->>'label'),
+                    CASE WHEN v_change->>'old_value' IS NULL THEN v_empty
+                         ELSE escape_html(v_change->>'old_value') END,
+                    CASE WHEN v_change->>'new_value' IS NULL THEN v_empty
+                         ELSE escape_html(v_change->>'new_value') END
+                );
+            END IF;
+        END LOOP;
+
+        v_timeline := v_timeline || format(
+'<li class="history-entry history-%1$s">
+    <div class="history-meta">
+        <strong>%2$s</strong> %3$s
+        <time>%4$s</time>%6$s
+    </div>%5$s
+</li>',
+            lower(v_entry->>'operation'),
+            escape_html(v_entry->>'changed_by'),
+            CASE v_entry->>'operation'
+                WHEN 'INSERT' THEN 'created the record'
+                WHEN 'DELETE' THEN 'deleted the record'
+                ELSE 'updated'
+            END,
+            escape_html(v_entry->>'changed_at'),
+            CASE WHEN v_rows = '' THEN '' ELSE
+                E'\n    <table class="history-changes"><tbody>' || v_rows || '</tbody></table>'
+            END,
+            CASE WHEN v_can_revert AND v_entry->>'operation' = 'UPDATE' AND v_rows <> '' THEN format(
+'
+        <button type="button" class="btn btn-sm btn-text"
+                hx-post="/api/%s/%s/revert/%s"
+                hx-confirm="Restore the values from before this change?"
+                hx-target="closest .modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-undo"></i> Revert
+        </button>',
+                escape_html(p_entity_type), p_record_id, v_entry->>'audit_id'
+            ) ELSE '' END
+        );
+    END LOOP;
+
+    RETURN format(
+'<div class="modal-content history-view">
+    <div class="modal-header">
+        <h3>%1$s History</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+    <div class="modal-body">
+        %2$s
+    </div>
+    <div class="modal-footer">
+        <button type="button" class="btn btn-text" onclick="this.closest(''.modal'').remove()">Close</button>
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/%3$s/form/view?id=%4$s"
+                hx-target="closest .modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-arrow-left"></i> Back
+        </button>
+    </div>
+</div>',
+        escape_html(COALESCE(v_entity_display_name, p_entity_type)),
+        CASE WHEN v_timeline = ''
+            THEN '<div class="empty-state">No changes recorded.</div>'
+            ELSE add_idempotency_keys('<ol class="history-timeline">' || v_timeline || '</ol>')
+        END,
+        escape_html(p_entity_type),
+        p_record_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_history(UUID, VARCHAR, UUID) IS 'Generates the change history timeline of a record';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Change history of a PO, newest first
+SELECT get_record_history(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID
+);
+-- Returns: [{"operation": "UPDATE", "changed_at": "2024-03-02 10:15:00", "changed_by": "Admin User",
+--            "changes": [{"field": "status", "label": "Status", "masked": false,
+--                         "old_value": "submitted", "new_value": "approved"}]},
+--           {"operation": "INSERT", ...}]
+
+-- Timeline HTML
+SELECT generate_htmx_history(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID
+);
+
+-- Fields hidden from the viewer role come back masked
+SELECT jsonb_path_query(
+    get_record_history('00000000-0000-0000-0000-000000000104'::UUID, 'supplier', 'some-supplier-uuid'::UUID),
+    '$[*].changes[*] ? (@.masked == true)'
+);
+*/
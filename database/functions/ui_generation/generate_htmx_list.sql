@@ -1,6 +1,7 @@
 -- UI Generation Functions
 -- Function: generate_htmx_list
 -- Description: Generates complete HTMX list view HTML for an entity
+-- Security: SECURITY INVOKER so the nested fetch_list_data() call keeps the caller's RLS context
 -- Author: happyveggie & Claude Opus 4.5
 
 -- =============================================================================
@@ -115,6 +116,36 @@ $$ LANGUAGE plpgsql IMMUTABLE;
 
 COMMENT ON FUNCTION build_pagination_data(BIGINT, INTEGER, INTEGER) IS 'Builds pagination metadata for templates';
 
+-- =============================================================================
+-- HELPER FUNCTION: Add Row Keys
+-- =============================================================================
+-- Adds entity_type and record_id (the primary key value) to each list record.
+-- {{#records}} blocks only see the record itself, so row templates use these
+-- for their refresh URL and change event instead of entity-specific names.
+
+CREATE OR REPLACE FUNCTION add_list_row_keys(
+    p_entity_type VARCHAR,
+    p_records JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_pk_column TEXT := get_entity_pk(p_entity_type);
+BEGIN
+    RETURN COALESCE((
+        SELECT jsonb_agg(
+            r.record || jsonb_build_object(
+                'entity_type', p_entity_type,
+                'record_id', r.record->>v_pk_column
+            )
+            ORDER BY r.ord
+        )
+        FROM jsonb_array_elements(p_records) WITH ORDINALITY AS r(record, ord)
+    ), '[]'::JSONB);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION add_list_row_keys(VARCHAR, JSONB) IS 'Adds entity_type and record_id to list records for row templates';
+
 -- =============================================================================
 -- HELPER FUNCTION: Build User Permissions for Template
 -- =============================================================================
@@ -145,6 +176,116 @@ $$ LANGUAGE plpgsql STABLE;
 
 COMMENT ON FUNCTION build_user_permission_data(UUID, VARCHAR) IS 'Builds user permission data for templates';
 
+-- =============================================================================
+-- HELPER FUNCTION: Build Bulk Action Bar
+-- =============================================================================
+-- Renders the bulk update / bulk delete controls for a list. They act on the
+-- checked .row-select checkboxes inside the list (data-entity container).
+-- Returns an empty string when the user can neither edit nor delete.
+
+CREATE OR REPLACE FUNCTION build_bulk_action_bar(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_can_edit BOOLEAN := can_user_perform_action(p_user_id, p_entity_type, 'edit');
+    v_can_delete BOOLEAN := can_user_perform_action(p_user_id, p_entity_type, 'delete');
+    v_entity TEXT := escape_html(p_entity_type);
+    v_include TEXT;
+    v_field_options TEXT;
+    v_html TEXT;
+BEGIN
+    IF NOT v_can_edit AND NOT v_can_delete THEN
+        RETURN '';
+    END IF;
+
+    v_include := format('[data-entity=''%s''] .row-select:checked', v_entity);
+
+    v_html := format(
+        '<div class="bulk-action-bar" id="bulk-bar-%s">'
+        '<span class="bulk-selection-info">With selected:</span>',
+        v_entity
+    );
+
+    IF v_can_edit THEN
+        SELECT string_agg(
+            format('<option value="%s">%s</option>',
+                   escape_html(f.field_name), escape_html(COALESCE(f.display_label, f.field_name))),
+            '' ORDER BY f.field_order
+        ) INTO v_field_options
+        FROM get_entity_field_definitions(p_entity_type) f
+        WHERE f.field_name = ANY(get_editable_fields(p_user_id, p_entity_type, 'form_edit'));
+
+        IF v_field_options IS NOT NULL THEN
+            v_html := v_html || format(
+                '<form class="bulk-update-form" hx-post="/api/%1$s/bulk/update" hx-include="%2$s" '
+                'hx-target="#bulk-result-%1$s" hx-swap="innerHTML">'
+                '<select name="field" class="form-select" required>'
+                '<option value="">Field...</option>%3$s</select>'
+                '<input type="text" name="value" class="form-control" placeholder="New value">'
+                '<button type="submit" class="btn btn-sm btn-secondary">Update Selected</button>'
+                '</form>',
+                v_entity, v_include, v_field_options
+            );
+        END IF;
+    END IF;
+
+    IF v_can_delete THEN
+        v_html := v_html || format(
+            '<button class="btn btn-sm btn-danger" hx-post="/api/%1$s/bulk/delete" hx-include="%2$s" '
+            'hx-confirm="Delete the selected records?" hx-target="#bulk-result-%1$s" hx-swap="innerHTML">'
+            '<i class="fa fa-trash"></i> Delete Selected</button>',
+            v_entity, v_include
+        );
+    END IF;
+
+    RETURN v_html || format('<div id="bulk-result-%s" class="bulk-results"></div></div>', v_entity);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION build_bulk_action_bar(UUID, VARCHAR) IS 'Builds bulk update/delete controls for list views';
+
+-- =============================================================================
+-- HELPER FUNCTION: Build Export Buttons
+-- =============================================================================
+-- Renders CSV / Excel download links for a list, carrying its current filters
+-- and sort to /api/:entity/export. Returns an empty string when the user may
+-- not export the entity.
+
+CREATE OR REPLACE FUNCTION build_export_buttons(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort_field VARCHAR DEFAULT NULL,
+    p_sort_direction VARCHAR DEFAULT 'ASC'
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_query TEXT;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'export') THEN
+        RETURN '';
+    END IF;
+
+    v_query := build_list_query_string(p_filters, p_sort_field, p_sort_direction);
+    IF v_query <> '' THEN
+        v_query := '&' || v_query;
+    END IF;
+
+    RETURN format(
+        '<a class="btn btn-secondary" href="/api/%1$s/export?format=csv%2$s" download>'
+        '<i class="fa fa-file-csv"></i> CSV</a>'
+        '<a class="btn btn-secondary" href="/api/%1$s/export?format=xlsx%2$s" download>'
+        '<i class="fa fa-file-excel"></i> Excel</a>',
+        escape_html(p_entity_type),
+        escape_html(v_query)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION build_export_buttons(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR) IS 'Builds CSV/XLSX export links for list views';
+
 -- =============================================================================
 -- MAIN FUNCTION: Generate HTMX List View
 -- =============================================================================
@@ -223,7 +364,11 @@ BEGIN
     v_template_data := jsonb_build_object(
         'entity_type', p_entity_type,
         'entity_display_name', COALESCE(v_entity_display_name, p_entity_type),
-        'records', v_list_result.data
+        'records', add_list_row_keys(p_entity_type, v_list_result.data),
+        'bulk_action_bar', build_bulk_action_bar(p_user_id, p_entity_type),
+        'export_buttons', build_export_buttons(
+            p_user_id, p_entity_type, p_filters, p_sort_field, p_sort_direction
+        )
     ) || v_pagination_data || v_permission_data;
 
     -- 8. Render template with data
@@ -244,7 +389,7 @@ EXCEPTION WHEN OTHERS THEN
     RETURN '<div class="error-message">An error occurred while generating the view: ' ||
            escape_html(SQLERRM) || '</div>';
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_list(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, INTEGER, INTEGER) IS 'Generates complete HTMX list view HTML';
 
@@ -323,7 +468,8 @@ BEGIN
     END IF;
 
     -- Render each row
-    FOR v_record IN SELECT * FROM jsonb_array_elements(v_list_result.data)
+    FOR v_record IN
+        SELECT * FROM jsonb_array_elements(add_list_row_keys(p_entity_type, v_list_result.data))
     LOOP
         v_rendered_rows := v_rendered_rows ||
             render_template_complete(v_row_template, v_record || v_permission_data);
@@ -358,10 +504,334 @@ BEGIN
 
     RETURN v_rendered_html;
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
 
 COMMENT ON FUNCTION generate_htmx_list_table(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, INTEGER, INTEGER) IS 'Generates just the list table for partial updates';
 
+-- =============================================================================
+-- HELPER FUNCTION: Build List Query String
+-- =============================================================================
+-- Turns list filters and sorting back into query string parameters that both
+-- the /ui and /api list routes parse (arrays become repeated parameters).
+-- page_size is left out when NULL.
+
+CREATE OR REPLACE FUNCTION build_list_query_string(
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort_field VARCHAR DEFAULT NULL,
+    p_sort_direction VARCHAR DEFAULT 'ASC',
+    p_page_size INTEGER DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_params TEXT[] := ARRAY[]::TEXT[];
+    v_filter RECORD;
+BEGIN
+    FOR v_filter IN
+        SELECT key, value FROM jsonb_each(COALESCE(p_filters, '{}'::JSONB)) ORDER BY key
+    LOOP
+        IF jsonb_typeof(v_filter.value) = 'array' THEN
+            v_params := v_params || ARRAY(
+                SELECT url_encode(v_filter.key) || '=' || url_encode(v)
+                FROM jsonb_array_elements_text(v_filter.value) v
+            );
+        ELSE
+            v_params := v_params || (url_encode(v_filter.key) || '=' || url_encode(v_filter.value #>> '{}'));
+        END IF;
+    END LOOP;
+
+    IF NULLIF(p_sort_field, '') IS NOT NULL THEN
+        v_params := v_params || ('sort=' || url_encode(p_sort_field))
+                             || ('sort_dir=' || url_encode(COALESCE(p_sort_direction, 'ASC')));
+    END IF;
+
+    IF p_page_size IS NOT NULL THEN
+        v_params := v_params || ('page_size=' || p_page_size);
+    END IF;
+
+    RETURN array_to_string(v_params, '&');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION build_list_query_string(JSONB, VARCHAR, VARCHAR, INTEGER) IS 'Builds list query string parameters from filters and sorting';
+
+-- =============================================================================
+-- HELPER FUNCTION: Get Scroll List Columns
+-- =============================================================================
+-- Columns of an infinite-scroll table: the first ten fields the user can see
+-- in list views, in field order
+
+CREATE OR REPLACE FUNCTION get_scroll_list_columns(
+    p_user_id UUID,
+    p_entity_type VARCHAR
+)
+RETURNS TABLE (
+    field_name VARCHAR,
+    display_name VARCHAR
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT f.field_name, COALESCE(f.display_label, f.field_name)::VARCHAR
+    FROM get_entity_field_definitions(p_entity_type) f
+    WHERE f.field_name = ANY(get_visible_fields(p_user_id, p_entity_type, 'list'))
+    ORDER BY f.field_order
+    LIMIT 10;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_scroll_list_columns(UUID, VARCHAR) IS 'Returns the columns shown in infinite-scroll list tables';
+
+-- =============================================================================
+-- HELPER FUNCTION: Render Infinite-Scroll List Row
+-- =============================================================================
+-- One <tr> of an infinite-scroll table. The row refreshes itself from
+-- /ui/:entity/list/row when the list's event stream announces a change to the
+-- record; hx-disinherit keeps its swap settings off the View button.
+
+CREATE OR REPLACE FUNCTION render_scroll_list_row(
+    p_entity_type VARCHAR,
+    p_columns TEXT[],
+    p_pk_column TEXT,
+    p_record JSONB
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_column TEXT;
+    v_cells TEXT := '';
+    v_entity TEXT := escape_html(p_entity_type);
+    v_id TEXT := escape_html(p_record->>p_pk_column);
+BEGIN
+    FOREACH v_column IN ARRAY p_columns
+    LOOP
+        -- Lookup fields show their joined display value
+        v_cells := v_cells || '<td>' || escape_html(
+            COALESCE(p_record->>(v_column || '_display'), p_record->>v_column, '')
+        ) || '</td>';
+    END LOOP;
+
+    RETURN format(
+        '<tr hx-get="/ui/%1$s/list/row?id=%2$s&amp;layout=scroll" hx-trigger="sse:changed-%2$s" hx-swap="outerHTML" hx-disinherit="*">'
+        '%3$s<td class="actions"><button class="btn btn-sm btn-text" hx-get="/ui/%1$s/form/view?id=%2$s" hx-target="#modal"><i class="fa fa-eye"></i></button></td></tr>',
+        v_entity,
+        v_id,
+        v_cells
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION render_scroll_list_row(VARCHAR, TEXT[], TEXT, JSONB) IS 'Renders one self-refreshing row of an infinite-scroll list table';
+
+-- =============================================================================
+-- FUNCTION: Generate Infinite-Scroll List Rows
+-- =============================================================================
+-- Renders one keyset page of rows (see fetch_list_data_cursor). While more
+-- rows remain, a sentinel row is appended that fetches the next page when it
+-- scrolls into view and replaces itself with it.
+
+CREATE OR REPLACE FUNCTION generate_htmx_list_rows(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort_field VARCHAR DEFAULT NULL,
+    p_sort_direction VARCHAR DEFAULT 'ASC',
+    p_cursor TEXT DEFAULT NULL,
+    p_page_size INTEGER DEFAULT 50
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_start_time TIMESTAMPTZ := clock_timestamp();
+    v_page RECORD;
+    v_columns TEXT[];
+    v_pk_column TEXT;
+    v_record JSONB;
+    v_rows TEXT := '';
+BEGIN
+    -- Check permission
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        RETURN '<tr><td colspan="100" class="error">Permission denied</td></tr>';
+    END IF;
+
+    SELECT array_agg(c.field_name::TEXT) INTO v_columns
+    FROM get_scroll_list_columns(p_user_id, p_entity_type) c;
+
+    v_columns := COALESCE(v_columns, ARRAY[]::TEXT[]);
+    v_pk_column := get_entity_pk(p_entity_type);
+
+    -- Raises 'Invalid cursor' for tampered cursors or a changed sort field
+    SELECT * INTO v_page
+    FROM fetch_list_data_cursor(
+        p_user_id, p_entity_type, p_filters, p_sort_field,
+        p_sort_direction, p_cursor, p_page_size
+    );
+
+    FOR v_record IN SELECT * FROM jsonb_array_elements(v_page.data)
+    LOOP
+        v_rows := v_rows || render_scroll_list_row(p_entity_type, v_columns, v_pk_column, v_record);
+    END LOOP;
+
+    IF v_page.has_more THEN
+        v_rows := v_rows || format(
+            '<tr class="scroll-sentinel" hx-get="/ui/%s/list/rows?%s&cursor=%s" hx-trigger="revealed" hx-swap="outerHTML">'
+            '<td colspan="%s"><span class="htmx-indicator">Loading more...</span></td></tr>',
+            escape_html(p_entity_type),
+            escape_html(build_list_query_string(p_filters, p_sort_field, p_sort_direction, p_page_size)),
+            escape_html(v_page.next_cursor),
+            cardinality(v_columns) + 1
+        );
+    END IF;
+
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'list_rows', v_start_time,
+        jsonb_array_length(v_page.data), FALSE, NULL
+    );
+
+    RETURN v_rows;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_list_rows(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, TEXT, INTEGER) IS 'Generates one cursor page of list rows with an infinite-scroll sentinel';
+
+-- =============================================================================
+-- FUNCTION: Generate Infinite-Scroll List Table
+-- =============================================================================
+-- Renders the table shell with the first page of rows. Later pages are
+-- appended by the sentinel row from generate_htmx_list_rows().
+
+CREATE OR REPLACE FUNCTION generate_htmx_list_scroll(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort_field VARCHAR DEFAULT NULL,
+    p_sort_direction VARCHAR DEFAULT 'ASC',
+    p_page_size INTEGER DEFAULT 50
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_start_time TIMESTAMPTZ := clock_timestamp();
+    v_entity_display_name TEXT;
+    v_header TEXT;
+    v_rows TEXT;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        PERFORM log_ui_generation(
+            p_user_id, p_entity_type, 'list_scroll', v_start_time, 0, FALSE,
+            'Permission denied: cannot read ' || p_entity_type
+        );
+        RETURN '<div class="error-message">You do not have permission to view this data.</div>';
+    END IF;
+
+    SELECT display_name INTO v_entity_display_name
+    FROM ui_entity_types WHERE entity_name = p_entity_type;
+
+    SELECT string_agg('<th>' || escape_html(c.display_name) || '</th>', '')
+    INTO v_header
+    FROM get_scroll_list_columns(p_user_id, p_entity_type) c;
+
+    v_rows := generate_htmx_list_rows(
+        p_user_id, p_entity_type, p_filters, p_sort_field,
+        p_sort_direction, NULL, p_page_size
+    );
+
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'list_scroll', v_start_time, 0, FALSE, NULL
+    );
+
+    RETURN format(
+        '<div class="entity-list list-scroll" data-entity="%1$s" hx-ext="sse" sse-connect="/ui/events?entity=%1$s">'
+        '<div class="list-header"><h2>%2$s</h2></div>'
+        '<table class="data-table"><thead><tr>%3$s<th></th></tr></thead>'
+        '<tbody>%4$s</tbody></table></div>',
+        escape_html(p_entity_type),
+        escape_html(COALESCE(v_entity_display_name, p_entity_type)),
+        COALESCE(v_header, ''),
+        v_rows
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'list_scroll', v_start_time, 0, FALSE, SQLERRM
+    );
+    RETURN '<div class="error-message">An error occurred while generating the view: ' ||
+           escape_html(SQLERRM) || '</div>';
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_list_scroll(UUID, VARCHAR, JSONB, VARCHAR, VARCHAR, INTEGER) IS 'Generates an infinite-scroll list table backed by cursor paging';
+
+-- =============================================================================
+-- FUNCTION: Generate Single List Row
+-- =============================================================================
+-- Re-renders one record's row after a change announced on the event stream.
+-- The 'list' layout renders the {{#records}} section of the entity's list
+-- template with the same data the full list gets; 'scroll' renders an
+-- infinite-scroll row. Returns an empty string when the record is deleted or
+-- no longer visible to the user, which removes the row from the page.
+
+CREATE OR REPLACE FUNCTION generate_htmx_list_row(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID,
+    p_layout VARCHAR DEFAULT 'list'
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_start_time TIMESTAMPTZ := clock_timestamp();
+    v_pk_column TEXT;
+    v_list_result RECORD;
+    v_row_template TEXT;
+    v_columns TEXT[];
+    v_html TEXT;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'read') THEN
+        RETURN '';
+    END IF;
+
+    v_pk_column := get_entity_pk(p_entity_type);
+
+    SELECT * INTO v_list_result
+    FROM fetch_list_data(
+        p_user_id, p_entity_type,
+        jsonb_build_object(v_pk_column, p_record_id),
+        NULL, 'ASC', 1, 1
+    );
+
+    IF jsonb_array_length(v_list_result.data) = 0 THEN
+        RETURN '';
+    END IF;
+
+    IF p_layout = 'scroll' THEN
+        SELECT array_agg(c.field_name::TEXT) INTO v_columns
+        FROM get_scroll_list_columns(p_user_id, p_entity_type) c;
+
+        v_html := render_scroll_list_row(
+            p_entity_type, COALESCE(v_columns, ARRAY[]::TEXT[]), v_pk_column, v_list_result.data->0
+        );
+    ELSE
+        v_row_template := substring(
+            get_entity_template(p_entity_type, 'list')
+            FROM '\{\{#records\}\}.*?\{\{/records\}\}'
+        );
+
+        IF v_row_template IS NULL THEN
+            RAISE EXCEPTION 'No list row template found for %', p_entity_type;
+        END IF;
+
+        v_html := render_template_complete(
+            v_row_template,
+            jsonb_build_object('records', add_list_row_keys(p_entity_type, v_list_result.data))
+                || build_user_permission_data(p_user_id, p_entity_type)
+        );
+    END IF;
+
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'list_row', v_start_time, 1, FALSE, NULL
+    );
+
+    RETURN v_html;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_list_row(UUID, VARCHAR, UUID, VARCHAR) IS 'Generates the list row of a single record for live refresh';
+
 -- =============================================================================
 -- EXAMPLES AND TESTS
 -- =============================================================================
@@ -389,6 +859,22 @@ SELECT generate_htmx_list(
     1
 );
 
+-- Bulk action bar (rendered into list templates via {{{bulk_action_bar}}})
+SELECT build_bulk_action_bar(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier'
+);
+
+-- Export links (rendered into list templates via {{{export_buttons}}})
+SELECT build_export_buttons(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    '{"status": ["draft", "submitted"]}'::JSONB,
+    'po_date',
+    'DESC'
+);
+-- Links to /api/purchase_order/export?format=csv&status=draft&status=submitted&sort=po_date&sort_dir=DESC
+
 -- Generate just table (for HTMX updates)
 SELECT generate_htmx_list_table(
     '00000000-0000-0000-0000-000000000100'::UUID,
@@ -399,4 +885,40 @@ SELECT generate_htmx_list_table(
     25,
     1
 );
+
+-- Infinite-scroll table (first 50 rows plus a sentinel for the next page)
+SELECT generate_htmx_list_scroll(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    '{"status": ["approved"]}'::JSONB,
+    'po_date',
+    'DESC',
+    50
+);
+
+-- Next page, as requested by the sentinel row
+SELECT generate_htmx_list_rows(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    '{"status": ["approved"]}'::JSONB,
+    'po_date',
+    'DESC',
+    'next-cursor-from-sentinel',
+    50
+);
+
+-- One refreshed row, as requested when the event stream announces a change
+SELECT generate_htmx_list_row(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID
+);
+
+-- The same row in an infinite-scroll table
+SELECT generate_htmx_list_row(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'purchase_order',
+    'some-po-uuid'::UUID,
+    'scroll'
+);
 */
@@ -0,0 +1,324 @@
+-- UI Generation Functions
+-- Function: generate_htmx_print
+-- Description: Generates print-ready purchase order and remittance documents
+-- Security: SECURITY INVOKER so document data is read under the caller's RLS context
+-- Author: happyveggie
+
+-- =============================================================================
+-- HELPER FUNCTION: Format Print Amount
+-- =============================================================================
+-- Money as printed on documents: thousands separators, two decimals
+
+CREATE OR REPLACE FUNCTION format_print_amount(p_amount NUMERIC)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN to_char(COALESCE(p_amount, 0), 'FM999,999,999,990.00');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION format_print_amount(NUMERIC) IS 'Formats an amount for printed documents';
+
+-- =============================================================================
+-- HELPER FUNCTION: Build Company Header Data
+-- =============================================================================
+-- The company_profile row as company_name plus company_lines, one {text}
+-- item per non-empty address/contact line
+
+CREATE OR REPLACE FUNCTION build_company_header_data()
+RETURNS JSONB AS $$
+DECLARE
+    v_company RECORD;
+BEGIN
+    SELECT * INTO v_company FROM company_profile LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('company_name', '', 'company_lines', '[]'::JSONB);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'company_name', v_company.company_name,
+        'company_lines', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('text', line) ORDER BY ord), '[]'::JSONB)
+            FROM unnest(ARRAY[
+                v_company.address_line1,
+                v_company.address_line2,
+                NULLIF(concat_ws(' ', v_company.postal_code, v_company.city), ''),
+                v_company.country,
+                v_company.phone,
+                v_company.email,
+                'Tax ID: ' || v_company.tax_id
+            ]) WITH ORDINALITY AS l(line, ord)
+            WHERE NULLIF(line, '') IS NOT NULL
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION build_company_header_data() IS 'Builds company header data for printed documents';
+
+-- =============================================================================
+-- FUNCTION: Build Print Document Data
+-- =============================================================================
+-- Everything a printed document shows, in one shape for every document type
+-- so the HTML template and the PDF renderer read the same data:
+--   title, number, document_path, company_name, company_lines,
+--   party_label, party_name, party_lines, details [{label, value}],
+--   columns [{key, label, align}], lines, totals [{label, value}], notes
+-- Amounts are preformatted. Requires the 'print' action on the entity.
+
+CREATE OR REPLACE FUNCTION build_print_document(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_doc RECORD;
+    v_previously_paid NUMERIC;
+    v_data JSONB;
+BEGIN
+    IF NOT can_user_perform_action(p_user_id, p_entity_type, 'print') THEN
+        RAISE EXCEPTION 'User does not have permission to print %', p_entity_type;
+    END IF;
+
+    IF p_entity_type = 'purchase_order' THEN
+        SELECT
+            po.po_id, po.po_number, po.po_date, po.expected_delivery_date,
+            po.currency, po.status, po.total_amount, po.notes,
+            s.supplier_code, s.supplier_name, s.contact_email, s.contact_phone
+        INTO v_doc
+        FROM purchase_orders po
+        JOIN suppliers s ON s.supplier_id = po.supplier_id
+        WHERE po.po_id = p_record_id
+          AND po.is_deleted = FALSE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Purchase order not found: %', p_record_id;
+        END IF;
+
+        v_data := jsonb_build_object(
+            'title', 'Purchase Order',
+            'number', v_doc.po_number,
+            'currency', v_doc.currency,
+            'notes', v_doc.notes,
+            'details', jsonb_build_array(
+                jsonb_build_object('label', 'PO Date', 'value', v_doc.po_date::TEXT),
+                jsonb_build_object('label', 'Expected Delivery', 'value', COALESCE(v_doc.expected_delivery_date::TEXT, '-')),
+                jsonb_build_object('label', 'Currency', 'value', v_doc.currency),
+                jsonb_build_object('label', 'Status', 'value', initcap(replace(v_doc.status, '_', ' ')))
+            ),
+            'columns', '[
+                {"key": "line_number", "label": "#", "align": "right"},
+                {"key": "item_code", "label": "Item", "align": "left"},
+                {"key": "item_description", "label": "Description", "align": "left"},
+                {"key": "quantity", "label": "Qty", "align": "right"},
+                {"key": "uom", "label": "UoM", "align": "left"},
+                {"key": "unit_price", "label": "Unit Price", "align": "right"},
+                {"key": "line_total", "label": "Line Total", "align": "right"}
+            ]'::JSONB,
+            'lines', (
+                SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                    'line_number', l.line_number,
+                    'item_code', l.item_code,
+                    'item_description', l.item_description,
+                    'quantity', trim_scale(l.quantity_ordered)::TEXT,
+                    'uom', l.uom,
+                    'unit_price', format_print_amount(l.unit_price),
+                    'line_total', format_print_amount(l.line_total)
+                ) ORDER BY l.line_number), '[]'::JSONB)
+                FROM purchase_order_lines l
+                WHERE l.po_id = p_record_id
+                  AND l.is_deleted = FALSE
+            ),
+            'totals', jsonb_build_array(
+                jsonb_build_object('label', 'Total ' || v_doc.currency, 'value', format_print_amount(v_doc.total_amount))
+            )
+        );
+
+    ELSIF p_entity_type = 'payment' THEN
+        SELECT
+            p.payment_id, p.payment_number, p.payment_date, p.payment_method,
+            p.payment_amount, p.reference_number, p.status,
+            ir.invoice_id, ir.invoice_number, ir.supplier_invoice_number,
+            ir.invoice_date, ir.total_amount AS invoice_total,
+            po.po_number, po.currency,
+            s.supplier_code, s.supplier_name, s.contact_email, s.contact_phone
+        INTO v_doc
+        FROM payments p
+        JOIN invoice_receipts ir ON ir.invoice_id = p.invoice_id
+        JOIN purchase_orders po ON po.po_id = ir.po_id
+        JOIN suppliers s ON s.supplier_id = po.supplier_id
+        WHERE p.payment_id = p_record_id
+          AND p.is_deleted = FALSE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Payment not found: %', p_record_id;
+        END IF;
+
+        -- Other settled payments on the same invoice
+        SELECT COALESCE(SUM(payment_amount), 0)
+        INTO v_previously_paid
+        FROM payments
+        WHERE invoice_id = v_doc.invoice_id
+          AND payment_id != p_record_id
+          AND status IN ('processed', 'cleared')
+          AND is_deleted = FALSE;
+
+        v_data := jsonb_build_object(
+            'title', 'Remittance Advice',
+            'number', v_doc.payment_number,
+            'currency', v_doc.currency,
+            'details', jsonb_build_array(
+                jsonb_build_object('label', 'Payment Date', 'value', v_doc.payment_date::TEXT),
+                jsonb_build_object('label', 'Payment Method', 'value', initcap(replace(v_doc.payment_method, '_', ' '))),
+                jsonb_build_object('label', 'Reference', 'value', COALESCE(v_doc.reference_number, '-')),
+                jsonb_build_object('label', 'Status', 'value', initcap(replace(v_doc.status, '_', ' ')))
+            ),
+            'columns', '[
+                {"key": "invoice_number", "label": "Invoice", "align": "left"},
+                {"key": "supplier_invoice_number", "label": "Your Reference", "align": "left"},
+                {"key": "invoice_date", "label": "Invoice Date", "align": "left"},
+                {"key": "po_number", "label": "PO", "align": "left"},
+                {"key": "invoice_total", "label": "Invoice Total", "align": "right"},
+                {"key": "amount_paid", "label": "Amount Paid", "align": "right"}
+            ]'::JSONB,
+            'lines', jsonb_build_array(jsonb_build_object(
+                'invoice_number', v_doc.invoice_number,
+                'supplier_invoice_number', COALESCE(v_doc.supplier_invoice_number, '-'),
+                'invoice_date', v_doc.invoice_date::TEXT,
+                'po_number', v_doc.po_number,
+                'invoice_total', format_print_amount(v_doc.invoice_total),
+                'amount_paid', format_print_amount(v_doc.payment_amount)
+            )),
+            'totals', jsonb_build_array(
+                jsonb_build_object('label', 'Invoice Total', 'value', format_print_amount(v_doc.invoice_total)),
+                jsonb_build_object('label', 'Previously Paid', 'value', format_print_amount(v_previously_paid)),
+                jsonb_build_object('label', 'This Payment ' || v_doc.currency, 'value', format_print_amount(v_doc.payment_amount)),
+                jsonb_build_object('label', 'Balance Remaining', 'value',
+                    format_print_amount(v_doc.invoice_total - v_previously_paid - v_doc.payment_amount))
+            )
+        );
+
+    ELSE
+        RAISE EXCEPTION 'No printable document for entity type: %', p_entity_type;
+    END IF;
+
+    -- Both documents go to the supplier
+    RETURN v_data
+        || build_company_header_data()
+        || jsonb_build_object(
+            'document_type', p_entity_type,
+            'record_id', p_record_id,
+            'document_path', format(
+                '/ui/%s/%s/%s', p_entity_type, p_record_id,
+                CASE p_entity_type WHEN 'payment' THEN 'remittance' ELSE 'print' END
+            ),
+            'party_label', 'Supplier',
+            'party_name', v_doc.supplier_name,
+            'party_lines', (
+                SELECT COALESCE(jsonb_agg(jsonb_build_object('text', line) ORDER BY ord), '[]'::JSONB)
+                FROM unnest(ARRAY[
+                    v_doc.supplier_code,
+                    v_doc.contact_email,
+                    v_doc.contact_phone
+                ]) WITH ORDINALITY AS l(line, ord)
+                WHERE NULLIF(line, '') IS NOT NULL
+            ),
+            'has_notes', NULLIF(v_data->>'notes', '') IS NOT NULL,
+            'generated_at', to_char(NOW(), 'YYYY-MM-DD HH24:MI')
+        );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION build_print_document(UUID, VARCHAR, UUID) IS 'Builds the data of a printed purchase order or remittance advice';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Print Document
+-- =============================================================================
+-- Renders the entity's 'print' template as a standalone HTML page with a
+-- toolbar (print, PDF download) that is hidden when printing. Errors are
+-- raised so the route can answer 403/404 instead of printing an error page.
+
+CREATE OR REPLACE FUNCTION generate_htmx_print(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_record_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_start_time TIMESTAMPTZ := clock_timestamp();
+    v_template TEXT;
+    v_data JSONB;
+    v_body TEXT;
+BEGIN
+    v_data := build_print_document(p_user_id, p_entity_type, p_record_id);
+
+    v_template := get_entity_template(p_entity_type, 'print');
+
+    IF v_template IS NULL THEN
+        RAISE EXCEPTION 'No print template configured for %', p_entity_type;
+    END IF;
+
+    v_body := render_template_complete(v_template, v_data);
+
+    PERFORM log_ui_generation(
+        p_user_id, p_entity_type, 'print', v_start_time, 1, FALSE, NULL
+    );
+
+    RETURN format(
+'<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>%1$s %2$s</title>
+    <link rel="stylesheet" href="/css/print.css">
+</head>
+<body>
+    <div class="print-toolbar">
+        <button type="button" onclick="window.print()">Print</button>
+        <a href="%3$s?format=pdf">Download PDF</a>
+    </div>
+%4$s
+</body>
+</html>',
+        escape_html(v_data->>'title'),
+        escape_html(v_data->>'number'),
+        escape_html(v_data->>'document_path'),
+        v_body
+    );
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_print(UUID, VARCHAR, UUID) IS 'Generates a print-ready HTML document from the entity print template';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Printable purchase order (purchase manager)
+SELECT generate_htmx_print(
+    '00000000-0000-0000-0000-000000000101'::UUID,
+    'purchase_order',
+    (SELECT po_id FROM purchase_orders WHERE is_deleted = FALSE LIMIT 1)
+);
+
+-- Remittance advice (accountant)
+SELECT generate_htmx_print(
+    '00000000-0000-0000-0000-000000000103'::UUID,
+    'payment',
+    (SELECT payment_id FROM payments WHERE is_deleted = FALSE LIMIT 1)
+);
+
+-- The document data alone, as used for PDF output
+SELECT build_print_document(
+    '00000000-0000-0000-0000-000000000103'::UUID,
+    'payment',
+    (SELECT payment_id FROM payments WHERE is_deleted = FALSE LIMIT 1)
+);
+-- Returns: {"title": "Remittance Advice", "number": "PAY-...", "company_name": "...",
+--           "details": [...], "columns": [...], "lines": [...], "totals": [...], ...}
+
+-- Company details printed in every document header
+UPDATE company_profile SET company_name = 'Acme Procurement Ltd', tax_id = 'GB123456789';
+*/
@@ -0,0 +1,425 @@
+-- UI Generation Functions
+-- Function: generate_htmx_template_admin
+-- Description: Template administration pages: version list, editor with live
+--              preview, and version diff (data from template_versions.sql)
+-- Security: SECURITY INVOKER; the template_versions functions check for an admin
+-- Author: happyveggie
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Template Version List
+-- =============================================================================
+-- All templates grouped by entity and view, newest version first. Each version
+-- can be edited (saved as a new version), compared with the active one, and
+-- activated; activating a version older than the active one rolls back.
+-- Every page of the template admin renders into #template-admin.
+
+CREATE OR REPLACE FUNCTION generate_htmx_template_admin(
+    p_user_id UUID,
+    p_entity_type VARCHAR DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_versions JSONB;
+    v_version JSONB;
+    v_active JSONB;
+    v_group TEXT := NULL;
+    v_options TEXT;
+    v_actions TEXT;
+    v_html TEXT := '';
+BEGIN
+    v_versions := list_template_versions(p_user_id, p_entity_type);
+
+    SELECT string_agg(
+        format('<option value="%s"%s>%s</option>',
+               escape_html(entity_name),
+               CASE WHEN entity_name = p_entity_type THEN ' selected' ELSE '' END,
+               escape_html(display_name)),
+        '' ORDER BY created_at
+    ) INTO v_options
+    FROM ui_entity_types;
+
+    FOR v_version IN SELECT * FROM jsonb_array_elements(v_versions)
+    LOOP
+        IF v_group IS DISTINCT FROM (v_version->>'entity_type') || '/' || (v_version->>'view_type') THEN
+            IF v_group IS NOT NULL THEN
+                v_html := v_html || '</tbody></table></section>';
+            END IF;
+
+            v_group := (v_version->>'entity_type') || '/' || (v_version->>'view_type');
+
+            SELECT e INTO v_active
+            FROM jsonb_array_elements(v_versions) e
+            WHERE e->>'entity_type' = v_version->>'entity_type'
+              AND e->>'view_type' = v_version->>'view_type'
+              AND (e->>'is_active')::BOOLEAN;
+
+            v_html := v_html || format(
+'
+    <section class="template-group">
+        <h3>%s <span class="text-muted">%s</span></h3>
+        <table class="data-table">
+            <thead>
+                <tr><th>Version</th><th>Name</th><th>Saved</th><th>Status</th><th>Actions</th></tr>
+            </thead>
+            <tbody>',
+                escape_html(v_version->>'entity_display_name'),
+                escape_html(v_version->>'view_type')
+            );
+        END IF;
+
+        v_actions := format(
+            '<button class="btn btn-sm btn-text" hx-get="/ui/admin/templates/%s/edit" '
+            'hx-target="#template-admin" hx-swap="outerHTML" title="Edit as new version">'
+            '<i class="fa fa-edit"></i> Edit</button>',
+            v_version->>'template_id'
+        );
+
+        IF v_active IS NOT NULL AND NOT (v_version->>'is_active')::BOOLEAN THEN
+            v_actions := v_actions || format(
+                '<button class="btn btn-sm btn-text" hx-get="/ui/admin/templates/%s/diff?against=%s" '
+                'hx-target="#template-admin" hx-swap="outerHTML" title="Compare with the active version">'
+                '<i class="fa fa-code-compare"></i> Diff</button>',
+                v_version->>'template_id',
+                v_active->>'template_id'
+            );
+        END IF;
+
+        IF NOT (v_version->>'is_active')::BOOLEAN THEN
+            v_actions := v_actions || format(
+                '<button class="btn btn-sm %s" hx-post="/ui/admin/templates/%s/activate" '
+                'hx-confirm="%s" hx-target="#template-admin" hx-swap="outerHTML">%s</button>',
+                CASE WHEN (v_version->>'version')::INTEGER < COALESCE((v_active->>'version')::INTEGER, 0)
+                     THEN 'btn-secondary' ELSE 'btn-primary' END,
+                v_version->>'template_id',
+                escape_html(format('Use version %s of %s for all users?',
+                    v_version->>'version', v_version->>'template_name')),
+                CASE WHEN (v_version->>'version')::INTEGER < COALESCE((v_active->>'version')::INTEGER, 0)
+                     THEN '<i class="fa fa-undo"></i> Roll back'
+                     ELSE '<i class="fa fa-check"></i> Activate' END
+            );
+        END IF;
+
+        v_html := v_html || format(
+'
+                <tr>
+                    <td>v%s</td>
+                    <td>%s</td>
+                    <td>%s</td>
+                    <td>%s</td>
+                    <td class="actions">%s</td>
+                </tr>',
+            v_version->>'version',
+            escape_html(v_version->>'template_name'),
+            escape_html(v_version->>'created_at'),
+            CASE WHEN (v_version->>'is_active')::BOOLEAN
+                 THEN '<span class="badge badge-approved">active</span>'
+                 ELSE '' END,
+            v_actions
+        );
+    END LOOP;
+
+    IF v_group IS NOT NULL THEN
+        v_html := v_html || '</tbody></table></section>';
+    ELSE
+        v_html := '<div class="empty-state">No templates found.</div>';
+    END IF;
+
+    RETURN format(
+'<div class="template-admin" id="template-admin">
+    <div class="list-header">
+        <h2>Templates</h2>
+        <div class="list-actions">
+            <select name="entity" class="form-select"
+                    hx-get="/ui/admin/templates"
+                    hx-target="#template-admin"
+                    hx-swap="outerHTML">
+                <option value="">All entities</option>%s
+            </select>
+        </div>
+    </div>
+    %s
+</div>',
+        COALESCE(v_options, ''),
+        v_html
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_template_admin(UUID, VARCHAR) IS 'Generates the template version list of the template admin';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Template Editor
+-- =============================================================================
+-- Edits the source of a version. Saving always creates the next version; the
+-- preview pane re-renders the unsaved source while typing.
+
+CREATE OR REPLACE FUNCTION generate_htmx_template_editor(
+    p_user_id UUID,
+    p_template_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_template JSONB;
+    v_next_version INTEGER;
+BEGIN
+    v_template := get_template_version(p_user_id, p_template_id);
+
+    SELECT MAX((v->>'version')::INTEGER) + 1 INTO v_next_version
+    FROM jsonb_array_elements(
+        list_template_versions(p_user_id, v_template->>'entity_type', v_template->>'view_type')
+    ) v;
+
+    RETURN format(
+'<div class="template-admin template-editor" id="template-admin">
+    <div class="list-header">
+        <h2>%1$s <span class="text-muted">v%2$s</span>%3$s</h2>
+    </div>
+
+    <div class="template-editor-panes">
+        <form id="template-editor-form" class="entity-form"
+              hx-post="/ui/admin/templates/%4$s/versions"
+              hx-target="#template-admin"
+              hx-swap="outerHTML">
+            <input type="hidden" name="entity" value="%5$s">
+            <input type="hidden" name="view_type" value="%6$s">
+
+            <div class="form-field">
+                <label for="template-name">Name</label>
+                <input id="template-name" type="text" name="template_name" value="%1$s" class="form-control" required>
+            </div>
+
+            <div class="form-field">
+                <label for="template-source">Template</label>
+                <textarea id="template-source" name="base_template" class="form-control template-source"
+                          rows="30" spellcheck="false" required>%7$s</textarea>
+            </div>
+
+            <div class="form-field">
+                <label><input type="checkbox" name="activate" value="true"> Make the new version active</label>
+            </div>
+
+            <div class="form-actions">
+                <button type="button" class="btn btn-text"
+                        hx-get="/ui/admin/templates?entity=%5$s"
+                        hx-target="#template-admin"
+                        hx-swap="outerHTML">
+                    Cancel
+                </button>
+                <button type="submit" class="btn btn-primary">
+                    <i class="fa fa-save"></i> Save as v%8$s
+                </button>
+            </div>
+        </form>
+
+        <div class="template-preview-pane">
+            <h4>Preview <span class="text-muted">with sample %9$s</span></h4>
+            <div id="template-preview"
+                 hx-post="/ui/admin/templates/preview"
+                 hx-include="#template-editor-form"
+                 hx-trigger="load, input delay:500ms from:#template-source">
+            </div>
+        </div>
+    </div>
+</div>',
+        escape_html(v_template->>'template_name'),
+        v_template->>'version',
+        CASE WHEN (v_template->>'is_active')::BOOLEAN
+             THEN ' <span class="badge badge-approved">active</span>' ELSE '' END,
+        p_template_id,
+        escape_html(v_template->>'entity_type'),
+        escape_html(v_template->>'view_type'),
+        escape_html(v_template->>'base_template'),
+        v_next_version,
+        escape_html(lower(v_template->>'entity_display_name'))
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_template_editor(UUID, UUID) IS 'Generates the template editor with live preview';
+
+-- =============================================================================
+-- FUNCTION: Generate Template Preview
+-- =============================================================================
+-- Renders unsaved source into a sandboxed iframe, so the preview's hx-*
+-- attributes and scripts stay inert and its markup cannot break the editor
+-- page. Syntax problems are reported above the preview; rendering errors
+-- replace it.
+
+CREATE OR REPLACE FUNCTION generate_htmx_template_preview(
+    p_user_id UUID,
+    p_entity_type VARCHAR,
+    p_view_type VARCHAR,
+    p_base_template TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_error TEXT;
+    v_rendered TEXT;
+BEGIN
+    IF NOT is_user_admin(p_user_id) THEN
+        RAISE EXCEPTION 'User % does not have permission to manage templates', p_user_id;
+    END IF;
+
+    v_error := validate_template_syntax(p_base_template);
+
+    BEGIN
+        v_rendered := preview_template(p_user_id, p_entity_type, p_view_type, p_base_template);
+    EXCEPTION WHEN OTHERS THEN
+        RETURN '<div class="error-message">Preview failed: ' || escape_html(SQLERRM) || '</div>';
+    END;
+
+    RETURN CASE WHEN v_error IS NULL THEN ''
+                ELSE '<div class="error-message">' || escape_html(v_error) || '</div>' END
+        || format(
+            '<iframe class="template-preview-frame" sandbox title="Template preview" srcdoc="%s"></iframe>',
+            escape_html(
+                '<!DOCTYPE html><html><head><meta charset="UTF-8">'
+                '<link rel="stylesheet" href="/css/styles.css"></head><body>'
+                || v_rendered || '</body></html>'
+            )
+        );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_template_preview(UUID, VARCHAR, VARCHAR, TEXT) IS 'Generates a sandboxed preview of unsaved template source';
+
+-- =============================================================================
+-- MAIN FUNCTION: Generate Template Diff
+-- =============================================================================
+-- Shows what a version changes relative to p_against_id: by default the active
+-- version, or for the active version itself the one before it. Unchanged runs
+-- are collapsed to three lines of context around each change.
+
+CREATE OR REPLACE FUNCTION generate_htmx_template_diff(
+    p_user_id UUID,
+    p_template_id UUID,
+    p_against_id UUID DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_template JSONB;
+    v_against_id UUID := p_against_id;
+    v_diff JSONB;
+    v_line RECORD;
+    v_hidden INTEGER := 0;
+    v_rows TEXT := '';
+BEGIN
+    v_template := get_template_version(p_user_id, p_template_id);
+
+    IF v_against_id IS NULL THEN
+        SELECT (v->>'template_id')::UUID INTO v_against_id
+        FROM jsonb_array_elements(
+            list_template_versions(p_user_id, v_template->>'entity_type', v_template->>'view_type')
+        ) v
+        WHERE CASE WHEN (v_template->>'is_active')::BOOLEAN
+                   THEN (v->>'version')::INTEGER < (v_template->>'version')::INTEGER
+                   ELSE (v->>'is_active')::BOOLEAN END
+        ORDER BY (v->>'version')::INTEGER DESC
+        LIMIT 1;
+
+        IF v_against_id IS NULL THEN
+            RAISE EXCEPTION 'No other version of this template to compare with';
+        END IF;
+    END IF;
+
+    v_diff := diff_template_versions(p_user_id, v_against_id, p_template_id);
+
+    FOR v_line IN
+        WITH lines AS (
+            SELECT n, l
+            FROM jsonb_array_elements(v_diff->'lines') WITH ORDINALITY AS t(l, n)
+        ),
+        changes AS (
+            SELECT n FROM lines WHERE l->>'op' <> ' '
+        )
+        SELECT lines.l,
+               EXISTS (SELECT 1 FROM changes c WHERE abs(c.n - lines.n) <= 3) AS shown
+        FROM lines
+        ORDER BY lines.n
+    LOOP
+        IF NOT v_line.shown THEN
+            v_hidden := v_hidden + 1;
+            CONTINUE;
+        END IF;
+
+        IF v_hidden > 0 THEN
+            v_rows := v_rows || format(
+                '<tr class="diff-gap"><td colspan="3">%s unchanged line%s</td></tr>',
+                v_hidden, CASE WHEN v_hidden = 1 THEN '' ELSE 's' END);
+            v_hidden := 0;
+        END IF;
+
+        v_rows := v_rows || format(
+            '<tr class="%s"><td class="diff-line-no">%s</td><td class="diff-line-no">%s</td><td class="diff-text">%s</td></tr>',
+            CASE v_line.l->>'op' WHEN '+' THEN 'diff-add' WHEN '-' THEN 'diff-del' ELSE 'diff-ctx' END,
+            COALESCE(v_line.l->>'old_line', ''),
+            COALESCE(v_line.l->>'new_line', ''),
+            escape_html(v_line.l->>'text')
+        );
+    END LOOP;
+
+    RETURN format(
+'<div class="template-admin template-diff-view" id="template-admin">
+    <div class="list-header">
+        <h2>%1$s <span class="text-muted">v%2$s &rarr; v%3$s</span></h2>
+        <div class="list-actions">
+            <button type="button" class="btn btn-secondary"
+                    hx-get="/ui/admin/templates?entity=%4$s"
+                    hx-target="#template-admin"
+                    hx-swap="outerHTML">
+                <i class="fa fa-arrow-left"></i> Back
+            </button>
+        </div>
+    </div>
+    %5$s
+</div>',
+        escape_html(v_template->>'template_name'),
+        v_diff->'from'->>'version',
+        v_diff->'to'->>'version',
+        escape_html(v_template->>'entity_type'),
+        CASE WHEN v_rows = '' OR (v_diff->>'added_count')::INTEGER + (v_diff->>'removed_count')::INTEGER = 0
+             THEN '<div class="empty-state">The versions are identical.</div>'
+             ELSE format(
+                '<p class="diff-summary"><span class="diff-added">+%s</span> <span class="diff-removed">&minus;%s</span> lines</p>'
+                '<table class="template-diff"><tbody>%s</tbody></table>',
+                v_diff->>'added_count', v_diff->>'removed_count', v_rows)
+        END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+COMMENT ON FUNCTION generate_htmx_template_diff(UUID, UUID, UUID) IS 'Generates a line diff between two template versions';
+
+-- =============================================================================
+-- EXAMPLES AND TESTS
+-- =============================================================================
+
+/*
+-- Version list, all entities / one entity
+SELECT generate_htmx_template_admin('00000000-0000-0000-0000-000000000100'::UUID);
+SELECT generate_htmx_template_admin('00000000-0000-0000-0000-000000000100'::UUID, 'purchase_order');
+
+-- Editor for a version
+SELECT generate_htmx_template_editor(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'some-template-uuid'::UUID
+);
+
+-- Preview of unsaved source
+SELECT generate_htmx_template_preview(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'supplier',
+    'list',
+    '<ul>{{#records}}<li>{{supplier_name}}</li>{{/records}}</ul>'
+);
+
+-- What a draft version changes compared with the active one
+SELECT generate_htmx_template_diff(
+    '00000000-0000-0000-0000-000000000100'::UUID,
+    'draft-template-uuid'::UUID
+);
+
+-- Non-admins are refused
+SELECT generate_htmx_template_admin('00000000-0000-0000-0000-000000000104'::UUID);
+-- ERROR: User ... does not have permission to manage templates
+*/
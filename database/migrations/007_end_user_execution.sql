@@ -0,0 +1,46 @@
+-- Migration 007: End-User Execution Mode
+-- Description: Lets the API run function calls as app_user so RLS policies apply
+-- Dependencies: 006_initial_seed_data.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- RLS HELPER: current_user_role()
+-- =============================================================================
+-- users has RLS enabled and its own policies call is_admin() -> current_user_role().
+-- Run the lookup as the owner so evaluating a users policy does not re-enter
+-- the users policies when the caller is app_user.
+
+ALTER FUNCTION current_user_role() SECURITY DEFINER;
+ALTER FUNCTION current_user_role() SET search_path = public;
+
+-- =============================================================================
+-- ROLE MEMBERSHIP
+-- =============================================================================
+-- The API connects with its login role and switches per transaction with
+-- SET LOCAL ROLE app_user, which requires membership.
+
+DO $$
+BEGIN
+    EXECUTE format('GRANT app_user TO %I', current_user);
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE NOTICE 'Could not grant app_user to %: % (grant it to the API login role manually)', current_user, SQLERRM;
+END $$;
+
+-- Tables created after migration 005 by function scripts are covered by the
+-- default privileges; sequences are not, so extend them here
+ALTER DEFAULT PRIVILEGES IN SCHEMA public
+    GRANT USAGE ON SEQUENCES TO app_user;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 007 completed successfully';
+    RAISE NOTICE 'current_user_role() now runs as SECURITY DEFINER';
+    RAISE NOTICE 'API login role % may now SET ROLE app_user', current_user;
+    RAISE NOTICE '';
+    RAISE NOTICE 'Set DB_EXECUTE_AS=user in the API to run calls as app_user';
+END $$;
@@ -0,0 +1,184 @@
+-- Migration 008: Create Idempotency Keys
+-- Description: Stores Idempotency-Key headers and their responses so retried POSTs replay instead of re-running
+-- Dependencies: 007_end_user_execution.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- IDEMPOTENCY KEYS TABLE
+-- =============================================================================
+-- One row per (user, key). A row without completed_at is a request still in
+-- flight; once completed it holds the response to replay.
+
+CREATE TABLE idempotency_keys (
+    user_id             UUID NOT NULL,
+    idempotency_key     VARCHAR(255) NOT NULL,
+    request_path        TEXT NOT NULL,
+    request_hash        VARCHAR(64) NOT NULL,
+    status_code         INTEGER,
+    response_headers    JSONB,
+    response_body       TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at        TIMESTAMPTZ,
+
+    CONSTRAINT pk_idempotency_keys PRIMARY KEY (user_id, idempotency_key),
+    CONSTRAINT fk_idempotency_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT chk_idempotency_completed CHECK (
+        completed_at IS NULL OR status_code IS NOT NULL
+    )
+);
+
+COMMENT ON TABLE idempotency_keys IS 'Idempotency-Key values and stored responses for API POST requests';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'SHA-256 of method, path and body; a reused key with a different request is rejected';
+COMMENT ON COLUMN idempotency_keys.completed_at IS 'NULL while the original request is still being processed';
+
+-- Index for cleanup
+CREATE INDEX idx_idempotency_created_at ON idempotency_keys(created_at);
+
+-- =============================================================================
+-- FUNCTION: Begin Idempotent Request
+-- =============================================================================
+-- Claims a key for a request. Returns state:
+--   new         - caller should run the request and then complete or release it
+--   completed   - replay status_code / response_headers / response_body
+--   in_progress - the original request has not finished yet
+--   mismatch    - the key was already used for a different request
+-- In-flight claims older than 5 minutes are treated as abandoned and re-claimed;
+-- completed keys older than 24 hours may be reused.
+
+CREATE OR REPLACE FUNCTION begin_idempotent_request(
+    p_user_id UUID,
+    p_idempotency_key VARCHAR,
+    p_request_path TEXT,
+    p_request_hash VARCHAR
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_row idempotency_keys%ROWTYPE;
+BEGIN
+    INSERT INTO idempotency_keys (user_id, idempotency_key, request_path, request_hash)
+    VALUES (p_user_id, p_idempotency_key, p_request_path, p_request_hash)
+    ON CONFLICT (user_id, idempotency_key) DO NOTHING;
+
+    IF FOUND THEN
+        RETURN jsonb_build_object('state', 'new');
+    END IF;
+
+    SELECT * INTO v_row
+    FROM idempotency_keys
+    WHERE user_id = p_user_id AND idempotency_key = p_idempotency_key
+    FOR UPDATE;
+
+    -- Expired or abandoned: start over with this request
+    IF (v_row.completed_at IS NOT NULL AND v_row.created_at < NOW() - INTERVAL '24 hours')
+       OR (v_row.completed_at IS NULL AND v_row.created_at < NOW() - INTERVAL '5 minutes') THEN
+        UPDATE idempotency_keys
+        SET request_path = p_request_path,
+            request_hash = p_request_hash,
+            status_code = NULL,
+            response_headers = NULL,
+            response_body = NULL,
+            created_at = NOW(),
+            completed_at = NULL
+        WHERE user_id = p_user_id AND idempotency_key = p_idempotency_key;
+
+        RETURN jsonb_build_object('state', 'new');
+    END IF;
+
+    IF v_row.request_hash <> p_request_hash THEN
+        RETURN jsonb_build_object('state', 'mismatch');
+    END IF;
+
+    IF v_row.completed_at IS NULL THEN
+        RETURN jsonb_build_object('state', 'in_progress');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'state', 'completed',
+        'status_code', v_row.status_code,
+        'response_headers', COALESCE(v_row.response_headers, '{}'::JSONB),
+        'response_body', v_row.response_body
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION begin_idempotent_request(UUID, VARCHAR, TEXT, VARCHAR) IS 'Claims an idempotency key or returns the stored response';
+
+-- =============================================================================
+-- FUNCTION: Complete Idempotent Request
+-- =============================================================================
+-- Stores the response for a claimed key so later retries replay it
+
+CREATE OR REPLACE FUNCTION complete_idempotent_request(
+    p_user_id UUID,
+    p_idempotency_key VARCHAR,
+    p_status_code INTEGER,
+    p_response_headers JSONB,
+    p_response_body TEXT
+)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE idempotency_keys
+    SET status_code = p_status_code,
+        response_headers = p_response_headers,
+        response_body = p_response_body,
+        completed_at = NOW()
+    WHERE user_id = p_user_id
+      AND idempotency_key = p_idempotency_key
+      AND completed_at IS NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION complete_idempotent_request(UUID, VARCHAR, INTEGER, JSONB, TEXT) IS 'Stores the response for an idempotency key';
+
+-- =============================================================================
+-- FUNCTION: Release Idempotent Request
+-- =============================================================================
+-- Drops an in-flight claim (request failed) so the same key can be retried
+
+CREATE OR REPLACE FUNCTION release_idempotent_request(
+    p_user_id UUID,
+    p_idempotency_key VARCHAR
+)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM idempotency_keys
+    WHERE user_id = p_user_id
+      AND idempotency_key = p_idempotency_key
+      AND completed_at IS NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION release_idempotent_request(UUID, VARCHAR) IS 'Releases an unfinished idempotency key claim';
+
+-- =============================================================================
+-- FUNCTION: Cleanup Idempotency Keys
+-- =============================================================================
+-- Deletes keys older than the retention window to manage table size
+
+CREATE OR REPLACE FUNCTION cleanup_idempotency_keys(p_retention_hours INTEGER DEFAULT 24)
+RETURNS INTEGER AS $$
+DECLARE
+    v_deleted_count INTEGER;
+BEGIN
+    DELETE FROM idempotency_keys
+    WHERE created_at < NOW() - (p_retention_hours || ' hours')::INTERVAL;
+
+    GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+
+    RETURN v_deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION cleanup_idempotency_keys(INTEGER) IS 'Deletes idempotency keys older than specified hours (default: 24)';
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 008 completed successfully';
+    RAISE NOTICE 'Created table: idempotency_keys';
+    RAISE NOTICE 'Created functions: begin_idempotent_request, complete_idempotent_request, release_idempotent_request, cleanup_idempotency_keys';
+END $$;
@@ -0,0 +1,41 @@
+-- Migration 009: Payment Reversal Permission
+-- Description: Allows the 'reverse' action so reverse_payment can be granted to roles
+-- Dependencies: 008_create_idempotency_keys.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- ACTION NAME CONSTRAINT
+-- =============================================================================
+-- reverse_payment checks can_user_perform_action(..., 'payment', 'reverse'),
+-- which could never pass while the constraint rejected the action name.
+
+ALTER TABLE ui_action_permissions DROP CONSTRAINT chk_action_name;
+
+ALTER TABLE ui_action_permissions ADD CONSTRAINT chk_action_name CHECK (action_name IN (
+    'create', 'read', 'edit', 'delete', 'approve', 'submit',
+    'cancel', 'export', 'import', 'print', 'reverse'
+));
+
+COMMENT ON COLUMN ui_action_permissions.action_name IS 'Action: create, read, edit, delete, approve, submit, cancel, export, import, print, reverse';
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- Admins already pass every check; the row keeps the permission visible in
+-- the role's action list. Accountants own payments, so they reverse them too.
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'reverse', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'reverse', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 009 completed successfully';
+    RAISE NOTICE 'Action name ''reverse'' is now allowed';
+    RAISE NOTICE 'Granted payment reverse to admin and accountant roles';
+END $$;
@@ -0,0 +1,93 @@
+-- Migration 010: Create Entity Relations
+-- Description: Parent/child relationships used for related-record tabs on detail views
+-- Dependencies: 009_payment_reversal_permission.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- UI ENTITY RELATIONS TABLE
+-- =============================================================================
+-- One row per tab on a parent's detail view. Children are selected with
+-- child_table.parent_fk = parent id, or, when via_table is set, through an
+-- intermediate table: child_table.via_fk IN (SELECT via_fk FROM via_table
+-- WHERE parent_fk = parent id). Example: PO -> invoices -> payments.
+
+CREATE TABLE ui_entity_relations (
+    relation_id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    parent_entity_type_id   UUID NOT NULL,
+    relation_name           VARCHAR(100) NOT NULL,
+    display_name            VARCHAR(200) NOT NULL,
+    child_entity_name       VARCHAR(100) NOT NULL,
+    child_table             VARCHAR(100) NOT NULL,
+    child_pk                VARCHAR(100) NOT NULL,
+    parent_fk               VARCHAR(100) NOT NULL,
+    via_table               VARCHAR(100),
+    via_fk                  VARCHAR(100),
+    display_columns         TEXT[] NOT NULL,
+    tab_order               INTEGER NOT NULL DEFAULT 0,
+    created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_relation_parent_entity FOREIGN KEY (parent_entity_type_id)
+        REFERENCES ui_entity_types(entity_type_id),
+    CONSTRAINT uq_relation_parent_name UNIQUE (parent_entity_type_id, relation_name),
+    CONSTRAINT chk_relation_name_format CHECK (relation_name ~ '^[a-z_]+$'),
+    CONSTRAINT chk_relation_identifiers CHECK (
+        child_table ~ '^[a-z_]+$' AND child_pk ~ '^[a-z_]+$' AND parent_fk ~ '^[a-z_]+$'
+        AND COALESCE(via_table, 'x') ~ '^[a-z_]+$' AND COALESCE(via_fk, 'x') ~ '^[a-z_]+$'
+    ),
+    CONSTRAINT chk_relation_via_complete CHECK ((via_table IS NULL) = (via_fk IS NULL))
+);
+
+COMMENT ON TABLE ui_entity_relations IS 'Related-record tabs shown on an entity detail view';
+COMMENT ON COLUMN ui_entity_relations.child_entity_name IS 'Registered entity (read permission checked on it) or line type (checked on the parent)';
+COMMENT ON COLUMN ui_entity_relations.parent_fk IS 'Column holding the parent id, on via_table when set, otherwise on child_table';
+COMMENT ON COLUMN ui_entity_relations.display_columns IS 'Child columns shown in the tab table, in order';
+
+CREATE INDEX idx_relations_parent ON ui_entity_relations(parent_entity_type_id, tab_order);
+
+-- =============================================================================
+-- SEED RELATIONS
+-- =============================================================================
+
+INSERT INTO ui_entity_relations (
+    parent_entity_type_id, relation_name, display_name, child_entity_name,
+    child_table, child_pk, parent_fk, via_table, via_fk, display_columns, tab_order
+) VALUES
+    -- Purchase Order
+    ('10000000-0000-0000-0000-000000000001'::UUID, 'lines', 'Lines', 'purchase_order_line',
+     'purchase_order_lines', 'line_id', 'po_id', NULL, NULL,
+     ARRAY['line_number', 'item_code', 'item_description', 'quantity_ordered', 'quantity_received', 'quantity_invoiced', 'uom', 'unit_price', 'line_total'], 1),
+    ('10000000-0000-0000-0000-000000000001'::UUID, 'goods_receipts', 'Goods Receipts', 'goods_receipt',
+     'goods_receipts', 'gr_id', 'po_id', NULL, NULL,
+     ARRAY['gr_number', 'receipt_date', 'quality_status'], 2),
+    ('10000000-0000-0000-0000-000000000001'::UUID, 'invoices', 'Invoices', 'invoice_receipt',
+     'invoice_receipts', 'invoice_id', 'po_id', NULL, NULL,
+     ARRAY['invoice_number', 'vendor_invoice_number', 'invoice_date', 'total_amount', 'matching_status', 'payment_status'], 3),
+    ('10000000-0000-0000-0000-000000000001'::UUID, 'payments', 'Payments', 'payment',
+     'payments', 'payment_id', 'po_id', 'invoice_receipts', 'invoice_id',
+     ARRAY['payment_number', 'payment_date', 'amount', 'payment_method', 'status'], 4),
+    -- Goods Receipt
+    ('10000000-0000-0000-0000-000000000002'::UUID, 'lines', 'Lines', 'goods_receipt_line',
+     'goods_receipt_lines', 'gr_line_id', 'gr_id', NULL, NULL,
+     ARRAY['line_number', 'quantity_received', 'quantity_accepted', 'quantity_rejected', 'uom'], 1),
+    -- Invoice Receipt
+    ('10000000-0000-0000-0000-000000000003'::UUID, 'lines', 'Lines', 'invoice_line',
+     'invoice_lines', 'invoice_line_id', 'invoice_id', NULL, NULL,
+     ARRAY['line_number', 'item_code', 'item_description', 'quantity', 'unit_price', 'line_total', 'matching_status'], 1),
+    ('10000000-0000-0000-0000-000000000003'::UUID, 'payments', 'Payments', 'payment',
+     'payments', 'payment_id', 'invoice_id', NULL, NULL,
+     ARRAY['payment_number', 'payment_date', 'amount', 'payment_method', 'status'], 2),
+    -- Supplier
+    ('10000000-0000-0000-0000-000000000005'::UUID, 'purchase_orders', 'Purchase Orders', 'purchase_order',
+     'purchase_orders', 'po_id', 'supplier_id', NULL, NULL,
+     ARRAY['po_number', 'po_date', 'status', 'currency', 'total_amount'], 1);
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 010 completed successfully';
+    RAISE NOTICE 'Created table: ui_entity_relations';
+    RAISE NOTICE 'Seeded % relations', (SELECT COUNT(*) FROM ui_entity_relations);
+END $$;
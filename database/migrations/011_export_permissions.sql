@@ -0,0 +1,38 @@
+-- Migration 011: Export Permissions
+-- Description: Grants the 'export' action behind GET /api/:entity/export
+-- Dependencies: 010_create_entity_relations.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- 'export' has always been a valid action name but no role held it. Each role
+-- exports the entities it owns: purchase managers their POs and suppliers,
+-- accountants invoices and payments. Admin rows list it among the admin's
+-- actions; admins pass the check either way.
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    -- Admin
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000002'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000005'::UUID, 'export', TRUE),
+    -- Purchase Manager
+    ('00000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000005'::UUID, 'export', TRUE),
+    -- Accountant
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, 'export', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'export', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 011 completed successfully';
+    RAISE NOTICE 'Granted export to admin (all entities), purchase manager (POs, suppliers)';
+    RAISE NOTICE 'and accountant (invoices, payments) roles';
+END $$;
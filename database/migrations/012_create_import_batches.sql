@@ -0,0 +1,73 @@
+-- Migration 012: Create Import Batches
+-- Description: Staging table for CSV imports between upload, column mapping and commit
+-- Dependencies: 011_export_permissions.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- IMPORT BATCHES TABLE
+-- =============================================================================
+-- An uploaded CSV is parsed by the API and kept here while the user maps its
+-- columns to fields and runs dry-runs. import_records() reads the rows from
+-- here, and records the outcome once the batch is committed.
+
+CREATE TABLE import_batches (
+    import_id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id             UUID NOT NULL,
+    entity_type         VARCHAR(100) NOT NULL,
+    file_name           VARCHAR(255),
+    headers             TEXT[] NOT NULL,
+    rows                JSONB NOT NULL,
+    row_count           INTEGER NOT NULL,
+    field_mapping       JSONB,
+    result              JSONB,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    committed_at        TIMESTAMPTZ,
+
+    CONSTRAINT fk_import_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT chk_import_rows_array CHECK (jsonb_typeof(rows) = 'array'),
+    CONSTRAINT chk_import_row_count CHECK (row_count = jsonb_array_length(rows)),
+    CONSTRAINT chk_import_committed CHECK (
+        committed_at IS NULL OR (field_mapping IS NOT NULL AND result IS NOT NULL)
+    )
+);
+
+COMMENT ON TABLE import_batches IS 'Uploaded CSV files waiting for column mapping, dry-run and commit';
+COMMENT ON COLUMN import_batches.headers IS 'CSV header row, in file order';
+COMMENT ON COLUMN import_batches.rows IS 'Data rows as arrays of text, aligned with headers';
+COMMENT ON COLUMN import_batches.field_mapping IS 'Field name per header (null = column skipped), set on commit';
+COMMENT ON COLUMN import_batches.result IS 'Per-row report of the committed import';
+
+-- Index for cleanup
+CREATE INDEX idx_import_batches_created_at ON import_batches(created_at);
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- Imported rows go through create_record(), so importing also needs 'create'.
+-- Finance (accountant) bulk-loads suppliers and opening invoices; they
+-- already create invoices and now create suppliers as well.
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    -- Admin
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000002'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000005'::UUID, 'import', TRUE),
+    -- Accountant
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000005'::UUID, 'import', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000005'::UUID, 'create', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 012 completed successfully';
+    RAISE NOTICE 'Created table: import_batches';
+    RAISE NOTICE 'Granted import to admin (all entities) and accountant (suppliers, invoices)';
+END $$;
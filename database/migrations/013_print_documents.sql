@@ -0,0 +1,77 @@
+-- Migration 013: Print Documents
+-- Description: 'print' view type, company profile and print permissions for
+--              purchase order and remittance documents
+-- Dependencies: 012_create_import_batches.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- PRINT VIEW TYPE
+-- =============================================================================
+-- Print templates render standalone documents rather than HTMX fragments
+
+ALTER TABLE htmx_templates DROP CONSTRAINT chk_template_view_type;
+ALTER TABLE htmx_templates ADD CONSTRAINT chk_template_view_type CHECK (view_type IN (
+    'list', 'form_create', 'form_edit', 'form_view', 'filter_panel', 'detail', 'print'
+));
+
+ALTER TABLE ui_generation_logs DROP CONSTRAINT chk_gen_log_view_type;
+ALTER TABLE ui_generation_logs ADD CONSTRAINT chk_gen_log_view_type CHECK (view_type IN (
+    'list', 'form_create', 'form_edit', 'form_view', 'filter_panel', 'detail', 'print'
+));
+
+COMMENT ON COLUMN htmx_templates.view_type IS 'Template type: list, form_create, form_edit, form_view, filter_panel, detail, print';
+
+-- =============================================================================
+-- COMPANY PROFILE TABLE
+-- =============================================================================
+-- The issuing company shown in the header of printed documents. Single row.
+
+CREATE TABLE company_profile (
+    profile_id          BOOLEAN PRIMARY KEY DEFAULT TRUE,
+    company_name        VARCHAR(200) NOT NULL,
+    address_line1       VARCHAR(200),
+    address_line2       VARCHAR(200),
+    city                VARCHAR(100),
+    postal_code         VARCHAR(20),
+    country             VARCHAR(100),
+    phone               VARCHAR(50),
+    email               VARCHAR(100),
+    tax_id              VARCHAR(50),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_company_profile_single_row CHECK (profile_id)
+);
+
+COMMENT ON TABLE company_profile IS 'Issuing company details for printed documents (one row)';
+COMMENT ON COLUMN company_profile.tax_id IS 'VAT / tax registration number printed under the company name';
+
+INSERT INTO company_profile (company_name, address_line1, city, country, email)
+VALUES ('Your Company Name', '1 Example Street', 'Example City', 'Country', 'accounts@example.com')
+ON CONFLICT (profile_id) DO NOTHING;
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- Purchase managers print the POs they send out; accountants print the
+-- remittance advice that goes with a payment.
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    -- Admin
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'print', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'print', TRUE),
+    -- Purchase Manager
+    ('00000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'print', TRUE),
+    -- Accountant
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'print', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 013 completed successfully';
+    RAISE NOTICE 'Added print view type and company_profile table';
+    RAISE NOTICE 'Granted print to admin, purchase manager (POs) and accountant (payments)';
+END $$;
@@ -0,0 +1,105 @@
+-- Migration 014: Record History
+-- Description: Audit triggers on the registered entity tables, so every change
+--              lands in audit_trail for the per-record history view
+-- Dependencies: 013_print_documents.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- TRIGGER FUNCTION: Audit Trail Logging
+-- =============================================================================
+-- Replaces the 004 version, which read the record ID from a column named 'id'
+-- that none of the entity tables have. The primary key column is now passed as
+-- the first trigger argument (default 'id'). Updates that change nothing are
+-- not logged.
+
+CREATE OR REPLACE FUNCTION log_audit_trail()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_pk_column TEXT := COALESCE(TG_ARGV[0], 'id');
+    v_old_values JSONB;
+    v_new_values JSONB;
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        v_old_values := to_jsonb(OLD);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        v_new_values := to_jsonb(NEW);
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND v_old_values = v_new_values THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO audit_trail (
+        table_name,
+        record_id,
+        operation,
+        old_values,
+        new_values,
+        changed_by
+    ) VALUES (
+        TG_TABLE_NAME,
+        (COALESCE(v_new_values, v_old_values)->>v_pk_column)::UUID,
+        TG_OP,
+        v_old_values,
+        v_new_values,
+        get_current_user_id()
+    );
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION log_audit_trail() IS 'Generic audit trail logging trigger; TG_ARGV[0] names the primary key column';
+
+-- =============================================================================
+-- AUDIT TRIGGERS
+-- =============================================================================
+-- One trigger per registered entity table. Entities registered later need the
+-- same trigger, e.g.:
+--   CREATE TRIGGER tr_<table>_audit AFTER INSERT OR UPDATE OR DELETE ON <table>
+--       FOR EACH ROW EXECUTE FUNCTION log_audit_trail('<pk_column>');
+
+DO $$
+DECLARE
+    v_entity RECORD;
+BEGIN
+    FOR v_entity IN
+        SELECT e.primary_table, a.attname AS pk_column
+        FROM ui_entity_types e
+        JOIN pg_index i ON i.indrelid = e.primary_table::regclass AND i.indisprimary
+        JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        ORDER BY e.created_at
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I',
+            'tr_' || v_entity.primary_table || '_audit', v_entity.primary_table);
+
+        EXECUTE format(
+            'CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I
+                 FOR EACH ROW EXECUTE FUNCTION log_audit_trail(%L)',
+            'tr_' || v_entity.primary_table || '_audit',
+            v_entity.primary_table,
+            v_entity.pk_column
+        );
+    END LOOP;
+END $$;
+
+-- History is read newest first per record
+CREATE INDEX IF NOT EXISTS idx_audit_record_history
+    ON audit_trail(table_name, record_id, changed_at DESC);
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 014 completed successfully';
+    RAISE NOTICE 'log_audit_trail() now takes the primary key column as a trigger argument';
+    RAISE NOTICE 'Audit triggers created on % entity tables', (SELECT COUNT(*) FROM ui_entity_types);
+END $$;
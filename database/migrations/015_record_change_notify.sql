@@ -0,0 +1,89 @@
+-- Migration 015: Record Change Notifications
+-- Description: NOTIFY on the record_changes channel whenever a registered
+--              entity row changes, for the API's live refresh stream
+-- Dependencies: 014_record_history.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- TRIGGER FUNCTION: Notify Record Change
+-- =============================================================================
+-- Sends {"entity", "id", "op"} on the record_changes channel. TG_ARGV[0] is the
+-- entity name and TG_ARGV[1] the primary key column. NOTIFY is delivered on
+-- commit only, so rolled back changes (failed workflow actions, import dry
+-- runs) are never announced, and identical payloads within one transaction
+-- are sent once. Updates that change nothing are skipped.
+
+CREATE OR REPLACE FUNCTION notify_record_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_record JSONB;
+BEGIN
+    IF TG_OP = 'UPDATE' AND to_jsonb(OLD) = to_jsonb(NEW) THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        v_record := to_jsonb(OLD);
+    ELSE
+        v_record := to_jsonb(NEW);
+    END IF;
+
+    PERFORM pg_notify('record_changes', jsonb_build_object(
+        'entity', TG_ARGV[0],
+        'id', v_record->>TG_ARGV[1],
+        'op', TG_OP
+    )::TEXT);
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION notify_record_change() IS 'Announces entity row changes on the record_changes channel; TG_ARGV is (entity name, primary key column)';
+
+-- =============================================================================
+-- NOTIFY TRIGGERS
+-- =============================================================================
+-- One trigger per registered entity table, next to the audit trigger from 014.
+-- Entities registered later need the same trigger, e.g.:
+--   CREATE TRIGGER tr_<table>_notify AFTER INSERT OR UPDATE OR DELETE ON <table>
+--       FOR EACH ROW EXECUTE FUNCTION notify_record_change('<entity_name>', '<pk_column>');
+
+DO $$
+DECLARE
+    v_entity RECORD;
+BEGIN
+    FOR v_entity IN
+        SELECT e.entity_name, e.primary_table, a.attname AS pk_column
+        FROM ui_entity_types e
+        JOIN pg_index i ON i.indrelid = e.primary_table::regclass AND i.indisprimary
+        JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        ORDER BY e.created_at
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I',
+            'tr_' || v_entity.primary_table || '_notify', v_entity.primary_table);
+
+        EXECUTE format(
+            'CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I
+                 FOR EACH ROW EXECUTE FUNCTION notify_record_change(%L, %L)',
+            'tr_' || v_entity.primary_table || '_notify',
+            v_entity.primary_table,
+            v_entity.entity_name,
+            v_entity.pk_column
+        );
+    END LOOP;
+END $$;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 015 completed successfully';
+    RAISE NOTICE 'Record change notifications on channel record_changes for % entity tables',
+        (SELECT COUNT(*) FROM ui_entity_types);
+END $$;
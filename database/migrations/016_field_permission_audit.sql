@@ -0,0 +1,27 @@
+-- Migration 016: Field Permission Audit
+-- Description: Audit trigger on field_permissions, so changes made in the
+--              field permission editor are recorded in audit_trail
+-- Dependencies: 014_record_history.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- AUDIT TRIGGER
+-- =============================================================================
+-- Uses the log_audit_trail() from 014; changed_by is the admin registered with
+-- set_current_user_id() for the transaction.
+
+DROP TRIGGER IF EXISTS tr_field_permissions_audit ON field_permissions;
+
+CREATE TRIGGER tr_field_permissions_audit
+    AFTER INSERT OR UPDATE OR DELETE ON field_permissions
+    FOR EACH ROW EXECUTE FUNCTION log_audit_trail('permission_id');
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 016 completed successfully';
+    RAISE NOTICE 'field_permissions changes are now logged to audit_trail';
+END $$;
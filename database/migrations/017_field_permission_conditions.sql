@@ -0,0 +1,29 @@
+-- Migration 017: Field Permission Conditions
+-- Description: Optional record condition on field_permissions, so a field can
+--              be editable only while the record is in a given state
+-- Dependencies: 002_create_ui_framework.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- RECORD CONDITION
+-- =============================================================================
+-- Same JSON rule format as ui_action_permissions.condition_rule (see
+-- evaluate_permission_condition). While the rule does not hold for a record,
+-- the field is read-only on that record whatever the editable flags say.
+-- Visibility is not affected.
+
+ALTER TABLE field_permissions
+    ADD COLUMN IF NOT EXISTS record_condition TEXT;
+
+COMMENT ON COLUMN field_permissions.record_condition IS
+    'JSON condition on the record; while it does not hold the field is read-only (e.g. editable only in draft)';
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 017 completed successfully';
+    RAISE NOTICE 'field_permissions.record_condition added';
+END $$;
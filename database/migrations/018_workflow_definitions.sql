@@ -0,0 +1,242 @@
+-- Migration 018: Workflow Definitions
+-- Description: Status workflows stored as data: the states of an entity, the
+--              transitions between them, the action permission each needs and
+--              optional guard conditions
+-- Dependencies: 017_field_permission_conditions.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- WORKFLOW DEFINITIONS TABLE
+-- =============================================================================
+-- At most one workflow per entity. status_field names the column on the
+-- entity's primary table that holds the current state.
+
+CREATE TABLE workflow_definitions (
+    workflow_id         UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type_id      UUID NOT NULL,
+    status_field        VARCHAR(100) NOT NULL DEFAULT 'status',
+    description         TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_workflow_entity FOREIGN KEY (entity_type_id)
+        REFERENCES ui_entity_types(entity_type_id),
+    CONSTRAINT uq_workflow_entity UNIQUE (entity_type_id),
+    CONSTRAINT chk_workflow_status_field CHECK (status_field ~ '^[a-z_]+$')
+);
+
+COMMENT ON TABLE workflow_definitions IS 'Status workflow of an entity (one per entity)';
+COMMENT ON COLUMN workflow_definitions.status_field IS 'Column on the entity''s primary table holding the current state';
+
+-- =============================================================================
+-- WORKFLOW STATES TABLE
+-- =============================================================================
+
+CREATE TABLE workflow_states (
+    state_id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id         UUID NOT NULL,
+    state_name          VARCHAR(50) NOT NULL,
+    display_label       VARCHAR(100) NOT NULL,
+    is_initial          BOOLEAN NOT NULL DEFAULT FALSE,
+    is_final            BOOLEAN NOT NULL DEFAULT FALSE,
+    sort_order          INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT fk_state_workflow FOREIGN KEY (workflow_id)
+        REFERENCES workflow_definitions(workflow_id) ON DELETE CASCADE,
+    CONSTRAINT uq_state_workflow_name UNIQUE (workflow_id, state_name),
+    CONSTRAINT chk_state_name_format CHECK (state_name ~ '^[a-z_]+$')
+);
+
+COMMENT ON TABLE workflow_states IS 'States of a workflow; state_name is the value stored in the status column';
+COMMENT ON COLUMN workflow_states.is_final IS 'No transitions leave a final state';
+
+CREATE INDEX idx_workflow_states_workflow ON workflow_states(workflow_id, sort_order);
+
+-- =============================================================================
+-- WORKFLOW TRANSITIONS TABLE
+-- =============================================================================
+-- One row per (transition, from state); a transition available from several
+-- states, such as cancel, has a row for each. A transition is offered to a
+-- user when the record is in from_state, the user's role has action_name on
+-- the entity (condition rules included) and guard_condition holds.
+--
+-- handler_function, when set, is called with p_user_id, the record id as
+-- p_<primary key> and the request parameters named in handler_params
+-- ({"handler argument": "request parameter"}); it does its own checks and
+-- side effects. Without a handler the status column is updated directly.
+-- is_manual = FALSE marks moves made by the system (receipts, bank failures):
+-- they are valid transitions but are not offered as buttons or accepted from
+-- the transition endpoint.
+
+CREATE TABLE workflow_transitions (
+    transition_id       UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id         UUID NOT NULL,
+    transition_name     VARCHAR(50) NOT NULL,
+    display_label       VARCHAR(100) NOT NULL,
+    from_state          VARCHAR(50) NOT NULL,
+    to_state            VARCHAR(50) NOT NULL,
+    action_name         VARCHAR(50) NOT NULL,
+    guard_condition     TEXT,
+    handler_function    VARCHAR(100),
+    handler_params      JSONB NOT NULL DEFAULT '{}'::JSONB,
+    requires_reason     BOOLEAN NOT NULL DEFAULT FALSE,
+    confirm_message     TEXT,
+    button_class        VARCHAR(50) NOT NULL DEFAULT 'btn-primary',
+    icon_class          VARCHAR(50),
+    is_manual           BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order          INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT fk_transition_workflow FOREIGN KEY (workflow_id)
+        REFERENCES workflow_definitions(workflow_id) ON DELETE CASCADE,
+    CONSTRAINT fk_transition_from_state FOREIGN KEY (workflow_id, from_state)
+        REFERENCES workflow_states(workflow_id, state_name),
+    CONSTRAINT fk_transition_to_state FOREIGN KEY (workflow_id, to_state)
+        REFERENCES workflow_states(workflow_id, state_name),
+    CONSTRAINT uq_transition_name_from UNIQUE (workflow_id, transition_name, from_state),
+    CONSTRAINT chk_transition_name_format CHECK (transition_name ~ '^[a-z_]+$'),
+    CONSTRAINT chk_transition_handler CHECK (COALESCE(handler_function, 'x') ~ '^[a-z_]+$'),
+    CONSTRAINT chk_transition_handler_params CHECK (jsonb_typeof(handler_params) = 'object')
+);
+
+COMMENT ON TABLE workflow_transitions IS 'Allowed state changes of a workflow, with the permission and guard each needs';
+COMMENT ON COLUMN workflow_transitions.action_name IS 'Action permission (ui_action_permissions) required on the entity';
+COMMENT ON COLUMN workflow_transitions.guard_condition IS 'JSON condition on the record (condition_rule format) that must hold';
+COMMENT ON COLUMN workflow_transitions.handler_function IS 'Business function performing the transition; NULL updates the status column directly';
+COMMENT ON COLUMN workflow_transitions.handler_params IS 'Handler argument name -> request parameter name';
+COMMENT ON COLUMN workflow_transitions.is_manual IS 'FALSE for system transitions that are never offered to users';
+
+CREATE INDEX idx_workflow_transitions_from ON workflow_transitions(workflow_id, from_state, sort_order);
+
+-- =============================================================================
+-- STATUS AND ACTION NAME CONSTRAINTS
+-- =============================================================================
+-- reject_purchase_order and reverse_payment set statuses the original
+-- constraints did not list, and process_payment / clear_payment check
+-- actions chk_action_name rejected, so none of them could succeed.
+
+ALTER TABLE purchase_orders DROP CONSTRAINT chk_po_status;
+
+ALTER TABLE purchase_orders ADD CONSTRAINT chk_po_status CHECK (status IN (
+    'draft', 'submitted', 'approved', 'rejected',
+    'partially_received', 'fully_received', 'cancelled'
+));
+
+ALTER TABLE payments DROP CONSTRAINT chk_payment_status;
+
+ALTER TABLE payments ADD CONSTRAINT chk_payment_status CHECK (status IN (
+    'pending', 'processed', 'cleared', 'failed', 'cancelled', 'reversed'
+));
+
+ALTER TABLE ui_action_permissions DROP CONSTRAINT chk_action_name;
+
+ALTER TABLE ui_action_permissions ADD CONSTRAINT chk_action_name CHECK (action_name IN (
+    'create', 'read', 'edit', 'delete', 'approve', 'submit',
+    'cancel', 'export', 'import', 'print', 'reverse', 'process', 'clear'
+));
+
+COMMENT ON COLUMN ui_action_permissions.action_name IS 'Action: create, read, edit, delete, approve, submit, cancel, export, import, print, reverse, process, clear';
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'process', TRUE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'clear', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'process', TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, 'clear', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SEED WORKFLOWS
+-- =============================================================================
+-- The transitions previously hard-coded in validate_po_status_transition and
+-- validate_payment_status_transition.
+
+INSERT INTO workflow_definitions (workflow_id, entity_type_id, status_field, description) VALUES
+    ('20000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000001'::UUID,
+     'status', 'Purchase order approval and receipt'),
+    ('20000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID,
+     'status', 'Payment processing and clearing');
+
+INSERT INTO workflow_states (workflow_id, state_name, display_label, is_initial, is_final, sort_order) VALUES
+    -- Purchase Order
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'draft', 'Draft', TRUE, FALSE, 1),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'submitted', 'Submitted', FALSE, FALSE, 2),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'approved', 'Approved', FALSE, FALSE, 3),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'rejected', 'Rejected', FALSE, FALSE, 4),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'partially_received', 'Partially Received', FALSE, FALSE, 5),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'fully_received', 'Fully Received', FALSE, TRUE, 6),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'cancelled', 'Cancelled', FALSE, TRUE, 7),
+    -- Payment
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'pending', 'Pending', TRUE, FALSE, 1),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'processed', 'Processed', FALSE, FALSE, 2),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'cleared', 'Cleared', FALSE, FALSE, 3),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'failed', 'Failed', FALSE, FALSE, 4),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'cancelled', 'Cancelled', FALSE, TRUE, 5),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'reversed', 'Reversed', FALSE, TRUE, 6);
+
+INSERT INTO workflow_transitions (
+    workflow_id, transition_name, display_label, from_state, to_state, action_name,
+    handler_function, handler_params, requires_reason, confirm_message,
+    button_class, icon_class, is_manual, sort_order
+) VALUES
+    -- Purchase Order
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'submit', 'Submit', 'draft', 'submitted', 'submit',
+     'submit_purchase_order', '{}', FALSE, 'Submit this purchase order for approval?',
+     'btn-success', 'fa-paper-plane', TRUE, 1),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'approve', 'Approve', 'submitted', 'approved', 'approve',
+     'approve_purchase_order', '{"p_approval_notes": "notes"}', FALSE, 'Approve this purchase order?',
+     'btn-success', 'fa-check', TRUE, 2),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'reject', 'Reject', 'submitted', 'rejected', 'approve',
+     'reject_purchase_order', '{"p_rejection_reason": "reason"}', TRUE, 'Reject this purchase order?',
+     'btn-danger', 'fa-times', TRUE, 3),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'reopen', 'Reopen as Draft', 'rejected', 'draft', 'edit',
+     NULL, '{}', FALSE, 'Return this purchase order to draft?',
+     'btn-secondary', 'fa-undo', TRUE, 4),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'cancel', 'Cancel PO', 'draft', 'cancelled', 'delete',
+     'cancel_purchase_order', '{"p_cancellation_reason": "reason"}', TRUE, 'Cancel this purchase order?',
+     'btn-danger', 'fa-ban', TRUE, 5),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'cancel', 'Cancel PO', 'submitted', 'cancelled', 'delete',
+     'cancel_purchase_order', '{"p_cancellation_reason": "reason"}', TRUE, 'Cancel this purchase order?',
+     'btn-danger', 'fa-ban', TRUE, 5),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'cancel', 'Cancel PO', 'approved', 'cancelled', 'delete',
+     'cancel_purchase_order', '{"p_cancellation_reason": "reason"}', TRUE, 'Cancel this purchase order?',
+     'btn-danger', 'fa-ban', TRUE, 5),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'receive_partial', 'Partially Received', 'approved', 'partially_received', 'edit',
+     NULL, '{}', FALSE, NULL, 'btn-primary', NULL, FALSE, 10),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'receive_full', 'Fully Received', 'approved', 'fully_received', 'edit',
+     NULL, '{}', FALSE, NULL, 'btn-primary', NULL, FALSE, 11),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'receive_full', 'Fully Received', 'partially_received', 'fully_received', 'edit',
+     NULL, '{}', FALSE, NULL, 'btn-primary', NULL, FALSE, 11),
+    -- Payment
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'process', 'Process', 'pending', 'processed', 'process',
+     'process_payment', '{"p_transaction_id": "transaction_id"}', FALSE, 'Process this payment?',
+     'btn-success', 'fa-check', TRUE, 1),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'clear', 'Clear', 'processed', 'cleared', 'clear',
+     'clear_payment', '{"p_cleared_date": "cleared_date", "p_bank_reference": "bank_reference"}', FALSE, 'Mark this payment as cleared?',
+     'btn-success', 'fa-university', TRUE, 2),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'cancel', 'Cancel Payment', 'pending', 'cancelled', 'delete',
+     'cancel_payment', '{"p_cancellation_reason": "reason"}', TRUE, 'Cancel this payment?',
+     'btn-danger', 'fa-ban', TRUE, 3),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'reverse', 'Reverse', 'processed', 'reversed', 'reverse',
+     'reverse_payment', '{"p_reversal_reason": "reason"}', TRUE, 'Reverse this payment? The invoice will be reopened for payment.',
+     'btn-danger', 'fa-undo', TRUE, 4),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'reverse', 'Reverse', 'cleared', 'reversed', 'reverse',
+     'reverse_payment', '{"p_reversal_reason": "reason"}', TRUE, 'Reverse this payment? The invoice will be reopened for payment.',
+     'btn-danger', 'fa-undo', TRUE, 4),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'fail', 'Failed', 'pending', 'failed', 'process',
+     NULL, '{}', FALSE, NULL, 'btn-danger', NULL, FALSE, 10),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'fail', 'Failed', 'processed', 'failed', 'process',
+     NULL, '{}', FALSE, NULL, 'btn-danger', NULL, FALSE, 10),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'retry', 'Retry', 'failed', 'pending', 'process',
+     NULL, '{}', FALSE, NULL, 'btn-primary', NULL, FALSE, 11);
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 018 completed successfully';
+    RAISE NOTICE 'Created tables: workflow_definitions, workflow_states, workflow_transitions';
+    RAISE NOTICE 'Seeded % workflows with % transitions',
+        (SELECT COUNT(*) FROM workflow_definitions),
+        (SELECT COUNT(*) FROM workflow_transitions);
+    RAISE NOTICE 'Action names ''process'' and ''clear'' are now allowed; granted on payment to admin and accountant';
+END $$;
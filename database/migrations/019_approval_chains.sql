@@ -0,0 +1,161 @@
+-- Migration 019: Approval Chains
+-- Description: Multi-step approvals chosen by entity, amount band and currency,
+--              with one decision row per step
+-- Dependencies: 018_workflow_definitions.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- APPROVAL CHAINS TABLE
+-- =============================================================================
+-- A chain applies to records of its entity whose amount is above min_amount
+-- and at most max_amount (no upper bound when NULL), in its currency or, when
+-- currency is NULL, in any currency. Where several chains match, a
+-- currency-specific chain wins over a catch-all one, then the highest
+-- min_amount. Records no chain matches are approved in a single step.
+
+CREATE TABLE approval_chains (
+    chain_id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type_id      UUID NOT NULL,
+    chain_name          VARCHAR(100) NOT NULL,
+    currency            VARCHAR(3),
+    min_amount          DECIMAL(15,2) NOT NULL DEFAULT 0,
+    max_amount          DECIMAL(15,2),
+    is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_chain_entity FOREIGN KEY (entity_type_id)
+        REFERENCES ui_entity_types(entity_type_id),
+    CONSTRAINT chk_chain_currency CHECK (currency IS NULL OR currency ~ '^[A-Z]{3}$'),
+    CONSTRAINT chk_chain_amount_band CHECK (min_amount >= 0 AND (max_amount IS NULL OR max_amount > min_amount))
+);
+
+COMMENT ON TABLE approval_chains IS 'Approval chains by entity, amount band and currency';
+COMMENT ON COLUMN approval_chains.currency IS 'Currency the chain applies to; NULL for any currency';
+COMMENT ON COLUMN approval_chains.min_amount IS 'Exclusive lower bound of the amount band';
+COMMENT ON COLUMN approval_chains.max_amount IS 'Inclusive upper bound of the amount band; NULL for none';
+
+CREATE INDEX idx_approval_chains_entity ON approval_chains(entity_type_id, min_amount) WHERE is_active = TRUE;
+
+-- =============================================================================
+-- APPROVAL CHAIN STEPS TABLE
+-- =============================================================================
+
+CREATE TABLE approval_chain_steps (
+    step_id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_id            UUID NOT NULL,
+    step_order          INTEGER NOT NULL,
+    step_name           VARCHAR(100) NOT NULL,
+    approver_role_id    UUID NOT NULL,
+
+    CONSTRAINT fk_step_chain FOREIGN KEY (chain_id)
+        REFERENCES approval_chains(chain_id) ON DELETE CASCADE,
+    CONSTRAINT fk_step_role FOREIGN KEY (approver_role_id)
+        REFERENCES roles(role_id),
+    CONSTRAINT uq_step_chain_order UNIQUE (chain_id, step_order),
+    CONSTRAINT chk_step_order CHECK (step_order > 0)
+);
+
+COMMENT ON TABLE approval_chain_steps IS 'Ordered steps of an approval chain, each taken by a role';
+
+-- =============================================================================
+-- RECORD APPROVALS TABLE
+-- =============================================================================
+-- One row per step each time a record enters approval (a round). Rows start
+-- pending and are decided in step order. Submitting again starts a new round
+-- and marks the earlier rows is_current = FALSE, so they stay as history.
+-- Reference, amount and currency are copied from the record for the inbox;
+-- step name and role are copied from the chain so later chain edits do not
+-- change a round in progress.
+
+CREATE TABLE record_approvals (
+    approval_id         UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type_id      UUID NOT NULL,
+    record_id           UUID NOT NULL,
+    record_reference    VARCHAR(100),
+    amount              DECIMAL(15,2),
+    currency            VARCHAR(3),
+    chain_id            UUID NOT NULL,
+    step_order          INTEGER NOT NULL,
+    step_name           VARCHAR(100) NOT NULL,
+    approver_role_id    UUID NOT NULL,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending',
+    decided_by          UUID,
+    decided_at          TIMESTAMPTZ,
+    notes               TEXT,
+    is_current          BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_record_approval_entity FOREIGN KEY (entity_type_id)
+        REFERENCES ui_entity_types(entity_type_id),
+    CONSTRAINT fk_record_approval_chain FOREIGN KEY (chain_id)
+        REFERENCES approval_chains(chain_id),
+    CONSTRAINT fk_record_approval_role FOREIGN KEY (approver_role_id)
+        REFERENCES roles(role_id),
+    CONSTRAINT fk_record_approval_decided_by FOREIGN KEY (decided_by)
+        REFERENCES users(user_id),
+    CONSTRAINT chk_record_approval_status CHECK (status IN (
+        'pending', 'approved', 'rejected', 'cancelled'
+    )),
+    CONSTRAINT chk_record_approval_decision CHECK (
+        (status IN ('approved', 'rejected')) = (decided_by IS NOT NULL AND decided_at IS NOT NULL)
+    )
+);
+
+COMMENT ON TABLE record_approvals IS 'Per-step approval decisions on records';
+COMMENT ON COLUMN record_approvals.status IS 'pending, approved, rejected, or cancelled when the round ended before the step was reached';
+COMMENT ON COLUMN record_approvals.is_current IS 'FALSE for rounds replaced by a later submission';
+
+CREATE INDEX idx_record_approvals_record ON record_approvals(entity_type_id, record_id, step_order) WHERE is_current = TRUE;
+CREATE INDEX idx_record_approvals_pending ON record_approvals(approver_role_id) WHERE status = 'pending' AND is_current = TRUE;
+
+-- =============================================================================
+-- SEED CHAINS
+-- =============================================================================
+-- Purchase orders over 10,000: purchase manager, then finance. Over 100,000:
+-- an administrator as well. Smaller orders keep the single approval step.
+
+INSERT INTO approval_chains (chain_id, entity_type_id, chain_name, currency, min_amount, max_amount) VALUES
+    ('30000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000001'::UUID,
+     'PO over 10,000', NULL, 10000, 100000),
+    ('30000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000001'::UUID,
+     'PO over 100,000', NULL, 100000, NULL);
+
+INSERT INTO approval_chain_steps (chain_id, step_order, step_name, approver_role_id) VALUES
+    ('30000000-0000-0000-0000-000000000001'::UUID, 1, 'Purchase Manager', '00000000-0000-0000-0000-000000000002'::UUID),
+    ('30000000-0000-0000-0000-000000000001'::UUID, 2, 'Finance', '00000000-0000-0000-0000-000000000004'::UUID),
+    ('30000000-0000-0000-0000-000000000002'::UUID, 1, 'Purchase Manager', '00000000-0000-0000-0000-000000000002'::UUID),
+    ('30000000-0000-0000-0000-000000000002'::UUID, 2, 'Finance', '00000000-0000-0000-0000-000000000004'::UUID),
+    ('30000000-0000-0000-0000-000000000002'::UUID, 3, 'Administrator', '00000000-0000-0000-0000-000000000001'::UUID);
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- The purchase manager and accountant approve their steps through the normal
+-- approve action. The condition keeps orders of 10,000 or less with the
+-- administrators, who approved every order before.
+
+UPDATE ui_action_permissions
+SET is_allowed = TRUE,
+    condition_rule = '{"field": "total_amount", "operator": ">", "value": 10000}'
+WHERE role_id = '00000000-0000-0000-0000-000000000002'::UUID
+  AND entity_type_id = '10000000-0000-0000-0000-000000000001'::UUID
+  AND action_name = 'approve';
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed, condition_rule) VALUES
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000001'::UUID, 'approve', TRUE,
+     '{"field": "total_amount", "operator": ">", "value": 10000}')
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 019 completed successfully';
+    RAISE NOTICE 'Created tables: approval_chains, approval_chain_steps, record_approvals';
+    RAISE NOTICE 'Seeded % chains with % steps',
+        (SELECT COUNT(*) FROM approval_chains),
+        (SELECT COUNT(*) FROM approval_chain_steps);
+    RAISE NOTICE 'Purchase manager and accountant may approve purchase orders over 10,000';
+END $$;
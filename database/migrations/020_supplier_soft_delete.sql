@@ -0,0 +1,25 @@
+-- Migration 020: Supplier Soft Delete
+-- Description: Adds the is_deleted flag the generic record functions expect
+--              to suppliers, so they can be edited and deleted like the
+--              other entities
+-- Dependencies: 019_approval_chains.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- SUPPLIERS
+-- =============================================================================
+
+ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN suppliers.is_deleted IS 'Soft delete flag - deleted records not shown in queries';
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 020 completed successfully';
+    RAISE NOTICE 'Added suppliers.is_deleted';
+END $$;
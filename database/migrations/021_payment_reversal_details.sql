@@ -0,0 +1,30 @@
+-- Migration 021: Payment Reversal Details
+-- Description: Records who reversed a payment, when and why
+-- Dependencies: 020_supplier_soft_delete.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- PAYMENTS
+-- =============================================================================
+-- Set by reverse_payment(); NULL on payments that were never reversed
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS reversed_by UUID,
+    ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
+
+ALTER TABLE payments
+    ADD CONSTRAINT fk_payment_reversed_by FOREIGN KEY (reversed_by)
+        REFERENCES users(user_id);
+
+COMMENT ON COLUMN payments.reversal_reason IS 'Reason given when the payment was reversed';
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 021 completed successfully';
+    RAISE NOTICE 'Added payments.reversed_at, reversed_by, reversal_reason';
+END $$;
@@ -0,0 +1,70 @@
+-- Migration 022: Finance Notes
+-- Description: Adds the notes field to invoice receipts and payments, so the
+--              notes the API lets callers update are stored and shown
+-- Dependencies: 021_payment_reversal_details.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- COLUMNS
+-- =============================================================================
+
+ALTER TABLE invoice_receipts
+    ADD COLUMN IF NOT EXISTS notes TEXT;
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS notes TEXT;
+
+COMMENT ON COLUMN invoice_receipts.notes IS 'Free-text notes on the invoice';
+COMMENT ON COLUMN payments.notes IS 'Free-text notes on the payment';
+
+-- =============================================================================
+-- FIELD DEFINITIONS
+-- =============================================================================
+
+INSERT INTO ui_field_definitions (
+    entity_type_id, field_name, display_label, data_type, field_order,
+    is_required, validation_rule, help_text
+) VALUES
+    ('10000000-0000-0000-0000-000000000003'::UUID, 'notes', 'Notes', 'textarea', 99, FALSE, NULL, 'Additional notes'),
+    ('10000000-0000-0000-0000-000000000004'::UUID, 'notes', 'Notes', 'textarea', 99, FALSE, NULL, 'Additional notes')
+ON CONFLICT (entity_type_id, field_name) DO NOTHING;
+
+-- =============================================================================
+-- FIELD PERMISSIONS
+-- =============================================================================
+-- Admins and accountants edit the notes; purchase managers, who can read
+-- invoices, see invoice notes. Notes stay out of list views.
+
+INSERT INTO field_permissions (
+    role_id, entity_type_id, field_id,
+    list_visible, list_editable,
+    form_create_visible, form_create_editable,
+    form_edit_visible, form_edit_editable,
+    form_view_visible
+)
+SELECT r.role_id, f.entity_type_id, f.field_id,
+       FALSE, FALSE,
+       r.can_edit, r.can_edit,
+       r.can_edit, r.can_edit,
+       TRUE
+FROM ui_field_definitions f
+CROSS JOIN (VALUES
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, TRUE),
+    ('00000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000003'::UUID, FALSE),
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, TRUE),
+    ('00000000-0000-0000-0000-000000000004'::UUID, '10000000-0000-0000-0000-000000000004'::UUID, TRUE)
+) AS r(role_id, entity_type_id, can_edit)
+WHERE f.entity_type_id = r.entity_type_id
+  AND f.field_name = 'notes'
+ON CONFLICT (role_id, field_id) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 022 completed successfully';
+    RAISE NOTICE 'Added invoice_receipts.notes and payments.notes';
+END $$;
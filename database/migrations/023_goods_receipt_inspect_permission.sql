@@ -0,0 +1,46 @@
+-- Migration 023: Goods Receipt Inspect Permission
+-- Description: Adds the 'inspect' action for line-by-line quality inspection
+--              and partial acceptance of goods receipts, and grants it to
+--              warehouse staff without full accept/reject
+-- Dependencies: 022_finance_notes.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- ACTION NAME CONSTRAINT
+-- =============================================================================
+-- 'approve' on goods_receipt also accepts or rejects a whole receipt, which
+-- warehouse staff should not do. partial_accept_goods_receipt and the
+-- inspection form check 'inspect' instead.
+
+ALTER TABLE ui_action_permissions DROP CONSTRAINT chk_action_name;
+
+ALTER TABLE ui_action_permissions ADD CONSTRAINT chk_action_name CHECK (action_name IN (
+    'create', 'read', 'edit', 'delete', 'approve', 'submit',
+    'cancel', 'export', 'import', 'print', 'reverse', 'process', 'clear',
+    'inspect'
+));
+
+COMMENT ON COLUMN ui_action_permissions.action_name IS 'Action: create, read, edit, delete, approve, submit, cancel, export, import, print, reverse, process, clear, inspect';
+
+-- =============================================================================
+-- SEED PERMISSIONS
+-- =============================================================================
+-- Admins already pass every check; the row keeps the permission visible in
+-- the role's action list. Warehouse staff inspect receipts but still cannot
+-- accept or reject them whole.
+
+INSERT INTO ui_action_permissions (role_id, entity_type_id, action_name, is_allowed) VALUES
+    ('00000000-0000-0000-0000-000000000001'::UUID, '10000000-0000-0000-0000-000000000002'::UUID, 'inspect', TRUE),
+    ('00000000-0000-0000-0000-000000000003'::UUID, '10000000-0000-0000-0000-000000000002'::UUID, 'inspect', TRUE)
+ON CONFLICT (role_id, entity_type_id, action_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 023 completed successfully';
+    RAISE NOTICE 'Action name ''inspect'' is now allowed';
+    RAISE NOTICE 'Granted goods receipt inspect to admin and warehouse staff roles';
+END $$;
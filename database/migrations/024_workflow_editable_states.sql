@@ -0,0 +1,64 @@
+-- Migration 024: Workflow Editable States
+-- Description: Marks the workflow states in which a record may still be
+--              edited and reverted, and adds the goods receipt and invoice
+--              workflows, so get_record_edit_lock() reads its locks from data
+-- Dependencies: 023_goods_receipt_inspect_permission.sql
+-- Author: happyveggie
+
+-- =============================================================================
+-- EDITABLE STATES
+-- =============================================================================
+
+ALTER TABLE workflow_states
+    ADD COLUMN IF NOT EXISTS is_editable BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN workflow_states.is_editable IS 'Records in this state may still be edited and reverted; other states lock them';
+
+-- A PO stays open until approved and a payment until processed
+UPDATE workflow_states s
+SET is_editable = TRUE
+FROM (VALUES
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'draft'),
+    ('20000000-0000-0000-0000-000000000001'::UUID, 'submitted'),
+    ('20000000-0000-0000-0000-000000000004'::UUID, 'pending')
+) AS v(workflow_id, state_name)
+WHERE s.workflow_id = v.workflow_id
+  AND s.state_name = v.state_name;
+
+-- =============================================================================
+-- GOODS RECEIPT AND INVOICE WORKFLOWS
+-- =============================================================================
+-- States only: their status changes are still made by the goods receipt and
+-- invoice functions, so no transitions are offered. A goods receipt stays
+-- open until confirmed, an invoice until approved for payment.
+
+INSERT INTO workflow_definitions (workflow_id, entity_type_id, status_field, description) VALUES
+    ('20000000-0000-0000-0000-000000000002'::UUID, '10000000-0000-0000-0000-000000000002'::UUID,
+     'status', 'Goods receipt confirmation'),
+    ('20000000-0000-0000-0000-000000000003'::UUID, '10000000-0000-0000-0000-000000000003'::UUID,
+     'status', 'Invoice verification and approval')
+ON CONFLICT (entity_type_id) DO NOTHING;
+
+INSERT INTO workflow_states (workflow_id, state_name, display_label, is_initial, is_final, is_editable, sort_order) VALUES
+    -- Goods Receipt
+    ('20000000-0000-0000-0000-000000000002'::UUID, 'draft', 'Draft', TRUE, FALSE, TRUE, 1),
+    ('20000000-0000-0000-0000-000000000002'::UUID, 'confirmed', 'Confirmed', FALSE, TRUE, FALSE, 2),
+    ('20000000-0000-0000-0000-000000000002'::UUID, 'cancelled', 'Cancelled', FALSE, TRUE, FALSE, 3),
+    -- Invoice Receipt
+    ('20000000-0000-0000-0000-000000000003'::UUID, 'received', 'Received', TRUE, FALSE, TRUE, 1),
+    ('20000000-0000-0000-0000-000000000003'::UUID, 'verified', 'Verified', FALSE, FALSE, TRUE, 2),
+    ('20000000-0000-0000-0000-000000000003'::UUID, 'disputed', 'Disputed', FALSE, FALSE, TRUE, 3),
+    ('20000000-0000-0000-0000-000000000003'::UUID, 'approved', 'Approved', FALSE, FALSE, FALSE, 4),
+    ('20000000-0000-0000-0000-000000000003'::UUID, 'cancelled', 'Cancelled', FALSE, TRUE, FALSE, 5)
+ON CONFLICT (workflow_id, state_name) DO NOTHING;
+
+-- =============================================================================
+-- SUCCESS MESSAGE
+-- =============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 024 completed successfully';
+    RAISE NOTICE 'Added workflow_states.is_editable';
+    RAISE NOTICE 'Seeded goods receipt and invoice workflow states';
+END $$;
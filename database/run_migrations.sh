@@ -106,6 +106,24 @@ run_all_migrations() {
         "$MIGRATIONS_DIR/004_create_triggers_sequences.sql"
         "$MIGRATIONS_DIR/005_create_rls_policies.sql"
         "$MIGRATIONS_DIR/006_initial_seed_data.sql"
+        "$MIGRATIONS_DIR/007_end_user_execution.sql"
+        "$MIGRATIONS_DIR/008_create_idempotency_keys.sql"
+        "$MIGRATIONS_DIR/009_payment_reversal_permission.sql"
+        "$MIGRATIONS_DIR/010_create_entity_relations.sql"
+        "$MIGRATIONS_DIR/011_export_permissions.sql"
+        "$MIGRATIONS_DIR/012_create_import_batches.sql"
+        "$MIGRATIONS_DIR/013_print_documents.sql"
+        "$MIGRATIONS_DIR/014_record_history.sql"
+        "$MIGRATIONS_DIR/015_record_change_notify.sql"
+        "$MIGRATIONS_DIR/016_field_permission_audit.sql"
+        "$MIGRATIONS_DIR/017_field_permission_conditions.sql"
+        "$MIGRATIONS_DIR/018_workflow_definitions.sql"
+        "$MIGRATIONS_DIR/019_approval_chains.sql"
+        "$MIGRATIONS_DIR/020_supplier_soft_delete.sql"
+        "$MIGRATIONS_DIR/021_payment_reversal_details.sql"
+        "$MIGRATIONS_DIR/022_finance_notes.sql"
+        "$MIGRATIONS_DIR/023_goods_receipt_inspect_permission.sql"
+        "$MIGRATIONS_DIR/024_workflow_editable_states.sql"
     )
 
     local total=${#migration_files[@]}
@@ -17,11 +17,21 @@ INSERT INTO htmx_templates (
     '10000000-0000-0000-0000-000000000001'::UUID,  -- purchase_order entity
     'list',
     'Purchase Order List View',
-    '<div class="entity-list" data-entity="purchase_order">
+    '<div class="entity-list" data-entity="purchase_order"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}">
     <!-- Header -->
     <div class="list-header">
         <h2>{{entity_display_name}}</h2>
         <div class="list-actions">
+            {{{export_buttons}}}
+            {{#if user_can_import}}
+            <button class="btn btn-secondary"
+                    hx-get="/ui/purchase_order/import"
+                    hx-target="#modal"
+                    hx-swap="innerHTML">
+                <i class="fa fa-upload"></i> Import
+            </button>
+            {{/if}}
             {{#if user_can_create}}
             <button class="btn btn-primary"
                     hx-get="/ui/purchase_order/form/create"
@@ -73,11 +83,18 @@ INSERT INTO htmx_templates (
         </form>
     </div>
 
+    <!-- Bulk Actions -->
+    {{{bulk_action_bar}}}
+
     <!-- Table -->
     <div id="po-list-table">
         <table class="data-table">
             <thead>
                 <tr>
+                    <th class="select-col">
+                        <input type="checkbox" class="select-all" title="Select all"
+                               onclick="this.closest(''table'').querySelectorAll(''.row-select'').forEach(cb => cb.checked = this.checked)">
+                    </th>
                     <th data-field="po_number" class="sortable"
                         hx-get="/ui/purchase_order/list?sort=po_number"
                         hx-target="#po-list-table">
@@ -102,7 +119,13 @@ INSERT INTO htmx_templates (
             </thead>
             <tbody>
                 {{#records}}
-                <tr>
+                <tr hx-get="/ui/{{entity_type}}/list/row?id={{record_id}}"
+                    hx-trigger="sse:changed-{{record_id}}"
+                    hx-swap="outerHTML"
+                    hx-disinherit="*">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" name="ids" value="{{po_id}}">
+                    </td>
                     <td>{{po_number}}</td>
                     <td>{{supplier.supplier_name}}</td>
                     <td>{{po_date}}</td>
@@ -358,12 +381,20 @@ INSERT INTO htmx_templates (
     '10000000-0000-0000-0000-000000000001'::UUID,
     'form_view',
     'Purchase Order View Form',
-    '<div class="modal-content">
+    '<div class="modal-content"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}&amp;id={{record_id}}">
     <div class="modal-header">
         <h3>Purchase Order: {{po_number}}</h3>
         <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
     </div>
 
+    <!-- Re-rendered whenever the record changes -->
+    <div hidden
+         hx-get="/ui/{{entity_type}}/form/view?id={{record_id}}"
+         hx-trigger="sse:changed-{{record_id}}"
+         hx-target="closest .modal-content"
+         hx-swap="outerHTML"></div>
+
     <div class="modal-body">
         <div class="form-view">
             <!-- Status Badge -->
@@ -445,6 +476,9 @@ INSERT INTO htmx_templates (
             </div>
             {{/if}}
 
+            <!-- Approvals -->
+            {{{approval_progress}}}
+
             <!-- Audit Information -->
             <div class="form-section">
                 <h4>Audit Information</h4>
@@ -477,32 +511,32 @@ INSERT INTO htmx_templates (
                 onclick="this.closest(''.modal'').remove()">
             Close
         </button>
-        {{#if user_can_edit}}
-        <button type="button" class="btn btn-primary"
-                hx-get="/ui/purchase_order/form/edit?id={{po_id}}"
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/purchase_order/{{po_id}}/detail"
                 hx-target=".modal-content"
                 hx-swap="outerHTML">
-            <i class="fa fa-edit"></i> Edit
+            <i class="fa fa-list"></i> Details
         </button>
-        {{/if}}
-        {{#if user_can_submit}}
-        <button type="button" class="btn btn-success"
-                hx-post="/api/purchase_order/{{po_id}}/submit"
-                hx-confirm="Submit this purchase order for approval?"
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/purchase_order/{{po_id}}/history"
                 hx-target=".modal-content"
                 hx-swap="outerHTML">
-            <i class="fa fa-paper-plane"></i> Submit
+            <i class="fa fa-history"></i> History
         </button>
+        {{#if user_can_print}}
+        <a class="btn btn-secondary" href="/ui/purchase_order/{{po_id}}/print" target="_blank">
+            <i class="fa fa-print"></i> Print
+        </a>
         {{/if}}
-        {{#if user_can_approve}}
-        <button type="button" class="btn btn-success"
-                hx-post="/api/purchase_order/{{po_id}}/approve"
-                hx-confirm="Approve this purchase order?"
+        {{#if user_can_edit}}
+        <button type="button" class="btn btn-primary"
+                hx-get="/ui/purchase_order/form/edit?id={{po_id}}"
                 hx-target=".modal-content"
                 hx-swap="outerHTML">
-            <i class="fa fa-check"></i> Approve
+            <i class="fa fa-edit"></i> Edit
         </button>
         {{/if}}
+        {{{workflow_buttons}}}
     </div>
 </div>',
     1,
@@ -17,12 +17,16 @@ INSERT INTO htmx_templates (
     '10000000-0000-0000-0000-000000000001'::UUID,
     'form_edit',
     'Purchase Order Edit Form',
-    '<div class="modal-content">
+    '<div class="modal-content"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}&amp;id={{record_id}}">
     <div class="modal-header">
         <h3>Edit Purchase Order: {{po_number}}</h3>
         <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
     </div>
 
+    <!-- Filled from the event stream when the record changes while it is being edited -->
+    <div class="record-changed-notice" sse-swap="changed-{{record_id}}" hx-swap="innerHTML"></div>
+
     <form hx-put="/api/purchase_order/{{po_id}}"
           hx-target="#modal"
           hx-swap="outerHTML"
@@ -52,31 +56,31 @@ INSERT INTO htmx_templates (
                 </select>
             </div>
             {{/if}}
-            {{#if supplier_id_visible}}{{#if not supplier_id_editable}}
+            {{#if supplier_id_visible}}{{#unless supplier_id_editable}}
             <div class="form-field">
                 <label>Supplier</label>
                 <input type="text" value="{{supplier.supplier_name}}" disabled class="form-control">
             </div>
-            {{/if}}{{/if}}
+            {{/unless}}{{/if}}
 
             <!-- PO Date -->
             <div class="form-field required">
                 <label>PO Date *</label>
                 <input type="date" name="po_date" value="{{po_date}}"
-                       {{#if not po_date_editable}}disabled{{/if}} required class="form-control">
+                       {{#unless po_date_editable}}disabled{{/unless}} required class="form-control">
             </div>
 
             <!-- Expected Delivery Date -->
             <div class="form-field">
                 <label>Expected Delivery Date</label>
                 <input type="date" name="expected_delivery_date" value="{{expected_delivery_date}}"
-                       {{#if not expected_delivery_date_editable}}disabled{{/if}} class="form-control">
+                       {{#unless expected_delivery_date_editable}}disabled{{/unless}} class="form-control">
             </div>
 
             <!-- Currency -->
             <div class="form-field required">
                 <label>Currency *</label>
-                <select name="currency" {{#if not currency_editable}}disabled{{/if}} class="form-select">
+                <select name="currency" {{#unless currency_editable}}disabled{{/unless}} class="form-select">
                     <option value="USD"{{#if currency == ''USD''}} selected{{/if}}>USD</option>
                     <option value="EUR"{{#if currency == ''EUR''}} selected{{/if}}>EUR</option>
                     <option value="GBP"{{#if currency == ''GBP''}} selected{{/if}}>GBP</option>
@@ -87,7 +91,7 @@ INSERT INTO htmx_templates (
             <div class="form-field">
                 <label>Notes</label>
                 <textarea name="notes" rows="3"
-                          {{#if not notes_editable}}disabled{{/if}} class="form-control">{{notes}}</textarea>
+                          {{#unless notes_editable}}disabled{{/unless}} class="form-control">{{notes}}</textarea>
             </div>
 
             <!-- Line Items Section -->
@@ -137,6 +141,12 @@ INSERT INTO htmx_templates (
             <button type="button" class="btn btn-text" onclick="this.closest(''.modal'').remove()">
                 Cancel
             </button>
+            <button type="button" class="btn btn-secondary"
+                    hx-get="/ui/purchase_order/{{po_id}}/history"
+                    hx-target=".modal-content"
+                    hx-swap="outerHTML">
+                <i class="fa fa-history"></i> History
+            </button>
             <button type="submit" class="btn btn-primary">
                 <i class="fa fa-save"></i> Save Changes
             </button>
@@ -159,13 +169,23 @@ INSERT INTO htmx_templates (
     version,
     is_active
 ) VALUES (
-    '10000000-0000-0000-0000-000000000002'::UUID,
+    '10000000-0000-0000-0000-000000000005'::UUID,
     'list',
     'Supplier List View',
-    '<div class="entity-list" data-entity="supplier">
+    '<div class="entity-list" data-entity="supplier"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}">
     <div class="list-header">
         <h2>{{entity_display_name}}</h2>
         <div class="list-actions">
+            {{{export_buttons}}}
+            {{#if user_can_import}}
+            <button class="btn btn-secondary"
+                    hx-get="/ui/supplier/import"
+                    hx-target="#modal"
+                    hx-swap="innerHTML">
+                <i class="fa fa-upload"></i> Import
+            </button>
+            {{/if}}
             {{#if user_can_create}}
             <button class="btn btn-primary"
                     hx-get="/ui/supplier/form/create"
@@ -194,10 +214,16 @@ INSERT INTO htmx_templates (
         </form>
     </div>
 
+    {{{bulk_action_bar}}}
+
     <div id="supplier-list-table">
         <table class="data-table">
             <thead>
                 <tr>
+                    <th class="select-col">
+                        <input type="checkbox" class="select-all" title="Select all"
+                               onclick="this.closest(''table'').querySelectorAll(''.row-select'').forEach(cb => cb.checked = this.checked)">
+                    </th>
                     <th>Supplier Code</th>
                     <th>Supplier Name</th>
                     <th>Contact Name</th>
@@ -209,7 +235,13 @@ INSERT INTO htmx_templates (
             </thead>
             <tbody>
                 {{#records}}
-                <tr>
+                <tr hx-get="/ui/{{entity_type}}/list/row?id={{record_id}}"
+                    hx-trigger="sse:changed-{{record_id}}"
+                    hx-swap="outerHTML"
+                    hx-disinherit="*">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" name="ids" value="{{supplier_id}}">
+                    </td>
                     <td>{{supplier_code}}</td>
                     <td>{{supplier_name}}</td>
                     <td>{{contact_name}}</td>
@@ -257,6 +289,298 @@ INSERT INTO htmx_templates (
     TRUE
 ) ON CONFLICT DO NOTHING;
 
+-- =============================================================================
+-- SUPPLIER CREATE FORM TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000005'::UUID,  -- supplier entity
+    'form_create',
+    'Supplier Create Form',
+    '<div class="modal-content">
+    <div class="modal-header">
+        <h3>Add Supplier</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <form hx-post="/api/supplier"
+          hx-target="closest .modal-content"
+          hx-swap="outerHTML"
+          class="entity-form">
+
+        <div class="modal-body">
+            {{#if supplier_code_visible}}
+            <div class="form-field required">
+                <label>Supplier Code *</label>
+                <input type="text" name="supplier_code" value="{{supplier_code}}" required
+                       pattern="[A-Z0-9-]+" {{#unless supplier_code_editable}}disabled{{/unless}} class="form-control">
+                <small class="help-text">Uppercase letters, digits and dashes</small>
+            </div>
+            {{/if}}
+
+            {{#if supplier_name_visible}}
+            <div class="form-field required">
+                <label>Supplier Name *</label>
+                <input type="text" name="supplier_name" value="{{supplier_name}}" required
+                       {{#unless supplier_name_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if contact_email_visible}}
+            <div class="form-field">
+                <label>Email</label>
+                <input type="email" name="contact_email" value="{{contact_email}}"
+                       {{#unless contact_email_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if contact_phone_visible}}
+            <div class="form-field">
+                <label>Phone</label>
+                <input type="tel" name="contact_phone" value="{{contact_phone}}"
+                       {{#unless contact_phone_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if payment_terms_days_visible}}
+            <div class="form-field required">
+                <label>Payment Terms (Days) *</label>
+                <input type="number" name="payment_terms_days" value="{{payment_terms_days}}" min="0" max="365"
+                       {{#unless payment_terms_days_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if is_active_visible}}
+            <div class="form-field">
+                <label>
+                    <input type="checkbox" name="is_active" value="true" checked
+                           {{#unless is_active_editable}}disabled{{/unless}}> Active
+                </label>
+            </div>
+            {{/if}}
+        </div>
+
+        <div class="modal-footer">
+            <button type="button" class="btn btn-text" onclick="this.closest(''.modal'').remove()">
+                Cancel
+            </button>
+            <button type="submit" class="btn btn-primary">
+                <i class="fa fa-save"></i> Create Supplier
+            </button>
+        </div>
+    </form>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- SUPPLIER VIEW FORM TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000005'::UUID,  -- supplier entity
+    'form_view',
+    'Supplier View Form',
+    '<div class="modal-content"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}&amp;id={{record_id}}">
+    <div class="modal-header">
+        <h3>Supplier: {{supplier_name}}</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <!-- Re-rendered whenever the record changes -->
+    <div hidden
+         hx-get="/ui/{{entity_type}}/form/view?id={{record_id}}"
+         hx-trigger="sse:changed-{{record_id}}"
+         hx-target="closest .modal-content"
+         hx-swap="outerHTML"></div>
+
+    <div class="modal-body">
+        <div class="form-view">
+            <div class="detail-grid">
+                <div class="detail-item">
+                    <label>Supplier Code</label>
+                    <div class="value">{{supplier_code}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Supplier Name</label>
+                    <div class="value">{{supplier_name}}</div>
+                </div>
+                {{#if contact_email_visible}}
+                <div class="detail-item">
+                    <label>Email</label>
+                    <div class="value">{{contact_email}}</div>
+                </div>
+                {{/if}}
+                {{#if contact_phone_visible}}
+                <div class="detail-item">
+                    <label>Phone</label>
+                    <div class="value">{{contact_phone}}</div>
+                </div>
+                {{/if}}
+                {{#if payment_terms_days_visible}}
+                <div class="detail-item">
+                    <label>Payment Terms</label>
+                    <div class="value">{{payment_terms_days}} days</div>
+                </div>
+                {{/if}}
+                <div class="detail-item">
+                    <label>Status</label>
+                    <div class="value">
+                        {{#if is_active}}<span class="badge badge-success">Active</span>{{/if}}
+                        {{#unless is_active}}<span class="badge badge-secondary">Inactive</span>{{/unless}}
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal-footer">
+        <button type="button" class="btn btn-text"
+                onclick="this.closest(''.modal'').remove()">
+            Close
+        </button>
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/supplier/{{supplier_id}}/detail"
+                hx-target=".modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-list"></i> Details
+        </button>
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/supplier/{{supplier_id}}/history"
+                hx-target=".modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-history"></i> History
+        </button>
+        {{#if user_can_edit}}
+        <button type="button" class="btn btn-primary"
+                hx-get="/ui/supplier/form/edit?id={{supplier_id}}"
+                hx-target=".modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-edit"></i> Edit
+        </button>
+        {{/if}}
+    </div>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- SUPPLIER EDIT FORM TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000005'::UUID,  -- supplier entity
+    'form_edit',
+    'Supplier Edit Form',
+    '<div class="modal-content"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}&amp;id={{record_id}}">
+    <div class="modal-header">
+        <h3>Edit Supplier: {{supplier_name}}</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <!-- Filled from the event stream when the record changes while it is being edited -->
+    <div class="record-changed-notice" sse-swap="changed-{{record_id}}" hx-swap="innerHTML"></div>
+
+    <form hx-put="/api/supplier/{{supplier_id}}"
+          hx-target="#modal"
+          hx-swap="outerHTML"
+          class="entity-form">
+
+        <div class="modal-body">
+            <!-- Supplier Code (Read-only) -->
+            <div class="form-field">
+                <label>Supplier Code</label>
+                <input type="text" value="{{supplier_code}}" disabled class="form-control">
+            </div>
+
+            {{#if supplier_name_visible}}
+            <div class="form-field required">
+                <label>Supplier Name *</label>
+                <input type="text" name="supplier_name" value="{{supplier_name}}" required
+                       {{#unless supplier_name_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if contact_email_visible}}
+            <div class="form-field">
+                <label>Email</label>
+                <input type="email" name="contact_email" value="{{contact_email}}"
+                       {{#unless contact_email_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if contact_phone_visible}}
+            <div class="form-field">
+                <label>Phone</label>
+                <input type="tel" name="contact_phone" value="{{contact_phone}}"
+                       {{#unless contact_phone_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if payment_terms_days_visible}}
+            <div class="form-field required">
+                <label>Payment Terms (Days) *</label>
+                <input type="number" name="payment_terms_days" value="{{payment_terms_days}}" min="0" max="365"
+                       {{#unless payment_terms_days_editable}}disabled{{/unless}} class="form-control">
+            </div>
+            {{/if}}
+
+            {{#if is_active_visible}}
+            <div class="form-field">
+                <label>Status</label>
+                <select name="is_active" {{#unless is_active_editable}}disabled{{/unless}} class="form-select">
+                    <option value="true"{{#if is_active}} selected{{/if}}>Active</option>
+                    <option value="false"{{#unless is_active}} selected{{/unless}}>Inactive</option>
+                </select>
+            </div>
+            {{/if}}
+        </div>
+
+        <div class="modal-footer">
+            <button type="button" class="btn btn-text" onclick="this.closest(''.modal'').remove()">
+                Cancel
+            </button>
+            <button type="button" class="btn btn-secondary"
+                    hx-get="/ui/supplier/{{supplier_id}}/history"
+                    hx-target=".modal-content"
+                    hx-swap="outerHTML">
+                <i class="fa fa-history"></i> History
+            </button>
+            <button type="submit" class="btn btn-primary">
+                <i class="fa fa-save"></i> Save Changes
+            </button>
+        </div>
+    </form>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
 -- =============================================================================
 -- GOODS RECEIPT LIST TEMPLATE
 -- =============================================================================
@@ -269,13 +593,23 @@ INSERT INTO htmx_templates (
     version,
     is_active
 ) VALUES (
-    '10000000-0000-0000-0000-000000000003'::UUID,
+    '10000000-0000-0000-0000-000000000002'::UUID,
     'list',
     'Goods Receipt List View',
-    '<div class="entity-list" data-entity="goods_receipt">
+    '<div class="entity-list" data-entity="goods_receipt"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}">
     <div class="list-header">
         <h2>{{entity_display_name}}</h2>
         <div class="list-actions">
+            {{{export_buttons}}}
+            {{#if user_can_import}}
+            <button class="btn btn-secondary"
+                    hx-get="/ui/goods_receipt/import"
+                    hx-target="#modal"
+                    hx-swap="innerHTML">
+                <i class="fa fa-upload"></i> Import
+            </button>
+            {{/if}}
             {{#if user_can_create}}
             <button class="btn btn-primary"
                     hx-get="/ui/goods_receipt/form/create"
@@ -295,6 +629,7 @@ INSERT INTO htmx_templates (
                     <option value="pending">Pending</option>
                     <option value="accepted">Accepted</option>
                     <option value="rejected">Rejected</option>
+                    <option value="partial">Partial</option>
                 </select>
             </div>
             <div class="filter-group">
@@ -307,10 +642,16 @@ INSERT INTO htmx_templates (
         </form>
     </div>
 
+    {{{bulk_action_bar}}}
+
     <div id="gr-list-table">
         <table class="data-table">
             <thead>
                 <tr>
+                    <th class="select-col">
+                        <input type="checkbox" class="select-all" title="Select all"
+                               onclick="this.closest(''table'').querySelectorAll(''.row-select'').forEach(cb => cb.checked = this.checked)">
+                    </th>
                     <th>GR Number</th>
                     <th>PO Number</th>
                     <th>Receipt Date</th>
@@ -321,7 +662,13 @@ INSERT INTO htmx_templates (
             </thead>
             <tbody>
                 {{#records}}
-                <tr>
+                <tr hx-get="/ui/{{entity_type}}/list/row?id={{record_id}}"
+                    hx-trigger="sse:changed-{{record_id}}"
+                    hx-swap="outerHTML"
+                    hx-disinherit="*">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" name="ids" value="{{gr_id}}">
+                    </td>
                     <td>{{gr_number}}</td>
                     <td>{{po.po_number}}</td>
                     <td>{{receipt_date}}</td>
@@ -348,6 +695,14 @@ INSERT INTO htmx_templates (
                             <i class="fa fa-times"></i>
                         </button>
                         {{/if}}
+                        {{#if ../user_can_inspect}}
+                        <button class="btn btn-sm btn-warning"
+                                hx-get="/ui/goods_receipt/form/inspect?id={{gr_id}}"
+                                hx-target="#modal"
+                                title="Inspect line by line">
+                            <i class="fa fa-clipboard-check"></i>
+                        </button>
+                        {{/if}}
                         {{/if}}
                     </td>
                 </tr>
@@ -382,13 +737,23 @@ INSERT INTO htmx_templates (
     version,
     is_active
 ) VALUES (
-    '10000000-0000-0000-0000-000000000004'::UUID,
+    '10000000-0000-0000-0000-000000000003'::UUID,
     'list',
     'Invoice Receipt List View',
-    '<div class="entity-list" data-entity="invoice_receipt">
+    '<div class="entity-list" data-entity="invoice_receipt"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}">
     <div class="list-header">
         <h2>{{entity_display_name}}</h2>
         <div class="list-actions">
+            {{{export_buttons}}}
+            {{#if user_can_import}}
+            <button class="btn btn-secondary"
+                    hx-get="/ui/invoice_receipt/import"
+                    hx-target="#modal"
+                    hx-swap="innerHTML">
+                <i class="fa fa-upload"></i> Import
+            </button>
+            {{/if}}
             {{#if user_can_create}}
             <button class="btn btn-primary"
                     hx-get="/ui/invoice_receipt/form/create"
@@ -421,10 +786,16 @@ INSERT INTO htmx_templates (
         </form>
     </div>
 
+    {{{bulk_action_bar}}}
+
     <div id="invoice-list-table">
         <table class="data-table">
             <thead>
                 <tr>
+                    <th class="select-col">
+                        <input type="checkbox" class="select-all" title="Select all"
+                               onclick="this.closest(''table'').querySelectorAll(''.row-select'').forEach(cb => cb.checked = this.checked)">
+                    </th>
                     <th>Invoice Number</th>
                     <th>Vendor Invoice #</th>
                     <th>PO Number</th>
@@ -437,7 +808,13 @@ INSERT INTO htmx_templates (
             </thead>
             <tbody>
                 {{#records}}
-                <tr>
+                <tr hx-get="/ui/{{entity_type}}/list/row?id={{record_id}}"
+                    hx-trigger="sse:changed-{{record_id}}"
+                    hx-swap="outerHTML"
+                    hx-disinherit="*">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" name="ids" value="{{invoice_id}}">
+                    </td>
                     <td>{{invoice_number}}</td>
                     <td>{{vendor_invoice_number}}</td>
                     <td>{{po.po_number}}</td>
@@ -497,13 +874,23 @@ INSERT INTO htmx_templates (
     version,
     is_active
 ) VALUES (
-    '10000000-0000-0000-0000-000000000005'::UUID,
+    '10000000-0000-0000-0000-000000000004'::UUID,
     'list',
     'Payment List View',
-    '<div class="entity-list" data-entity="payment">
+    '<div class="entity-list" data-entity="payment"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}">
     <div class="list-header">
         <h2>{{entity_display_name}}</h2>
         <div class="list-actions">
+            {{{export_buttons}}}
+            {{#if user_can_import}}
+            <button class="btn btn-secondary"
+                    hx-get="/ui/payment/import"
+                    hx-target="#modal"
+                    hx-swap="innerHTML">
+                <i class="fa fa-upload"></i> Import
+            </button>
+            {{/if}}
             {{#if user_can_create}}
             <button class="btn btn-primary"
                     hx-get="/ui/payment/form/create"
@@ -533,10 +920,16 @@ INSERT INTO htmx_templates (
         </form>
     </div>
 
+    {{{bulk_action_bar}}}
+
     <div id="payment-list-table">
         <table class="data-table">
             <thead>
                 <tr>
+                    <th class="select-col">
+                        <input type="checkbox" class="select-all" title="Select all"
+                               onclick="this.closest(''table'').querySelectorAll(''.row-select'').forEach(cb => cb.checked = this.checked)">
+                    </th>
                     <th>Payment Number</th>
                     <th>Invoice Number</th>
                     <th>Payment Date</th>
@@ -548,7 +941,13 @@ INSERT INTO htmx_templates (
             </thead>
             <tbody>
                 {{#records}}
-                <tr>
+                <tr hx-get="/ui/{{entity_type}}/list/row?id={{record_id}}"
+                    hx-trigger="sse:changed-{{record_id}}"
+                    hx-swap="outerHTML"
+                    hx-disinherit="*">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" name="ids" value="{{payment_id}}">
+                    </td>
                     <td>{{payment_number}}</td>
                     <td>{{invoice.invoice_number}}</td>
                     <td>{{payment_date}}</td>
@@ -593,6 +992,400 @@ INSERT INTO htmx_templates (
     TRUE
 ) ON CONFLICT DO NOTHING;
 
+-- =============================================================================
+-- PAYMENT VIEW FORM TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000004'::UUID,  -- payment entity
+    'form_view',
+    'Payment View Form',
+    '<div class="modal-content"
+     hx-ext="sse" sse-connect="/ui/events?entity={{entity_type}}&amp;id={{record_id}}">
+    <div class="modal-header">
+        <h3>Payment: {{payment_number}}</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <!-- Re-rendered whenever the record changes -->
+    <div hidden
+         hx-get="/ui/{{entity_type}}/form/view?id={{record_id}}"
+         hx-trigger="sse:changed-{{record_id}}"
+         hx-target="closest .modal-content"
+         hx-swap="outerHTML"></div>
+
+    <div class="modal-body">
+        <div class="form-view">
+            <div class="status-section">
+                <span class="badge badge-lg badge-{{status}}">{{status}}</span>
+            </div>
+
+            <div class="detail-grid">
+                <div class="detail-item">
+                    <label>Payment Number</label>
+                    <div class="value">{{payment_number}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Payment Date</label>
+                    <div class="value">{{payment_date}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Amount</label>
+                    <div class="value">{{currency}} {{amount}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Method</label>
+                    <div class="value">{{payment_method}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Reference</label>
+                    <div class="value">{{reference_number}}</div>
+                </div>
+            </div>
+
+            {{#if notes}}
+            <div class="form-section">
+                <h4>Notes</h4>
+                <div class="notes-content">{{notes}}</div>
+            </div>
+            {{/if}}
+
+            {{#if status == ''reversed''}}
+            <div class="form-section">
+                <h4>Reversal</h4>
+                <div class="notes-content">{{reversal_reason}}</div>
+            </div>
+            {{/if}}
+        </div>
+    </div>
+
+    <div class="modal-footer">
+        <button type="button" class="btn btn-text"
+                onclick="this.closest(''.modal'').remove()">
+            Close
+        </button>
+        <button type="button" class="btn btn-secondary"
+                hx-get="/ui/payment/{{payment_id}}/history"
+                hx-target=".modal-content"
+                hx-swap="outerHTML">
+            <i class="fa fa-history"></i> History
+        </button>
+        {{#if user_can_print}}
+        <a class="btn btn-secondary" href="/ui/payment/{{payment_id}}/remittance" target="_blank">
+            <i class="fa fa-print"></i> Remittance
+        </a>
+        {{/if}}
+        {{{workflow_buttons}}}
+    </div>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- PURCHASE ORDER DETAIL TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000001'::UUID,
+    'detail',
+    'Purchase Order Detail View',
+    '<div class="modal-content detail-view" data-entity="purchase_order">
+    <div class="modal-header">
+        <h3>Purchase Order: {{po_number}}</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <div class="modal-body">
+        <div class="form-view">
+            <div class="status-section">
+                <span class="badge badge-lg badge-{{status}}">{{status}}</span>
+            </div>
+
+            <div class="detail-grid">
+                <div class="detail-item">
+                    <label>Supplier</label>
+                    <div class="value">{{supplier.supplier_name}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>PO Date</label>
+                    <div class="value">{{po_date}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Expected Delivery</label>
+                    <div class="value">{{expected_delivery_date}}</div>
+                </div>
+                <div class="detail-item">
+                    <label>Total Amount</label>
+                    <div class="value">{{currency}} {{total_amount}}</div>
+                </div>
+            </div>
+
+            {{#if has_tabs}}
+            <div class="detail-tabs">
+                <div class="tab-bar">
+                    {{#tabs}}
+                    <button type="button" class="tab-button"
+                            hx-get="{{url}}"
+                            hx-target="next .tab-panel"
+                            onclick="this.parentNode.querySelectorAll(''.tab-button'').forEach(b => b.classList.toggle(''active'', b === this))">
+                        {{display_name}}
+                    </button>
+                    {{/tabs}}
+                </div>
+                <div class="tab-panel" hx-get="{{first_tab_url}}" hx-trigger="load">
+                    <div class="loading">Loading...</div>
+                </div>
+            </div>
+            {{/if}}
+        </div>
+    </div>
+
+    <div class="modal-footer">
+        <button type="button" class="btn btn-text"
+                onclick="this.closest(''.modal'').remove()">
+            Close
+        </button>
+        {{#if user_can_print}}
+        <a class="btn btn-secondary" href="/ui/purchase_order/{{po_id}}/print" target="_blank">
+            <i class="fa fa-print"></i> Print
+        </a>
+        {{/if}}
+    </div>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- SUPPLIER DETAIL TEMPLATE
+-- =============================================================================
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000005'::UUID,  -- supplier entity
+    'detail',
+    'Supplier Detail View',
+    '<div class="modal-content detail-view" data-entity="supplier">
+    <div class="modal-header">
+        <h3>Supplier: {{supplier_name}}</h3>
+        <button class="close-modal" onclick="this.closest(''.modal'').remove()">×</button>
+    </div>
+
+    <div class="modal-body">
+        <div class="form-view">
+            <div class="detail-grid">
+                <div class="detail-item">
+                    <label>Supplier Code</label>
+                    <div class="value">{{supplier_code}}</div>
+                </div>
+                {{#if payment_terms_days_visible}}
+                <div class="detail-item">
+                    <label>Payment Terms</label>
+                    <div class="value">{{payment_terms_days}} days</div>
+                </div>
+                {{/if}}
+            </div>
+
+            {{#if has_tabs}}
+            <div class="detail-tabs">
+                <div class="tab-bar">
+                    {{#tabs}}
+                    <button type="button" class="tab-button"
+                            hx-get="{{url}}"
+                            hx-target="next .tab-panel"
+                            onclick="this.parentNode.querySelectorAll(''.tab-button'').forEach(b => b.classList.toggle(''active'', b === this))">
+                        {{display_name}}
+                    </button>
+                    {{/tabs}}
+                </div>
+                <div class="tab-panel" hx-get="{{first_tab_url}}" hx-trigger="load">
+                    <div class="loading">Loading...</div>
+                </div>
+            </div>
+            {{/if}}
+        </div>
+    </div>
+
+    <div class="modal-footer">
+        <button type="button" class="btn btn-text"
+                onclick="this.closest(''.modal'').remove()">
+            Close
+        </button>
+    </div>
+</div>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- PURCHASE ORDER PRINT TEMPLATE
+-- =============================================================================
+-- Rendered by generate_htmx_print() into a standalone page; data comes from
+-- build_print_document()
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000001'::UUID,
+    'print',
+    'Purchase Order Print Document',
+    '<article class="print-document print-purchase-order">
+    <header class="print-header">
+        <div class="print-company">
+            <h1>{{company_name}}</h1>
+            {{#company_lines}}<div>{{text}}</div>{{/company_lines}}
+        </div>
+        <div class="print-title">
+            <h2>{{title}}</h2>
+            <div class="print-number">{{number}}</div>
+        </div>
+    </header>
+
+    <section class="print-parties">
+        <div class="print-party">
+            <h3>{{party_label}}</h3>
+            <div class="print-party-name">{{party_name}}</div>
+            {{#party_lines}}<div>{{text}}</div>{{/party_lines}}
+        </div>
+        <table class="print-details">
+            {{#details}}<tr><th>{{label}}</th><td>{{value}}</td></tr>{{/details}}
+        </table>
+    </section>
+
+    <table class="print-lines">
+        <thead>
+            <tr>
+                <th class="num">#</th><th>Item</th><th>Description</th><th class="num">Qty</th>
+                <th>UoM</th><th class="num">Unit Price</th><th class="num">Line Total</th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#lines}}
+            <tr>
+                <td class="num">{{line_number}}</td><td>{{item_code}}</td><td>{{item_description}}</td>
+                <td class="num">{{quantity}}</td><td>{{uom}}</td>
+                <td class="num">{{unit_price}}</td><td class="num">{{line_total}}</td>
+            </tr>
+            {{/lines}}
+        </tbody>
+    </table>
+
+    <table class="print-totals">
+        {{#totals}}<tr><th>{{label}}</th><td>{{value}}</td></tr>{{/totals}}
+    </table>
+
+    {{#if has_notes}}
+    <section class="print-notes">
+        <h3>Notes</h3>
+        <p>{{notes}}</p>
+    </section>
+    {{/if}}
+
+    <footer class="print-footer">Please quote the PO number on all delivery notes and invoices. Generated {{generated_at}}.</footer>
+</article>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
+-- =============================================================================
+-- PAYMENT REMITTANCE PRINT TEMPLATE
+-- =============================================================================
+-- Same document layout as the purchase order, with the paid invoice as the line
+
+INSERT INTO htmx_templates (
+    entity_type_id,
+    view_type,
+    template_name,
+    base_template,
+    version,
+    is_active
+) VALUES (
+    '10000000-0000-0000-0000-000000000004'::UUID,  -- payment entity
+    'print',
+    'Payment Remittance Advice',
+    '<article class="print-document print-remittance">
+    <header class="print-header">
+        <div class="print-company">
+            <h1>{{company_name}}</h1>
+            {{#company_lines}}<div>{{text}}</div>{{/company_lines}}
+        </div>
+        <div class="print-title">
+            <h2>{{title}}</h2>
+            <div class="print-number">{{number}}</div>
+        </div>
+    </header>
+
+    <section class="print-parties">
+        <div class="print-party">
+            <h3>{{party_label}}</h3>
+            <div class="print-party-name">{{party_name}}</div>
+            {{#party_lines}}<div>{{text}}</div>{{/party_lines}}
+        </div>
+        <table class="print-details">
+            {{#details}}<tr><th>{{label}}</th><td>{{value}}</td></tr>{{/details}}
+        </table>
+    </section>
+
+    <table class="print-lines">
+        <thead>
+            <tr>
+                <th>Invoice</th><th>Your Reference</th><th>Invoice Date</th><th>PO</th>
+                <th class="num">Invoice Total</th><th class="num">Amount Paid</th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#lines}}
+            <tr>
+                <td>{{invoice_number}}</td><td>{{supplier_invoice_number}}</td><td>{{invoice_date}}</td>
+                <td>{{po_number}}</td><td class="num">{{invoice_total}}</td><td class="num">{{amount_paid}}</td>
+            </tr>
+            {{/lines}}
+        </tbody>
+    </table>
+
+    <table class="print-totals">
+        {{#totals}}<tr><th>{{label}}</th><td>{{value}}</td></tr>{{/totals}}
+    </table>
+
+    {{#if has_notes}}
+    <section class="print-notes">
+        <h3>Notes</h3>
+        <p>{{notes}}</p>
+    </section>
+    {{/if}}
+
+    <footer class="print-footer">This payment settles the invoice listed above. Generated {{generated_at}}.</footer>
+</article>',
+    1,
+    TRUE
+) ON CONFLICT DO NOTHING;
+
 -- =============================================================================
 -- SUCCESS MESSAGE
 -- =============================================================================
@@ -602,8 +1395,9 @@ BEGIN
     RAISE NOTICE 'Extended HTMX templates created successfully';
     RAISE NOTICE 'Created templates:';
     RAISE NOTICE '  - purchase_order form_edit';
-    RAISE NOTICE '  - supplier list';
+    RAISE NOTICE '  - purchase_order detail, print';
+    RAISE NOTICE '  - supplier list, form_create, form_edit, form_view, detail';
     RAISE NOTICE '  - goods_receipt list';
     RAISE NOTICE '  - invoice_receipt list';
-    RAISE NOTICE '  - payment list';
+    RAISE NOTICE '  - payment list, form_view, print (remittance)';
 END $$;
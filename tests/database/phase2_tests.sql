@@ -422,6 +422,31 @@ BEGIN
     );
     PERFORM record_test('render_complete', 'All features combined',
         v_result LIKE '%PO-001%' AND v_result LIKE '%URGENT%' AND v_result LIKE '%Item1%' AND v_result LIKE '%Item2%');
+
+    -- Test 6.4: Each conditional block uses its own condition
+    v_result := render_template_complete(
+        '{{#if a}}A{{/if}}-{{#if b}}B{{/if}}-{{#if c}}C{{/if}}',
+        '{"a": true, "b": false, "c": true}'::JSONB
+    );
+    PERFORM record_test('render_complete', 'Sequential conditionals',
+        v_result = 'A--C');
+
+    -- Test 6.5: Unless renders when the condition is false
+    v_result := render_template_complete(
+        '<input name="notes" {{#unless notes_editable}}disabled{{/unless}}>',
+        '{"notes_editable": false}'::JSONB
+    );
+    PERFORM record_test('render_complete', 'Unless shows when false',
+        v_result = '<input name="notes" disabled>');
+
+    -- Test 6.6: Unless nested in an if, per field
+    v_result := render_template_complete(
+        '{{#if code_visible}}<input name="code" {{#unless code_editable}}disabled{{/unless}}>{{/if}}' ||
+        '{{#if name_visible}}<input name="name" {{#unless name_editable}}disabled{{/unless}}>{{/if}}',
+        '{"code_visible": true, "code_editable": false, "name_visible": true, "name_editable": true}'::JSONB
+    );
+    PERFORM record_test('render_complete', 'Unless nested in if',
+        v_result = '<input name="code" disabled><input name="name" >');
 END $$;
 
 -- =============================================================================
@@ -606,6 +606,38 @@ BEGIN
     );
 END $$;
 
+-- =============================================================================
+-- TEST 11: Infinite-Scroll List
+-- =============================================================================
+\echo ''
+\echo 'Testing generate_htmx_list_scroll...'
+
+DO $$
+DECLARE
+    v_result TEXT;
+    v_admin_id UUID := '00000000-0000-0000-0000-000000000100'::UUID;
+    v_entity TEXT;
+BEGIN
+    FOR v_entity IN SELECT entity_name FROM ui_entity_types ORDER BY entity_name
+    LOOP
+        v_result := generate_htmx_list_scroll(v_admin_id, v_entity);
+
+        PERFORM record_test(
+            'generate_htmx_list_scroll: renders ' || v_entity,
+            v_result LIKE '%<table class="data-table">%' AND v_result NOT LIKE '%error-message%',
+            'Expected scroll table, got ' || LEFT(v_result, 200)
+        );
+    END LOOP;
+
+    v_result := generate_htmx_list_scroll(v_admin_id, 'purchase_order');
+
+    PERFORM record_test(
+        'generate_htmx_list_scroll: has column headers',
+        v_result LIKE '%<th>PO Number</th>%',
+        'Expected PO Number column header'
+    );
+END $$;
+
 -- =============================================================================
 -- TEST SUMMARY
 -- =============================================================================
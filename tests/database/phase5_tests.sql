@@ -625,6 +625,37 @@ BEGIN
         (v_result->>'fields_updated')::INTEGER > 0,
         'Expected fields_updated count'
     );
+
+    -- Stale version is rejected without writing
+    v_result := update_record(
+        v_admin_id,
+        'supplier',
+        v_supplier_id,
+        '{"notes": "Stale write"}'::JSONB,
+        '0'
+    );
+
+    PERFORM record_test(
+        'update_record: rejects stale version',
+        (v_result->>'conflict')::BOOLEAN = TRUE
+            AND (SELECT notes FROM suppliers WHERE supplier_id = v_supplier_id) = 'Updated via generic CRUD test',
+        v_result::TEXT
+    );
+
+    -- Version from fetch_form_data is accepted
+    v_result := update_record(
+        v_admin_id,
+        'supplier',
+        v_supplier_id,
+        '{"notes": "Updated with version check"}'::JSONB,
+        fetch_form_data(v_admin_id, 'supplier', v_supplier_id, 'form_edit')->>'_version'
+    );
+
+    PERFORM record_test(
+        'update_record: accepts current version',
+        (v_result->>'success')::BOOLEAN = TRUE,
+        v_result->>'error'
+    );
 END $$;
 
 -- =============================================================================